@@ -0,0 +1,131 @@
+'use strict';
+
+//Accounts (Transaction#account and #accounts), transfers between them
+//(transactionType 'transfer') and per-account paths, each account earning
+//its own interest. Load this after transaction-collection.js.
+
+//See transaction-collection.js, dependencies are globals in the browser
+var _, Money, CivilDate, Transaction, Scenario; //jshint ignore:line
+if (typeof module === 'object' && module.exports) {
+    _ = require('lodash');
+    Money = require('./transaction-collection').Money;
+    CivilDate = require('./transaction-collection').CivilDate;
+    Transaction = require('./transaction-collection').Transaction;
+    Scenario = require('./transaction-collection').Scenario;
+}
+
+/**
+ * Account that occurrences post to when nothing in their branch names one
+ *
+ * @type string
+ */
+Transaction.DEFAULT_ACCOUNT = 'default';
+
+/**
+ * @desc Finds the name of the account this transaction posts to, its own or the nearest ancestor's
+ * @returns {string} Name of the account, null if there isn't one
+ */
+Transaction.prototype.getAccountName = function() {
+    return this.getInherited('account');
+};
+
+/**
+ * @desc Turns each occurrence of a 'transfer' transaction into two legs that net to zero: one taking the amount out of transfer.from and one putting it into transfer.to. Legs have leg ('from' or 'to'), counterAccount and a transferId the two share. Anything else is passed through.
+ * @param {(Transaction|Transaction[])} occurrences - Occurrences of this transaction
+ * @returns {(Transaction|Transaction[])} The occurrences, or their legs
+ */
+Transaction.prototype.splitTransfers = function(occurrences) {
+    var transfer = this.transfer;
+    if (this.transactionType !== 'transfer' || !transfer) {
+        return occurrences;
+    }
+    return _.flatten([].concat(occurrences).map(function(t) {
+        var id = t.series + ':' + CivilDate.key(t.originalDate || t.startDate), out;
+        out = _.assign(_.clone(t), { amount: Money.multiply(t.amount, -1), ledgerAccount: transfer.from, leg: 'from', counterAccount: transfer.to, transferId: id });
+        //Converted transfers keep the amount they started as, see Transaction#convertCurrency
+        if (t.originalAmount !== undefined) {
+            out.originalAmount = Money.multiply(t.originalAmount, -1);
+        }
+        return [out, _.assign(_.clone(t), { ledgerAccount: transfer.to, leg: 'to', counterAccount: transfer.from, transferId: id })];
+    }));
+};
+
+/**
+ * @desc Checks whether any of the tree's accounts has interest rates of its own
+ * @returns {boolean} True if interest is worked out per account
+ */
+Transaction.prototype.hasAccountInterest = function() {
+    return _.some(this.accounts || {}, function(account) {
+        return account && account.interestRates;
+    });
+};
+
+/**
+ * @desc Works out interest for the tree. Once an account has rates of its own (see {@link Transaction#accounts}) every account earns or pays interest on its own balance, at its rates or the root's; otherwise interest is on the whole balance at the root's rates.
+ * @param {Transaction[]} gathered - Transactions from {@link Transaction#gatherTransactions}, without interest
+ * @param {Bounds} bounds - Interest is worked out up to bounds.endDate
+ * @returns {Transaction[]} Synthetic 'interest' transactions, tagged with the account they post to
+ */
+Transaction.prototype.generateAccountInterest = function(gathered, bounds) {
+    var self = this, accounts = this.accounts || {}, account = this.getAccountName() || Transaction.DEFAULT_ACCOUNT;
+    if (!this.hasAccountInterest()) {
+        return this.tagAccount(this.interestRates ? this.generateInterestTransactions(gathered, bounds) : [], account);
+    }
+    return _.flatten(_.map(_.groupBy(gathered, 'ledgerAccount'), function(txns, name) {
+        var rates = accounts[name] && accounts[name].interestRates ? accounts[name].interestRates : self.interestRates;
+        return self.tagAccount(rates ? self.generateInterestTransactions(txns, bounds, rates) : [], name).map(function(t) {
+            t.series = self.series + '-interest-' + name;
+            return t;
+        });
+    }));
+};
+
+/**
+ * @desc Posts occurrences to an account
+ * @param {Transaction[]} occurrences - The occurrences
+ * @param {string} account - Name of the account
+ * @returns {Transaction[]} The same occurrences
+ */
+Transaction.prototype.tagAccount = function(occurrences, account) {
+    occurrences.forEach(function(t) {
+        t.ledgerAccount = account;
+    });
+    return occurrences;
+};
+
+/**
+ * @desc Builds a path for every account as well as the consolidated one. Accounts listed in {@link Transaction#accounts} always get a path, even without any transactions.
+ * @param {Bounds} bounds - Start and end of the paths
+ * @param {Transaction[]} [gatheredTransactions] - Transactions to use instead of gathering them from the tree
+ * @param {String} [res] - Resolution of the paths, see {@link Transaction#generatePath}
+ * @returns {Object} consolidated ({ path, keyPoints } for the whole tree, see {@link Transaction#generatePath}) and accounts (the same, plus account and description, keyed by account name)
+ */
+Transaction.prototype.generateAccountPaths = function(bounds, gatheredTransactions, res) {
+    var self = this, accounts = this.accounts || {}, gathered, byAccount;
+    gathered = [].concat(gatheredTransactions ? gatheredTransactions : this.gatherTransactions(bounds));
+    byAccount = _.groupBy(gathered, function(t) {
+        return t.ledgerAccount || Transaction.DEFAULT_ACCOUNT;
+    });
+
+    return {
+        consolidated: this.generatePath(bounds, gathered, res),
+        accounts: _.zipObject(_.map(_.union(_.keys(accounts), _.keys(byAccount)), function(name) {
+            return [name, _.assign({
+                account: name,
+                description: accounts[name] && accounts[name].description ? accounts[name].description : name
+            }, self.generatePath(bounds, byAccount[name] || [], res))];
+        }))
+    };
+};
+
+////// SCENARIO ACCOUNT PATHS LIVE UNDER HERE ///////
+
+/**
+ * @desc Generates the per-account paths for the scenario, see {@link Transaction#generateAccountPaths}
+ * @param {Bounds} bounds - Start and end dates for the paths
+ * @param {String} [res] - Resolution of the paths, see {@link Transaction#generatePath}
+ * @returns {Object} consolidated and accounts paths for the scenario
+ */
+Scenario.prototype.generateAccountPaths = function(bounds, res) {
+    return this.baseTransaction.generateAccountPaths(bounds, this.gatherTransactions(bounds), res);
+};
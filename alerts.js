@@ -0,0 +1,306 @@
+'use strict';
+
+//See transaction-collection.js, dependencies are globals in the browser
+var _, Money, CivilDate; //jshint ignore:line
+if (typeof module === 'object' && module.exports) {
+    _ = require('lodash');
+    Money = require('./transaction-collection').Money;
+    CivilDate = require('./transaction-collection').CivilDate;
+}
+
+/**
+ * @desc Creates a new AlertRule
+ * @class AlertRule
+ * @classdesc A threshold that a balance, or a branch's spending, shouldn't cross
+ * @param {Object} blob - Blob describing the rule
+ * @param {string} [blob.name] - Name of the rule, shown on its alerts
+ * @param {string} [blob.kind='threshold'] - What kind of alert the rule raises, e.g. 'cushion', 'overdraft' or 'budget'
+ * @param {string} [blob.severity='warning'] - How bad a breach is, e.g. 'info', 'warning' or 'critical'
+ * @param {number} blob.threshold - The threshold
+ * @param {string} [blob.direction='below'] - 'below' if going under the threshold is a breach, 'above' if going over it is
+ * @param {string} [blob.measure='balance'] - What is checked: 'balance' (running balance), 'net' (net amount per period) or 'spending' (outflows per period, as a positive number)
+ * @param {string} [blob.res='months'] - Period for the net and spending measures, see {@link Transaction#generatePath}
+ * @param {(Transaction|string)} [blob.scope] - Branch (or its series) the rule covers, the whole tree by default
+ * @param {number} [blob.window] - How many days ahead to look, everything within the bounds by default
+ */
+var AlertRule = function(blob) {
+    if (!blob || typeof blob.threshold !== 'number' || isNaN(blob.threshold)) {
+        throw new Error('Alert rules need a threshold.');
+    }
+    if (blob.direction && AlertRule.DIRECTIONS.indexOf(blob.direction) === -1) {
+        throw new Error('Alert rule direction must be below or above.');
+    }
+    if (blob.measure && AlertRule.MEASURES.indexOf(blob.measure) === -1) {
+        throw new Error('Alert rule measure must be balance, net or spending.');
+    }
+    if (blob.window !== undefined && blob.window !== null && !(blob.window >= 0)) {
+        throw new Error('Alert rule window must be a number of days.');
+    }
+
+    /**
+     * Name of the rule
+     *
+     * @name AlertRule#name
+     * @type string
+     */
+    this.name = blob.name ? blob.name : null;
+
+    /**
+     * Kind of alert the rule raises
+     *
+     * @name AlertRule#kind
+     * @type string
+     */
+    this.kind = blob.kind ? blob.kind : 'threshold';
+
+    /**
+     * How bad a breach is
+     *
+     * @name AlertRule#severity
+     * @type string
+     */
+    this.severity = blob.severity ? blob.severity : 'warning';
+
+    /**
+     * The threshold
+     *
+     * @name AlertRule#threshold
+     * @type number
+     */
+    this.threshold = blob.threshold;
+
+    /**
+     * 'below' or 'above'
+     *
+     * @name AlertRule#direction
+     * @type string
+     */
+    this.direction = blob.direction ? blob.direction : 'below';
+
+    /**
+     * 'balance', 'net' or 'spending'
+     *
+     * @name AlertRule#measure
+     * @type string
+     */
+    this.measure = blob.measure ? blob.measure : 'balance';
+
+    /**
+     * Period for the net and spending measures
+     *
+     * @name AlertRule#res
+     * @type string
+     */
+    this.res = blob.res ? blob.res : 'months';
+
+    /**
+     * Series of the branch the rule covers, null for the whole tree
+     *
+     * @name AlertRule#scope
+     * @type string
+     */
+    this.scope = blob.scope ? (typeof blob.scope === 'string' ? blob.scope : blob.scope.series) : null;
+
+    /**
+     * Days to look ahead, null for everything within the bounds
+     *
+     * @name AlertRule#window
+     * @type number
+     */
+    this.window = blob.window === undefined ? null : blob.window;
+};
+
+/**
+ * Directions a rule can watch for
+ *
+ * @type string[]
+ */
+AlertRule.DIRECTIONS = ['below', 'above'];
+
+/**
+ * Measures a rule can check
+ *
+ * @type string[]
+ */
+AlertRule.MEASURES = ['balance', 'net', 'spending'];
+
+/**
+ * @desc Checks a value against the rule
+ * @param {number} value - The value
+ * @returns {boolean} True if the value breaches the threshold
+ */
+AlertRule.prototype.isBreach = function(value) {
+    return this.direction === 'below' ? value < this.threshold : value > this.threshold;
+};
+
+/**
+ * @desc Creates a new AlertMonitor
+ * @class AlertMonitor
+ * @classdesc Checks a transaction tree (or a scenario) against a set of alert rules
+ * @param {(Transaction|Scenario)} source - Root transaction or scenario to watch
+ * @param {(AlertRule[]|Object[])} [rules] - Rules, or blobs for them
+ */
+var AlertMonitor = function(source, rules) {
+    /**
+     * Root transaction or scenario being watched
+     *
+     * @name AlertMonitor#source
+     * @type (Transaction|Scenario)
+     */
+    this.source = source;
+
+    /**
+     * Rules being checked
+     *
+     * @name AlertMonitor#rules
+     * @type AlertRule[]
+     */
+    this.rules = [];
+
+    (rules || []).forEach(this.addRule, this);
+};
+
+/**
+ * @desc Adds a rule
+ * @param {(AlertRule|Object)} rule - The rule, or a blob for one
+ * @returns {AlertRule} The rule that was added
+ */
+AlertMonitor.prototype.addRule = function(rule) {
+    this.rules.push(rule instanceof AlertRule ? rule : new AlertRule(rule));
+    return this.rules[this.rules.length - 1];
+};
+
+/**
+ * @desc Checks every rule over the bounds
+ * @param {Bounds} bounds - Start and end of the projection, both are required
+ * @param {Object} [options] - asOf (the day the lookahead windows and runway count from, the start of the bounds by default) and gatheredTransactions, if they've already been gathered
+ * @returns {Object} alerts and runway. Each alert has rule, name, kind, severity, direction, threshold, date (first day of the breach), endDate (first day back within the threshold, null if it never is), daysUntil (from asOf), worst and worstDate (the furthest past the threshold it gets) and shortfall (how far past it that is). runway has asOf, firstBreach (the earliest alert, or null), daysUntilBreach, lowestBalance and lowestBalanceDate for the whole tree.
+ */
+AlertMonitor.prototype.evaluate = function(bounds, options) {
+    var self = this, opts = _.assign({ asOf: null, gatheredTransactions: null }, options), gathered, asOf, alerts = [], balance, lowest;
+
+    if (!bounds || !bounds.startDate || !bounds.endDate) {
+        throw new Error('Alerts need a start and end date.');
+    }
+    asOf = CivilDate.toMoment(opts.asOf ? opts.asOf : bounds.startDate);
+    gathered = [].concat(opts.gatheredTransactions ? opts.gatheredTransactions : this.source.gatherTransactions(bounds));
+
+    this.rules.forEach(function(rule) {
+        alerts = alerts.concat(self.checkRule(rule, gathered, bounds, asOf));
+    });
+    alerts = _.sortBy(alerts, function(alert) { return alert.date.valueOf(); });
+
+    balance = _.filter(this.source.getBaseTransaction().generateBucketedPath(bounds, gathered, 'days'), function(point) {
+        return !CivilDate.toMoment(point.d).isBefore(asOf);
+    });
+    lowest = _.min(balance, 'min');
+
+    return {
+        alerts: alerts,
+        runway: {
+            asOf: CivilDate.toDate(asOf),
+            firstBreach: alerts.length > 0 ? alerts[0] : null,
+            daysUntilBreach: alerts.length > 0 ? alerts[0].daysUntil : null,
+            lowestBalance: balance.length > 0 ? lowest.min : null,
+            lowestBalanceDate: balance.length > 0 ? lowest.d : null
+        }
+    };
+};
+
+/**
+ * @desc Checks a single rule
+ * @param {AlertRule} rule - The rule
+ * @param {Transaction[]} gathered - Gathered transactions for the whole tree
+ * @param {Bounds} bounds - Start and end of the projection
+ * @param {moment} asOf - Day the lookahead window counts from
+ * @returns {Object[]} Alerts for the rule, see {@link AlertMonitor#evaluate}
+ */
+AlertMonitor.prototype.checkRule = function(rule, gathered, bounds, asOf) {
+    var root = this.source.getBaseTransaction(), until = CivilDate.toMoment(bounds.endDate), path, alerts = [], open = null;
+
+    if (rule.window !== null && asOf.clone().add(rule.window, 'days').isBefore(until)) {
+        until = asOf.clone().add(rule.window, 'days');
+    }
+
+    path = root.generateBucketedPath(bounds, this.scopeTransactions(rule, gathered), rule.measure === 'balance' ? 'days' : rule.res);
+
+    path.forEach(function(point) {
+        var value, breach;
+        if (CivilDate.toMoment(point.end).isBefore(asOf) || CivilDate.toMoment(point.d).isAfter(until)) {
+            return;
+        }
+        if (rule.measure === 'balance') {
+            value = rule.direction === 'below' ? point.min : point.max;
+        } else if (rule.measure === 'net') {
+            value = point.net;
+        } else {
+            value = -point.outflow;
+        }
+
+        breach = rule.isBreach(value);
+        if (breach && !open) {
+            open = {
+                rule: rule,
+                name: rule.name,
+                kind: rule.kind,
+                severity: rule.severity,
+                direction: rule.direction,
+                measure: rule.measure,
+                threshold: rule.threshold,
+                date: point.d,
+                endDate: null,
+                daysUntil: CivilDate.diffDays(point.d, asOf),
+                worst: value,
+                worstDate: point.d
+            };
+            alerts.push(open);
+        } else if (breach && (rule.direction === 'below' ? value < open.worst : value > open.worst)) {
+            open.worst = value;
+            open.worstDate = point.d;
+        } else if (!breach && open) {
+            open.endDate = point.d;
+            open = null;
+        }
+    });
+
+    alerts.forEach(function(alert) {
+        alert.shortfall = Money.round(Math.abs(alert.worst - alert.threshold));
+    });
+    return alerts;
+};
+
+/**
+ * @desc Picks out the part of the gathered transactions a rule covers. Occurrences from branches above the scope that summarize their children are split pro-rata, see {@link Transaction#attributeOccurrence}.
+ * @param {AlertRule} rule - The rule
+ * @param {Transaction[]} gathered - Gathered transactions for the whole tree
+ * @returns {Transaction[]} The transactions within the rule's scope
+ */
+AlertMonitor.prototype.scopeTransactions = function(rule, gathered) {
+    var root = this.source.getBaseTransaction(), scope, index, acc = [];
+    if (!rule.scope) {
+        return gathered;
+    }
+    scope = root.findBySeries(rule.scope);
+    if (!scope) {
+        throw new Error('Alert rule scope ' + rule.scope + ' is not part of the tree.');
+    }
+
+    index = root.indexBySeries();
+
+    gathered.forEach(function(occurrence) {
+        root.attributeOccurrence(occurrence, scope.depth + 1, index).forEach(function(share) {
+            if (share.series === scope.series) {
+                acc.push(share.amount === occurrence.amount ? occurrence : _.assign(_.clone(occurrence), { amount: share.amount }));
+            }
+        });
+    });
+    return acc;
+};
+
+////////////////// NODE MODULE //////////////////
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        AlertRule: AlertRule,
+        AlertMonitor: AlertMonitor
+    };
+}
@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+'use strict';
+
+var fs = require('fs');
+var moment = require('moment');
+var _ = require('lodash');
+var calc = require('../index');
+
+var USAGE = [
+    'Usage: mimirate-calc <plan.json> [options]',
+    '',
+    'Options:',
+    '  --start <YYYY-MM-DD>    Start of the projection (defaults to the plan\'s bounds)',
+    '  --end <YYYY-MM-DD>      End of the projection (defaults to the plan\'s bounds)',
+    '  --date <YYYY-MM-DD>     Also report the value on this date',
+    '  --resolution <res>      Bucket the paths by days, weeks, months, quarters or years',
+    '  --format <format>       table (default), csv or json',
+    '  --time-zone <zone>      IANA time zone days are counted in (defaults to local time)',
+    '  --no-scenarios          Leave scenario paths out',
+    '  --help                  Show this message',
+    '',
+    'The plan is either a document written by Transaction#serializeTree, or',
+    '{ "transactions": [...blobs] }. Either may carry',
+    '"bounds": { "startDate": ..., "endDate": ... }.'
+].join('\n');
+
+/**
+ * @desc Parses command line arguments
+ * @param {string[]} argv - Arguments, without node and the script name
+ * @returns {Object} Parsed options: file, start, end, date, resolution, format, timeZone, scenarios and help
+ */
+function parseArgs(argv) {
+    var options = { file: null, start: null, end: null, date: null, resolution: null, format: 'table', timeZone: null, scenarios: true, help: false };
+    var i, arg, flags = { '--start': 'start', '--end': 'end', '--date': 'date', '--resolution': 'resolution', '--format': 'format', '--time-zone': 'timeZone' };
+    for (i = 0; i < argv.length; i++) {
+        arg = argv[i];
+        if (flags[arg]) {
+            if (i + 1 >= argv.length) {
+                throw new Error(arg + ' needs a value.');
+            }
+            options[flags[arg]] = argv[++i];
+        } else if (arg === '--no-scenarios') {
+            options.scenarios = false;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.charAt(0) === '-') {
+            throw new Error('Unknown option ' + arg + '.');
+        } else if (!options.file) {
+            options.file = arg;
+        } else {
+            throw new Error('Only one plan file can be given.');
+        }
+    }
+    if (['table', 'csv', 'json'].indexOf(options.format) === -1) {
+        throw new Error('--format must be table, csv or json.');
+    }
+    return options;
+}
+
+/**
+ * @desc Parses a date from the command line or a plan file
+ * @param {string} value - The date
+ * @param {string} what - What the date is for, used in errors
+ * @returns {Date} The date, or null if there wasn't one
+ */
+function parseDate(value, what) {
+    var m;
+    if (!value) {
+        return null;
+    }
+    m = /^\d{4}-\d{2}-\d{2}$/.test(value) ? moment(value, 'YYYY-MM-DD', true) : moment(value, moment.ISO_8601);
+    if (!m.isValid()) {
+        throw new Error(what + ' is not a valid date: ' + value);
+    }
+    return calc.CivilDate.parse(/^\d{4}-\d{2}-\d{2}$/.test(value) ? value : m.toDate());
+}
+
+/**
+ * @desc Builds the transaction tree described by a plan
+ * @param {Object} plan - Parsed plan file
+ * @returns {Transaction} Root of the tree
+ */
+function loadPlan(plan) {
+    var root;
+    if (plan.format === 'mimirate-calc') {
+        return calc.Transaction.deserialize(plan);
+    }
+    if (!_.isArray(plan.transactions)) {
+        throw new Error('The plan needs a "transactions" array or has to be a serialized transaction tree.');
+    }
+    root = new calc.Transaction({ description: plan.description || 'Plan' });
+    root.addChildren(plan.transactions);
+    return root;
+}
+
+/**
+ * @desc Runs the projection and collects everything we report on
+ * @param {Transaction} root - Root of the plan
+ * @param {Bounds} bounds - Bounds of the projection
+ * @param {Object} options - Parsed command line options
+ * @returns {Object} Report with bounds, path, keyPoints, valueOnDate and scenarios
+ */
+function project(root, bounds, options) {
+    var base = root.generatePath(bounds, null, options.resolution);
+    var report = {
+        bounds: bounds,
+        path: base.path,
+        keyPoints: base.keyPoints,
+        valueOnDate: null,
+        scenarios: []
+    };
+    if (options.date) {
+        report.valueOnDate = {
+            date: parseDate(options.date, '--date'),
+            value: root.valueOnDate(parseDate(options.date, '--date'), new calc.Bounds(bounds.startDate, bounds.endDate))
+        };
+    }
+    if (options.scenarios) {
+        report.scenarios = root.scenarios.map(function(scenario) {
+            var path = scenario.generateScenarioPath(new calc.Bounds(bounds.startDate, bounds.endDate), options.resolution);
+            return {
+                name: scenario.name,
+                path: path.path,
+                keyPoints: path.keyPoints
+            };
+        });
+    }
+    return report;
+}
+
+/**
+ * @desc Flattens a report into rows of name, kind, date and balance
+ * @param {Object} report - Report from project()
+ * @returns {Object[]} Rows, path points first, then key points, for the base and then each scenario
+ */
+function reportRows(report) {
+    var rows = [];
+    var addPath = function(name, path, keyPoints) {
+        path.forEach(function(point) {
+            rows.push({ path: name, kind: 'point', date: point.d, balance: point.y });
+        });
+        //Paths without any transactions come back with an empty keyPoints array
+        (keyPoints.inflectionPts || []).concat(keyPoints.zeroPts || []).forEach(function(point) {
+            rows.push({ path: name, kind: point.type, date: point.date, balance: point.value });
+        });
+    };
+    addPath('base', report.path, report.keyPoints);
+    if (report.valueOnDate) {
+        rows.push({ path: 'base', kind: 'value', date: report.valueOnDate.date, balance: report.valueOnDate.value });
+    }
+    report.scenarios.forEach(function(scenario) {
+        addPath(scenario.name, scenario.path, scenario.keyPoints);
+    });
+    return rows;
+}
+
+/**
+ * @desc Formats a report as table, csv or json
+ * @param {Object} report - Report from project()
+ * @param {string} format - 'table', 'csv' or 'json'
+ * @returns {string} The formatted report
+ */
+function formatReport(report, format) {
+    var rows, header = ['path', 'kind', 'date', 'balance'], widths, cells;
+    var day = function(d) {
+        return d ? calc.CivilDate.key(d) : '';
+    };
+
+    if (format === 'json') {
+        return JSON.stringify(report, null, 2);
+    }
+
+    rows = reportRows(report).map(function(row) {
+        return [row.path, row.kind, day(row.date), String(row.balance)];
+    });
+
+    if (format === 'csv') {
+        return [header].concat(rows).map(function(row) {
+            return row.map(function(cell) {
+                return /[",\n]/.test(cell) ? '"' + cell.replace(/"/g, '""') + '"' : cell;
+            }).join(',');
+        }).join('\n');
+    }
+
+    cells = [header].concat(rows);
+    widths = header.map(function(h, i) {
+        return _.max(cells, function(row) { return row[i].length; })[i].length;
+    });
+    return cells.map(function(row, r) {
+        var line = row.map(function(cell, i) {
+            //Right-align the balances
+            return i === 3 && r > 0 ? _.padLeft(cell, widths[i]) : _.padRight(cell, widths[i]);
+        }).join('  ');
+        return r === 0 ? line + '\n' + widths.map(function(w) { return _.repeat('-', w); }).join('  ') : line;
+    }).join('\n');
+}
+
+/**
+ * @desc Runs the command line tool
+ * @param {string[]} argv - Arguments, without node and the script name
+ * @param {stream.Writable} stdout - Where the report goes
+ * @param {stream.Writable} stderr - Where errors go
+ * @returns {number} Exit code
+ */
+function run(argv, stdout, stderr) {
+    var options, plan, root, bounds, planBounds;
+    try {
+        options = parseArgs(argv);
+        if (options.help || !options.file) {
+            (options.help ? stdout : stderr).write(USAGE + '\n');
+            return options.help ? 0 : 1;
+        }
+
+        //The plan is only read after this, so none of its dates need moving
+        if (options.timeZone) {
+            calc.CivilDate.configure({ timeZone: options.timeZone, rekey: [] });
+        }
+        plan = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+        root = loadPlan(plan);
+        planBounds = plan.bounds || {};
+        bounds = new calc.Bounds(
+            parseDate(options.start || planBounds.startDate, 'Start date'),
+            parseDate(options.end || planBounds.endDate, 'End date'));
+        if (!bounds.startDate || !bounds.endDate) {
+            throw new Error('The projection needs a start and end date, from --start/--end or the plan\'s bounds.');
+        }
+
+        stdout.write(formatReport(project(root, bounds, options), options.format) + '\n');
+        return 0;
+    } catch (e) {
+        stderr.write('mimirate-calc: ' + e.message + '\n');
+        return 1;
+    }
+}
+
+module.exports = {
+    run: run,
+    parseArgs: parseArgs,
+    loadPlan: loadPlan,
+    project: project,
+    formatReport: formatReport
+};
+
+if (require.main === module) {
+    process.exitCode = run(process.argv.slice(2), process.stdout, process.stderr);
+}
@@ -0,0 +1,167 @@
+'use strict';
+
+//Per-branch breakdowns of a projection. Gathered occurrences are tagged with
+//the branches they came from, so they can be totalled by branch afterwards.
+//Load this after transaction-collection.js.
+
+//See transaction-collection.js, dependencies are globals in the browser
+var _, Money, CivilDate, Transaction; //jshint ignore:line
+if (typeof module === 'object' && module.exports) {
+    _ = require('lodash');
+    Money = require('./transaction-collection').Money;
+    CivilDate = require('./transaction-collection').CivilDate;
+    Transaction = require('./transaction-collection').Transaction;
+}
+
+/**
+ * @desc Marks the occurrences a transaction generated with the series of every ancestor below the root, so they can still be traced back to their branch after {@link Transaction#gatherTransactions} flattens them, and with the account they post to (ledgerAccount).
+ * @param {(Transaction|Transaction[])} occurrences - Occurrences from {@link Transaction#initRepeatTransactions}
+ * @returns {(Transaction|Transaction[])} The same occurrences
+ */
+Transaction.prototype.tagAncestry = function(occurrences) {
+    var ancestry = this.getAncestry(), account = this.getAccountName() || Transaction.DEFAULT_ACCOUNT;
+    [].concat(occurrences).forEach(function(t) {
+        t.ancestry = ancestry;
+        t.ledgerAccount = account;
+    });
+    return occurrences;
+};
+
+/**
+ * @desc Lists the series of this transaction and its ancestors, from the root's child down to this one. The root itself is left out.
+ * @returns {string[]} Series path to this transaction
+ */
+Transaction.prototype.getAncestry = function() {
+    var acc = [], node = this;
+    while (node && node.parentTransaction !== null) {
+        acc.unshift(node.series);
+        node = node.parentTransaction;
+    }
+    return acc;
+};
+
+/**
+ * @desc Attributes an occurrence to the branch it belongs to at a given depth. Occurrences from a branch that summarizes its children (one with a start date) are split between the children pro-rata by their amounts, with the rounding remainder going to the last share so the parts still add up.
+ * @param {Transaction} occurrence - A gathered occurrence, tagged by {@link Transaction#tagAncestry}
+ * @param {number} depth - How far below the root to attribute to, 1 being the root's children
+ * @param {Object} index - Transactions in the tree keyed by series
+ * @returns {Object[]} Shares of the occurrence: { series, amount }
+ */
+Transaction.prototype.attributeOccurrence = function(occurrence, depth, index) {
+    var ancestry = occurrence.ancestry || [];
+    var split = function(node, amount) {
+        var total, left = amount, children;
+        if (!node || node.depth + 1 >= depth || node.children.length === 0) {
+            return [{ series: node ? node.series : occurrence.series, amount: amount }];
+        }
+        children = node.children;
+        total = Money.sum(children, function(c) { return c.getAmount(); });
+        if (total === 0) {
+            return [{ series: node.series, amount: amount }];
+        }
+        return _.flatten(children.map(function(c, i) {
+            var share = i === children.length - 1 ? left : Money.multiply(amount, c.getAmount() / total);
+            left = Money.add(left, -share);
+            return split(c, share);
+        }));
+    };
+
+    //Interest and other root level occurrences belong to their own series
+    if (ancestry.length === 0) {
+        return [{ series: occurrence.series, amount: occurrence.amount }];
+    }
+    if (ancestry.length >= depth) {
+        return [{ series: ancestry[depth - 1], amount: occurrence.amount }];
+    }
+    return split(index[ancestry[ancestry.length - 1]], occurrence.amount);
+};
+
+/**
+ * @desc Breaks the projection down by branch, for stacked charts and reports. Every occurrence within the bounds is attributed to the branch it came from at the chosen depth, and each branch gets its own bucketed series.
+ * @param {Bounds} bounds - Start and end of the breakdown
+ * @param {Object} [options] - depth (default 1, the root's children), res (days, weeks, months (default), quarters or years) and gatheredTransactions, if they've already been gathered
+ * @returns {Object} branches ({ series, description, depth, total: { inflow, outflow, net }, path }), where each path point has d, end, inflow, outflow, net, cumulative (net since the start of the bounds), shareOfInflows and shareOfOutflows; and totals, the same points for the whole tree
+ */
+Transaction.prototype.generateBreakdown = function(bounds, options) {
+    var self = this, opts = _.assign({ depth: 1, res: 'months', gatheredTransactions: null }, options);
+    var gathered = [].concat(opts.gatheredTransactions || this.gatherTransactions(bounds));
+    var index = this.indexBySeries(), branches = {}, order = [], buckets, totals, start, end;
+
+    if (!(opts.depth >= 1) || opts.depth % 1 !== 0) {
+        throw new Error('Breakdown depth must be a whole number of at least 1.');
+    }
+
+    start = CivilDate.toMoment(bounds.startDate ? bounds.startDate : _.min(gathered, 'startDate').startDate);
+    end = CivilDate.toMoment(bounds.endDate ? bounds.endDate : _.max(gathered, 'startDate').startDate);
+    buckets = this.getPathBuckets(start, end, opts.res);
+
+    var emptyPath = function() {
+        return buckets.map(function(bucket) {
+            return { d: CivilDate.toDate(bucket.start), end: CivilDate.toDate(bucket.end), inflow: 0, outflow: 0, net: 0, cumulative: 0, shareOfInflows: 0, shareOfOutflows: 0 };
+        });
+    };
+    var bucketOf = function(date) {
+        var day = CivilDate.toMoment(date);
+        if (day.isBefore(start) || day.isAfter(end)) {
+            return -1;
+        }
+        return _.findIndex(buckets, function(bucket) {
+            return !day.isAfter(bucket.end);
+        });
+    };
+    var add = function(point, amount) {
+        if (amount > 0) {
+            point.inflow = Money.add(point.inflow, amount);
+        } else if (amount < 0) {
+            point.outflow = Money.add(point.outflow, amount);
+        }
+        point.net = Money.add(point.inflow, point.outflow);
+    };
+
+    totals = emptyPath();
+    gathered.forEach(function(occurrence) {
+        var b = bucketOf(occurrence.startDate);
+        if (b === -1) {
+            return;
+        }
+        add(totals[b], occurrence.amount);
+        self.attributeOccurrence(occurrence, opts.depth, index).forEach(function(share) {
+            var node = index[share.series];
+            if (!branches[share.series]) {
+                order.push(share.series);
+                branches[share.series] = {
+                    series: share.series,
+                    description: node ? node.description : occurrence.description,
+                    depth: node ? node.depth : 0,
+                    path: emptyPath()
+                };
+            }
+            add(branches[share.series].path[b], share.amount);
+        });
+    });
+
+    var finish = function(path) {
+        var cumulative = 0;
+        path.forEach(function(point, i) {
+            cumulative = Money.add(cumulative, point.net);
+            point.cumulative = cumulative;
+            point.shareOfInflows = totals[i].inflow !== 0 ? point.inflow / totals[i].inflow : 0;
+            point.shareOfOutflows = totals[i].outflow !== 0 ? point.outflow / totals[i].outflow : 0;
+        });
+        return path;
+    };
+
+    return {
+        branches: order.map(function(series) {
+            var branch = branches[series];
+            finish(branch.path);
+            branch.total = {
+                inflow: Money.sum(branch.path, 'inflow'),
+                outflow: Money.sum(branch.path, 'outflow'),
+                net: Money.sum(branch.path, 'net')
+            };
+            return branch;
+        }),
+        totals: finish(totals)
+    };
+};
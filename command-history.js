@@ -0,0 +1,485 @@
+'use strict';
+
+//See transaction-collection.js, dependencies are globals in the browser
+var _; //jshint ignore:line
+if (typeof module === 'object' && module.exports) {
+    _ = require('lodash');
+}
+
+/**
+ * @desc Creates a new CommandHistory
+ * @class CommandHistory
+ * @classdesc Routes edits to a transaction tree (and its scenarios) through commands that can be undone and redone, and keeps an audit log of who changed what. Each command records the 'change' events it causes (see {@link Transaction#notifyChange}) and undoes them by putting back their old values in reverse order. Edits made straight on the model aren't recorded; they clear the undo and redo stacks, since neither lines up with the tree any more.
+ * @param {Transaction} root - Root of the tree to keep the history of
+ * @param {Object} [options] - Options for the history
+ * @param {string} [options.user] - Who is making the changes, recorded in the audit log
+ * @param {number} [options.limit=100] - How many steps can be undone, null for no limit
+ */
+var CommandHistory = function(root, options) {
+    var opts = _.assign({ user: null, limit: 100 }, options);
+
+    /**
+     * Root of the tree
+     *
+     * @name CommandHistory#root
+     * @type Transaction
+     */
+    this.root = root;
+
+    /**
+     * Who is making the changes
+     *
+     * @name CommandHistory#user
+     * @type string
+     */
+    this.user = opts.user;
+
+    /**
+     * How many steps can be undone
+     *
+     * @name CommandHistory#limit
+     * @type number
+     */
+    this.limit = opts.limit;
+
+    /**
+     * Steps that can be undone, oldest first. Each has label, user, date and steps, the changes it made.
+     *
+     * @name CommandHistory#undoStack
+     * @type Object[]
+     */
+    this.undoStack = [];
+
+    /**
+     * Steps that can be redone, most recently undone last
+     *
+     * @name CommandHistory#redoStack
+     * @type Object[]
+     */
+    this.redoStack = [];
+
+    /**
+     * Audit log, oldest first, see {@link CommandHistory#audit}
+     *
+     * @name CommandHistory#log
+     * @type Object[]
+     */
+    this.log = [];
+
+    //The step being recorded, and how deeply groups are nested inside it
+    this.current = null;
+    this.depth = 0;
+    this.replaying = false;
+
+    this.listener = this.record.bind(this);
+    root.on('change', this.listener);
+};
+
+/**
+ * @desc Stops listening to the tree
+ */
+CommandHistory.prototype.detach = function() {
+    this.root.off('change', this.listener);
+};
+
+/**
+ * @desc Changes who the following changes are recorded against
+ * @param {string} user - The user
+ */
+CommandHistory.prototype.setUser = function(user) {
+    this.user = user;
+};
+
+/**
+ * @desc Forgets every step, the audit log is kept
+ */
+CommandHistory.prototype.clear = function() {
+    this.undoStack = [];
+    this.redoStack = [];
+};
+
+/**
+ * @desc Checks if there is a step to undo
+ * @returns {boolean} True if there is
+ */
+CommandHistory.prototype.canUndo = function() {
+    return this.undoStack.length > 0;
+};
+
+/**
+ * @desc Checks if there is a step to redo
+ * @returns {boolean} True if there is
+ */
+CommandHistory.prototype.canRedo = function() {
+    return this.redoStack.length > 0;
+};
+
+////// RECORDING LIVES UNDER HERE ///////
+
+/**
+ * @desc Starts a group, everything until the matching {@link CommandHistory#endGroup} is undone as a single step. Groups can be nested, inner groups become part of the outermost one.
+ * @param {string} label - What the step does, e.g. 'Import 40 transactions'
+ */
+CommandHistory.prototype.beginGroup = function(label) {
+    if (this.depth === 0) {
+        this.current = { label: label, user: this.user, date: new Date(), steps: [], irreversible: false };
+    }
+    this.depth++;
+};
+
+/**
+ * @desc Ends a group started with {@link CommandHistory#beginGroup}. When the outermost group ends it goes on the undo stack, unless it made no changes or merged a scenario.
+ * @returns {Object} The step, once the outermost group has ended
+ */
+CommandHistory.prototype.endGroup = function() {
+    var step;
+    if (this.depth === 0) {
+        throw new Error('There is no group to end.');
+    }
+    this.depth--;
+    if (this.depth > 0) {
+        return null;
+    }
+    step = this.current;
+    this.current = null;
+    if (step.steps.length > 0 && !step.irreversible) {
+        this.undoStack.push(step);
+        if (this.limit !== null && this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+    }
+    return step;
+};
+
+/**
+ * @desc Runs a function as a single step. If it throws, whatever it changed is put back before the error is passed on.
+ * @param {string} label - What the step does
+ * @param {Function} fn - Makes the changes
+ * @param {Object} [context] - this for fn
+ * @returns {*} Whatever fn returns
+ */
+CommandHistory.prototype.run = function(label, fn, context) {
+    var result, step;
+    this.beginGroup(label);
+    try {
+        result = fn.call(context);
+    } catch (e) {
+        //Only the outermost group can be rolled back, inner ones are part of it
+        this.depth--;
+        if (this.depth === 0) {
+            step = this.current;
+            this.current = null;
+            this.replay(step, true);
+        }
+        throw e;
+    }
+    this.endGroup();
+    return result;
+};
+
+/**
+ * @desc Listener for 'change' events on the root
+ * @param {Object} change - The change
+ */
+CommandHistory.prototype.record = function(change) {
+    var steps, previous, rollup;
+    if (this.replaying) {
+        return;
+    }
+    //Steps find children by where they were, so an edit made around the
+    //history leaves them pointing at the wrong places
+    if (!this.current) {
+        this.clear();
+        return;
+    }
+
+    //Merging a scenario moves transactions between trees in ways the events
+    //don't describe, so nothing before it can be undone
+    if (change.type === 'scenario-merge' || change.type === 'scenario-promote') {
+        this.current.irreversible = true;
+        this.clear();
+    }
+
+    //Branch amounts that follow from adding, removing or changing a child are
+    //replayed, but they aren't changes anyone made
+    steps = this.current.steps;
+    previous = steps.length > 0 ? steps[steps.length - 1].change : null;
+    rollup = change.type === 'update' && change.field === 'amount' && (change.target.children.length > 0 ||
+        (previous !== null && previous.target === change.target && (previous.type === 'add' || previous.type === 'remove')));
+
+    steps.push({ change: change, rollup: rollup });
+    if (!rollup) {
+        this.audit(change, this.current.label, null);
+    }
+    this.redoStack = [];
+};
+
+/**
+ * @desc Adds an entry to the audit log
+ * @param {Object} change - The change
+ * @param {string} label - Label of the step it is part of
+ * @param {string} history - 'undo' or 'redo' when the change came from undoing or redoing a step, null otherwise
+ */
+CommandHistory.prototype.audit = function(change, label, history) {
+    var subject = change.child ? change.child : change.target;
+    this.log.push({
+        date: new Date(),
+        user: this.user,
+        label: label,
+        history: history,
+        type: change.type,
+        series: change.type.indexOf('scenario-') === 0 ? (change.series || null) : subject.series,
+        description: change.type.indexOf('scenario-') === 0 ? change.scenario.name : subject.description,
+        scenario: change.scenario ? change.scenario.id : null,
+        field: change.type === 'exception' ? change.date : (change.field || null),
+        oldValue: change.oldValue,
+        newValue: change.newValue
+    });
+};
+
+/**
+ * @desc Looks through the audit log
+ * @param {Object} [filter] - Only return entries matching this, e.g. { series: series } or { user: user }
+ * @returns {Object[]} Entries, oldest first. Each has date, user, label, history ('undo', 'redo' or null), type, series, description, scenario (id, for changes to a scenario), field (the occurrence date for exceptions), oldValue and newValue.
+ */
+CommandHistory.prototype.getLog = function(filter) {
+    return filter ? _.filter(this.log, filter) : this.log.slice();
+};
+
+////// UNDO AND REDO LIVE UNDER HERE ///////
+
+/**
+ * @desc Undoes the most recent step
+ * @returns {Object} The step that was undone, or null if there wasn't one
+ */
+CommandHistory.prototype.undo = function() {
+    var step;
+    if (this.depth > 0) {
+        throw new Error('Cannot undo in the middle of a group.');
+    }
+    step = this.undoStack.pop();
+    if (!step) {
+        return null;
+    }
+    this.replay(step, true);
+    this.redoStack.push(step);
+    return step;
+};
+
+/**
+ * @desc Redoes the most recently undone step
+ * @returns {Object} The step that was redone, or null if there wasn't one
+ */
+CommandHistory.prototype.redo = function() {
+    var step;
+    if (this.depth > 0) {
+        throw new Error('Cannot redo in the middle of a group.');
+    }
+    step = this.redoStack.pop();
+    if (!step) {
+        return null;
+    }
+    this.replay(step, false);
+    this.undoStack.push(step);
+    return step;
+};
+
+/**
+ * @desc Plays a step's changes backwards (newest first, putting old values back) or forwards again. Each change fires a 'change' event of its own, flagged with history.
+ * @param {Object} step - The step
+ * @param {boolean} undo - True to undo the step, false to redo it
+ */
+CommandHistory.prototype.replay = function(step, undo) {
+    var self = this, steps = undo ? step.steps.slice().reverse() : step.steps;
+    this.replaying = true;
+    try {
+        steps.forEach(function(s) {
+            var change = self.apply(s.change, undo);
+            if (!s.rollup) {
+                self.audit(change, step.label, change.history);
+            }
+        });
+    } finally {
+        this.replaying = false;
+    }
+};
+
+/**
+ * @desc Undoes or redoes a single change. The model's own methods aren't used, since they would work branch amounts out again and fire changes of their own; the recorded amounts are put back instead.
+ * @param {Object} change - The recorded change
+ * @param {boolean} undo - True to undo it, false to redo it
+ * @returns {Object} The change that was made, as fired in the 'change' event
+ */
+CommandHistory.prototype.apply = function(change, undo) {
+    var t = change.target, event = _.assign({}, change, { history: undo ? 'undo' : 'redo' }), scenario = change.scenario;
+    var opposite = { 'add': 'remove', 'remove': 'add', 'scenario-add': 'scenario-remove', 'scenario-remove': 'scenario-add' };
+
+    if (undo) {
+        event.type = opposite[change.type] || change.type;
+        event.oldValue = change.newValue;
+        event.newValue = change.oldValue;
+        if (change.type === 'scenario-move') {
+            event.from = change.to;
+            event.to = change.from;
+        }
+    }
+
+    switch (event.type) {
+        case 'add':
+            t.children.splice(event.index, 0, event.child);
+            event.child.parentTransaction = t;
+            event.child.setDepth(t.depth + 1);
+            break;
+        case 'remove':
+            t.children.splice(event.index, 1);
+            event.child.parentTransaction = null;
+            break;
+        case 'update':
+            t[event.field] = event.newValue;
+            break;
+        case 'exception':
+            if (event.newValue) {
+                t.exceptions[event.date] = event.newValue;
+            } else {
+                delete t.exceptions[event.date];
+            }
+            break;
+        case 'scenario-add':
+            t.scenarios.splice(event.index, 0, scenario);
+            break;
+        case 'scenario-remove':
+            t.scenarios.splice(event.index, 1);
+            break;
+        case 'scenario-move':
+            t.scenarios.splice(event.to, 0, t.scenarios.splice(event.from, 1)[0]);
+            break;
+        case 'scenario-update':
+            if (event.field === 'name') {
+                scenario.name = event.newValue;
+            } else if (event.field === 'modifiers') {
+                scenario.modifiers = event.newValue.slice();
+            } else if (event.newValue) {
+                scenario.loanExtraPayments[event.series] = _.clone(event.newValue);
+            } else {
+                delete scenario.loanExtraPayments[event.series];
+            }
+            scenario.emitChange(event);
+            return event;
+        default:
+            throw new Error('Cannot replay a ' + change.type + ' change.');
+    }
+
+    if (event.type.indexOf('scenario-') === 0) {
+        t.emit('change', event);
+    } else {
+        t.notifyChange(event);
+    }
+    return event;
+};
+
+////// COMMANDS LIVE UNDER HERE ///////
+
+/**
+ * @desc Adds a child transaction, see {@link Transaction#addChild}
+ * @param {Transaction} parent - Transaction to add the child to
+ * @param {(Object|Transaction)} blob - Blob for the child, or an existing transaction
+ * @param {number} [index] - Where to put the child among its siblings
+ * @returns {Transaction} The new child
+ */
+CommandHistory.prototype.addChild = function(parent, blob, index) {
+    return this.run('Add ' + (blob.description || 'transaction'), function() {
+        return parent.addChild(blob, index);
+    });
+};
+
+/**
+ * @desc Adds several children, and their children, as a single step, see {@link Transaction#addChildren}
+ * @param {Transaction} parent - Transaction to add the children to
+ * @param {Object[]} blobs - Blobs for the children
+ */
+CommandHistory.prototype.addChildren = function(parent, blobs) {
+    this.run('Add ' + blobs.length + ' transaction' + (blobs.length === 1 ? '' : 's'), function() {
+        parent.addChildren(blobs);
+    });
+};
+
+/**
+ * @desc Removes a child transaction, see {@link Transaction#removeChild}
+ * @param {Transaction} parent - Transaction to remove the child from
+ * @param {number} index - Zero-based index of the child
+ * @returns {Transaction} The child that was removed, if there was one
+ */
+CommandHistory.prototype.removeChild = function(parent, index) {
+    var child = parent.children[index];
+    return this.run('Remove ' + (child ? child.description : 'transaction'), function() {
+        return parent.removeChild(index);
+    });
+};
+
+/**
+ * @desc Removes a transaction from its parent, see {@link Transaction#commitSuicide}
+ * @param {Transaction} transaction - The transaction to remove
+ */
+CommandHistory.prototype.commitSuicide = function(transaction) {
+    this.run('Remove ' + transaction.description, function() {
+        transaction.commitSuicide();
+    });
+};
+
+/**
+ * @desc Changes a field on a transaction, see {@link Transaction#set}
+ * @param {Transaction} transaction - The transaction
+ * @param {string} field - The field
+ * @param {*} value - The new value
+ * @returns {Transaction} The transaction
+ */
+CommandHistory.prototype.set = function(transaction, field, value) {
+    return this.run('Change ' + field + ' of ' + transaction.description, function() {
+        return transaction.set(field, value);
+    });
+};
+
+/**
+ * @desc Sets the start dates of a transaction and everything below it, see {@link Transaction#setStartDates}
+ * @param {Transaction} transaction - Top of the part of the tree to change
+ * @param {Date} startDate - New start date
+ * @param {boolean} setall - True to only move start dates that are earlier than startDate
+ */
+CommandHistory.prototype.setStartDates = function(transaction, startDate, setall) {
+    this.run('Set start dates of ' + transaction.description, function() {
+        transaction.setStartDates(null, startDate, setall);
+    });
+};
+
+/**
+ * @desc Adds a scenario to the root, see {@link Transaction#addScenario}
+ * @param {Date} startDate - Date the scenario starts on
+ * @param {string} [name] - Name of the scenario
+ * @param {Scenario} [parentScenario] - Scenario to branch from
+ * @returns {Scenario} The new scenario
+ */
+CommandHistory.prototype.addScenario = function(startDate, name, parentScenario) {
+    var root = this.root;
+    return this.run('Add scenario' + (name ? ' ' + name : ''), function() {
+        return root.addScenario(startDate, name, parentScenario);
+    });
+};
+
+/**
+ * @desc Deletes one of the root's scenarios, and the scenarios forked from it, see {@link Transaction#deleteScenario}
+ * @param {number} index - Zero-based index of the scenario
+ * @returns {Scenario[]} The root's scenarios
+ */
+CommandHistory.prototype.deleteScenario = function(index) {
+    var root = this.root, scenario = root.scenarios[index];
+    return this.run('Delete scenario' + (scenario ? ' ' + scenario.name : ''), function() {
+        return root.deleteScenario(index);
+    });
+};
+
+////////////////// NODE MODULE //////////////////
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        CommandHistory: CommandHistory
+    };
+}
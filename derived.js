@@ -0,0 +1,216 @@
+'use strict';
+
+//Derived transactions (transactionType 'derived'), worked out from the
+//occurrences of other series: a share of them, with a floor, cap, fee and
+//offset. Load this after transaction-collection.js.
+
+//See transaction-collection.js, dependencies are globals in the browser
+var _, Money, CivilDate, Transaction, Scenario; //jshint ignore:line
+if (typeof module === 'object' && module.exports) {
+    _ = require('lodash');
+    Money = require('./transaction-collection').Money;
+    CivilDate = require('./transaction-collection').CivilDate;
+    Transaction = require('./transaction-collection').Transaction;
+    Scenario = require('./transaction-collection').Scenario;
+}
+
+/**
+ * @desc Lists the derived transactions in this part of the tree whose occurrences get gathered. Those below a branch with a start date of its own are left out, since the branch stands in for its children.
+ * @returns {Transaction[]} The derived transactions
+ */
+Transaction.prototype.getDerivedTransactions = function() {
+    var acc = [];
+    var walk = function(node) {
+        node.children.forEach(function(c) {
+            if (c.children.length === 0 && c.transactionType === 'derived') {
+                acc.push(c);
+            } else if (c.children.length > 0 && !c.startDate) {
+                walk(c);
+            }
+        });
+    };
+    walk(this);
+    return acc;
+};
+
+/**
+ * @desc Makes derived transactions in this tree, and in its scenarios, that follow a series follow another one as well
+ * @param {string} series - The series they follow
+ * @param {string} added - The series to follow too
+ */
+Transaction.prototype.followSeries = function(series, added) {
+    var d = this.derivation;
+    if (this.transactionType === 'derived' && d && _.includes(d.sources, series) && !_.includes(d.sources, added)) {
+        this.set('derivation', _.assign({}, d, { sources: d.sources.concat(added) }));
+    }
+    this.children.forEach(function(c) {
+        c.followSeries(series, added);
+    });
+    this.scenarios.forEach(function(s) {
+        if (s.transactions) {
+            s.transactions.followSeries(series, added);
+        }
+    });
+};
+
+/**
+ * @desc Works out one occurrence's amount from a source amount, see {@link Transaction#derivation}
+ * @param {number} amount - Amount of the source occurrence
+ * @param {Object} derivation - The formula
+ * @returns {number} The derived amount
+ */
+Transaction.prototype.deriveAmount = function(amount, derivation) {
+    var percent = typeof derivation.percent === 'number' ? derivation.percent : 100;
+    var value = Money.multiply(amount, percent / 100), size = Math.abs(value);
+    var sign = (amount < 0) !== (percent < 0) ? -1 : 1;
+    if (typeof derivation.floor === 'number' && size < derivation.floor) {
+        size = derivation.floor;
+    }
+    if (typeof derivation.cap === 'number' && size > derivation.cap) {
+        size = derivation.cap;
+    }
+    return Money.add(sign * size, derivation.fee || 0);
+};
+
+/**
+ * @desc Lists the series a derived transaction follows: its sources and, for subtree derivations, every series below them in this tree
+ * @param {Transaction} derived - The derived transaction
+ * @returns {string[]} Series UUIDs
+ */
+Transaction.prototype.getDerivationSeries = function(derived) {
+    var self = this, acc = derived.derivation ? derived.derivation.sources.slice() : [];
+    var walk = function(node) {
+        node.children.forEach(function(c) {
+            acc.push(c.series);
+            walk(c);
+        });
+    };
+    if (derived.derivation && derived.derivation.subtree) {
+        derived.derivation.sources.forEach(function(series) {
+            var source = self.findBySeries(series);
+            if (source) {
+                walk(source);
+            }
+        });
+    }
+    return _.uniq(acc);
+};
+
+/**
+ * @desc Checks whether an occurrence is one a derived transaction follows
+ * @param {Transaction} derived - The derived transaction
+ * @param {Transaction} t - The occurrence
+ * @param {string[]} series - Series the derived transaction follows, see {@link Transaction#getDerivationSeries}
+ * @returns {boolean} True if it's from one of the series (or below a source, going by its ancestry, for subtree derivations) and within the derived transaction's dates
+ */
+Transaction.prototype.isDerivationSource = function(derived, t, series) {
+    var d = derived.derivation, key = CivilDate.key(t.startDate);
+    if (t.series === derived.series || t.amount === null || t.amount === undefined) {
+        return false;
+    }
+    if (!_.includes(series, t.series) && !(d.subtree && _.intersection(t.ancestry || [], d.sources).length > 0)) {
+        return false;
+    }
+    return (!derived.startDate || key >= CivilDate.key(derived.startDate)) &&
+        (!derived.endDate || key <= CivilDate.key(derived.endDate));
+};
+
+/**
+ * @desc Works out the occurrences of derived transactions from the occurrences of their sources. Derived transactions can follow each other, so they're worked out in order; ones that end up following themselves throw. Nothing is stashed, so they're always in step with their sources.
+ * @param {Transaction[]} derived - The derived transactions, see {@link Transaction#getDerivedTransactions}
+ * @param {Transaction[]} occurrences - Everything else that has been gathered
+ * @param {Bounds} bounds - Occurrences that land past bounds.endDate are dropped
+ * @returns {Transaction[]} Occurrences of the derived transactions
+ */
+Transaction.prototype.resolveDerivedTransactions = function(derived, occurrences, bounds) {
+    var self = this, acc = [], pending = derived.slice(), ready, series = {};
+    var follows = function(node, other) {
+        return node !== other && (_.includes(series[node.series], other.series) ||
+            (node.derivation.subtree && _.intersection(other.getAncestry(), node.derivation.sources).length > 0));
+    };
+
+    derived.forEach(function(node) {
+        series[node.series] = self.getDerivationSeries(node);
+    });
+
+    while (pending.length > 0) {
+        ready = _.filter(pending, function(node) {
+            return !_.some(pending, function(other) { return follows(node, other); });
+        });
+        if (ready.length === 0) {
+            throw new Error('Derived transactions ' + _.pluck(pending, 'description').join(', ') + ' follow each other in a loop.');
+        }
+        /* jshint loopfunc:true */
+        ready.forEach(function(node) {
+            acc = acc.concat(self.deriveOccurrences(node, occurrences.concat(acc), bounds, series[node.series]));
+        });
+        pending = _.difference(pending, ready);
+        /* jshint loopfunc:false */
+    }
+    return acc;
+};
+
+/**
+ * @desc Works out the occurrences of one derived transaction. Its exceptions and business day adjustment apply as they would to a repeating transaction.
+ * @param {Transaction} node - The derived transaction
+ * @param {Transaction[]} occurrences - Gathered occurrences, including those of derived transactions it follows
+ * @param {Bounds} bounds - Occurrences that land past bounds.endDate are dropped
+ * @param {string[]} [series] - Series it follows, see {@link Transaction#getDerivationSeries}
+ * @returns {Transaction[]} Its occurrences, with ancestry tagged
+ */
+Transaction.prototype.deriveOccurrences = function(node, occurrences, bounds, series) {
+    var self = this, d = node.derivation || { sources: [] }, acc;
+    series = series || this.getDerivationSeries(node);
+    acc = _(occurrences)
+        .filter(function(t) { return self.isDerivationSource(node, t, series); })
+        .map(function(t) {
+            return _.assign(_.clone(node), {
+                amount: self.deriveAmount(t.amount, d),
+                startDate: CivilDate.toDate(CivilDate.toMoment(t.startDate).add(d.offsetDays || 0, 'days')),
+                endDate: null,
+                frequency: 'none',
+                currency: t.currency,
+                sourceSeries: t.series,
+                sourceDate: t.startDate
+            });
+        })
+        .filter(function(t) {
+            return t.amount !== 0 && (!bounds.endDate || t.startDate <= bounds.endDate);
+        })
+        .sortBy('startDate')
+        .value();
+    acc = node.applyBusinessDayAdjustment(node, node.applyOccurrenceExceptions(node, acc, bounds), bounds);
+    return node.tagAncestry(acc);
+};
+
+////// SCENARIO DERIVED TRANSACTIONS LIVE UNDER HERE ///////
+
+/**
+ * @desc Lists the derived transactions that apply in this scenario: its own, then those of the scenario it branches from (or the base) that it doesn't replace
+ * @returns {Transaction[]} The derived transactions
+ */
+Scenario.prototype.getDerivedTransactions = function() {
+    var own = this.transactions ? this.transactions.getDerivedTransactions() : [], ownSeries = _.pluck(own, 'series');
+    var inherited = this.parentScenario ? this.parentScenario.getDerivedTransactions() : this.baseTransaction.getDerivedTransactions();
+    return own.concat(_.reject(inherited, function(t) { return _.includes(ownSeries, t.series); }));
+};
+
+/**
+ * @desc Derived transactions follow their sources, so from the scenario's start they're thrown out and worked out again from the scenario's occurrences
+ * @param {Transaction[]} transactions - Gathered scenario and base transactions
+ * @param {Bounds} bounds - Start and finish date for the transactions
+ * @returns {Transaction[]} The transactions with the scenario's own derived occurrences
+ */
+Scenario.prototype.reapplyDerived = function(transactions, bounds) {
+    var scenario = this, derived = this.getDerivedTransactions(), sources;
+    if (derived.length === 0) {
+        return transactions;
+    }
+    transactions = _.reject(transactions, function(t) {
+        return t.transactionType === 'derived' && t.startDate >= scenario.startDate;
+    });
+    sources = _.reject(transactions, { transactionType: 'derived' });
+    return transactions.concat(_.filter(this.baseTransaction.resolveDerivedTransactions(derived, sources, bounds), function(t) {
+        return t.startDate >= scenario.startDate;
+    }));
+};
@@ -0,0 +1,136 @@
+'use strict';
+
+//Exceptions to single occurrences of a series (Transaction#exceptions): skip
+//one, change its amount or move it. Load this after transaction-collection.js.
+
+//See transaction-collection.js, dependencies are globals in the browser
+var _, Money, CivilDate, Transaction; //jshint ignore:line
+if (typeof module === 'object' && module.exports) {
+    _ = require('lodash');
+    Money = require('./transaction-collection').Money;
+    CivilDate = require('./transaction-collection').CivilDate;
+    Transaction = require('./transaction-collection').Transaction;
+}
+
+/**
+ * @desc Copies a set of occurrence exceptions, turning any moved-to dates back into Dates
+ * @param {Object} exceptions - Exceptions keyed by original occurrence date, see {@link Transaction#exceptions}
+ * @returns {Object} The copied exceptions
+ */
+Transaction.prototype.copyExceptions = function(exceptions) {
+    return _.mapValues(exceptions, function(exception) {
+        var copy = _.clone(exception);
+        if (copy.date) {
+            copy.date = CivilDate.parse(copy.date);
+        }
+        return copy;
+    });
+};
+
+/**
+ * @desc Key used for an occurrence in {@link Transaction#exceptions}
+ * @param {Date} date - Original date of the occurrence
+ * @returns {string} The key
+ */
+Transaction.prototype.occurrenceKey = function(date) {
+    return CivilDate.key(date);
+};
+
+/**
+ * @desc Records an exception for a single occurrence of this transaction's series, replacing any earlier exception for the same occurrence.
+ * @param {Date} date - Original date of the occurrence
+ * @param {Object} exception - { skip: true }, or an amount and/or date to move the occurrence to
+ * @returns {Object} The exception that was stored
+ */
+Transaction.prototype.setOccurrenceException = function(date, exception) {
+    var key = this.occurrenceKey(date), oldValue = this.exceptions[key];
+    if (!exception.skip && exception.amount === undefined && !exception.date) {
+        throw new Error('Occurrence exceptions need to skip, change the amount of, or move the occurrence.');
+    }
+    this.exceptions[key] = this.copyExceptions({ e: exception }).e;
+    this.notifyChange({ type: 'exception', date: key, oldValue: oldValue, newValue: this.exceptions[key] });
+    return this.exceptions[key];
+};
+
+/**
+ * @desc Skips a single occurrence of this transaction's series
+ * @param {Date} date - Original date of the occurrence
+ * @returns {Object} The exception that was stored
+ */
+Transaction.prototype.skipOccurrence = function(date) {
+    return this.setOccurrenceException(date, { skip: true });
+};
+
+/**
+ * @desc Changes the amount of, and/or moves, a single occurrence of this transaction's series
+ * @param {Date} date - Original date of the occurrence
+ * @param {Object} changes - New amount and/or date for the occurrence
+ * @returns {Object} The exception that was stored
+ */
+Transaction.prototype.overrideOccurrence = function(date, changes) {
+    return this.setOccurrenceException(date, _.pick(changes, ['amount', 'date']));
+};
+
+/**
+ * @desc Puts a single occurrence back the way the series would have it
+ * @param {Date} date - Original date of the occurrence
+ */
+Transaction.prototype.clearOccurrenceException = function(date) {
+    var key = this.occurrenceKey(date), oldValue = this.exceptions[key];
+    if (oldValue) {
+        delete this.exceptions[key];
+        this.notifyChange({ type: 'exception', date: key, oldValue: oldValue, newValue: null });
+    }
+};
+
+/**
+ * @desc Records an exception on whichever transaction in this tree owns a series
+ * @param {string} series - UUID of the series
+ * @param {Date} date - Original date of the occurrence
+ * @param {Object} exception - See {@link Transaction#setOccurrenceException}
+ * @returns {Object} The exception that was stored
+ */
+Transaction.prototype.setSeriesException = function(series, date, exception) {
+    var txn = this.findBySeries(series);
+    if (!txn) {
+        throw new Error('No transaction in the tree belongs to series ' + series + '.');
+    }
+    return txn.setOccurrenceException(date, exception);
+};
+
+/**
+ * @desc Applies a transaction's occurrence exceptions to its generated occurrences. Each occurrence remembers its original date in originalDate.
+ * @param {Transaction} txn - Transaction that owns the exceptions
+ * @param {Transaction[]} occurrences - Generated occurrences of the transaction
+ * @param {Bounds} bounds - Occurrences moved past bounds.endDate are dropped
+ * @returns {Transaction[]} The occurrences, with exceptions applied
+ */
+Transaction.prototype.applyOccurrenceExceptions = function(txn, occurrences, bounds) {
+    if (_.isEmpty(txn.exceptions)) {
+        return occurrences;
+    }
+    return _(occurrences)
+        .map(function(t) {
+            var exception = txn.exceptions[txn.occurrenceKey(t.startDate)];
+            if (!exception) {
+                return t;
+            }
+            if (exception.skip) {
+                return null;
+            }
+            t.originalDate = t.startDate;
+            if (exception.amount !== undefined) {
+                t.amount = Money.round(exception.amount);
+            }
+            if (exception.date) {
+                t.startDate = exception.date;
+            }
+            return t;
+        })
+        .compact()
+        .filter(function(t) {
+            return !bounds.endDate || t.startDate <= bounds.endDate;
+        })
+        .sortBy('startDate')
+        .value();
+};
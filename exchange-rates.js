@@ -0,0 +1,303 @@
+'use strict';
+
+//Currencies: the exchange rate providers transactions convert their
+//occurrences with, and dated rate tables to use as one. Load this after
+//transaction-collection.js and importer.js.
+
+//See transaction-collection.js, dependencies are globals in the browser
+var _, Money, CivilDate, Transaction, StatementImporter; //jshint ignore:line
+if (typeof module === 'object' && module.exports) {
+    _ = require('lodash');
+    Money = require('./transaction-collection').Money;
+    CivilDate = require('./transaction-collection').CivilDate;
+    Transaction = require('./transaction-collection').Transaction;
+    StatementImporter = require('./importer').StatementImporter;
+}
+
+/**
+ * Exchange rate providers transactions can name in
+ * {@link Transaction#rateProvider}, keyed by name. A provider is anything
+ * with a getRate(from, to, date) method that returns how many units of to one
+ * unit of from buys on the day (or throws if it can't say), e.g. a
+ * {@link RateTable}.
+ *
+ * @type Object
+ */
+Transaction.RATE_PROVIDERS = {};
+
+/**
+ * @desc Makes an exchange rate provider available to transactions under a name. Registering over an existing name replaces that provider.
+ * @param {string} name - Name transactions use for the provider
+ * @param {Object} provider - The provider, see {@link Transaction.RATE_PROVIDERS}
+ * @returns {Object} The provider
+ */
+Transaction.registerRateProvider = function(name, provider) {
+    if (!name || !provider || typeof provider.getRate !== 'function') {
+        throw new Error('Exchange rate providers need a name and a getRate method.');
+    }
+    Transaction.RATE_PROVIDERS[name] = provider;
+    return provider;
+};
+
+/**
+ * @desc Finds the currency this transaction's amounts are in, its own or the nearest ancestor's
+ * @returns {string} The currency code, null if there isn't one
+ */
+Transaction.prototype.getCurrency = function() {
+    return this.getInherited('currency');
+};
+
+/**
+ * @desc Finds the currency the tree reports in
+ * @returns {string} The currency code, null if nothing is converted
+ */
+Transaction.prototype.getReportingCurrency = function() {
+    return this.getInherited('reportingCurrency');
+};
+
+/**
+ * @desc Finds the name of the exchange rate provider this transaction converts with, its own or the nearest ancestor's
+ * @returns {string} Name of the provider, null if there isn't one
+ */
+Transaction.prototype.getRateProviderName = function() {
+    return this.getInherited('rateProvider');
+};
+
+/**
+ * @desc Finds the exchange rate provider this transaction converts with, see {@link Transaction#getRateProviderName}
+ * @returns {Object} The provider, null if there isn't one
+ */
+Transaction.prototype.getRateProvider = function() {
+    var name = this.getRateProviderName();
+    if (name === null) {
+        return null;
+    }
+    if (!Transaction.RATE_PROVIDERS[name]) {
+        throw new Error('Unknown exchange rate provider ' + name + '.');
+    }
+    return Transaction.RATE_PROVIDERS[name];
+};
+
+/**
+ * @desc Converts this transaction's occurrences into the reporting currency, each at the rate for its own day. Converted occurrences are copies that keep originalAmount, originalCurrency, exchangeRate and the name of the rateProvider it came from; without a reporting currency, or when the transaction is already in it, the occurrences are passed through.
+ * @param {(Transaction|Transaction[])} occurrences - Occurrences of this transaction
+ * @returns {(Transaction|Transaction[])} The occurrences, in the reporting currency
+ */
+Transaction.prototype.convertCurrency = function(occurrences) {
+    var reporting = this.getReportingCurrency(), currency = this.getCurrency(), name, provider;
+    if (!reporting || !currency || currency === reporting) {
+        return occurrences;
+    }
+    name = this.getRateProviderName();
+    provider = this.getRateProvider();
+    if (!provider) {
+        throw new Error('Converting ' + currency + ' to ' + reporting + ' needs an exchange rate provider.');
+    }
+    return [].concat(occurrences).map(function(t) {
+        var rate = provider.getRate(currency, reporting, t.startDate);
+        return _.assign(_.clone(t), {
+            amount: Money.multiply(t.amount, rate),
+            currency: reporting,
+            originalAmount: t.amount,
+            originalCurrency: currency,
+            exchangeRate: rate,
+            rateProvider: name
+        });
+    });
+};
+
+/**
+ * @desc Creates a new RateTable
+ * @class RateTable
+ * @classdesc Dated exchange rates kept locally, an exchange rate provider for {@link Transaction.registerRateProvider}. A rate holds from its day until the next rate for the same pair, pairs can be looked up either way round, and currencies without a rate between them are crossed through one they both have a rate with.
+ * @param {Object} [blob] - Blob describing the table
+ * @param {string} [blob.name] - Name of the table
+ * @param {Object[]} [blob.rates] - Rates: { date, from, to, rate }, where one from buys rate to
+ */
+var RateTable = function(blob) {
+    var self = this;
+    blob = blob || {};
+
+    /**
+     * Name of the table
+     *
+     * @name RateTable#name
+     * @type string
+     */
+    this.name = blob.name ? blob.name : null;
+
+    /**
+     * Rates keyed by pair ('EUR/USD'), each a list of { day, rate } by day
+     *
+     * @name RateTable#rates
+     * @type Object
+     */
+    this.rates = {};
+
+    (blob.rates || []).forEach(function(r) {
+        self.addRate(r.date, r.from, r.to, r.rate);
+    });
+};
+
+/**
+ * @desc Reads a rate table from JSON: either { name, rates: [{ date, from, to, rate }] } or, as many rate services publish them, { base, rates: { 'YYYY-MM-DD': { EUR: 0.92, ... } } } where one base buys each rate
+ * @param {(Object|string)} doc - The document, or its JSON string
+ * @param {string} [name] - Name of the table, if the document doesn't have one
+ * @returns {RateTable} The table
+ */
+RateTable.fromJSON = function(doc, name) {
+    var table;
+    if (typeof doc === 'string') {
+        doc = JSON.parse(doc);
+    }
+    if (_.isArray(doc)) {
+        doc = { rates: doc };
+    }
+    if (!doc || !doc.rates) {
+        throw new Error('Rate tables need rates.');
+    }
+    if (_.isArray(doc.rates)) {
+        return new RateTable({ name: doc.name || name, rates: doc.rates });
+    }
+    if (!doc.base) {
+        throw new Error('Rates keyed by date need the base currency they are quoted against.');
+    }
+    table = new RateTable({ name: doc.name || name });
+    _.forEach(doc.rates, function(quotes, date) {
+        _.forEach(quotes, function(rate, currency) {
+            table.addRate(date, doc.base, currency, rate);
+        });
+    });
+    return table;
+};
+
+/**
+ * @desc Reads a rate table from CSV with a header row naming the date, from, to and rate columns, in any order
+ * @param {string} text - Contents of the CSV file
+ * @param {Object} [options] - name of the table and delimiter (',' by default)
+ * @returns {RateTable} The table
+ */
+RateTable.fromCSV = function(text, options) {
+    var opts = _.assign({ name: null, delimiter: ',' }, options), rows, headers, table = new RateTable({ name: opts.name });
+    rows = StatementImporter.prototype.splitCSV.call({ delimiter: opts.delimiter }, text);
+    rows = _.reject(rows, function(row) { return row.join('').trim() === ''; });
+    if (rows.length === 0) {
+        return table;
+    }
+    headers = _.zipObject(rows[0].map(function(h) { return h.trim().toLowerCase(); }), _.range(rows[0].length));
+    ['date', 'from', 'to', 'rate'].forEach(function(column) {
+        if (headers[column] === undefined) {
+            throw new Error('Rate CSVs need a ' + column + ' column.');
+        }
+    });
+    rows.slice(1).forEach(function(row, i) {
+        var rate = parseFloat(row[headers.rate]);
+        if (row[headers.date] === undefined || row[headers.from] === undefined || row[headers.to] === undefined) {
+            throw new Error('CSV row ' + (i + 2) + ' is missing a date, from or to.');
+        }
+        if (isNaN(rate)) {
+            throw new Error('CSV row ' + (i + 2) + ' has no rate.');
+        }
+        table.addRate(row[headers.date].trim(), row[headers.from].trim(), row[headers.to].trim(), rate);
+    });
+    return table;
+};
+
+/**
+ * @desc Adds a rate, replacing any rate for the same pair on the same day
+ * @param {(Date|string)} date - Day the rate holds from
+ * @param {string} from - Currency being bought with
+ * @param {string} to - Currency being bought
+ * @param {number} rate - How much to one from buys
+ * @returns {RateTable} This table, so calls can be chained
+ */
+RateTable.prototype.addRate = function(date, from, to, rate) {
+    var day = CivilDate.key(date), pair = from + '/' + to, list;
+    if (!day) {
+        throw new Error('Rates need a valid date.');
+    }
+    if (!from || !to || from === to) {
+        throw new Error('Rates need two different currencies.');
+    }
+    if (typeof rate !== 'number' || !(rate > 0) || !isFinite(rate)) {
+        throw new Error('Rates must be positive numbers.');
+    }
+    list = _.reject(this.rates[pair] || [], { day: day });
+    list.splice(_.sortedIndex(list, { day: day }, 'day'), 0, { day: day, rate: rate });
+    this.rates[pair] = list;
+    return this;
+};
+
+/**
+ * @desc Finds the latest rate for a pair on or before a day, quoted either way round; when both ways have one, the more recent wins (the direct one on the same day)
+ * @param {string} from - Currency being bought with
+ * @param {string} to - Currency being bought
+ * @param {string} day - The day, as 'YYYY-MM-DD'
+ * @returns {number} The rate, null if the table doesn't have one
+ */
+RateTable.prototype.lookup = function(from, to, day) {
+    var latest = function(list) {
+        return _.findLast(list || [], function(r) { return r.day <= day; }) || null;
+    };
+    var direct = latest(this.rates[from + '/' + to]), inverse = latest(this.rates[to + '/' + from]);
+    if (direct && (!inverse || direct.day >= inverse.day)) {
+        return direct.rate;
+    }
+    return inverse ? 1 / inverse.rate : null;
+};
+
+/**
+ * @desc Lists the currencies the table has rates for
+ * @returns {string[]} Currency codes
+ */
+RateTable.prototype.getCurrencies = function() {
+    return _(this.rates).keys().map(function(pair) { return pair.split('/'); }).flatten().uniq().sortBy().value();
+};
+
+/**
+ * @desc Finds the rate between two currencies on a day, see {@link Transaction.RATE_PROVIDERS}
+ * @param {string} from - Currency being bought with
+ * @param {string} to - Currency being bought
+ * @param {(Date|string|moment)} date - The day
+ * @returns {number} How much to one from buys
+ */
+RateTable.prototype.getRate = function(from, to, date) {
+    var self = this, day = CivilDate.key(date), rate, via;
+    if (from === to) {
+        return 1;
+    }
+    rate = this.lookup(from, to, day);
+    if (rate !== null) {
+        return rate;
+    }
+    via = _.find(this.getCurrencies(), function(currency) {
+        return currency !== from && currency !== to && self.lookup(from, currency, day) !== null && self.lookup(currency, to, day) !== null;
+    });
+    if (!via) {
+        throw new Error('No exchange rate from ' + from + ' to ' + to + ' on ' + day + '.');
+    }
+    return this.lookup(from, via, day) * this.lookup(via, to, day);
+};
+
+/**
+ * @desc Returns a blob that {@link RateTable} can be rebuilt from
+ * @returns {Object} name and rates ({ date, from, to, rate } with 'YYYY-MM-DD' dates)
+ */
+RateTable.prototype.serialize = function() {
+    return {
+        name: this.name,
+        rates: _.flatten(_.map(this.rates, function(list, pair) {
+            var currencies = pair.split('/');
+            return list.map(function(r) {
+                return { date: r.day, from: currencies[0], to: currencies[1], rate: r.rate };
+            });
+        }))
+    };
+};
+
+////////////////// NODE MODULE //////////////////
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        RateTable: RateTable
+    };
+}
@@ -0,0 +1,330 @@
+'use strict';
+
+//See transaction-collection.js, dependencies are globals in the browser
+var _, Money, CivilDate; //jshint ignore:line
+if (typeof module === 'object' && module.exports) {
+    _ = require('lodash');
+    Money = require('./transaction-collection').Money;
+    CivilDate = require('./transaction-collection').CivilDate;
+}
+
+/**
+ * @desc Creates a new GoalSeek
+ * @class GoalSeek
+ * @classdesc Finds the value of one field on one transaction that meets a target for the balance, by bracketing and bisection
+ * @param {(Transaction|Scenario)} source - Root transaction or scenario whose balance the target is about
+ * @param {Object} options - What to solve for
+ * @param {Transaction} options.transaction - Transaction to change, it has to be part of source
+ * @param {string} options.field - Field to change: amount (of a transaction without children), startDate, endDate or growth
+ * @param {Object} options.target - The target, see {@link GoalSeek#isMet}: { type: 'minimumBalance', value }, { type: 'endingBalance', value } or { type: 'zeroCrossing', date }
+ * @param {Bounds} options.bounds - Start and end of the projection the target is checked against
+ * @param {string} [options.seek='min'] - 'min' for the smallest (or earliest) value that meets the target, 'max' for the largest (or latest)
+ * @param {(number|Date)} [options.min] - Smallest value to try; without one the solver brackets outwards from the current value
+ * @param {(number|Date)} [options.max] - Largest value to try; without one the solver brackets outwards from the current value
+ * @param {number} [options.maxIterations=60] - Give up after this many steps of bracketing, and again of bisection
+ * @param {number} [options.tolerance=0.0001] - How close growth rates have to get; amounts are exact to the minor unit and dates to the day
+ */
+var GoalSeek = function(source, options) {
+    var opts = _.assign({ seek: 'min', min: null, max: null, maxIterations: 60, tolerance: 0.0001 }, options);
+
+    if (!opts.transaction) {
+        throw new Error('Goal seek needs a transaction to change.');
+    }
+    if (GoalSeek.FIELDS.indexOf(opts.field) === -1) {
+        throw new Error('Goal seek can change amount, startDate, endDate or growth.');
+    }
+    if (opts.field === 'amount' && opts.transaction.children.length > 0) {
+        throw new Error('Goal seek can\'t change the amount of a transaction with children, it\'s the sum of theirs.');
+    }
+    if (!opts.target || GoalSeek.TARGETS.indexOf(opts.target.type) === -1) {
+        throw new Error('Goal seek target must be minimumBalance, endingBalance or zeroCrossing.');
+    }
+    if (opts.target.type === 'zeroCrossing' ? !opts.target.date : typeof opts.target.value !== 'number') {
+        throw new Error(opts.target.type === 'zeroCrossing' ? 'zeroCrossing targets need a date.' : 'Balance targets need a value.');
+    }
+    if (!opts.bounds || !opts.bounds.startDate || !opts.bounds.endDate) {
+        throw new Error('Goal seek needs a start and end date.');
+    }
+    if (opts.seek !== 'min' && opts.seek !== 'max') {
+        throw new Error('Goal seek can only seek min or max.');
+    }
+
+    /**
+     * Root transaction or scenario whose balance the target is about
+     *
+     * @name GoalSeek#source
+     * @type (Transaction|Scenario)
+     */
+    this.source = source;
+
+    /**
+     * Transaction the solver changes
+     *
+     * @name GoalSeek#transaction
+     * @type Transaction
+     */
+    this.transaction = opts.transaction;
+
+    /**
+     * Field the solver changes
+     *
+     * @name GoalSeek#field
+     * @type string
+     */
+    this.field = opts.field;
+
+    /**
+     * Target the balance has to meet
+     *
+     * @name GoalSeek#target
+     * @type Object
+     */
+    this.target = opts.target;
+
+    /**
+     * Start and end of the projection
+     *
+     * @name GoalSeek#bounds
+     * @type Bounds
+     */
+    this.bounds = opts.bounds;
+
+    /**
+     * 'min' or 'max'
+     *
+     * @name GoalSeek#seek
+     * @type string
+     */
+    this.seek = opts.seek;
+
+    //Range to search and when to give up
+    this.min = opts.min;
+    this.max = opts.max;
+    this.maxIterations = opts.maxIterations;
+    this.tolerance = opts.tolerance;
+};
+
+/**
+ * Fields the solver can change
+ *
+ * @type string[]
+ */
+GoalSeek.FIELDS = ['amount', 'startDate', 'endDate', 'growth'];
+
+/**
+ * Kinds of target the solver understands
+ *
+ * @type string[]
+ */
+GoalSeek.TARGETS = ['minimumBalance', 'endingBalance', 'zeroCrossing'];
+
+/**
+ * @desc Converts a field value into the number the solver works with: minor units for amounts, days since the epoch for dates and the rate itself for growth
+ * @param {(number|Date)} value - The field value
+ * @returns {number} The solver's number for it
+ */
+GoalSeek.prototype.toStep = function(value) {
+    if (this.field === 'amount') {
+        return Money.toMinor(value || 0);
+    }
+    if (this.field === 'growth') {
+        return value || 0;
+    }
+    return CivilDate.diffDays(value, '1970-01-01');
+};
+
+/**
+ * @desc Converts a solver number back into a field value, see {@link GoalSeek#toStep}
+ * @param {number} step - The solver's number
+ * @returns {(number|Date)} The field value
+ */
+GoalSeek.prototype.fromStep = function(step) {
+    if (this.field === 'amount') {
+        return Money.fromMinor(step);
+    }
+    if (this.field === 'growth') {
+        return step;
+    }
+    return CivilDate.toDate(CivilDate.toMoment('1970-01-01').add(step, 'days'));
+};
+
+/**
+ * @desc Sets the field without firing change events, so listeners never see the values the solver tries
+ * @param {(number|Date)} value - The field value
+ */
+GoalSeek.prototype.setField = function(value) {
+    this.transaction.set(this.field, value, { silent: true });
+};
+
+/**
+ * @desc Projects the balance with the field set to a value
+ * @param {number} step - The value, as a solver number
+ * @returns {Object} minimum (lowest balance), ending (closing balance) and negativeDate (first day the balance is below zero, or null)
+ */
+GoalSeek.prototype.evaluate = function(step) {
+    var path, negative;
+    this.setField(this.fromStep(step));
+    path = this.source.getBaseTransaction().generateBucketedPath(this.bounds, [].concat(this.source.gatherTransactions(this.bounds)), 'days');
+    negative = _.find(path, function(point) { return point.min < 0; });
+    return {
+        minimum: path.length > 0 ? _.min(_.pluck(path, 'min')) : 0,
+        ending: path.length > 0 ? path[path.length - 1].close : 0,
+        negativeDate: negative ? negative.d : null
+    };
+};
+
+/**
+ * @desc Checks a projection against the target. minimumBalance is met when the balance never drops below value within the bounds, endingBalance when the balance ends at value or more, and zeroCrossing when the balance doesn't go below zero before date.
+ * @param {Object} result - Result of {@link GoalSeek#evaluate}
+ * @returns {boolean} True if the target is met
+ */
+GoalSeek.prototype.isMet = function(result) {
+    if (this.target.type === 'minimumBalance') {
+        return result.minimum >= this.target.value;
+    }
+    if (this.target.type === 'endingBalance') {
+        return result.ending >= this.target.value;
+    }
+    return !result.negativeDate || CivilDate.key(result.negativeDate) >= CivilDate.key(this.target.date);
+};
+
+/**
+ * @desc Runs the solver. The transaction is put back the way it was afterwards, and no change events fire along the way.
+ * @returns {Object} solved, value (the field value that meets the target, null without a solution), original (the value before solving), result (see {@link GoalSeek#evaluate}), iterations and, without a solution, reason
+ */
+GoalSeek.prototype.solve = function() {
+    var self = this, original = this.transaction[this.field], iterations = 0, answer;
+    var unit = this.field === 'growth' ? this.tolerance : 1;
+    var wanted = this.seek === 'min';
+    var met = function(step) {
+        iterations++;
+        return self.isMet(self.evaluate(step));
+    };
+    var noSolution = function(reason) {
+        return { solved: false, value: null, original: original, result: null, iterations: iterations, reason: reason };
+    };
+
+    try {
+        answer = this.bisect(this.bracket(met, unit, wanted), met, unit, wanted);
+    } catch (e) {
+        if (e.goalSeek) {
+            return noSolution(e.message);
+        }
+        throw e;
+    } finally {
+        this.setField(original);
+    }
+
+    return {
+        solved: true,
+        value: this.fromStep(answer),
+        original: original,
+        result: this.evaluateAt(answer),
+        iterations: iterations
+    };
+};
+
+/**
+ * @desc Projects the balance with the field set to a value, then puts the field back
+ * @param {number} step - The value, as a solver number
+ * @returns {Object} See {@link GoalSeek#evaluate}
+ */
+GoalSeek.prototype.evaluateAt = function(step) {
+    var original = this.transaction[this.field], result;
+    try {
+        result = this.evaluate(step);
+    } finally {
+        this.setField(original);
+    }
+    return result;
+};
+
+/**
+ * @desc Finds a range whose far end meets the target and whose near end doesn't, growing outwards from the current value when no min or max is given
+ * @param {Function} met - Checks a solver number against the target
+ * @param {number} unit - Smallest step the solver takes
+ * @param {boolean} wanted - True when seeking the smallest value, so the top of the range has to meet the target
+ * @returns {Object} lo and hi, or done when one end already is the answer
+ */
+GoalSeek.prototype.bracket = function(met, unit, wanted) {
+    var lo = this.min !== null && this.min !== undefined ? this.toStep(this.min) : null;
+    var hi = this.max !== null && this.max !== undefined ? this.toStep(this.max) : null;
+    var current = this.toStep(this.transaction[this.field]), step, i, fail;
+
+    fail = function(message) {
+        var e = new Error(message);
+        e.goalSeek = true;
+        throw e;
+    };
+    step = Math.max(Math.abs(current) / 2, this.field === 'amount' ? 100 : (this.field === 'growth' ? 1 : 30));
+
+    //Grow the open end(s) until the target flips
+    if (lo === null && hi === null) {
+        if (met(current) === wanted) {
+            hi = current;
+        } else {
+            lo = current;
+        }
+    }
+    for (i = 0; hi === null && i < this.maxIterations; i++, step *= 2) {
+        if (met(lo + step) === wanted) {
+            hi = lo + step;
+        } else {
+            lo = lo + step;
+        }
+    }
+    for (i = 0; lo === null && i < this.maxIterations; i++, step *= 2) {
+        if (met(hi - step) === wanted) {
+            hi = hi - step;
+        } else {
+            lo = hi - step;
+        }
+    }
+    if (lo === null || hi === null) {
+        fail('No value meets the target within ' + this.maxIterations + ' steps of bracketing.');
+    }
+    if (lo > hi) {
+        fail('The smallest value to try is larger than the largest one.');
+    }
+
+    //For 'min' the top has to meet the target and the bottom not, for 'max' the other way around
+    if (met(wanted ? hi : lo) !== true) {
+        fail('No value between ' + this.fromStep(lo) + ' and ' + this.fromStep(hi) + ' meets the target.');
+    }
+    if (met(wanted ? lo : hi) === true) {
+        return { done: wanted ? lo : hi };
+    }
+    return { lo: lo, hi: hi };
+};
+
+/**
+ * @desc Narrows a bracket down to the answer
+ * @param {Object} range - Range from {@link GoalSeek#bracket}
+ * @param {Function} met - Checks a solver number against the target
+ * @param {number} unit - Smallest step the solver takes
+ * @param {boolean} wanted - True when seeking the smallest value
+ * @returns {number} The answer, as a solver number
+ */
+GoalSeek.prototype.bisect = function(range, met, unit, wanted) {
+    var lo = range.lo, hi = range.hi, mid, i;
+    if (range.done !== undefined) {
+        return range.done;
+    }
+    for (i = 0; hi - lo > unit && i < this.maxIterations; i++) {
+        mid = this.field === 'growth' ? (lo + hi) / 2 : Math.floor((lo + hi) / 2);
+        //Keep the end that meets the target on the side we're seeking from
+        if (met(mid) === wanted) {
+            hi = mid;
+        } else {
+            lo = mid;
+        }
+    }
+    return wanted ? hi : lo;
+};
+
+////////////////// NODE MODULE //////////////////
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        GoalSeek: GoalSeek
+    };
+}
@@ -0,0 +1,430 @@
+'use strict';
+
+//Holiday calendars, and the business-day adjustment that moves occurrences
+//landing on a weekend or holiday. Load this after transaction-collection.js.
+
+//See transaction-collection.js, dependencies are globals in the browser
+var moment, _, CivilDate, Transaction; //jshint ignore:line
+if (typeof module === 'object' && module.exports) {
+    moment = require('moment');
+    _ = require('lodash');
+    CivilDate = require('./transaction-collection').CivilDate;
+    Transaction = require('./transaction-collection').Transaction;
+}
+
+/**
+ * Ways an occurrence on a weekend or holiday can be moved, see
+ * {@link Transaction#businessDayAdjustment}
+ *
+ * @type string[]
+ */
+Transaction.BUSINESS_DAY_ADJUSTMENTS = ['none', 'preceding', 'following', 'modified-following'];
+
+/**
+ * Holiday calendars transactions can name in {@link Transaction#calendar},
+ * keyed by name. A calendar is anything with an isBusinessDay(day) method
+ * taking a 'YYYY-MM-DD' day, e.g. a {@link HolidayCalendar}.
+ *
+ * @type Object
+ */
+Transaction.CALENDARS = {};
+
+/**
+ * @desc Makes a holiday calendar available to transactions under a name. Registering over an existing name replaces that calendar.
+ * @param {string} name - Name transactions use for the calendar
+ * @param {Object} calendar - The calendar, see {@link Transaction.CALENDARS}
+ * @returns {Object} The calendar
+ */
+Transaction.registerCalendar = function(name, calendar) {
+    if (!name || !calendar || typeof calendar.isBusinessDay !== 'function') {
+        throw new Error('Holiday calendars need a name and an isBusinessDay method.');
+    }
+    Transaction.CALENDARS[name] = calendar;
+    return calendar;
+};
+
+/**
+ * @desc Finds the name of the holiday calendar this transaction uses, its own or the nearest ancestor's
+ * @returns {string} Name of the calendar, null if there isn't one
+ */
+Transaction.prototype.getCalendarName = function() {
+    return this.getInherited('calendar');
+};
+
+/**
+ * @desc Finds the holiday calendar this transaction uses, see {@link Transaction#getCalendarName}
+ * @returns {Object} The calendar, null if there isn't one
+ */
+Transaction.prototype.getCalendar = function() {
+    var name = this.getCalendarName();
+    if (name === null) {
+        return null;
+    }
+    if (!Transaction.CALENDARS[name]) {
+        throw new Error('Unknown holiday calendar ' + name + '.');
+    }
+    return Transaction.CALENDARS[name];
+};
+
+/**
+ * @desc Moves a day onto a business day
+ * @param {(Date|string|moment)} date - The day
+ * @param {string} rule - One of {@link Transaction.BUSINESS_DAY_ADJUSTMENTS}
+ * @param {Object} [calendar] - Holiday calendar, see {@link Transaction.CALENDARS}; without one only weekends are skipped
+ * @returns {Date} The business day, or the day itself if it already is one or the rule is 'none'
+ */
+Transaction.prototype.adjustBusinessDay = function(date, rule, calendar) {
+    var day = CivilDate.toMoment(date), step = rule === 'preceding' ? -1 : 1, isOpen, walk, moved;
+    if (Transaction.BUSINESS_DAY_ADJUSTMENTS.indexOf(rule) === -1) {
+        throw new Error('Unknown business day adjustment ' + rule + '.');
+    }
+    isOpen = function(m) {
+        return calendar ? calendar.isBusinessDay(m.format('YYYY-MM-DD')) : m.isoWeekday() < 6;
+    };
+    if (rule === 'none' || isOpen(day)) {
+        return CivilDate.toDate(day);
+    }
+
+    //A year without a business day means the calendar is broken, not that we
+    //should keep looking
+    walk = function(from, by) {
+        var m = from.clone(), i;
+        for (i = 0; i < 366 && !isOpen(m); i++) {
+            m.add(by, 'days');
+        }
+        if (!isOpen(m)) {
+            throw new Error('No business day within a year of ' + from.format('YYYY-MM-DD') + '.');
+        }
+        return m;
+    };
+    moved = walk(day, step);
+    if (rule === 'modified-following' && moved.month() !== day.month()) {
+        moved = walk(day, -1);
+    }
+    return CivilDate.toDate(moved);
+};
+
+/**
+ * @desc Moves a transaction's occurrences off weekends and holidays, following its {@link Transaction#businessDayAdjustment}. Occurrences an exception has moved are left where the exception put them, and any that move keep their scheduled date in originalDate. The occurrences handed in aren't changed, moved ones are copies.
+ * @param {Transaction} txn - Transaction the occurrences belong to
+ * @param {Transaction[]} occurrences - Its occurrences
+ * @param {Bounds} bounds - Occurrences moved past bounds.endDate are dropped
+ * @returns {Transaction[]} The occurrences, on business days
+ */
+Transaction.prototype.applyBusinessDayAdjustment = function(txn, occurrences, bounds) {
+    var self = this, rule = txn.businessDayAdjustment, calendar;
+    if (!rule || rule === 'none') {
+        return occurrences;
+    }
+    calendar = this.getCalendar();
+    return _(occurrences)
+        .map(function(t) {
+            var adjusted;
+            if (t.originalDate && CivilDate.key(t.originalDate) !== CivilDate.key(t.startDate)) {
+                return t;
+            }
+            adjusted = self.adjustBusinessDay(t.startDate, rule, calendar);
+            if (CivilDate.key(adjusted) === CivilDate.key(t.startDate)) {
+                return t;
+            }
+            return _.assign(_.clone(t), { originalDate: t.originalDate || t.startDate, startDate: adjusted });
+        })
+        .filter(function(t) {
+            return !bounds.endDate || t.startDate <= bounds.endDate;
+        })
+        .sortBy('startDate')
+        .value();
+};
+
+/**
+ * @desc Creates a new HolidayCalendar
+ * @class HolidayCalendar
+ * @classdesc Which days are business days: every day except weekend days, holidays from recurring rules and holidays listed by hand. Register one with {@link Transaction.registerCalendar} so transactions can name it in {@link Transaction#calendar}.
+ * @param {Object} [blob] - Blob describing the calendar
+ * @param {string} [blob.name] - Name of the calendar
+ * @param {number[]} [blob.weekend=[0, 6]] - Days of the week that are never business days, 0 for Sunday through 6 for Saturday
+ * @param {Object[]} [blob.rules] - Recurring holidays, see {@link HolidayCalendar#addRule}
+ * @param {(Date[]|string[]|Object[])} [blob.holidays] - One-off holidays, as days or { date, name }
+ */
+var HolidayCalendar = function(blob) {
+    var self = this;
+    blob = blob || {};
+
+    /**
+     * Name of the calendar
+     *
+     * @name HolidayCalendar#name
+     * @type string
+     */
+    this.name = blob.name ? blob.name : null;
+
+    /**
+     * Days of the week that are never business days
+     *
+     * @name HolidayCalendar#weekend
+     * @type number[]
+     */
+    this.weekend = blob.weekend ? blob.weekend.slice() : [0, 6];
+
+    /**
+     * Recurring holidays
+     *
+     * @name HolidayCalendar#rules
+     * @type Object[]
+     */
+    this.rules = [];
+
+    /**
+     * One-off holidays, names keyed by day ('YYYY-MM-DD')
+     *
+     * @name HolidayCalendar#holidays
+     * @type Object
+     */
+    this.holidays = {};
+
+    //Holidays the rules give each year, worked out as they're needed
+    this.years = {};
+
+    (blob.rules || []).forEach(function(rule) {
+        self.addRule(rule);
+    });
+    (blob.holidays || []).forEach(function(holiday) {
+        if (holiday && holiday.date) {
+            self.addHoliday(holiday.date, holiday.name);
+        } else {
+            self.addHoliday(holiday);
+        }
+    });
+};
+
+/**
+ * Ways a rule's holiday is observed when it falls on a weekend: 'none' (it
+ * isn't), 'sunday' (a Sunday holiday is observed the Monday after) or
+ * 'weekend' (Saturday holidays are also observed the Friday before)
+ *
+ * @type string[]
+ */
+HolidayCalendar.OBSERVANCES = ['none', 'sunday', 'weekend'];
+
+/**
+ * Holidays the Federal Reserve Banks close for. Holidays on a Sunday are
+ * observed the Monday after; the banks stay open the Friday before one on a
+ * Saturday.
+ *
+ * @type Object[]
+ */
+HolidayCalendar.US_FEDERAL_RESERVE_RULES = [
+    { name: 'New Year\'s Day', month: 1, day: 1, observe: 'sunday' },
+    { name: 'Birthday of Martin Luther King, Jr.', month: 1, weekday: 1, n: 3, since: 1986 },
+    { name: 'Washington\'s Birthday', month: 2, weekday: 1, n: 3 },
+    { name: 'Memorial Day', month: 5, weekday: 1, n: -1 },
+    { name: 'Juneteenth National Independence Day', month: 6, day: 19, observe: 'sunday', since: 2021 },
+    { name: 'Independence Day', month: 7, day: 4, observe: 'sunday' },
+    { name: 'Labor Day', month: 9, weekday: 1, n: 1 },
+    { name: 'Columbus Day', month: 10, weekday: 1, n: 2 },
+    { name: 'Veterans Day', month: 11, day: 11, observe: 'sunday' },
+    { name: 'Thanksgiving Day', month: 11, weekday: 4, n: 4 },
+    { name: 'Christmas Day', month: 12, day: 25, observe: 'sunday' }
+];
+
+/**
+ * @desc Creates the US Federal Reserve holiday calendar, see {@link HolidayCalendar.US_FEDERAL_RESERVE_RULES}
+ * @returns {HolidayCalendar} The calendar, named 'US-FED'
+ */
+HolidayCalendar.usFederalReserve = function() {
+    return new HolidayCalendar({ name: 'US-FED', rules: HolidayCalendar.US_FEDERAL_RESERVE_RULES });
+};
+
+/**
+ * @desc Adds a recurring holiday. Fixed-date holidays have month and day; the rest have month, weekday (0 for Sunday through 6 for Saturday) and n (1 for the first in the month, 2 for the second and so on, -1 for the last).
+ * @param {Object} rule - The rule: name, month (1 to 12), day or weekday and n, and optional observe (see {@link HolidayCalendar.OBSERVANCES}, 'none' by default), since and until (first and last year the holiday is kept)
+ * @returns {HolidayCalendar} This calendar, so calls can be chained
+ */
+HolidayCalendar.prototype.addRule = function(rule) {
+    if (!rule || !(rule.month >= 1 && rule.month <= 12 && rule.month % 1 === 0)) {
+        throw new Error('Holiday rules need a month from 1 to 12.');
+    }
+    if (rule.day === undefined && !(rule.weekday >= 0 && rule.weekday <= 6 && [1, 2, 3, 4, 5, -1].indexOf(rule.n) !== -1)) {
+        throw new Error('Holiday rules need a day, or a weekday and which one in the month.');
+    }
+    if (rule.observe && HolidayCalendar.OBSERVANCES.indexOf(rule.observe) === -1) {
+        throw new Error('Holidays can be observed ' + HolidayCalendar.OBSERVANCES.join(', ') + '.');
+    }
+    this.rules.push(_.assign({ observe: 'none', since: null, until: null }, rule));
+    this.years = {};
+    return this;
+};
+
+/**
+ * @desc Adds a one-off holiday
+ * @param {(Date|string)} date - The day
+ * @param {string} [name] - Name of the holiday
+ * @returns {HolidayCalendar} This calendar, so calls can be chained
+ */
+HolidayCalendar.prototype.addHoliday = function(date, name) {
+    this.holidays[CivilDate.key(date)] = name ? name : 'Holiday';
+    return this;
+};
+
+/**
+ * @desc Removes a one-off holiday. Holidays from rules stay.
+ * @param {(Date|string)} date - The day
+ * @returns {HolidayCalendar} This calendar, so calls can be chained
+ */
+HolidayCalendar.prototype.removeHoliday = function(date) {
+    delete this.holidays[CivilDate.key(date)];
+    return this;
+};
+
+/**
+ * @desc Works out the day a rule's holiday falls on in a year, before it's observed
+ * @param {Object} rule - The rule, see {@link HolidayCalendar#addRule}
+ * @param {number} year - The year
+ * @returns {moment} The day (UTC, see {@link CivilDate.toMoment}), or null if the rule isn't kept that year
+ */
+HolidayCalendar.prototype.ruleDate = function(rule, year) {
+    var m;
+    if ((rule.since && year < rule.since) || (rule.until && year > rule.until)) {
+        return null;
+    }
+    if (rule.day !== undefined) {
+        return moment.utc([year, rule.month - 1, rule.day]);
+    }
+    if (rule.n === -1) {
+        m = moment.utc([year, rule.month - 1, 1]).endOf('month').startOf('day');
+        return m.subtract((m.day() - rule.weekday + 7) % 7, 'days');
+    }
+    m = moment.utc([year, rule.month - 1, 1]);
+    return m.add((rule.weekday - m.day() + 7) % 7 + (rule.n - 1) * 7, 'days');
+};
+
+/**
+ * @desc Works out the day a holiday is observed on
+ * @param {moment} m - The day the holiday falls on
+ * @param {string} observe - How it's observed, see {@link HolidayCalendar.OBSERVANCES}
+ * @returns {moment} The observed day, null if it isn't observed
+ */
+HolidayCalendar.prototype.observe = function(m, observe) {
+    if (this.weekend.indexOf(m.day()) === -1 || observe === 'none' || !observe) {
+        return m;
+    }
+    if (m.day() === 0) {
+        return m.clone().add(1, 'days');
+    }
+    if (m.day() === 6 && observe === 'weekend') {
+        return m.clone().subtract(1, 'days');
+    }
+    return null;
+};
+
+/**
+ * @desc Lists the holidays the rules give for a year, keyed by the day they're observed on. A holiday observed in the year before (New Year's Day on a Saturday, say) is listed under the year it belongs to.
+ * @param {number} year - The year
+ * @returns {Object} Names keyed by day ('YYYY-MM-DD')
+ */
+HolidayCalendar.prototype.ruleHolidays = function(year) {
+    var self = this, acc = {};
+    if (!this.years[year]) {
+        this.rules.forEach(function(rule) {
+            var m = self.ruleDate(rule, year);
+            m = m ? self.observe(m, rule.observe) : null;
+            if (m) {
+                acc[m.format('YYYY-MM-DD')] = rule.name ? rule.name : 'Holiday';
+            }
+        });
+        this.years[year] = acc;
+    }
+    return this.years[year];
+};
+
+/**
+ * @desc Finds the holiday on a day
+ * @param {(Date|string|moment)} date - The day
+ * @returns {string} Name of the holiday, null if the day isn't one
+ */
+HolidayCalendar.prototype.getHoliday = function(date) {
+    var key = CivilDate.key(date), year = parseInt(key.substr(0, 4), 10);
+    if (this.holidays[key]) {
+        return this.holidays[key];
+    }
+    //Saturday holidays can be observed on the last day of the year before
+    return this.ruleHolidays(year)[key] || this.ruleHolidays(year + 1)[key] || null;
+};
+
+/**
+ * @desc Checks whether a day is a holiday
+ * @param {(Date|string|moment)} date - The day
+ * @returns {boolean} True if it's a holiday, as observed
+ */
+HolidayCalendar.prototype.isHoliday = function(date) {
+    return this.getHoliday(date) !== null;
+};
+
+/**
+ * @desc Checks whether a day is a weekend day
+ * @param {(Date|string|moment)} date - The day
+ * @returns {boolean} True if it's one of {@link HolidayCalendar#weekend}
+ */
+HolidayCalendar.prototype.isWeekend = function(date) {
+    return this.weekend.indexOf(CivilDate.toMoment(date).day()) !== -1;
+};
+
+/**
+ * @desc Checks whether a day is a business day
+ * @param {(Date|string|moment)} date - The day
+ * @returns {boolean} True if it's neither a weekend day nor a holiday
+ */
+HolidayCalendar.prototype.isBusinessDay = function(date) {
+    return !this.isWeekend(date) && !this.isHoliday(date);
+};
+
+/**
+ * @desc Lists every holiday in a year, from the rules and the one-off list
+ * @param {number} year - The year
+ * @returns {Object[]} { date, name } for each holiday, by date
+ */
+HolidayCalendar.prototype.getHolidays = function(year) {
+    var self = this, keys;
+    keys = _.keys(this.ruleHolidays(year)).concat(_.keys(this.ruleHolidays(year + 1)), _.keys(this.holidays));
+    return _(keys)
+        .uniq()
+        .filter(function(key) { return key.substr(0, 4) === String(year); })
+        .sortBy()
+        .map(function(key) { return { date: CivilDate.toDate(key), name: self.getHoliday(key) }; })
+        .value();
+};
+
+/**
+ * @desc Moves a day onto a business day of this calendar, see {@link Transaction#adjustBusinessDay}
+ * @param {(Date|string|moment)} date - The day
+ * @param {string} rule - One of {@link Transaction.BUSINESS_DAY_ADJUSTMENTS}
+ * @returns {Date} The business day
+ */
+HolidayCalendar.prototype.adjust = function(date, rule) {
+    return Transaction.prototype.adjustBusinessDay(date, rule, this);
+};
+
+/**
+ * @desc Returns a blob that {@link HolidayCalendar} can be rebuilt from
+ * @returns {Object} name, weekend, rules and holidays ({ date, name } with 'YYYY-MM-DD' dates)
+ */
+HolidayCalendar.prototype.serialize = function() {
+    return {
+        name: this.name,
+        weekend: this.weekend.slice(),
+        rules: _.cloneDeep(this.rules),
+        holidays: _.map(this.holidays, function(name, date) {
+            return { date: date, name: name };
+        })
+    };
+};
+
+//The Federal Reserve calendar is always there
+Transaction.registerCalendar('US-FED', HolidayCalendar.usFederalReserve());
+
+////////////////// NODE MODULE //////////////////
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        HolidayCalendar: HolidayCalendar
+    };
+}
@@ -0,0 +1,599 @@
+'use strict';
+
+//See transaction-collection.js, dependencies are globals in the browser
+var moment, _, CivilDate; //jshint ignore:line
+if (typeof module === 'object' && module.exports) {
+    moment = require('moment');
+    _ = require('lodash');
+    CivilDate = require('./transaction-collection').CivilDate;
+}
+
+/**
+ * @desc Creates a new CategorizationRule
+ * @class CategorizationRule
+ * @classdesc A rule that files imported statement entries under a branch of the transaction tree
+ * @param {Object} blob - Blob describing the rule
+ * @param {(RegExp|string)} [blob.description] - Pattern the entry's description has to match
+ * @param {(RegExp|string)} [blob.payee] - Pattern the entry's payee has to match
+ * @param {number} [blob.minAmount] - Smallest amount (inclusive) the rule applies to
+ * @param {number} [blob.maxAmount] - Largest amount (inclusive) the rule applies to
+ * @param {(string[]|string)} blob.path - Descriptions of the branches to file the entry under, either an array or a '/' separated string
+ */
+var CategorizationRule = function(blob) {
+    /**
+     * Pattern the description has to match, null to match anything
+     *
+     * @name CategorizationRule#description
+     * @type RegExp
+     */
+    this.description = this.toPattern(blob.description);
+
+    /**
+     * Pattern the payee has to match, null to match anything
+     *
+     * @name CategorizationRule#payee
+     * @type RegExp
+     */
+    this.payee = this.toPattern(blob.payee);
+
+    /**
+     * Smallest amount (inclusive) the rule applies to
+     *
+     * @name CategorizationRule#minAmount
+     * @type number
+     */
+    this.minAmount = typeof blob.minAmount === 'number' ? blob.minAmount : null;
+
+    /**
+     * Largest amount (inclusive) the rule applies to
+     *
+     * @name CategorizationRule#maxAmount
+     * @type number
+     */
+    this.maxAmount = typeof blob.maxAmount === 'number' ? blob.maxAmount : null;
+
+    /**
+     * Descriptions of the branches, from the root down, that matching entries are filed under
+     *
+     * @name CategorizationRule#path
+     * @type string[]
+     */
+    this.path = typeof blob.path === 'string' ? blob.path.split('/') : (blob.path || []);
+};
+
+/**
+ * @desc Turns a string into a case-insensitive pattern, leaves regular expressions alone
+ * @param {(RegExp|string)} pattern - The pattern
+ * @returns {RegExp} The pattern, or null if there wasn't one
+ */
+CategorizationRule.prototype.toPattern = function(pattern) {
+    if (!pattern) {
+        return null;
+    }
+    return pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i');
+};
+
+/**
+ * @desc Checks if a statement entry satisfies every part of the rule
+ * @param {Object} entry - Entry returned by one of the {@link StatementImporter} parsers
+ * @returns {boolean} True if the entry matches
+ */
+CategorizationRule.prototype.matches = function(entry) {
+    if (this.description && !this.description.test(entry.description || '')) {
+        return false;
+    }
+    if (this.payee && !this.payee.test(entry.payee || '')) {
+        return false;
+    }
+    if (this.minAmount !== null && entry.amount < this.minAmount) {
+        return false;
+    }
+    if (this.maxAmount !== null && entry.amount > this.maxAmount) {
+        return false;
+    }
+    return true;
+};
+
+/**
+ * @desc Creates a new StatementImporter
+ * @class StatementImporter
+ * @classdesc Parses bank statement exports (CSV, OFX/QFX and QIF) into Transaction blobs and files them into a transaction tree
+ * @param {Object} [options] - Importer options
+ * @param {Object} [options.columns] - CSV column mapping, see {@link StatementImporter#columns}
+ * @param {string} [options.delimiter=','] - CSV field delimiter
+ * @param {boolean} [options.header=true] - Does the CSV start with a header row?
+ * @param {(string|string[])} [options.dateFormat] - moment format(s) for CSV and QIF dates
+ * @param {(CategorizationRule[]|Object[])} [options.rules] - Rules used to file entries, the first matching rule wins
+ * @param {(string[]|string)} [options.defaultPath=['Uncategorized']] - Branch for entries that no rule matches
+ */
+var StatementImporter = function(options) {
+    if (!options) {
+        options = {};
+    }
+
+    /**
+     * CSV column mapping. Each value is either a header name or a zero-based
+     * column index. Use amount for a signed amount column, or debit and credit
+     * for separate columns.
+     *
+     * @name StatementImporter#columns
+     * @type Object
+     */
+    this.columns = _.assign({
+        date: 'date',
+        description: 'description',
+        amount: 'amount',
+        debit: null,
+        credit: null,
+        payee: null,
+        memo: null
+    }, options.columns);
+
+    /**
+     * CSV field delimiter
+     *
+     * @name StatementImporter#delimiter
+     * @type string
+     */
+    this.delimiter = options.delimiter || ',';
+
+    /**
+     * Does the CSV start with a header row?
+     *
+     * @name StatementImporter#header
+     * @type boolean
+     */
+    this.header = options.header !== false;
+
+    /**
+     * moment formats tried, in order, on CSV and QIF dates
+     *
+     * @name StatementImporter#dateFormat
+     * @type string[]
+     */
+    this.dateFormat = options.dateFormat ? [].concat(options.dateFormat) :
+        ['YYYY-MM-DD', 'MM/DD/YYYY', 'M/D/YYYY', 'MM/DD/YY', 'M/D/YY'];
+
+    /**
+     * Rules used to file entries, the first matching rule wins
+     *
+     * @name StatementImporter#rules
+     * @type CategorizationRule[]
+     */
+    this.rules = (options.rules || []).map(function(rule) {
+        return rule instanceof CategorizationRule ? rule : new CategorizationRule(rule);
+    });
+
+    /**
+     * Branch for entries that no rule matches
+     *
+     * @name StatementImporter#defaultPath
+     * @type string[]
+     */
+    this.defaultPath = typeof options.defaultPath === 'string' ? options.defaultPath.split('/') :
+        (options.defaultPath || ['Uncategorized']);
+};
+
+/**
+ * @desc Parses a statement export, guessing the format if one isn't given
+ * @param {string} text - Contents of the export
+ * @param {string} [format] - 'csv', 'ofx', 'qfx' or 'qif'
+ * @returns {Object[]} Entries with date, amount, description, payee and memo
+ */
+StatementImporter.prototype.parse = function(text, format) {
+    if (!format) {
+        if (/<OFX>/i.test(text) || /^\s*OFXHEADER/i.test(text)) {
+            format = 'ofx';
+        } else if (/^\s*!Type:/i.test(text)) {
+            format = 'qif';
+        } else {
+            format = 'csv';
+        }
+    }
+    format = format.toLowerCase();
+
+    if (format === 'csv') {
+        return this.parseCSV(text);
+    } else if (format === 'ofx' || format === 'qfx') {
+        return this.parseOFX(text);
+    } else if (format === 'qif') {
+        return this.parseQIF(text);
+    }
+    throw new Error('Statement format must be csv, ofx, qfx, or qif.');
+};
+
+/**
+ * @desc Parses a CSV export using {@link StatementImporter#columns}
+ * @param {string} text - Contents of the CSV file
+ * @returns {Object[]} Parsed entries
+ */
+StatementImporter.prototype.parseCSV = function(text) {
+    var self = this, lines = [], rows = this.splitCSV(text, lines), headers = [], column;
+
+    //Pair every row up with the line it starts on, so errors point at the
+    //line in the file rather than at the row once the header and blank lines
+    //are gone
+    rows = rows.map(function(fields, i) {
+        return { fields: fields, line: lines[i] };
+    });
+
+    if (this.header && rows.length > 0) {
+        headers = rows.shift().fields.map(function(h) {
+            return h.trim().toLowerCase();
+        });
+    }
+
+    //Look a column up by its index, or by its (case-insensitive) header name
+    column = function(row, key) {
+        var idx = self.columns[key];
+        if (idx === null || idx === undefined) {
+            return null;
+        }
+        if (typeof idx === 'string') {
+            idx = headers.indexOf(idx.toLowerCase());
+        }
+        return idx > -1 && idx < row.length ? row[idx].trim() : null;
+    };
+
+    return _(rows)
+        .filter(function(row) {
+            return row.fields.length > 1 || (row.fields[0] && row.fields[0].trim());
+        })
+        .map(function(row) {
+            var amount, fields = row.fields;
+            if (self.columns.debit !== null || self.columns.credit !== null) {
+                amount = (self.parseAmount(column(fields, 'credit')) || 0) - Math.abs(self.parseAmount(column(fields, 'debit')) || 0);
+            } else {
+                amount = self.parseAmount(column(fields, 'amount'));
+            }
+            return self.toEntry({
+                date: self.parseDate(column(fields, 'date')),
+                amount: amount,
+                description: column(fields, 'description'),
+                payee: column(fields, 'payee'),
+                memo: column(fields, 'memo')
+            }, 'CSV line ' + row.line);
+        })
+        .value();
+};
+
+/**
+ * @desc Splits CSV text into rows of fields, following RFC 4180 quoting
+ * @param {string} text - Contents of the CSV file
+ * @param {number[]} [lines] - Collects the (one-based) line each row starts on, quoted fields can span lines
+ * @returns {string[][]} Rows of fields
+ */
+StatementImporter.prototype.splitCSV = function(text, lines) {
+    var rows = [], row = [], field = '', quoted = false, line = 1, start = 1, i, c;
+    lines = lines || [];
+    for (i = 0; i < text.length; i++) {
+        c = text[i];
+        if ((c === '\n' && text[i - 1] !== '\r') || c === '\r') {
+            line++;
+        }
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === this.delimiter) {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            lines.push(start);
+            row = [];
+            field = '';
+            start = line;
+        } else {
+            field += c;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+        lines.push(start);
+    }
+    return rows;
+};
+
+/**
+ * @desc Parses the STMTTRN records out of an OFX or QFX export. Handles both the SGML (v1) and XML (v2) flavours.
+ * @param {string} text - Contents of the OFX file
+ * @returns {Object[]} Parsed entries
+ */
+StatementImporter.prototype.parseOFX = function(text) {
+    var self = this, entries = [], blocks = text.match(/<STMTTRN>[\s\S]*?(<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>))/gi) || [];
+
+    blocks.forEach(function(block, i) {
+        var fields = {}, tag = /<(\w+)>([^<\r\n]*)/g, match;
+        while ((match = tag.exec(block)) !== null) {
+            fields[match[1].toUpperCase()] = match[2].trim();
+        }
+        entries.push(self.toEntry({
+            id: fields.FITID || null,
+            date: fields.DTPOSTED ? CivilDate.toDate(moment.utc(fields.DTPOSTED.substr(0, 8), 'YYYYMMDD')) : null,
+            amount: self.parseAmount(fields.TRNAMT),
+            description: fields.NAME || fields.MEMO || null,
+            payee: fields.NAME || null,
+            memo: fields.MEMO || null
+        }, 'OFX transaction ' + (i + 1)));
+    });
+    return entries;
+};
+
+/**
+ * @desc Parses a QIF export. Records are split by '^' lines and the category (L) is kept so rules can use it.
+ * @param {string} text - Contents of the QIF file
+ * @returns {Object[]} Parsed entries
+ */
+StatementImporter.prototype.parseQIF = function(text) {
+    var self = this, entries = [], record = {};
+
+    text.split(/\r?\n/).forEach(function(line) {
+        var code = line.charAt(0), value = line.substr(1).trim();
+        if (code === '!') {
+            return;
+        } else if (code === '^') {
+            if (_.keys(record).length > 0) {
+                entries.push(self.toEntry({
+                    date: self.parseDate(record.D ? record.D.replace(/'/g, '/') : null),
+                    amount: self.parseAmount(record.T || record.U),
+                    description: record.P || record.M || null,
+                    payee: record.P || null,
+                    memo: record.M || null,
+                    category: record.L || null
+                }, 'QIF record ' + (entries.length + 1)));
+            }
+            record = {};
+        } else if (code) {
+            record[code] = value;
+        }
+    });
+    return entries;
+};
+
+/**
+ * @desc Checks a freshly parsed entry, filling in blanks
+ * @param {Object} entry - The parsed entry
+ * @param {string} where - Description of where the entry came from, used in errors
+ * @returns {Object} The entry
+ */
+StatementImporter.prototype.toEntry = function(entry, where) {
+    if (!entry.date || isNaN(entry.date.getTime())) {
+        throw new Error(where + ' has a missing or unreadable date.');
+    }
+    if (typeof entry.amount !== 'number' || isNaN(entry.amount)) {
+        throw new Error(where + ' has a missing or unreadable amount.');
+    }
+    entry.description = entry.description || entry.payee || entry.memo || null;
+    return entry;
+};
+
+/**
+ * @desc Parses an amount, coping with currency symbols, thousands separators and (accounting) negatives
+ * @param {string} value - The amount as it appears in the export
+ * @returns {number} The amount, or null if there wasn't one
+ */
+StatementImporter.prototype.parseAmount = function(value) {
+    var negative;
+    if (value === null || value === undefined || String(value).trim() === '') {
+        return null;
+    }
+    value = String(value).trim();
+    negative = /^\(.*\)$/.test(value) || /^-/.test(value) || /-$/.test(value);
+    value = Number(value.replace(/[^0-9.]/g, ''));
+    return negative ? -value : value;
+};
+
+/**
+ * @desc Parses a date using {@link StatementImporter#dateFormat}
+ * @param {string} value - The date as it appears in the export
+ * @returns {Date} The date, or null if there wasn't one
+ */
+StatementImporter.prototype.parseDate = function(value) {
+    var m;
+    if (!value) {
+        return null;
+    }
+    m = moment.utc(value.trim(), this.dateFormat, true);
+    return m.isValid() ? CivilDate.toDate(m) : new Date(NaN);
+};
+
+/**
+ * @desc Finds the branch that an entry should be filed under
+ * @param {Object} entry - Parsed entry
+ * @returns {string[]} Descriptions of the branches, from the root down
+ */
+StatementImporter.prototype.categorize = function(entry) {
+    var rule = _.find(this.rules, function(r) {
+        return r.matches(entry);
+    });
+    return rule ? rule.path : this.defaultPath;
+};
+
+/**
+ * @desc Turns a parsed entry into a one-off Transaction blob
+ * @param {Object} entry - Parsed entry
+ * @returns {Object} Blob that can be handed to {@link Transaction#addChild}
+ */
+StatementImporter.prototype.toBlob = function(entry) {
+    return {
+        description: entry.description,
+        amount: entry.amount,
+        startDate: entry.date,
+        frequency: 'none'
+    };
+};
+
+/**
+ * @desc Looks for entries that look like a repeating transaction: the same payee, at a regular interval, for a similar amount.
+ * @param {Object[]} entries - Parsed entries
+ * @param {Object} [options] - Detection options
+ * @param {number} [options.minOccurrences=3] - Fewest entries that count as a series
+ * @param {number} [options.amountTolerance=0.1] - How far (as a fraction of the median) an amount may stray
+ * @returns {Object[]} Suggested series with payee, frequency, growth, the entries involved, and a blob for a repeating Transaction
+ */
+StatementImporter.prototype.detectRecurring = function(entries, options) {
+    var self = this, minOccurrences, amountTolerance;
+    options = options || {};
+    minOccurrences = options.minOccurrences || 3;
+    amountTolerance = typeof options.amountTolerance === 'number' ? options.amountTolerance : 0.1;
+
+    return _(entries)
+        .groupBy(function(entry) {
+            return self.normalizePayee(entry.payee || entry.description);
+        })
+        .map(function(group) {
+            var sorted = _.sortBy(group, function(e) { return e.date.getTime(); });
+            var intervals = [], amounts, median, frequency, growth, i, first, last;
+
+            if (sorted.length < minOccurrences) {
+                return null;
+            }
+
+            for (i = 1; i < sorted.length; i++) {
+                intervals.push(CivilDate.diffDays(sorted[i].date, sorted[i - 1].date));
+            }
+            frequency = self.inferFrequency(intervals);
+            if (!frequency) {
+                return null;
+            }
+
+            amounts = _.pluck(sorted, 'amount');
+            median = self.median(amounts);
+            if (!_.every(amounts, function(a) {
+                return (a > 0) === (median > 0) && Math.abs(a - median) <= Math.abs(median) * amountTolerance;
+            })) {
+                return null;
+            }
+
+            //Average per-occurrence growth between the first and last amounts
+            first = sorted[0];
+            last = sorted[sorted.length - 1];
+            growth = (Math.pow(last.amount / first.amount, 1 / (sorted.length - 1)) - 1) * 100;
+            growth = Math.abs(growth) < 0.01 ? 0 : Math.round(growth * 100) / 100;
+
+            return {
+                payee: first.payee || first.description,
+                frequency: frequency,
+                growth: growth,
+                amount: first.amount,
+                entries: sorted,
+                blob: {
+                    description: first.payee || first.description,
+                    amount: first.amount,
+                    startDate: first.date,
+                    frequency: frequency,
+                    growth: growth
+                }
+            };
+        })
+        .compact()
+        .value();
+};
+
+/**
+ * Frequencies that {@link StatementImporter#detectRecurring} can infer, with
+ * their typical interval and how far, in days, an interval may stray from it.
+ *
+ * @type Object[]
+ */
+StatementImporter.RECURRING_INTERVALS = [
+    { frequency: 'day', days: 1, tolerance: 0 },
+    { frequency: 'week', days: 7, tolerance: 1 },
+    { frequency: 'biweek', days: 14, tolerance: 2 },
+    { frequency: 'semimonth', days: 15, tolerance: 3 },
+    { frequency: 'month', days: 30, tolerance: 3 },
+    { frequency: 'quarter', days: 91, tolerance: 7 },
+    { frequency: 'year', days: 365, tolerance: 7 }
+];
+
+/**
+ * @desc Picks the frequency whose interval fits every gap between occurrences
+ * @param {number[]} intervals - Days between consecutive occurrences
+ * @returns {string} The frequency, or null if the intervals aren't regular
+ */
+StatementImporter.prototype.inferFrequency = function(intervals) {
+    var match = _.find(StatementImporter.RECURRING_INTERVALS, function(candidate) {
+        return _.every(intervals, function(days) {
+            return Math.abs(days - candidate.days) <= candidate.tolerance;
+        });
+    });
+    return match ? match.frequency : null;
+};
+
+/**
+ * @desc Normalizes a payee so 'ACME PAYROLL 0415' and 'Acme Payroll 0515' end up in the same group
+ * @param {string} payee - Payee or description from the statement
+ * @returns {string} Normalized payee
+ */
+StatementImporter.prototype.normalizePayee = function(payee) {
+    return String(payee || '').toLowerCase().replace(/[0-9#*]+/g, ' ').replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * @desc Median of a list of numbers
+ * @param {number[]} values - The numbers
+ * @returns {number} The median
+ */
+StatementImporter.prototype.median = function(values) {
+    var sorted = _.sortBy(values), mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * @desc Files parsed entries into a transaction tree, creating branches from the matching rule's path as needed. Entries that belong to an accepted recurring series are replaced by a single repeating transaction.
+ * @param {Transaction} root - Tree to import into
+ * @param {Object[]} entries - Parsed entries
+ * @param {Object[]} [recurring] - Suggestions from {@link StatementImporter#detectRecurring} that should be imported as repeating transactions
+ * @returns {Transaction[]} The transactions that were added
+ */
+StatementImporter.prototype.importInto = function(root, entries, recurring) {
+    var self = this, added = [], covered = [];
+
+    (recurring || []).forEach(function(suggestion) {
+        covered = covered.concat(suggestion.entries);
+        added.push(self.findBranch(root, self.categorize(suggestion.entries[0])).addChild(_.clone(suggestion.blob)));
+    });
+
+    entries.forEach(function(entry) {
+        if (covered.indexOf(entry) === -1) {
+            added.push(self.findBranch(root, self.categorize(entry)).addChild(self.toBlob(entry)));
+        }
+    });
+    return added;
+};
+
+/**
+ * @desc Walks down the tree by description, adding any branches that don't exist yet
+ * @param {Transaction} root - Tree to search
+ * @param {string[]} path - Descriptions of the branches, from the root down
+ * @returns {Transaction} The branch at the end of the path
+ */
+StatementImporter.prototype.findBranch = function(root, path) {
+    return _.reduce(path, function(branch, description) {
+        var child = _.find(branch.children, function(c) {
+            return c.description === description;
+        });
+        return child || branch.addChild({ description: description });
+    }, root);
+};
+
+////////////////// NODE MODULE //////////////////
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        CategorizationRule: CategorizationRule,
+        StatementImporter: StatementImporter
+    };
+}
@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * @desc Node entry point, gathers everything the individual scripts export
+ * into a single module.
+ */
+var modules = [
+    require('./transaction-collection'),
+    require('./loans'),
+    require('./interest'),
+    require('./exceptions'),
+    require('./breakdown'),
+    require('./validation'),
+    require('./holiday-calendar'),
+    require('./derived'),
+    require('./accounts'),
+    require('./exchange-rates'),
+    require('./importer'),
+    require('./monte-carlo'),
+    require('./scenario-comparison'),
+    require('./goal-seek'),
+    require('./alerts'),
+    require('./reconciliation'),
+    require('./command-history')
+];
+
+modules.forEach(function(m) {
+    Object.keys(m).forEach(function(name) {
+        exports[name] = m[name];
+    });
+});
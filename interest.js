@@ -0,0 +1,119 @@
+'use strict';
+
+//Interest on the running balance of a tree (Transaction#interestRates), posted
+//as synthetic 'interest' transactions, and worked out again on a scenario's
+//own balance. Load this after transaction-collection.js.
+
+//See transaction-collection.js, dependencies are globals in the browser
+var _, Money, CivilDate, Transaction, Scenario; //jshint ignore:line
+if (typeof module === 'object' && module.exports) {
+    _ = require('lodash');
+    Money = require('./transaction-collection').Money;
+    CivilDate = require('./transaction-collection').CivilDate;
+    Transaction = require('./transaction-collection').Transaction;
+    Scenario = require('./transaction-collection').Scenario;
+}
+
+/**
+ * How many times a year interest is posted for each compounding period
+ *
+ * @type Object
+ */
+Transaction.COMPOUNDING_PERIODS = { day: 365, month: 12, quarter: 4, year: 1 };
+
+/**
+ * @desc Checks if interest gets posted on a given day
+ * @param {moment} day - The day to check
+ * @param {Object} rates - Rate configuration, see {@link Transaction#interestRates}
+ * @returns {boolean} True if accrued interest should be posted on the day
+ */
+Transaction.prototype.isInterestPostingDay = function(day, rates) {
+    var compounding = rates.compounding || 'month';
+    var postingDay = Math.min(rates.postingDay || 31, day.daysInMonth());
+    if (compounding === 'day') {
+        return true;
+    }
+    if (day.date() !== postingDay) {
+        return false;
+    }
+    if (compounding === 'quarter') {
+        return day.month() % 3 === 2;
+    }
+    if (compounding === 'year') {
+        return day.month() === 11;
+    }
+    return true;
+};
+
+/**
+ * @desc Works out the interest earned or charged on the running balance of a set of gathered transactions. Interest accrues daily on the balance at the end of each day and is posted (and starts compounding) on each posting day.
+ * @param {Transaction[]} gathered - Transactions from {@link Transaction#gatherTransactions}
+ * @param {Bounds} bounds - Interest is worked out up to bounds.endDate
+ * @param {Object} [rates=this.interestRates] - Rate configuration, see {@link Transaction#interestRates}
+ * @returns {Transaction[]} Synthetic 'interest' transactions, one per posting day with a non-zero amount
+ */
+Transaction.prototype.generateInterestTransactions = function(gathered, bounds, rates) {
+    var self = this, byDay, days, day, end, balance = 0, accrued = 0, posted, positiveRate, negativeRate, periods, acc = [];
+    rates = rates || this.interestRates;
+    if (!rates || gathered.length === 0) {
+        return acc;
+    }
+
+    periods = Transaction.COMPOUNDING_PERIODS[rates.compounding || 'month'];
+    if (!periods) {
+        throw new Error('Interest compounding must be day, month, quarter, or year.');
+    }
+
+    //Spread the rates over the days of the year. APY is an effective rate, so
+    //back it out to the nominal rate for the compounding period first.
+    positiveRate = rates.apy ? (Math.pow(1 + rates.apy / 100, 1 / periods) - 1) * periods / 365 : 0;
+    negativeRate = rates.apr ? rates.apr / 100 / 365 : 0;
+
+    byDay = _.groupBy(gathered, function(txn) {
+        return CivilDate.key(txn.startDate);
+    });
+    days = _.keys(byDay).sort();
+    day = CivilDate.toMoment(days[0]);
+    end = CivilDate.toMoment(bounds.endDate ? bounds.endDate : days[days.length - 1]);
+
+    while (!day.isAfter(end, 'day')) {
+        balance = Money.add(balance, Money.sum(byDay[day.format('YYYY-MM-DD')], function(t) {
+            return t.amount;
+        }));
+        accrued += balance * (balance > 0 ? positiveRate : negativeRate);
+
+        if (this.isInterestPostingDay(day, rates)) {
+            posted = Money.round(accrued);
+            if (posted !== 0) {
+                acc.push(new Transaction({
+                    description: rates.description || 'Interest',
+                    amount: posted,
+                    startDate: day.format('YYYY-MM-DD'),
+                    transactionType: 'interest',
+                    series: self.series + '-interest'
+                }));
+                balance = Money.add(balance, posted);
+                accrued -= posted;
+            }
+        }
+        day.add(1, 'days');
+    }
+    return acc;
+};
+
+////// SCENARIO INTEREST LIVES UNDER HERE ///////
+
+/**
+ * @desc Interest depends on the running balance, so the base's interest is thrown out and worked out again on the scenario's balance
+ * @param {Transaction[]} transactions - Gathered scenario and base transactions
+ * @param {Bounds} bounds - Start and finish date for the transactions
+ * @returns {Transaction[]} The transactions with the scenario's own interest
+ */
+Scenario.prototype.reapplyInterest = function(transactions, bounds) {
+    var base = this.baseTransaction;
+    if (!base.interestRates && !base.hasAccountInterest()) {
+        return transactions;
+    }
+    transactions = _.reject(transactions, { transactionType: 'interest' });
+    return transactions.concat(base.generateAccountInterest(transactions, bounds));
+};
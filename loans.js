@@ -0,0 +1,238 @@
+'use strict';
+
+//Loan transactions (transactionType 'loan'), their amortization schedules and
+//the extra principal payments scenarios can make on them. Load this after
+//transaction-collection.js.
+
+//See transaction-collection.js, dependencies are globals in the browser
+var _, Money, CivilDate, Transaction, Scenario; //jshint ignore:line
+if (typeof module === 'object' && module.exports) {
+    _ = require('lodash');
+    Money = require('./transaction-collection').Money;
+    CivilDate = require('./transaction-collection').CivilDate;
+    Transaction = require('./transaction-collection').Transaction;
+    Scenario = require('./transaction-collection').Scenario;
+}
+
+/**
+ * @desc Roughly how many times a year a frequency repeats, used to turn an APR into a per-payment rate.
+ * @param {(string|Object)} frequency - A frequency, as in {@link Transaction#frequency}
+ * @returns {number} Occurrences per year
+ */
+Transaction.prototype.getPeriodsPerYear = function(frequency) {
+    var rule, perPeriod;
+    var plain = { day: 365, week: 52, biweek: 26, semimonth: 24, month: 12, quarter: 4, year: 1 };
+    if (plain[frequency]) {
+        return plain[frequency];
+    }
+    if (!this.isRecurrenceRule(frequency)) {
+        throw new Error('Loans need a repeating payment frequency.');
+    }
+    rule = this.parseRecurrenceRule(frequency);
+    perPeriod = rule.bySetPos.length || rule.byMonthDay.length || rule.byDay.length || 1;
+    return { DAILY: 365, WEEKLY: 52, MONTHLY: 12, YEARLY: 1 }[rule.freq] * perPeriod / rule.interval;
+};
+
+/**
+ * @desc Works out the scheduled payment (principal and interest, without any extra principal) of a loan transaction.
+ * @returns {number} The scheduled payment, as a positive number.
+ */
+Transaction.prototype.getLoanPayment = function() {
+    var loan = this.loan, rate, payment;
+    if (!loan || !loan.principal || !loan.term) {
+        throw new Error('Loans need a principal and a term.');
+    }
+    rate = (loan.apr || 0) / 100 / this.getPeriodsPerYear(this.frequency);
+    payment = rate === 0 ? loan.principal / loan.term : loan.principal * rate / (1 - Math.pow(1 + rate, -loan.term));
+    return Money.round(payment);
+};
+
+/**
+ * @desc Builds the amortization schedule of a loan transaction.
+ * @param {Object[]} [extraPayments] - Additional one-off extra principal payments ({ date, amount }) on top of the loan's own, e.g. from a {@link Scenario}
+ * @returns {Object} The schedule: payment, rows ({ date, payment, principal, interest, extra, balance }), totalInterest, totalPaid and payoffDate
+ */
+Transaction.prototype.getAmortizationSchedule = function(extraPayments) {
+    var loan = this.loan, rate, payment, dates, balance, rows = [], extras, start, totalInterest = 0, totalPaid = 0;
+    if (this.transactionType !== 'loan' || !loan) {
+        throw new Error('Only loan transactions have an amortization schedule.');
+    }
+
+    payment = this.getLoanPayment();
+    rate = (loan.apr || 0) / 100 / this.getPeriodsPerYear(this.frequency);
+    balance = Money.round(loan.principal);
+
+    //Generate enough dates for the full term, with a bit of slack
+    start = CivilDate.toMoment(this.startDate);
+    dates = this.generateRepeatDates(this.frequency, start,
+        start.clone().add(Math.ceil(366 * (loan.term + 1) / this.getPeriodsPerYear(this.frequency)), 'days'))
+        .slice(0, loan.term);
+
+    extras = _.sortBy((loan.extraPayments || []).concat(extraPayments || []).map(function(e) {
+        return { day: CivilDate.key(e.date), amount: e.amount };
+    }), 'day');
+
+    dates.forEach(function(m, i) {
+        var interest, principal, extra;
+        if (balance <= 0) {
+            return;
+        }
+
+        interest = Money.multiply(balance, rate);
+        principal = i === dates.length - 1 ? balance : Math.min(Money.add(payment, -interest), balance);
+
+        //Extra principal due on or before this payment gets paid with it
+        extra = Money.round(loan.extraPrincipal || 0);
+        while (extras.length > 0 && extras[0].day <= m.format('YYYY-MM-DD')) {
+            extra = Money.add(extra, extras.shift().amount);
+        }
+        extra = Math.min(extra, Money.add(balance, -principal));
+
+        balance = Money.add(balance, -principal, -extra);
+        totalInterest = Money.add(totalInterest, interest);
+        totalPaid = Money.add(totalPaid, principal, interest, extra);
+        rows.push({
+            date: CivilDate.toDate(m),
+            payment: Money.add(principal, interest),
+            principal: principal,
+            interest: interest,
+            extra: extra,
+            balance: balance
+        });
+    });
+
+    return {
+        payment: payment,
+        rows: rows,
+        totalInterest: totalInterest,
+        totalPaid: totalPaid,
+        payoffDate: rows.length > 0 ? rows[rows.length - 1].date : null
+    };
+};
+
+/**
+ * @desc Finds the balance left on a loan after the last payment on or before a date.
+ * @param {Date} date - Date to check the balance on
+ * @param {Object[]} [extraPayments] - Additional extra principal payments, see {@link Transaction#getAmortizationSchedule}
+ * @returns {number} Remaining balance of the loan
+ */
+Transaction.prototype.getLoanBalance = function(date, extraPayments) {
+    var day = CivilDate.key(date), paid = _.filter(this.getAmortizationSchedule(extraPayments).rows, function(row) {
+        return CivilDate.key(row.date) <= day;
+    });
+    return paid.length > 0 ? paid[paid.length - 1].balance : this.loan.principal;
+};
+
+/**
+ * @desc Expands a loan into its payment transactions. Each payment is an outflow that carries its principal and interest components.
+ * @param {Transaction} txn - The loan transaction
+ * @param {Bounds} bounds - Start and finish date for the transaction.
+ * @param {Object[]} [extraPayments] - Additional extra principal payments, see {@link Transaction#getAmortizationSchedule}
+ * @returns {Transaction[]} Loan payments within bounds and on or before the loan's endDate
+ */
+Transaction.prototype.initLoanTransactions = function(txn, bounds, extraPayments) {
+    var end = bounds.endDate ? CivilDate.key(bounds.endDate) : null;
+
+    //A loan that ends early (Scenario#merge ends it where a scenario takes
+    //over) stops paying, whatever the schedule says
+    if (txn.endDate && !isNaN(txn.endDate.valueOf()) && (!end || CivilDate.key(txn.endDate) < end)) {
+        end = CivilDate.key(txn.endDate);
+    }
+    return _(txn.getAmortizationSchedule(extraPayments).rows)
+        .filter(function(row) {
+            return !end || CivilDate.key(row.date) <= end;
+        })
+        .map(function(row) {
+            var t = _.clone(txn);
+            t.startDate = row.date;
+            t.endDate = null;
+            t.frequency = 'none';
+            t.amount = -Money.add(row.payment, row.extra);
+            t.principal = Money.add(row.principal, row.extra);
+            t.interest = row.interest;
+            t.series = txn.series;
+            return t;
+        })
+        .value();
+};
+
+////// SCENARIO EXTRA PAYMENTS LIVE UNDER HERE ///////
+
+/**
+ * @desc Makes an extra principal payment on one of the base transaction's loans, in this scenario only
+ * @param {(Transaction|string)} loan - The loan transaction, or its series
+ * @param {Date} date - Date of the extra payment, it is paid along with the next scheduled payment
+ * @param {number} amount - How much extra principal to pay
+ */
+Scenario.prototype.addLoanExtraPayment = function(loan, date, amount) {
+    var series = typeof loan === 'string' ? loan : loan.series, oldValue = _.clone(this.loanExtraPayments[series]);
+    if (!this.loanExtraPayments[series]) {
+        this.loanExtraPayments[series] = [];
+    }
+    this.loanExtraPayments[series].push({ date: CivilDate.parse(date), amount: amount });
+    this.emitChange({ type: 'scenario-update', field: 'loanExtraPayments', series: series, oldValue: oldValue, newValue: _.clone(this.loanExtraPayments[series]) });
+};
+
+/**
+ * @desc Removes all of this scenario's extra payments on a loan
+ * @param {(Transaction|string)} loan - The loan transaction, or its series
+ */
+Scenario.prototype.clearLoanExtraPayments = function(loan) {
+    var series = typeof loan === 'string' ? loan : loan.series, oldValue = this.loanExtraPayments[series];
+    delete this.loanExtraPayments[series];
+    this.emitChange({ type: 'scenario-update', field: 'loanExtraPayments', series: series, oldValue: oldValue, newValue: undefined });
+};
+
+/**
+ * @desc Swaps the base payments of loans this scenario makes extra payments on for ones that include the extra principal
+ * @param {Transaction[]} transactions - Gathered base transactions
+ * @param {Bounds} bounds - Start and finish date for the transactions
+ * @param {string[]} [overridden] - Series that the scenario already replaces outright
+ * @returns {Transaction[]} The transactions with the loan payments swapped
+ */
+Scenario.prototype.applyLoanExtraPayments = function(transactions, bounds, overridden) {
+    var scenario = this;
+    _.keys(this.loanExtraPayments).forEach(function(series) {
+        var loan = scenario.baseTransaction.findBySeries(series), extras = scenario.getLoanExtraPayments(series);
+        if (!loan || loan.transactionType !== 'loan' || _.includes(overridden, series)) {
+            return;
+        }
+        transactions = _.reject(transactions, function(t) {
+            return t.series === series && t.startDate >= scenario.startDate;
+        }).concat(loan.convertCurrency(_.filter(loan.initLoanTransactions(loan, bounds, extras), function(t) {
+            return t.startDate >= scenario.startDate;
+        })));
+    });
+    return transactions;
+};
+
+/**
+ * @desc Collects the extra payments this scenario, and every scenario it branches from, makes on a loan
+ * @param {string} series - Series of the loan
+ * @returns {Object[]} Extra payments ({ date, amount })
+ */
+Scenario.prototype.getLoanExtraPayments = function(series) {
+    var inherited = this.parentScenario ? this.parentScenario.getLoanExtraPayments(series) : [];
+    return inherited.concat(this.loanExtraPayments[series] || []);
+};
+
+/**
+ * @desc Shows how this scenario's extra payments change a base loan's payoff
+ * @param {(Transaction|string)} loan - The loan transaction, or its series
+ * @returns {Object} base and scenario schedules (see {@link Transaction#getAmortizationSchedule}), plus interestSaved, paymentsSaved and payoffDays (how many days sooner the loan is paid off)
+ */
+Scenario.prototype.getAmortizationComparison = function(loan) {
+    var base, scenario;
+    if (typeof loan === 'string') {
+        loan = this.baseTransaction.findBySeries(loan);
+    }
+    base = loan.getAmortizationSchedule();
+    scenario = loan.getAmortizationSchedule(this.getLoanExtraPayments(loan.series));
+    return {
+        base: base,
+        scenario: scenario,
+        interestSaved: Money.add(base.totalInterest, -scenario.totalInterest),
+        paymentsSaved: base.rows.length - scenario.rows.length,
+        payoffDays: base.payoffDate && scenario.payoffDate ? CivilDate.diffDays(base.payoffDate, scenario.payoffDate) : 0
+    };
+};
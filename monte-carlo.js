@@ -0,0 +1,295 @@
+'use strict';
+
+//See transaction-collection.js, dependencies are globals in the browser
+var _, Money, CivilDate, Transaction; //jshint ignore:line
+if (typeof module === 'object' && module.exports) {
+    _ = require('lodash');
+    Money = require('./transaction-collection').Money;
+    CivilDate = require('./transaction-collection').CivilDate;
+    Transaction = require('./transaction-collection').Transaction;
+}
+
+/**
+ * @desc Creates a new Random number generator
+ * @class Random
+ * @classdesc A small seeded pseudo-random number generator (mulberry32), so simulations can be repeated exactly
+ * @param {(number|string)} [seed] - Seed for the generator, strings are hashed into one. Defaults to the current time.
+ */
+var Random = function(seed) {
+    /**
+     * Seed the generator started from
+     *
+     * @name Random#seed
+     * @type (number|string)
+     */
+    this.seed = seed === undefined || seed === null ? Date.now() : seed;
+
+    /**
+     * Internal state of the generator
+     *
+     * @name Random#state
+     * @type number
+     */
+    this.state = this.hashSeed(this.seed);
+};
+
+/**
+ * @desc Turns a seed into a 32 bit starting state
+ * @param {(number|string)} seed - The seed
+ * @returns {number} Starting state
+ */
+Random.prototype.hashSeed = function(seed) {
+    var hash = 2166136261, i, str = String(seed);
+    //FNV-1a
+    for (i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * @desc Draws the next number
+ * @returns {number} A number from 0 (inclusive) to 1 (exclusive)
+ */
+Random.prototype.next = function() {
+    var t;
+    this.state = (this.state + 0x6D2B79F5) | 0;
+    t = Math.imul(this.state ^ (this.state >>> 15), 1 | this.state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * @desc Draws a number from a uniform distribution
+ * @param {number} min - Smallest value
+ * @param {number} max - Largest value
+ * @returns {number} A number between min and max
+ */
+Random.prototype.uniform = function(min, max) {
+    return min + (max - min) * this.next();
+};
+
+/**
+ * @desc Draws a number from a normal distribution (Box-Muller)
+ * @param {number} [mean=0] - Mean of the distribution
+ * @param {number} [sd=1] - Standard deviation of the distribution
+ * @returns {number} A normally distributed number
+ */
+Random.prototype.normal = function(mean, sd) {
+    var u = 1 - this.next(), v = this.next();
+    return (mean || 0) + (sd === undefined ? 1 : sd) * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * @desc Creates a new Simulation
+ * @class Simulation
+ * @classdesc Runs a transaction tree (or a scenario) many times with the uncertainty on its transactions (see {@link Transaction#uncertainty}) and summarizes how the balance could turn out
+ * @param {(Transaction|Scenario)} source - Root transaction or scenario to simulate
+ * @param {Object} [options] - Options for the simulation
+ * @param {number} [options.runs=500] - How many times to run the projection
+ * @param {(number|string)} [options.seed] - Seed for the random numbers, so results can be reproduced
+ * @param {string} [options.res='days'] - Resolution of the results, see {@link Transaction#generatePath}
+ * @param {number[]} [options.percentiles=[10, 50, 90]] - Percentiles to report for every date
+ */
+var Simulation = function(source, options) {
+    var opts = _.assign({ runs: 500, seed: null, res: 'days', percentiles: [10, 50, 90] }, options);
+
+    if (!(opts.runs >= 1) || opts.runs % 1 !== 0) {
+        throw new Error('A simulation needs a whole number of runs.');
+    }
+
+    /**
+     * Root transaction or scenario being simulated
+     *
+     * @name Simulation#source
+     * @type (Transaction|Scenario)
+     */
+    this.source = source;
+
+    /**
+     * Number of runs
+     *
+     * @name Simulation#runs
+     * @type number
+     */
+    this.runs = opts.runs;
+
+    /**
+     * Seed for the random numbers
+     *
+     * @name Simulation#seed
+     * @type (number|string)
+     */
+    this.seed = opts.seed === null ? Date.now() : opts.seed;
+
+    /**
+     * Resolution of the results
+     *
+     * @name Simulation#res
+     * @type string
+     */
+    this.res = opts.res;
+
+    /**
+     * Percentiles reported for every date
+     *
+     * @name Simulation#percentiles
+     * @type number[]
+     */
+    this.percentiles = opts.percentiles;
+};
+
+/**
+ * @desc Runs the simulation
+ * @param {Bounds} bounds - Start and end of the simulation, both are required
+ * @returns {Object} runs, seed and points, one per period with d, end, mean, a pNN value for each percentile (e.g. p10, p50, p90) and probabilityBelowZero, the share of runs that went below zero on or before the end of the period
+ */
+Simulation.prototype.run = function(bounds) {
+    var self = this, root = this.source.getBaseTransaction(), rng = new Random(this.seed), gathered, derived, closes = [], belowZero = [], template;
+
+    if (!bounds || !bounds.startDate || !bounds.endDate) {
+        throw new Error('A simulation needs a start and end date.');
+    }
+
+    //The planned occurrences are the same for every run, only what happens to
+    //them changes. Interest and derived transactions follow what the rest
+    //turned out to be, so they're worked out again for every run.
+    gathered = _.reject([].concat(this.source.gatherTransactions(bounds)), function(t) {
+        return t.transactionType === 'interest' || t.transactionType === 'derived';
+    });
+    derived = this.source.getDerivedTransactions();
+
+    _.times(this.runs, function() {
+        var txns = self.perturb(gathered, rng), path, below = false;
+        txns = txns.concat(root.resolveDerivedTransactions(derived, txns, bounds));
+        if (root.interestRates || root.hasAccountInterest()) {
+            txns = txns.concat(root.generateAccountInterest(txns, bounds));
+        }
+        path = root.generateBucketedPath(bounds, txns, self.res);
+        template = template || path;
+        path.forEach(function(point, i) {
+            below = below || point.min < 0;
+            closes[i] = closes[i] || [];
+            closes[i].push(point.close);
+            belowZero[i] = (belowZero[i] || 0) + (below ? 1 : 0);
+        });
+    });
+
+    return {
+        runs: this.runs,
+        seed: this.seed,
+        points: template.map(function(point, i) {
+            var sorted = _.sortBy(closes[i]), result = {
+                d: point.d,
+                end: point.end,
+                mean: Money.round(_.sum(sorted) / sorted.length),
+                probabilityBelowZero: belowZero[i] / self.runs
+            };
+            self.percentiles.forEach(function(p) {
+                result['p' + p] = self.percentile(sorted, p);
+            });
+            return result;
+        })
+    };
+};
+
+/**
+ * @desc Draws one possible outcome of the planned occurrences. Each series is dropped, or has its amounts, growth and dates moved, according to its {@link Transaction#uncertainty}. Both legs of a transfer are one planned occurrence, so they get the same draw and the money stays balanced. Converted occurrences are drawn in the currency the transaction is in and converted again, at the rate for the day they moved to.
+ * @param {Transaction[]} gathered - Planned occurrences, these are left alone
+ * @param {Random} rng - Random number generator
+ * @returns {Transaction[]} Occurrences for this run
+ */
+Simulation.prototype.perturb = function(gathered, rng) {
+    var self = this, acc = [];
+    _.forEach(_.groupBy(gathered, 'series'), function(occurrences) {
+        var u = occurrences[0].uncertainty, factor = 1, planned = [], legs = {};
+        if (!u) {
+            acc = acc.concat(occurrences);
+            return;
+        }
+        if (u.probability !== undefined && u.probability !== null && rng.next() >= u.probability) {
+            return;
+        }
+
+        _.sortBy(occurrences, 'startDate').forEach(function(occurrence) {
+            if (!occurrence.transferId) {
+                planned.push([occurrence]);
+            } else if (legs[occurrence.transferId]) {
+                legs[occurrence.transferId].push(occurrence);
+            } else {
+                legs[occurrence.transferId] = [occurrence];
+                planned.push(legs[occurrence.transferId]);
+            }
+        });
+
+        planned.forEach(function(group, i) {
+            //Amounts are drawn as the transaction has them, the from leg of a
+            //transfer is the same amount going out
+            var first = group[0], growth = first.growth || 0, startDate = first.startDate, rate = first.exchangeRate;
+            var amount = first.originalAmount !== undefined ? first.originalAmount : first.amount;
+            amount = first.leg === 'from' ? -amount : amount;
+
+            //Growth compounds, so every occurrence carries the surprises of
+            //the ones before it
+            if (u.growthVolatility && i > 0) {
+                factor = factor * (1 + rng.normal(growth, u.growthVolatility) / 100) / (1 + growth / 100);
+            }
+            if (u.amount && u.amount.distribution === 'uniform') {
+                amount = rng.uniform(u.amount.min, u.amount.max);
+            } else if (u.amount && u.amount.distribution === 'normal') {
+                amount = rng.normal(amount, u.amount.sd);
+            } else if (u.amount) {
+                throw new Error('Uncertain amounts need a normal or uniform distribution.');
+            }
+            amount = Money.multiply(amount, factor);
+
+            if (u.dateJitter) {
+                startDate = CivilDate.toDate(CivilDate.toMoment(first.startDate).add(Math.round(rng.uniform(-u.dateJitter, u.dateJitter)), 'days'));
+                rate = rate === undefined ? rate : self.getExchangeRate(first, startDate);
+            }
+            group.forEach(function(occurrence) {
+                var drawn = occurrence.leg === 'from' ? Money.multiply(amount, -1) : amount;
+                if (rate === undefined) {
+                    acc.push(_.assign(_.clone(occurrence), { amount: drawn, startDate: startDate }));
+                } else {
+                    acc.push(_.assign(_.clone(occurrence), { amount: Money.multiply(drawn, rate), originalAmount: drawn, exchangeRate: rate, startDate: startDate }));
+                }
+            });
+        });
+    });
+    return acc;
+};
+
+/**
+ * @desc Works out a percentile of sorted values, interpolating between the closest two
+ * @param {number[]} sorted - Values, smallest first
+ * @param {number} p - Percentile, from 0 to 100
+ * @returns {number} The percentile
+ */
+Simulation.prototype.percentile = function(sorted, p) {
+    var rank = (sorted.length - 1) * p / 100, lower = Math.floor(rank), upper = Math.ceil(rank);
+    return Money.round(sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower));
+};
+
+/**
+ * @desc Works out the exchange rate for a converted occurrence that moved to another day. The provider's rates for the two days are compared rather than the new one used as is, so an FX shock on the occurrence (see {@link Scenario#applyModifiers}) carries over.
+ * @param {Object} t - The converted occurrence, see {@link Transaction#convertCurrency}
+ * @param {Date} date - The day it moved to
+ * @returns {number} The exchange rate for that day
+ */
+Simulation.prototype.getExchangeRate = function(t, date) {
+    var provider = Transaction.RATE_PROVIDERS[t.rateProvider];
+    if (!provider) {
+        throw new Error('Unknown exchange rate provider ' + t.rateProvider + '.');
+    }
+    return t.exchangeRate * provider.getRate(t.originalCurrency, t.currency, date) / provider.getRate(t.originalCurrency, t.currency, t.startDate);
+};
+
+////////////////// NODE MODULE //////////////////
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        Random: Random,
+        Simulation: Simulation
+    };
+}
@@ -0,0 +1,449 @@
+'use strict';
+
+//See transaction-collection.js, dependencies are globals in the browser
+var moment, _, Money, CivilDate, Transaction; //jshint ignore:line
+if (typeof module === 'object' && module.exports) {
+    moment = require('moment');
+    _ = require('lodash');
+    Money = require('./transaction-collection').Money;
+    CivilDate = require('./transaction-collection').CivilDate;
+    Transaction = require('./transaction-collection').Transaction;
+}
+
+/**
+ * @desc Creates a new ActualsLedger
+ * @class ActualsLedger
+ * @classdesc What actually happened, matched against the planned occurrences of a transaction tree, for variance reports and re-forecasts
+ * @param {Object[]} [actuals] - Actuals to start with, see {@link ActualsLedger#addActual}
+ */
+var ActualsLedger = function(actuals) {
+    /**
+     * Recorded actuals, each with id, date, amount, description and, once
+     * matched, series, occurrenceDate (the planned date of the occurrence it
+     * was matched to) and matchedBy ('auto' or 'manual'); hintSeries limits
+     * auto matching to one series
+     *
+     * @name ActualsLedger#actuals
+     * @type Object[]
+     */
+    this.actuals = [];
+
+    /**
+     * Id given to the next actual
+     *
+     * @name ActualsLedger#nextId
+     * @type number
+     */
+    this.nextId = 1;
+
+    (actuals || []).forEach(this.addActual, this);
+};
+
+/**
+ * @desc Records an actual transaction. Entries from {@link StatementImporter#parse} can be added as they are.
+ * @param {Object} entry - The actual: date, amount, and optionally description, id, and a series and occurrenceDate if it's already known which planned occurrence it belongs to. A series without an occurrenceDate only narrows down what {@link ActualsLedger#autoMatch} matches it to.
+ * @returns {Object} The recorded actual
+ */
+ActualsLedger.prototype.addActual = function(entry) {
+    var actual;
+    if (!entry || !entry.date || isNaN(new Date(entry.date).getTime())) {
+        throw new Error('Actuals need a date.');
+    }
+    if (typeof entry.amount !== 'number' || isNaN(entry.amount)) {
+        throw new Error('Actuals need an amount.');
+    }
+    actual = {
+        id: entry.id ? entry.id : 'actual-' + this.nextId++,
+        date: CivilDate.parse(entry.date),
+        amount: Money.round(entry.amount),
+        description: entry.description || entry.payee || null,
+        series: entry.series && entry.occurrenceDate ? entry.series : null,
+        occurrenceDate: entry.series && entry.occurrenceDate ? CivilDate.parse(entry.occurrenceDate) : null,
+        matchedBy: entry.series && entry.occurrenceDate ? (entry.matchedBy || 'manual') : null,
+        hintSeries: entry.series && !entry.occurrenceDate ? entry.series : (entry.hintSeries || null)
+    };
+    if (_.find(this.actuals, { id: actual.id })) {
+        throw new Error('There is already an actual with id ' + actual.id + '.');
+    }
+    this.actuals.push(actual);
+    return actual;
+};
+
+/**
+ * @desc Finds an actual by id
+ * @param {string} id - Id of the actual
+ * @returns {Object} The actual
+ */
+ActualsLedger.prototype.getActual = function(id) {
+    var actual = _.find(this.actuals, { id: id });
+    if (!actual) {
+        throw new Error('There is no actual with id ' + id + '.');
+    }
+    return actual;
+};
+
+/**
+ * @desc Removes an actual
+ * @param {string} id - Id of the actual
+ * @returns {Object} The removed actual
+ */
+ActualsLedger.prototype.removeActual = function(id) {
+    var actual = this.getActual(id);
+    this.actuals.splice(this.actuals.indexOf(actual), 1);
+    return actual;
+};
+
+/**
+ * @desc Key for a planned occurrence: its series and the date it was planned for
+ * @param {string} series - Series of the occurrence
+ * @param {Date} date - Planned (original) date of the occurrence
+ * @returns {string} The key
+ */
+ActualsLedger.prototype.occurrenceKey = function(series, date) {
+    return series + '|' + CivilDate.key(date);
+};
+
+/**
+ * @desc Matches an actual to a planned occurrence by hand, replacing any earlier match. Only one actual can be matched to each occurrence.
+ * @param {string} id - Id of the actual
+ * @param {string} series - Series of the planned occurrence
+ * @param {Date} occurrenceDate - Date the occurrence was planned for
+ * @returns {Object} The matched actual
+ */
+ActualsLedger.prototype.match = function(id, series, occurrenceDate) {
+    var self = this, actual = this.getActual(id), key = this.occurrenceKey(series, occurrenceDate);
+    var taken = _.find(this.actuals, function(a) {
+        return a !== actual && a.series && self.occurrenceKey(a.series, a.occurrenceDate) === key;
+    });
+    if (taken) {
+        throw new Error('That occurrence is already matched to actual ' + taken.id + '.');
+    }
+    actual.series = series;
+    actual.occurrenceDate = CivilDate.parse(occurrenceDate);
+    actual.matchedBy = 'manual';
+    return actual;
+};
+
+/**
+ * @desc Undoes an actual's match
+ * @param {string} id - Id of the actual
+ * @returns {Object} The actual
+ */
+ActualsLedger.prototype.unmatch = function(id) {
+    var actual = this.getActual(id);
+    actual.series = null;
+    actual.occurrenceDate = null;
+    actual.matchedBy = null;
+    return actual;
+};
+
+/**
+ * @desc Moves matches and hints from one series to another up to a day. The ledger isn't tied to a tree, so when {@link Scenario#merge} splits the start of a series off under a new one, pass on its 'change' event (field 'series'): ledger.renameSeries(change.oldValue, change.newValue, change.target.endDate).
+ * @param {string} series - The old series
+ * @param {string} renamed - The series to move them to
+ * @param {(Date|string)} [until] - Last day to move, matches by planned date and hints by the actual's date; everything when left out
+ * @returns {Object[]} The actuals that moved
+ */
+ActualsLedger.prototype.renameSeries = function(series, renamed, until) {
+    var last = until ? CivilDate.key(until) : null;
+    return _.filter(this.actuals, function(a) {
+        if (a.series === series && (!last || CivilDate.key(a.occurrenceDate) <= last)) {
+            a.series = renamed;
+            return true;
+        }
+        if (a.hintSeries === series && !a.series && (!last || CivilDate.key(a.date) <= last)) {
+            a.hintSeries = renamed;
+            return true;
+        }
+        return false;
+    });
+};
+
+/**
+ * @desc Matches unmatched actuals to planned occurrences that haven't been matched yet. An occurrence qualifies when it has the same sign, is within the date and amount tolerances, and (if the actual already names a series) belongs to that series; the closest by date, then by amount, wins.
+ * @param {(Transaction|Scenario)} source - Plan to match against
+ * @param {Bounds} bounds - Bounds to gather the plan over
+ * @param {Object} [options] - dateTolerance (days either way, 3 by default), amountTolerance (absolute, 0 by default) and amountTolerancePercent (of the planned amount, 0 by default); the larger of the two amount tolerances applies
+ * @returns {Object[]} The actuals that were matched
+ */
+ActualsLedger.prototype.autoMatch = function(source, bounds, options) {
+    var self = this, opts = _.assign({ dateTolerance: 3, amountTolerance: 0, amountTolerancePercent: 0 }, options);
+    var planned = this.plannedOccurrences(source, bounds), taken = {}, matched = [];
+
+    this.actuals.forEach(function(a) {
+        if (a.series) {
+            taken[self.occurrenceKey(a.series, a.occurrenceDate)] = true;
+        }
+    });
+
+    _.sortBy(_.filter(this.actuals, { series: null }), 'date').forEach(function(actual) {
+        var best = _(planned)
+            .filter(function(t) {
+                var tolerance = Math.max(opts.amountTolerance, Math.abs(t.amount) * opts.amountTolerancePercent / 100);
+                return !taken[t.occurrenceKey] &&
+                    (!actual.hintSeries || actual.hintSeries === t.series) &&
+                    (t.amount < 0) === (actual.amount < 0) &&
+                    Math.abs(CivilDate.diffDays(t.startDate, actual.date)) <= opts.dateTolerance &&
+                    Math.abs(t.amount - actual.amount) <= tolerance + 1e-9;
+            })
+            .sortBy(function(t) {
+                return Math.abs(t.startDate - actual.date) * 1e6 + Math.abs(t.amount - actual.amount);
+            })
+            .first();
+        if (best) {
+            taken[best.occurrenceKey] = true;
+            actual.series = best.series;
+            actual.occurrenceDate = best.plannedDate;
+            actual.matchedBy = 'auto';
+            matched.push(actual);
+        }
+    });
+    return matched;
+};
+
+/**
+ * @desc Gathers the plan, keeping the planned date and match key on every occurrence
+ * @param {(Transaction|Scenario)} source - The plan
+ * @param {Bounds} bounds - Bounds to gather over
+ * @returns {Object[]} Planned occurrences: the gathered transactions, copied, with plannedDate and occurrenceKey added
+ */
+ActualsLedger.prototype.plannedOccurrences = function(source, bounds) {
+    var self = this;
+    return _.reject([].concat(source.gatherTransactions(bounds)), { transactionType: 'interest' }).map(function(t) {
+        var copy = _.clone(t);
+        copy.plannedDate = t.originalDate || t.startDate;
+        copy.occurrenceKey = self.occurrenceKey(t.series, copy.plannedDate);
+        return copy;
+    });
+};
+
+/**
+ * @desc Compares actuals with the plan up to a date, by occurrence, by branch and by period
+ * @param {(Transaction|Scenario)} source - The plan
+ * @param {Bounds} bounds - Start and end of the report, both are required
+ * @param {Object} [options] - asOf (last day with actuals, today by default, capped at the end of the bounds), res (period, months by default) and depth (branch depth, see {@link Transaction#generateBreakdown}, 1 by default)
+ * @returns {Object} occurrences ({ series, description, date, planned, actual, variance, status: 'matched', 'missing' or 'unplanned', actuals }), branches ({ series, description, planned, actual, variance, path }) where each path point has d, end, planned, actual and variance, and totals with the same fields for the whole plan
+ */
+ActualsLedger.prototype.getVariance = function(source, bounds, options) {
+    var self = this, opts = _.assign({ asOf: null, res: 'months', depth: 1 }, options);
+    var root = source.getBaseTransaction(), index = root.indexBySeries();
+    var asOf, start, buckets, planned, byKey, occurrences = [], branches = {}, order = [], totals;
+
+    if (!bounds || !bounds.startDate || !bounds.endDate) {
+        throw new Error('Variance reports need a start and end date.');
+    }
+    start = CivilDate.toMoment(bounds.startDate);
+    asOf = moment.min(CivilDate.toMoment(opts.asOf ? opts.asOf : new Date()), CivilDate.toMoment(bounds.endDate));
+    buckets = asOf.isBefore(start) ? [] : root.getPathBuckets(start, asOf, opts.res);
+
+    var inRange = function(date) {
+        var day = CivilDate.toMoment(date);
+        return !day.isBefore(start) && !day.isAfter(asOf);
+    };
+    var bucketOf = function(date) {
+        var day = CivilDate.toMoment(date);
+        return _.findIndex(buckets, function(bucket) {
+            return !day.isAfter(bucket.end);
+        });
+    };
+    var emptyPath = function() {
+        return buckets.map(function(bucket) {
+            return { d: CivilDate.toDate(bucket.start), end: CivilDate.toDate(bucket.end), planned: 0, actual: 0, variance: 0 };
+        });
+    };
+    var record = function(template, amount, field, date) {
+        var b = bucketOf(date);
+        if (b === -1) {
+            return;
+        }
+        root.attributeOccurrence(_.assign(_.clone(template), { amount: amount }), opts.depth, index).forEach(function(share) {
+            var node = index[share.series];
+            if (!branches[share.series]) {
+                order.push(share.series);
+                branches[share.series] = {
+                    series: share.series,
+                    description: node ? node.description : (template.description || null),
+                    path: emptyPath()
+                };
+            }
+            branches[share.series].path[b][field] = Money.add(branches[share.series].path[b][field], share.amount);
+        });
+        totals[b][field] = Money.add(totals[b][field], amount);
+    };
+
+    totals = emptyPath();
+    planned = this.plannedOccurrences(source, bounds);
+    byKey = _.indexBy(planned, 'occurrenceKey');
+    planned = _.filter(planned, function(t) { return inRange(t.plannedDate); });
+
+    planned.forEach(function(t) {
+        var matched = _.filter(self.actuals, function(a) {
+            return a.series && self.occurrenceKey(a.series, a.occurrenceDate) === t.occurrenceKey;
+        });
+        var actual = Money.sum(matched, 'amount');
+        occurrences.push({
+            series: t.series,
+            description: t.description,
+            date: t.plannedDate,
+            planned: t.amount,
+            actual: actual,
+            variance: Money.add(actual, -t.amount),
+            status: matched.length > 0 ? 'matched' : 'missing',
+            actuals: matched
+        });
+        record(t, t.amount, 'planned', t.plannedDate);
+    });
+
+    this.actuals.forEach(function(a) {
+        var plan = a.series ? byKey[self.occurrenceKey(a.series, a.occurrenceDate)] : null;
+        if (!inRange(a.date)) {
+            return;
+        }
+        if (!plan) {
+            occurrences.push({
+                series: a.series,
+                description: a.description,
+                date: a.date,
+                planned: 0,
+                actual: a.amount,
+                variance: a.amount,
+                status: 'unplanned',
+                actuals: [a]
+            });
+        }
+        //Actuals without a plan to hang off of get a branch of their own
+        record(plan ? plan : { series: 'unplanned', description: 'Unplanned', ancestry: [] }, a.amount, 'actual', a.date);
+    });
+
+    var finish = function(path) {
+        path.forEach(function(point) {
+            point.variance = Money.add(point.actual, -point.planned);
+        });
+        return path;
+    };
+
+    return {
+        asOf: CivilDate.toDate(asOf),
+        occurrences: _.sortBy(occurrences, 'date'),
+        branches: order.map(function(series) {
+            var branch = branches[series];
+            finish(branch.path);
+            branch.planned = Money.sum(branch.path, 'planned');
+            branch.actual = Money.sum(branch.path, 'actual');
+            branch.variance = Money.add(branch.actual, -branch.planned);
+            return branch;
+        }),
+        totals: finish(totals)
+    };
+};
+
+/**
+ * @desc Builds the transactions for a re-forecast: actuals up to a date, and the plan after it. Planned occurrences that were already paid early are left out, and interest after the date is worked out again on the actual balances. Matched actuals post to the account of their occurrence, the rest to the plan's own account.
+ * @param {(Transaction|Scenario)} source - The plan
+ * @param {Bounds} bounds - Bounds to gather the plan over
+ * @param {Date} [asOf] - Last day with actuals, today by default
+ * @returns {Object[]} Transactions for {@link Transaction#generatePath}; actuals have transactionType 'actual'
+ */
+ActualsLedger.prototype.getReforecastTransactions = function(source, bounds, asOf) {
+    var self = this, root = source.getBaseTransaction(), cutoff, paid = {}, planned, byKey, account, txns, interest;
+    cutoff = CivilDate.key(asOf ? asOf : new Date());
+    planned = this.plannedOccurrences(source, bounds);
+    byKey = _.groupBy(planned, 'occurrenceKey');
+
+    //Both legs of a transfer are one occurrence, the actual is on the side
+    //the money went the same way
+    account = function(a) {
+        var legs = a.series ? byKey[self.occurrenceKey(a.series, a.occurrenceDate)] || [] : [];
+        var leg = _.find(legs, function(t) { return (t.amount < 0) === (a.amount < 0); }) || legs[0];
+        return leg && leg.ledgerAccount ? leg.ledgerAccount : root.getAccountName() || Transaction.DEFAULT_ACCOUNT;
+    };
+
+    this.actuals.forEach(function(a) {
+        if (a.series && CivilDate.key(a.date) <= cutoff) {
+            paid[self.occurrenceKey(a.series, a.occurrenceDate)] = true;
+        }
+    });
+
+    txns = _.filter(planned, function(t) {
+        return CivilDate.key(t.startDate) > cutoff && !paid[t.occurrenceKey];
+    }).concat(_.filter(this.actuals, function(a) {
+        return CivilDate.key(a.date) <= cutoff;
+    }).map(function(a) {
+        return {
+            description: a.description,
+            amount: a.amount,
+            startDate: a.date,
+            series: a.series ? a.series : a.id,
+            transactionType: 'actual',
+            ledgerAccount: account(a),
+            actual: a
+        };
+    }));
+
+    if (root.interestRates || root.hasAccountInterest()) {
+        interest = _.filter(root.generateAccountInterest(txns, bounds), function(t) {
+            return CivilDate.key(t.startDate) > cutoff;
+        });
+        txns = txns.concat(interest);
+    }
+    return txns;
+};
+
+/**
+ * @desc Generates the path of a re-forecast, see {@link ActualsLedger#getReforecastTransactions}
+ * @param {(Transaction|Scenario)} source - The plan
+ * @param {Bounds} bounds - Start and end of the path
+ * @param {Date} [asOf] - Last day with actuals, today by default
+ * @param {string} [res] - Resolution of the path, see {@link Transaction#generatePath}
+ * @returns {Object} The path and its key points
+ */
+ActualsLedger.prototype.generateReforecastPath = function(source, bounds, asOf, res) {
+    return source.getBaseTransaction().generatePath(bounds, this.getReforecastTransactions(source, bounds, asOf), res);
+};
+
+/**
+ * @desc Returns the ledger as plain data. Actuals happen on a day rather than at an instant, so date and occurrenceDate are written as YYYY-MM-DD keys that read back as the same day in any time zone.
+ * @returns {Object} actuals and nextId
+ */
+ActualsLedger.prototype.serialize = function() {
+    return {
+        actuals: this.actuals.map(function(actual) {
+            return _.assign(_.clone(actual), {
+                date: CivilDate.key(actual.date),
+                occurrenceDate: actual.occurrenceDate ? CivilDate.key(actual.occurrenceDate) : null
+            });
+        }),
+        nextId: this.nextId
+    };
+};
+
+/**
+ * @desc Same as {@link ActualsLedger#serialize}, so JSON.stringify does the right thing
+ * @returns {Object} The serialized ledger
+ */
+ActualsLedger.prototype.toJSON = function() {
+    return this.serialize();
+};
+
+/**
+ * @desc Rebuilds a ledger written by {@link ActualsLedger#serialize}
+ * @param {(Object|string)} doc - The serialized ledger, or its JSON string
+ * @returns {ActualsLedger} The rebuilt ledger
+ */
+ActualsLedger.deserialize = function(doc) {
+    var ledger;
+    if (typeof doc === 'string') {
+        doc = JSON.parse(doc);
+    }
+    //addActual reads the day keys back with CivilDate.parse
+    ledger = new ActualsLedger(doc.actuals);
+    ledger.nextId = Math.max(ledger.nextId, doc.nextId || 1);
+    return ledger;
+};
+
+////////////////// NODE MODULE //////////////////
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        ActualsLedger: ActualsLedger
+    };
+}
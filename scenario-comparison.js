@@ -0,0 +1,168 @@
+'use strict';
+
+//See transaction-collection.js, dependencies are globals in the browser
+var _, Money, CivilDate; //jshint ignore:line
+if (typeof module === 'object' && module.exports) {
+    _ = require('lodash');
+    Money = require('./transaction-collection').Money;
+    CivilDate = require('./transaction-collection').CivilDate;
+}
+
+/**
+ * @desc Creates a new ScenarioComparison
+ * @class ScenarioComparison
+ * @classdesc Compares scenarios with the base transaction tree they branch from
+ * @param {Transaction} base - Root of the base plan
+ * @param {Scenario[]} [scenarios] - Scenarios to compare with the base, all of the base's scenarios by default
+ */
+var ScenarioComparison = function(base, scenarios) {
+    /**
+     * Root of the base plan
+     *
+     * @name ScenarioComparison#base
+     * @type Transaction
+     */
+    this.base = base;
+
+    /**
+     * Scenarios being compared with the base
+     *
+     * @name ScenarioComparison#scenarios
+     * @type Scenario[]
+     */
+    this.scenarios = scenarios ? scenarios : base.scenarios;
+};
+
+/**
+ * @desc Compares every scenario with the base over the same bounds
+ * @param {Bounds} bounds - Start and end of the comparison, both are required
+ * @param {string} [res='days'] - Resolution of the paths, see {@link Transaction#generatePath}
+ * @returns {Object} bounds, base ({ path, ending, zeroPts }) and scenarios, one per scenario with name, scenario, path, ending, endingDifference, deltas ({ d, end, base, value, delta } for every period), zeroShifts (see {@link ScenarioComparison#matchZeroPoints}) and series (see {@link ScenarioComparison#diffSeries})
+ */
+ScenarioComparison.prototype.compare = function(bounds, res) {
+    var self = this, base, basePath, baseGathered;
+    if (!bounds || !bounds.startDate || !bounds.endDate) {
+        throw new Error('A comparison needs a start and end date.');
+    }
+    res = res || 'days';
+
+    baseGathered = [].concat(this.base.gatherTransactions(bounds));
+    basePath = this.pathFor(baseGathered, bounds, res);
+    base = {
+        path: basePath,
+        ending: this.ending(basePath),
+        zeroPts: this.base.getZeroPoints(basePath, bounds)
+    };
+
+    return {
+        bounds: bounds,
+        base: base,
+        scenarios: this.scenarios.map(function(scenario) {
+            var gathered = scenario.gatherTransactions(bounds), path, ending, byDate;
+            path = self.pathFor(gathered, bounds, res);
+            ending = self.ending(path);
+            byDate = _.indexBy(path, function(point) { return point.d.valueOf(); });
+            return {
+                name: scenario.name,
+                scenario: scenario,
+                path: path,
+                ending: ending,
+                endingDifference: Money.add(ending, -base.ending),
+                deltas: basePath.map(function(point) {
+                    var other = byDate[point.d.valueOf()], value = other ? other.y : point.y;
+                    return { d: point.d, end: point.end, base: point.y, value: value, delta: Money.add(value, -point.y) };
+                }),
+                zeroShifts: self.matchZeroPoints(base.zeroPts, self.base.getZeroPoints(path, bounds)),
+                series: self.diffSeries(scenario, baseGathered, gathered, bounds)
+            };
+        })
+    };
+};
+
+/**
+ * @desc Builds a bucketed path so every path in the comparison has the same dates
+ * @param {Transaction[]} gathered - Gathered transactions
+ * @param {Bounds} bounds - Start and end of the comparison
+ * @param {string} res - Resolution of the path
+ * @returns {Object[]} Path points, see {@link Transaction#generateBucketedPath}
+ */
+ScenarioComparison.prototype.pathFor = function(gathered, bounds, res) {
+    return this.base.generateBucketedPath(bounds, gathered, res);
+};
+
+/**
+ * @desc Balance at the end of a path
+ * @param {Object[]} path - Path points
+ * @returns {number} Closing balance of the last point, 0 for an empty path
+ */
+ScenarioComparison.prototype.ending = function(path) {
+    return path.length > 0 ? path[path.length - 1].y : 0;
+};
+
+/**
+ * @desc Pairs up the zero crossings of two paths, in order, by direction, and works out how far each one moved
+ * @param {Object[]} baseZeroPts - Zero points of the base, see {@link Transaction#getZeroPoints}
+ * @param {Object[]} scenarioZeroPts - Zero points of the scenario
+ * @returns {Object[]} Shifts: { type, base, scenario, days }. Crossings only one side has get null for the other side and for days.
+ */
+ScenarioComparison.prototype.matchZeroPoints = function(baseZeroPts, scenarioZeroPts) {
+    var acc = [];
+    ['positive', 'negative'].forEach(function(type) {
+        var before = _.filter(baseZeroPts, { type: type }), after = _.filter(scenarioZeroPts, { type: type }), i;
+        for (i = 0; i < Math.max(before.length, after.length); i++) {
+            acc.push({
+                type: type,
+                base: before[i] || null,
+                scenario: after[i] || null,
+                days: before[i] && after[i] ? CivilDate.diffDays(after[i].date, before[i].date) : null
+            });
+        }
+    });
+    return _.sortBy(acc, function(shift) {
+        return (shift.base || shift.scenario).date.valueOf();
+    });
+};
+
+/**
+ * @desc Lists the series a scenario adds, overrides (same series UUID as in the base) or drops (the base has occurrences for after the scenario starts, but the scenario doesn't)
+ * @param {Scenario} scenario - The scenario
+ * @param {Transaction[]} baseGathered - Gathered base transactions
+ * @param {Transaction[]} gathered - Gathered scenario transactions, base included
+ * @param {Bounds} bounds - Start and end of the comparison
+ * @returns {Object} added, overridden and dropped, each a list of { series, description }
+ */
+ScenarioComparison.prototype.diffSeries = function(scenario, baseGathered, gathered, bounds) {
+    var own, baseSeries, after, describe;
+    var isPlanned = function(t) {
+        return t.transactionType !== 'interest' && t.transactionType !== 'initial';
+    };
+    describe = function(txns) {
+        return _(txns)
+            .uniq('series')
+            .map(function(t) { return { series: t.series, description: t.description }; })
+            .value();
+    };
+
+    own = _.filter([].concat(scenario.gatherTransactions(bounds, true)), isPlanned);
+    baseSeries = _(baseGathered).filter(isPlanned).pluck('series').uniq().value();
+    after = _(gathered)
+        .filter(function(t) { return t.startDate >= scenario.startDate; })
+        .pluck('series')
+        .uniq()
+        .value();
+
+    return {
+        added: describe(_.reject(own, function(t) { return _.includes(baseSeries, t.series); })),
+        overridden: describe(_.filter(own, function(t) { return _.includes(baseSeries, t.series); })),
+        dropped: describe(_.filter(baseGathered, function(t) {
+            return isPlanned(t) && t.startDate >= scenario.startDate && !_.includes(after, t.series);
+        }))
+    };
+};
+
+////////////////// NODE MODULE //////////////////
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        ScenarioComparison: ScenarioComparison
+    };
+}
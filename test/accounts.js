@@ -0,0 +1,106 @@
+'use strict';
+
+var assert = require('assert');
+var _ = require('lodash');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds, Money = calc.Money, CivilDate = calc.CivilDate, Simulation = calc.Simulation, ActualsLedger = calc.ActualsLedger;
+
+describe('Accounts and transfers', function() {
+    var bounds = new Bounds('2024-01-01', '2024-06-30');
+
+    var buildTree = function() {
+        var root = new Transaction({ description: 'Plan', account: 'checking', accounts: {
+            checking: { description: 'Checking' },
+            savings: { description: 'Savings', interestRates: { apy: 5 } }
+        } });
+        root.addChild({ description: 'Opening', amount: 5000, startDate: '2024-01-01', account: 'savings' });
+        root.addChild({ description: 'Pay', amount: 1000, startDate: '2024-01-01', frequency: 'month' });
+        root.addChild({ description: 'Save', transactionType: 'transfer', amount: 400, startDate: '2024-01-02', frequency: 'month',
+            transfer: { from: 'checking', to: 'savings' } });
+        return root;
+    };
+    var close = function(path) {
+        return _.last(path).close;
+    };
+
+    it('splits transfers into two legs that cancel out', function() {
+        var root = buildTree(), legs = _.filter(root.gatherTransactions(bounds), { description: 'Save' });
+        assert.strictEqual(legs.length, 12);
+        assert.deepEqual(_.pluck(legs.slice(0, 2), 'leg'), ['from', 'to']);
+        assert.deepEqual(_.pluck(legs.slice(0, 2), 'amount'), [-400, 400]);
+        assert.deepEqual(_.pluck(legs.slice(0, 2), 'ledgerAccount'), ['checking', 'savings']);
+        assert.strictEqual(legs[0].transferId, legs[1].transferId);
+        assert.strictEqual(legs[0].counterAccount, 'savings');
+    });
+
+    it('earns interest on the balance of the account that has rates', function() {
+        var root = buildTree(), paths = root.generateAccountPaths(bounds, null, 'months');
+        var interest = _.filter(root.gatherTransactions(bounds), { transactionType: 'interest' });
+        assert.deepEqual(_.uniq(_.pluck(interest, 'ledgerAccount')), ['savings']);
+        assert.strictEqual(CivilDate.key(interest[0].startDate), '2024-01-31');
+        assert.strictEqual(close(paths.accounts.checking.path), 3600);
+        assert.strictEqual(close(paths.accounts.savings.path), 7557.17);
+        assert.strictEqual(close(paths.consolidated.path), 11157.17);
+        assert.strictEqual(paths.accounts.savings.description, 'Savings');
+    });
+
+    it('simulates account interest like the plan has it', function() {
+        var result = new Simulation(buildTree(), { runs: 3, seed: 5, res: 'months' }).run(bounds);
+        assert.strictEqual(_.last(result.points).mean, 11157.17);
+    });
+
+    it('re-forecasts account interest on actuals posted to their accounts', function() {
+        var root = buildTree(), ledger = new ActualsLedger();
+        root.removeChild(2);
+        assert.strictEqual(close(root.generatePath(bounds, null, 'months').path), 11123.13);
+        ledger.addActual({ date: '2024-01-01', amount: 5000, series: root.children[0].series, occurrenceDate: '2024-01-01' });
+        ledger.addActual({ date: '2024-01-01', amount: 1000, series: root.children[1].series, occurrenceDate: '2024-01-01' });
+        assert.strictEqual(close(ledger.generateReforecastPath(root, bounds, '2024-01-15', 'months').path), 11123.13);
+    });
+
+    it('posts an actual matched to a transfer to the leg it went the same way as', function() {
+        var root = buildTree(), ledger = new ActualsLedger(), actual;
+        ledger.addActual({ date: '2024-01-02', amount: -400, series: root.children[2].series, occurrenceDate: '2024-01-02' });
+        actual = _.find(ledger.getReforecastTransactions(root, bounds, '2024-01-15'), { transactionType: 'actual' });
+        assert.strictEqual(actual.ledgerAccount, 'checking');
+    });
+
+    it('posts occurrences to the nearest account up the tree', function() {
+        var root = new Transaction({ description: 'Plan' }), cash, paths;
+        root.addChild({ description: 'Pay', amount: 1000, startDate: '2024-01-01' });
+        cash = root.addChild({ description: 'Wallet', account: 'cash' });
+        cash.addChild({ description: 'Coffee', amount: -4, startDate: '2024-01-02', frequency: 'day', endDate: '2024-01-11' });
+        assert.strictEqual(cash.children[0].getAccountName(), 'cash');
+        assert.strictEqual(root.children[0].getAccountName(), null);
+        paths = root.generateAccountPaths(bounds, null, 'months');
+        assert.deepEqual(_.keys(paths.accounts).sort(), ['cash', Transaction.DEFAULT_ACCOUNT]);
+        assert.strictEqual(close(paths.accounts.cash.path), -40);
+        assert.strictEqual(close(paths.accounts[Transaction.DEFAULT_ACCOUNT].path), 1000);
+        assert.strictEqual(paths.accounts.cash.description, 'cash');
+    });
+
+    it('gives a scenario account paths of its own', function() {
+        var root = buildTree(), scenario = root.addScenario('2024-04-01', 'Save more'), paths;
+        scenario.cloneTransactionToScenario(root.children[2]).set('amount', 800);
+        paths = scenario.generateAccountPaths(bounds, 'months');
+        assert.strictEqual(close(paths.accounts.checking.path), 2400);
+        assert.ok(close(paths.consolidated.path) > 11157.17);
+        assert.strictEqual(close(paths.consolidated.path), Money.add(close(paths.accounts.checking.path), close(paths.accounts.savings.path)));
+    });
+
+    it('keeps accounts and transfers when a tree is serialized', function() {
+        var copy = Transaction.deserialize(JSON.stringify(buildTree()));
+        assert.strictEqual(copy.account, 'checking');
+        assert.deepEqual(copy.accounts.savings, { description: 'Savings', interestRates: { apy: 5 } });
+        assert.deepEqual(copy.children[2].transfer, { from: 'checking', to: 'savings' });
+        assert.strictEqual(close(copy.generateAccountPaths(bounds, null, 'months').accounts.savings.path), 7557.17);
+    });
+
+    it('won\'t move money between an account and itself', function() {
+        var root = new Transaction({ description: 'Plan' });
+        root.strict = true;
+        assert.throws(function() {
+            root.addChild({ transactionType: 'transfer', amount: 100, startDate: '2024-01-01', transfer: { from: 'savings', to: 'savings' } });
+        }, /two different accounts/);
+    });
+});
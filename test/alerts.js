@@ -0,0 +1,93 @@
+'use strict';
+
+var assert = require('assert');
+var moment = require('moment');
+var _ = require('lodash');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds, AlertMonitor = calc.AlertMonitor, AlertRule = calc.AlertRule;
+
+describe('Alerts', function() {
+    var toDate = function(d) {
+        return moment(d).toDate();
+    };
+    var day = function(d) {
+        return d ? moment(d).format('YYYY-MM-DD') : null;
+    };
+    var bounds = new Bounds(toDate('2024-01-01'), toDate('2024-06-30'));
+
+    var buildTree = function() {
+        var root = new Transaction({ description: 'Plan' }), fun;
+        root.addChild({ description: 'Savings', amount: 1000, startDate: toDate('2024-01-01') });
+        root.addChild({ description: 'Pay', amount: 2000, startDate: toDate('2024-01-15'), frequency: 'month' });
+        root.addChild({ description: 'Rent', amount: -2200, startDate: toDate('2024-01-01'), frequency: 'month' });
+        fun = root.addChild({ description: 'Fun' });
+        fun.addChild({ description: 'Concert', amount: -400, startDate: toDate('2024-03-10') });
+        return root;
+    };
+
+    it('raises an alert for each stretch below a cushion', function() {
+        var result = new AlertMonitor(buildTree(), [{ name: 'Cushion', kind: 'cushion', threshold: 0 }]).evaluate(bounds);
+        assert.deepEqual(result.alerts.map(function(a) { return day(a.date) + ' ' + day(a.endDate) + ' ' + a.worst; }),
+            ['2024-01-01 2024-01-16 -1200', '2024-02-01 2024-02-16 -1400', '2024-03-01 2024-03-16 -2000', '2024-04-01 null -2600']);
+        assert.strictEqual(day(result.alerts[2].worstDate), '2024-03-10');
+        assert.strictEqual(result.alerts[2].shortfall, 2000);
+        assert.strictEqual(result.alerts[0].name, 'Cushion');
+        assert.strictEqual(result.alerts[0].severity, 'warning');
+    });
+
+    it('works out the runway from the day it is asked', function() {
+        var runway = new AlertMonitor(buildTree(), [{ threshold: -1500 }]).evaluate(bounds, { asOf: toDate('2024-02-20') }).runway;
+        assert.strictEqual(day(runway.asOf), '2024-02-20');
+        assert.strictEqual(day(runway.firstBreach.date), '2024-03-01');
+        assert.strictEqual(runway.daysUntilBreach, 10);
+        assert.strictEqual(runway.lowestBalance, -2600);
+        assert.strictEqual(day(runway.lowestBalanceDate), '2024-06-01');
+    });
+
+    it('looks only as far ahead as its window', function() {
+        var monitor = new AlertMonitor(buildTree(), [{ threshold: 0, window: 20 }]), result;
+        result = monitor.evaluate(bounds, { asOf: toDate('2024-02-16') });
+        assert.strictEqual(result.alerts.length, 1);
+        assert.strictEqual(day(result.alerts[0].date), '2024-03-01');
+        assert.strictEqual(result.alerts[0].daysUntil, 14);
+        monitor.rules[0].window = 10;
+        assert.strictEqual(monitor.evaluate(bounds, { asOf: toDate('2024-01-17') }).alerts.length, 0);
+    });
+
+    it('watches a branch spending over budget per period', function() {
+        var root = buildTree(), result;
+        result = new AlertMonitor(root, [{ kind: 'budget', measure: 'spending', direction: 'above', threshold: 300, scope: root.children[3] }]).evaluate(bounds);
+        assert.strictEqual(result.alerts.length, 1);
+        assert.strictEqual(day(result.alerts[0].date), '2024-03-01');
+        assert.strictEqual(day(result.alerts[0].endDate), '2024-04-01');
+        assert.strictEqual(result.alerts[0].worst, 400);
+        assert.strictEqual(result.alerts[0].shortfall, 100);
+    });
+
+    it('flags months that lose money on the net measure', function() {
+        var result = new AlertMonitor(buildTree(), [{ measure: 'net', threshold: 0, severity: 'critical' }]).evaluate(bounds);
+        assert.deepEqual(result.alerts.map(function(a) { return day(a.date) + ' ' + day(a.endDate) + ' ' + a.worst; }),
+            ['2024-02-01 null -600']);
+        assert.strictEqual(result.alerts[0].severity, 'critical');
+    });
+
+    it('watches the base of a scenario', function() {
+        var root = buildTree(), scenario = root.addScenario(toDate('2024-04-01'), 'Raise'), result;
+        scenario.cloneTransactionToScenario(root.children[1]).set('amount', 3000);
+        result = new AlertMonitor(scenario, [{ threshold: 0 }]).evaluate(bounds);
+        //The raise lands on the same day as the rent, so April never dips
+        assert.strictEqual(result.alerts.length, 3);
+        assert.strictEqual(day(_.last(result.alerts).endDate), '2024-03-16');
+        assert.strictEqual(result.runway.lowestBalance, -2000);
+    });
+
+    it('rejects rules it cannot check', function() {
+        assert.throws(function() { new AlertRule({}); }, /need a threshold/);
+        assert.throws(function() { new AlertRule({ threshold: 0, direction: 'sideways' }); }, /direction must be/);
+        assert.throws(function() { new AlertRule({ threshold: 0, measure: 'mood' }); }, /measure must be/);
+        assert.throws(function() { new AlertRule({ threshold: 0, window: -1 }); }, /number of days/);
+        assert.throws(function() { new AlertMonitor(buildTree(), [{ threshold: 0, scope: 'nope' }]).evaluate(bounds); }, /not part of the tree/);
+        assert.throws(function() { new AlertMonitor(buildTree()).evaluate(new Bounds(toDate('2024-01-01'), null)); }, /start and end date/);
+        assert.ok(_.isEmpty(new AlertMonitor(buildTree()).evaluate(bounds).alerts));
+    });
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+var assert = require('assert');
+var moment = require('moment');
+var _ = require('lodash');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds;
+
+describe('Breakdowns', function() {
+    var bounds = new Bounds(moment('2024-01-01').toDate(), moment('2024-03-31').toDate());
+
+    var buildTree = function() {
+        var root = new Transaction({ description: 'Plan' }), bills, food;
+        root.addChild({ description: 'Pay', amount: 3000, startDate: moment('2024-01-01').toDate(), frequency: 'month' });
+        bills = root.addChild({ description: 'Bills' });
+        bills.addChild({ description: 'Rent', amount: -1200, startDate: moment('2024-01-01').toDate(), frequency: 'month' });
+        bills.addChild({ description: 'Power', amount: -100, startDate: moment('2024-01-15').toDate(), frequency: 'month' });
+        //A dated branch is a budget that's split between its children
+        food = root.addChild({ description: 'Food', startDate: moment('2024-01-01').toDate(), frequency: 'month' });
+        food.addChild({ description: 'Groceries', amount: -200 });
+        food.addChild({ description: 'Eating out', amount: -100 });
+        return root;
+    };
+
+    var byName = function(breakdown) {
+        return _.indexBy(breakdown.branches, 'description');
+    };
+
+    it('gives each top level branch its own series', function() {
+        var breakdown = buildTree().generateBreakdown(bounds), branches = byName(breakdown);
+        assert.deepEqual(_.keys(branches).sort(), ['Bills', 'Food', 'Pay']);
+        assert.deepEqual(branches.Bills.total, { inflow: 0, outflow: -3900, net: -3900 });
+        assert.strictEqual(branches.Bills.path.length, 3);
+        assert.strictEqual(branches.Bills.path[2].cumulative, -3900);
+        assert.strictEqual(breakdown.totals[0].net, 1400);
+        assert.strictEqual(branches.Pay.path[0].shareOfInflows, 1);
+        assert.strictEqual(branches.Bills.path[0].shareOfOutflows, 0.8125);
+    });
+
+    it('splits dated branches between their children further down', function() {
+        var branches = byName(buildTree().generateBreakdown(bounds, { depth: 2, res: 'quarters' }));
+        assert.deepEqual(_.keys(branches).sort(), ['Eating out', 'Groceries', 'Pay', 'Power', 'Rent']);
+        assert.strictEqual(branches.Groceries.total.net, -600);
+        assert.strictEqual(branches['Eating out'].total.net, -300);
+        assert.strictEqual(branches.Rent.path.length, 1);
+    });
+
+    it('leaves out occurrences outside the bounds and rejects bad depths', function() {
+        var root = buildTree(), breakdown = root.generateBreakdown(new Bounds(moment('2024-02-01').toDate(), moment('2024-02-29').toDate()));
+        assert.strictEqual(byName(breakdown).Pay.total.inflow, 3000);
+        assert.throws(function() { root.generateBreakdown(bounds, { depth: 0 }); }, /depth must be/);
+    });
+
+    it('tags gathered occurrences with the branches they came from', function() {
+        var root = buildTree(), bills = root.children[1], gathered = root.gatherTransactions(bounds);
+        var power = _.find(gathered, { description: 'Power' }), food = _.find(gathered, { description: 'Food' });
+        assert.deepEqual(power.ancestry, [bills.series, bills.children[1].series]);
+        assert.deepEqual(food.ancestry, [root.children[2].series]);
+        assert.strictEqual(_.find(gathered, { description: 'Groceries' }), undefined);
+        assert.deepEqual(bills.children[1].getAncestry(), power.ancestry);
+    });
+
+    it('has no branches for an empty tree', function() {
+        var breakdown = new Transaction({ description: 'Plan' }).generateBreakdown(bounds);
+        assert.deepEqual(breakdown.branches, []);
+    });
+});
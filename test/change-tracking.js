@@ -0,0 +1,93 @@
+'use strict';
+
+var assert = require('assert');
+var moment = require('moment');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds;
+
+describe('Change tracking', function() {
+    var bounds = new Bounds(moment('2024-01-01').toDate(), moment('2024-12-31').toDate());
+
+    var buildTree = function() {
+        var root = new Transaction({ description: 'Plan' }), bills;
+        root.addChild({ description: 'Pay', amount: 1000, startDate: moment('2024-01-01').toDate(), frequency: 'month' });
+        bills = root.addChild({ description: 'Bills' });
+        bills.addChild({ description: 'Rent', amount: -600, startDate: moment('2024-01-03').toDate(), frequency: 'month' });
+        return root;
+    };
+
+    it('bubbles change events up to the root', function() {
+        var root = buildTree(), changes = [], before, listener = function(change) { changes.push(change); };
+        root.on('change', listener);
+        root.children[1].children[0].set('description', 'Mortgage');
+        root.children[1].addChild({ description: 'Power', amount: -80, startDate: moment('2024-01-10').toDate(), frequency: 'month' });
+        root.children[0].commitSuicide();
+        assert.deepEqual(changes.map(function(c) { return c.type + ':' + (c.field || ''); }).slice(0, 2), ['update:description', 'add:']);
+        assert.strictEqual(changes[0].oldValue, 'Rent');
+        assert.strictEqual(changes[0].target.description, 'Mortgage');
+        assert.ok(changes.some(function(c) { return c.type === 'remove' && c.target === root; }));
+
+        root.off('change', listener);
+        before = changes.length;
+        root.children[0].set('description', 'Utilities');
+        assert.strictEqual(changes.length, before);
+    });
+
+    it('marks the changed transaction and its ancestors dirty', function() {
+        var root = buildTree(), rent = root.children[1].children[0];
+        root.gatherTransactions(bounds);
+        assert.strictEqual(rent.dirty, false);
+        assert.strictEqual(root.children[0].dirty, false);
+        rent.set('amount', -650);
+        assert.strictEqual(rent.dirty, true);
+        assert.strictEqual(root.children[1].dirty, true);
+        assert.strictEqual(root.dirty, true);
+        assert.strictEqual(root.children[0].dirty, false);
+    });
+
+    it('rebuilds a series when it changes and keeps it when nothing did', function() {
+        var root = buildTree(), rent = root.children[1].children[0], before;
+        root.gatherTransactions(bounds);
+        before = rent.transactionSeries.txns;
+        root.gatherTransactions(bounds);
+        assert.strictEqual(rent.transactionSeries.txns, before);
+
+        rent.set('endDate', moment('2024-06-30').toDate());
+        assert.strictEqual(root.gatherTransactions(bounds).length, 18);
+        assert.notStrictEqual(rent.transactionSeries.txns, before);
+        rent.set('endDate', null);
+        assert.strictEqual(root.gatherTransactions(bounds).length, 24);
+    });
+
+    it('marks the tree dirty without firing events on a silent set', function() {
+        var root = buildTree(), rent = root.children[1].children[0], changes = 0;
+        root.gatherTransactions(bounds);
+        root.on('change', function() { changes++; });
+        rent.set('amount', -900, { silent: true });
+        rent.set('endDate', moment('2024-03-31').toDate(), { silent: true });
+        assert.strictEqual(changes, 0);
+        assert.strictEqual(root.dirty, true);
+        assert.strictEqual(root.children[1].amount, -900);
+        assert.strictEqual(root.gatherTransactions(bounds).length, 15);
+    });
+
+    it('keeps branch amounts in step with their children', function() {
+        var root = buildTree();
+        root.children[1].children[0].set('amount', -700);
+        assert.strictEqual(root.children[1].amount, -700);
+        assert.strictEqual(root.getAmount(), 300);
+        assert.throws(function() { root.set('children', []); }, /Cannot set children/);
+    });
+
+    it('keeps depths right when a whole branch is moved in', function() {
+        var root = buildTree(), other = new Transaction({ description: 'Savings' }), changes = [];
+        other.addChild({ description: 'Transfer', amount: -100, startDate: moment('2024-01-15').toDate(), frequency: 'month' });
+        root.on('change', function(change) { changes.push(change.type); });
+        root.children[1].addChild(other);
+        assert.strictEqual(other.depth, 1);
+        assert.strictEqual(other.children[0].depth, 2);
+        assert.strictEqual(other.parentTransaction, root.children[1]);
+        assert.strictEqual(changes[0], 'add');
+        assert.strictEqual(root.gatherTransactions(bounds).length, 36);
+    });
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+var assert = require('assert');
+var _ = require('lodash');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds, CivilDate = calc.CivilDate, ActualsLedger = calc.ActualsLedger;
+
+describe('Civil dates', function() {
+    var days = function(occurrences) {
+        return occurrences.map(function(t) { return CivilDate.key(t.startDate); });
+    };
+
+    afterEach(function() {
+        CivilDate.configure({ timeZone: null, rekey: [] });
+    });
+
+    it('reads day strings as local midnight rather than UTC', function() {
+        var txn = new Transaction({ description: 'Pay', amount: 1000, startDate: '2024-07-01', frequency: 'month' });
+        assert.strictEqual(txn.startDate.getFullYear(), 2024);
+        assert.strictEqual(txn.startDate.getMonth(), 6);
+        assert.strictEqual(txn.startDate.getDate(), 1);
+        assert.strictEqual(txn.startDate.getHours(), 0);
+        assert.strictEqual(CivilDate.key(txn.startDate), '2024-07-01');
+        assert.strictEqual(CivilDate.parse(''), null);
+        assert.strictEqual(CivilDate.parse(null), null);
+        assert.strictEqual(CivilDate.key('not a day'), null);
+        assert.ok(isNaN(CivilDate.toDate('not a day').getTime()));
+    });
+
+    it('counts days across daylight saving changes in a time zone', function() {
+        CivilDate.configure({ timeZone: 'America/New_York', rekey: [] });
+        assert.strictEqual(CivilDate.toDate('2024-03-10').toISOString(), '2024-03-10T05:00:00.000Z');
+        assert.strictEqual(CivilDate.toDate('2024-03-11').toISOString(), '2024-03-11T04:00:00.000Z');
+        assert.strictEqual(CivilDate.key(new Date('2024-03-11T03:30:00Z')), '2024-03-10');
+        assert.strictEqual(CivilDate.diffDays('2024-03-11', new Date('2024-03-10T05:00:00Z')), 1);
+        assert.throws(function() { CivilDate.configure({ timeZone: 'Mars/Olympus_Mons', rekey: [] }); }, /Unknown time zone/);
+        assert.strictEqual(CivilDate.timeZone, 'America/New_York');
+    });
+
+    it('only changes the time zone once dates exist if it is told which to move', function() {
+        var root = new Transaction({ description: 'Plan' }), scenario, bounds;
+        CivilDate.configure({ timeZone: 'Asia/Tokyo', rekey: [] });
+        root.addChild({ description: 'Rent', amount: -1500, startDate: '2024-01-15', frequency: 'month', endDate: '2024-04-30' });
+        root.children[0].overrideOccurrence('2024-02-15', { date: '2024-02-16' });
+        scenario = root.addScenario('2024-03-01', 'Move');
+        scenario.addModifier({ series: root.children[0].series, type: 'pause', from: '2024-03-10', to: '2024-04-10' });
+        bounds = new Bounds('2024-01-01', '2024-06-30');
+        assert.deepEqual(days(root.gatherTransactions(bounds)), ['2024-01-15', '2024-02-16', '2024-03-15', '2024-04-15']);
+
+        assert.throws(function() { CivilDate.configure({ timeZone: 'America/Los_Angeles' }); }, /rekey/);
+        assert.strictEqual(CivilDate.timeZone, 'Asia/Tokyo');
+
+        CivilDate.configure({ timeZone: 'America/Los_Angeles', rekey: [root] });
+        assert.deepEqual(_.uniq(root.getDates().map(CivilDate.key)).sort(),
+            ['2024-01-15', '2024-02-16', '2024-03-01', '2024-03-10', '2024-04-10', '2024-04-30']);
+        bounds = new Bounds('2024-01-01', '2024-06-30');
+        assert.deepEqual(days(root.gatherTransactions(bounds)), ['2024-01-15', '2024-02-16', '2024-03-15', '2024-04-15']);
+        assert.deepEqual(days(scenario.gatherTransactions(bounds)), ['2024-01-15', '2024-02-16', '2024-04-15']);
+    });
+
+    it('serializes days rather than instants', function() {
+        var root = new Transaction({ description: 'Plan' }), doc, copy;
+        CivilDate.configure({ timeZone: 'Asia/Tokyo', rekey: [] });
+        root.addChild({ description: 'Loan', transactionType: 'loan', loan: { principal: 1000, apr: 0, term: 4 }, startDate: '2024-01-01', frequency: 'month' });
+        root.children[0].overrideOccurrence('2024-02-01', { date: '2024-02-02' });
+        root.addScenario('2024-02-01', 'Pay early').addLoanExtraPayment(root.children[0], '2024-02-15', 100);
+        root.scenarios[0].addModifier({ series: root.children[0].series, type: 'stop', date: '2024-04-01' });
+        doc = JSON.parse(JSON.stringify(root));
+
+        assert.strictEqual(doc.version, 2);
+        assert.strictEqual(doc.root.children[0].startDate, '2024-01-01');
+        assert.strictEqual(doc.root.children[0].exceptions['2024-02-01'].date, '2024-02-02');
+        assert.strictEqual(doc.root.scenarios[0].startDate, '2024-02-01');
+        assert.strictEqual(_.values(doc.root.scenarios[0].loanExtraPayments)[0][0].date, '2024-02-15');
+        assert.strictEqual(doc.root.scenarios[0].modifiers[0].date, '2024-04-01');
+
+        CivilDate.configure({ timeZone: 'America/Los_Angeles', rekey: [] });
+        copy = Transaction.deserialize(doc);
+        assert.strictEqual(CivilDate.key(copy.children[0].startDate), '2024-01-01');
+        assert.strictEqual(CivilDate.key(copy.scenarios[0].modifiers[0].date), '2024-04-01');
+    });
+
+    it('ends a loan on its end day in any time zone', function() {
+        var root = new Transaction({ description: 'Plan' }), loan;
+        CivilDate.configure({ timeZone: 'Pacific/Auckland', rekey: [] });
+        loan = root.addChild({ description: 'Car', transactionType: 'loan', loan: { principal: 1200, apr: 0, term: 12 }, startDate: '2024-01-05', frequency: 'month', endDate: '2024-04-05' });
+        assert.deepEqual(days(root.gatherTransactions(new Bounds('2024-01-01', '2024-12-31'))), ['2024-01-05', '2024-02-05', '2024-03-05', '2024-04-05']);
+        assert.strictEqual(loan.getLoanBalance('2024-02-05'), 1000);
+    });
+
+    it('writes ledger actuals as days that read back in another time zone', function() {
+        var ledger, doc, copy;
+        CivilDate.configure({ timeZone: 'Asia/Kolkata', rekey: [] });
+        ledger = new ActualsLedger([{ date: '2024-03-31', amount: -42, series: 'rent', occurrenceDate: '2024-04-01' }]);
+        doc = JSON.parse(JSON.stringify(ledger));
+        assert.strictEqual(doc.actuals[0].date, '2024-03-31');
+        assert.strictEqual(doc.actuals[0].occurrenceDate, '2024-04-01');
+
+        CivilDate.configure({ timeZone: 'America/Anchorage', rekey: [] });
+        copy = ActualsLedger.deserialize(doc);
+        assert.strictEqual(CivilDate.key(copy.actuals[0].date), '2024-03-31');
+        assert.strictEqual(CivilDate.key(copy.actuals[0].occurrenceDate), '2024-04-01');
+        assert.strictEqual(copy.actuals[0].matchedBy, 'manual');
+    });
+
+    it('still reads version 1 documents, whose dates are instants', function() {
+        var copy;
+        CivilDate.configure({ timeZone: 'America/Chicago', rekey: [] });
+        copy = Transaction.deserialize({
+            format: 'mimirate-calc',
+            version: 1,
+            root: { description: 'Plan', children: [
+                { description: 'Pay', amount: 1000, startDate: '2015-01-01T06:00:00.000Z', frequency: 'month', children: [], scenarios: [] }
+            ], scenarios: [] }
+        });
+        assert.strictEqual(CivilDate.key(copy.children[0].startDate), '2015-01-01');
+        assert.strictEqual(copy.serializeTree().root.children[0].startDate, '2015-01-01');
+    });
+});
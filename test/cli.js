@@ -0,0 +1,146 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var calc = require('..');
+var cli = require('../bin/mimirate-calc');
+
+describe('mimirate-calc command line', function() {
+    var dir = path.join(os.tmpdir(), 'mimirate-calc-test-' + process.pid), plans = {};
+
+    var sink = function() {
+        var out = { text: '' };
+        out.write = function(chunk) { out.text += chunk; };
+        return out;
+    };
+
+    var run = function(argv) {
+        var stdout = sink(), stderr = sink();
+        return { code: cli.run(argv, stdout, stderr), stdout: stdout.text, stderr: stderr.text };
+    };
+
+    //Writes a plan file for a test, JSON unless it's given as a string
+    var plan = function(name, contents) {
+        plans[name] = path.join(dir, name + '.json');
+        fs.writeFileSync(plans[name], typeof contents === 'string' ? contents : JSON.stringify(contents));
+        return plans[name];
+    };
+
+    before(function() {
+        fs.mkdirSync(dir);
+        plan('budget', {
+            bounds: { startDate: '2024-01-01', endDate: '2024-03-31' },
+            transactions: [
+                { description: 'Pay', amount: 1000, startDate: '2024-01-01', frequency: 'month' },
+                { description: 'Rent', amount: -600, startDate: '2024-01-03', frequency: 'month' }
+            ]
+        });
+    });
+
+    after(function() {
+        Object.keys(plans).forEach(function(name) {
+            fs.unlinkSync(plans[name]);
+        });
+        fs.rmdirSync(dir);
+    });
+
+    it('parses its options', function() {
+        var options = cli.parseArgs(['plan.json', '--format', 'csv', '--date', '2024-02-01', '--resolution', 'months', '--no-scenarios']);
+        assert.strictEqual(options.file, 'plan.json');
+        assert.strictEqual(options.resolution, 'months');
+        assert.strictEqual(options.format, 'csv');
+        assert.strictEqual(options.date, '2024-02-01');
+        assert.strictEqual(options.scenarios, false);
+        assert.throws(function() { cli.parseArgs(['--format', 'xml']); }, /--format must be/);
+        assert.throws(function() { cli.parseArgs(['--bogus']); }, /Unknown option/);
+        assert.throws(function() { cli.parseArgs(['--end']); }, /--end needs a value/);
+        assert.throws(function() { cli.parseArgs(['a.json', 'b.json']); }, /Only one plan file/);
+    });
+
+    it('prints the projection as CSV', function() {
+        var result = run([plans.budget, '--format', 'csv']), lines = result.stdout.trim().split('\n');
+        assert.strictEqual(result.code, 0);
+        assert.strictEqual(lines[0], 'path,kind,date,balance');
+        assert.deepEqual(lines.slice(1, 5), ['base,point,2024-01-01,0', 'base,point,2024-01-01,1000', 'base,point,2024-01-03,400', 'base,point,2024-02-01,1400']);
+    });
+
+    it('buckets the paths by the resolution it is given', function() {
+        var result = run([plans.budget, '--format', 'csv', '--resolution', 'months']), lines = result.stdout.trim().split('\n');
+        assert.strictEqual(result.code, 0);
+        assert.deepEqual(lines.slice(1), ['base,point,2024-01-01,400', 'base,point,2024-02-01,800', 'base,point,2024-03-01,1200']);
+        assert.ok(/Path resolution must be/.test(run([plans.budget, '--resolution', 'hours']).stderr));
+    });
+
+    it('prints JSON and the value on a date', function() {
+        var result = run([plans.budget, '--format', 'json', '--date', '2024-02-15']);
+        assert.strictEqual(result.code, 0);
+        assert.strictEqual(JSON.parse(result.stdout).valueOnDate.value, 800);
+    });
+
+    it('lines the table up', function() {
+        var lines = run([plans.budget, '--end', '2024-01-31']).stdout.trim().split('\n');
+        assert.ok(/^path\s+kind\s+date\s+balance$/.test(lines[0]));
+        assert.ok(/^-+  -+  -+  -+$/.test(lines[1]));
+        assert.strictEqual(lines[2].length, lines[0].length);
+    });
+
+    it('counts days in the time zone it is given', function() {
+        var result;
+        try {
+            result = run([plans.budget, '--format', 'csv', '--time-zone', 'Pacific/Kiritimati']);
+            assert.strictEqual(result.code, 0);
+            assert.strictEqual(calc.CivilDate.timeZone, 'Pacific/Kiritimati');
+            assert.deepEqual(result.stdout.trim().split('\n').slice(1, 4), ['base,point,2024-01-01,0', 'base,point,2024-01-01,1000', 'base,point,2024-01-03,400']);
+            assert.ok(/Unknown time zone Nowhere\/Special/.test(run([plans.budget, '--time-zone', 'Nowhere/Special']).stderr));
+        } finally {
+            calc.CivilDate.configure({ timeZone: null, rekey: [] });
+        }
+    });
+
+    it('reports an empty plan as an empty projection', function() {
+        var empty = plan('empty', { bounds: { startDate: '2024-01-01', endDate: '2024-03-31' }, transactions: [] }), result;
+        assert.deepEqual(cli.loadPlan({ transactions: [] }).gatherTransactions(new calc.Bounds(new Date(2024, 0, 1), new Date(2024, 2, 31))), []);
+
+        result = run([empty, '--format', 'csv', '--date', '2024-02-01']);
+        assert.strictEqual(result.code, 0);
+        assert.deepEqual(result.stdout.trim().split('\n'), ['path,kind,date,balance', 'base,value,2024-02-01,0']);
+        assert.strictEqual(run([empty]).code, 0);
+        assert.strictEqual(run([empty, '--resolution', 'months']).code, 0);
+        assert.deepEqual(JSON.parse(run([empty, '--format', 'json']).stdout).path, []);
+    });
+
+    it('refuses plans it cannot read', function() {
+        var result = run([plan('shapeless', { bounds: {}, payments: [] }), '--start', '2024-01-01', '--end', '2024-02-01']);
+        assert.strictEqual(result.code, 1);
+        assert.ok(/needs a "transactions" array/.test(result.stderr));
+
+        result = run([plan('broken', '{ "transactions": [')]);
+        assert.strictEqual(result.code, 1);
+        assert.ok(/^mimirate-calc: /.test(result.stderr));
+
+        result = run([plan('future', { format: 'mimirate-calc', version: calc.Transaction.SERIALIZATION_VERSION + 1, root: {} })]);
+        assert.ok(/Unsupported document version/.test(result.stderr));
+
+        result = run([plan('unbounded', { transactions: [] })]);
+        assert.ok(/needs a start and end date/.test(result.stderr));
+    });
+
+    it('reads serialized trees', function() {
+        var root = cli.loadPlan(JSON.parse(fs.readFileSync(plans.budget, 'utf8'))), tree = plan('tree', root.serializeTree()), result;
+        result = run([tree, '--start', '2024-01-01', '--end', '2024-03-31', '--format', 'json']);
+        assert.strictEqual(result.code, 0);
+        assert.deepEqual(JSON.parse(result.stdout).path, JSON.parse(run([plans.budget, '--format', 'json']).stdout).path);
+    });
+
+    it('reports errors on stderr with a non-zero exit code', function() {
+        var result = run([plans.budget, '--start', 'yesterday']);
+        assert.strictEqual(result.code, 1);
+        assert.strictEqual(result.stdout, '');
+        assert.ok(/^mimirate-calc: Start date is not a valid date/.test(result.stderr));
+        assert.ok(/no such file/.test(run([path.join(dir, 'missing.json')]).stderr));
+        assert.strictEqual(run([]).code, 1);
+        assert.strictEqual(run(['--help']).code, 0);
+    });
+});
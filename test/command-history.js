@@ -0,0 +1,148 @@
+'use strict';
+
+var assert = require('assert');
+var moment = require('moment');
+var _ = require('lodash');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds, CommandHistory = calc.CommandHistory, GoalSeek = calc.GoalSeek;
+
+describe('Command history', function() {
+    var day = function(d) {
+        return moment(d).toDate();
+    };
+    var bounds = new Bounds(day('2024-01-01'), day('2024-06-30'));
+
+    var buildTree = function() {
+        var root = new Transaction({ description: 'Plan' }), bills;
+        root.addChild({ description: 'Pay', amount: 3000, startDate: day('2024-01-01'), frequency: 'month' });
+        bills = root.addChild({ description: 'Bills' });
+        bills.addChild({ description: 'Rent', amount: -1500, startDate: day('2024-01-05'), frequency: 'month' });
+        return root;
+    };
+
+    it('undoes and redoes edits, branch amounts included', function() {
+        var root = buildTree(), history = new CommandHistory(root, { user: 'sam' }), bills = root.children[1];
+        history.set(bills.children[0], 'amount', -1600);
+        history.addChild(bills, { description: 'Power', amount: -100, startDate: day('2024-01-10'), frequency: 'month' });
+        assert.strictEqual(bills.amount, -1700);
+
+        history.undo();
+        assert.deepEqual(_.pluck(bills.children, 'description'), ['Rent']);
+        assert.strictEqual(bills.amount, -1600);
+        history.undo();
+        assert.strictEqual(bills.children[0].amount, -1500);
+        assert.strictEqual(root.getAmount(), 1500);
+        assert.strictEqual(history.canUndo(), false);
+
+        history.redo();
+        history.redo();
+        assert.strictEqual(bills.amount, -1700);
+        assert.strictEqual(history.canRedo(), false);
+    });
+
+    it('puts a removed branch back where it was', function() {
+        var root = buildTree(), history = new CommandHistory(root), bills = root.children[1];
+        history.commitSuicide(bills);
+        assert.strictEqual(root.gatherTransactions(bounds).length, 6);
+        history.undo();
+        assert.strictEqual(root.children[1], bills);
+        assert.strictEqual(bills.parentTransaction, root);
+        assert.strictEqual(root.gatherTransactions(bounds).length, 12);
+    });
+
+    it('undoes a group as one step and rolls back a command that throws', function() {
+        var root = buildTree(), history = new CommandHistory(root);
+        history.run('Raise and rename', function() {
+            root.children[0].set('amount', 3500);
+            root.children[0].set('description', 'Salary');
+        });
+        assert.strictEqual(history.undoStack.length, 1);
+        history.undo();
+        assert.strictEqual(root.children[0].description, 'Pay');
+        assert.strictEqual(root.children[0].amount, 3000);
+
+        assert.throws(function() {
+            history.run('Half done', function() {
+                root.children[0].set('amount', 100);
+                throw new Error('boom');
+            });
+        }, /boom/);
+        assert.strictEqual(root.children[0].amount, 3000);
+        assert.throws(function() { history.endGroup(); }, /no group to end/);
+    });
+
+    it('undoes skipped occurrences', function() {
+        var root = buildTree(), history = new CommandHistory(root), rent = root.children[1].children[0];
+        history.run('Skip March', function() { rent.skipOccurrence(day('2024-03-05')); });
+        assert.strictEqual(root.gatherTransactions(bounds).length, 11);
+        history.undo();
+        assert.deepEqual(rent.exceptions, {});
+        assert.strictEqual(root.gatherTransactions(bounds).length, 12);
+    });
+
+    it('forgets its steps once the tree is edited around it', function() {
+        var root = buildTree(), history = new CommandHistory(root);
+        history.addChild(root, { description: 'recorded' }, 0);
+        root.addChild({ description: 'direct' }, 0);
+        assert.strictEqual(history.canUndo(), false);
+        assert.strictEqual(history.undo(), null);
+        assert.deepEqual(_.pluck(root.children, 'description'), ['direct', 'recorded', 'Pay', 'Bills']);
+    });
+
+    it('is not disturbed by a goal seek', function() {
+        var root = buildTree(), history = new CommandHistory(root);
+        history.set(root.children[0], 'description', 'Salary');
+        history.undo();
+        new GoalSeek(root, { transaction: root.children[0], field: 'amount', target: { type: 'minimumBalance', value: 0 }, bounds: bounds }).solve();
+        assert.strictEqual(history.canRedo(), true);
+        history.redo();
+        assert.strictEqual(root.children[0].description, 'Salary');
+    });
+
+    it('keeps an audit log of who changed what', function() {
+        var root = buildTree(), history = new CommandHistory(root, { user: 'sam' }), log;
+        history.set(root.children[0], 'amount', 3200);
+        history.setUser('alex');
+        history.undo();
+        log = history.getLog({ series: root.children[0].series });
+        assert.deepEqual(log.map(function(e) { return e.user + ' ' + e.history + ' ' + e.oldValue + ' ' + e.newValue; }),
+            ['sam null 3000 3200', 'alex undo 3200 3000']);
+        assert.strictEqual(log[0].label, 'Change amount of Pay');
+    });
+
+    it('undoes scenario changes', function() {
+        var root = buildTree(), history = new CommandHistory(root), scenario;
+        scenario = history.addScenario(day('2024-04-01'), 'Move');
+        history.run('Rename', function() { scenario.rename('Move out'); });
+        history.undo();
+        assert.strictEqual(scenario.name, 'Move');
+        history.undo();
+        assert.strictEqual(root.scenarios.length, 0);
+        history.redo();
+        assert.strictEqual(root.scenarios[0], scenario);
+    });
+
+    it('undoes scenario modifiers and extra loan payments', function() {
+        var root = buildTree(), history = new CommandHistory(root), scenario = root.addScenario(day('2024-04-01'), 'Cut back');
+        history.clear();
+        history.run('Pause rent', function() {
+            scenario.addModifier({ series: root.children[1].children[0].series, type: 'pause', from: day('2024-04-01'), to: day('2024-05-31') });
+            scenario.addLoanExtraPayment('loan-series', day('2024-04-01'), 500);
+        });
+        history.undo();
+        assert.deepEqual(scenario.modifiers, []);
+        assert.deepEqual(scenario.loanExtraPayments, {});
+        history.redo();
+        assert.strictEqual(scenario.modifiers[0].type, 'pause');
+        assert.strictEqual(scenario.loanExtraPayments['loan-series'][0].amount, 500);
+    });
+
+    it('cannot undo past a merge', function() {
+        var root = buildTree(), history = new CommandHistory(root), scenario;
+        history.set(root.children[0], 'amount', 3200);
+        scenario = history.addScenario(day('2024-04-01'), 'Move');
+        history.run('Merge', function() { scenario.merge(); });
+        assert.strictEqual(history.canUndo(), false);
+        assert.strictEqual(root.children[0].amount, 3200);
+    });
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+var assert = require('assert');
+var _ = require('lodash');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds, CivilDate = calc.CivilDate, Simulation = calc.Simulation, ActualsLedger = calc.ActualsLedger;
+
+describe('Derived transactions', function() {
+    var bounds = new Bounds('2024-01-01', '2024-06-30');
+
+    var buildTree = function(uncertainty) {
+        var root = new Transaction({ description: 'Plan' }), pay;
+        pay = root.addChild({ description: 'Pay', amount: 1000, startDate: '2024-01-01', frequency: 'month', uncertainty: uncertainty });
+        root.addChild({ description: 'Tax', transactionType: 'derived', derivation: { sources: [pay.series], percent: -25 } });
+        return root;
+    };
+    var amounts = function(occurrences, description) {
+        return _.pluck(_.sortBy(_.filter(occurrences, { description: description }), 'startDate'), 'amount');
+    };
+
+    it('follows its sources, with floors, caps, fees and an offset', function() {
+        var root = buildTree(), pay = root.children[0], occurrences;
+        root.addChild({ description: 'Card fee', transactionType: 'derived', startDate: '2024-03-01',
+            derivation: { sources: [pay.series], percent: -1, floor: 12, cap: 100, fee: -0.5, offsetDays: 2 } });
+        pay.overrideOccurrence('2024-05-01', { amount: 20000 });
+        occurrences = root.gatherTransactions(bounds);
+        assert.deepEqual(amounts(occurrences, 'Tax'), [-250, -250, -250, -250, -5000, -250]);
+        assert.deepEqual(amounts(occurrences, 'Card fee'), [-12.5, -12.5, -100.5, -12.5]);
+        assert.strictEqual(CivilDate.key(_.find(occurrences, { description: 'Card fee' }).startDate), '2024-03-03');
+    });
+
+    it('follows everything below a subtree source, and refuses loops', function() {
+        var root = new Transaction({ description: 'Plan' }), income = root.addChild({ description: 'Income' }), a, b;
+        income.addChild({ description: 'Pay', amount: 1000, startDate: '2024-01-01', frequency: 'month' });
+        income.addChild({ description: 'Rent in', amount: 500, startDate: '2024-01-10', frequency: 'month' });
+        root.addChild({ description: 'Tithe', transactionType: 'derived', derivation: { sources: [income.series], subtree: true, percent: -10 } });
+        assert.strictEqual(_.sum(amounts(root.gatherTransactions(bounds), 'Tithe')), -900);
+
+        a = root.addChild({ description: 'A', transactionType: 'derived', derivation: { sources: ['nothing yet'] } });
+        b = root.addChild({ description: 'B', transactionType: 'derived', derivation: { sources: [a.series] } });
+        a.set('derivation', { sources: [b.series] });
+        assert.throws(function() { root.gatherTransactions(bounds); }, /A, B follow each other in a loop/);
+    });
+
+    it('takes sources as transactions and keeps its derivation when serialized', function() {
+        var root = new Transaction({ description: 'Plan' }), pay, copy;
+        pay = root.addChild({ description: 'Pay', amount: 1000, startDate: '2024-01-01', frequency: 'month' });
+        root.addChild({ description: 'Tax', transactionType: 'derived', derivation: { sources: [pay], percent: -25, cap: 200 } });
+        assert.deepEqual(root.children[1].derivation.sources, [pay.series]);
+        copy = Transaction.deserialize(JSON.stringify(root));
+        assert.deepEqual(copy.children[1].derivation, { sources: [pay.series], percent: -25, cap: 200 });
+        assert.deepEqual(amounts(copy.gatherTransactions(bounds), 'Tax'), [-200, -200, -200, -200, -200, -200]);
+    });
+
+    it('moves and skips its occurrences like a repeating transaction', function() {
+        var root = buildTree(), tax = root.children[1];
+        tax.set('derivation', _.assign({}, tax.derivation, { offsetDays: 5 }));
+        tax.set('businessDayAdjustment', 'following');
+        tax.skipOccurrence('2024-02-06');
+        assert.deepEqual(_.filter(root.gatherTransactions(bounds), { description: 'Tax' }).map(function(t) {
+            return CivilDate.key(t.startDate);
+        }), ['2024-01-08', '2024-03-06', '2024-04-08', '2024-05-06', '2024-06-06']);
+    });
+
+    it('is worked out again from what a scenario changes', function() {
+        var root = buildTree(), raise = root.addScenario('2024-04-01', 'Raise'), lower = root.addScenario('2024-04-01', 'Lower tax');
+        raise.cloneTransactionToScenario(root.children[0]).set('amount', 2000);
+        lower.cloneTransactionToScenario(root.children[1]).set('derivation', { sources: [root.children[0].series], percent: -10 });
+        assert.deepEqual(amounts(raise.gatherTransactions(bounds), 'Tax'), [-250, -250, -250, -500, -500, -500]);
+        assert.deepEqual(amounts(lower.gatherTransactions(bounds), 'Tax'), [-250, -250, -250, -100, -100, -100]);
+        assert.deepEqual(amounts(root.gatherTransactions(bounds), 'Tax'), [-250, -250, -250, -250, -250, -250]);
+    });
+
+    it('keeps following a series the base splits when a scenario is merged', function() {
+        var root = buildTree(), scenario = root.addScenario('2024-04-01', 'Raise');
+        scenario.cloneTransactionToScenario(root.children[0]).set('amount', 1200);
+        scenario.merge();
+        assert.strictEqual(root.children[0].description, 'Pay');
+        assert.notStrictEqual(root.children[0].series, root.children[1].series);
+        assert.deepEqual(amounts(root.gatherTransactions(bounds), 'Tax'), [-250, -250, -250, -300, -300, -300]);
+    });
+
+    it('keeps following a series a merged modifier splits', function() {
+        var root = buildTree(), scenario = root.addScenario('2024-04-01', 'Raise');
+        scenario.addModifier({ series: root.children[0].series, type: 'scale', percent: 20, from: '2024-04-01' });
+        scenario.merge();
+        assert.deepEqual(amounts(root.gatherTransactions(bounds), 'Tax'), [-250, -250, -250, -300, -300, -300]);
+    });
+
+    it('lets a ledger move its matches onto the split off series', function() {
+        var root = buildTree(), pay = root.children[0], ledger = new ActualsLedger(), scenario;
+        ledger.addActual({ id: 'feb', date: '2024-02-02', amount: 1000, series: pay.series, occurrenceDate: '2024-02-01' });
+        ledger.addActual({ id: 'may', date: '2024-05-01', amount: 1200, series: pay.series, occurrenceDate: '2024-05-01' });
+        root.on('change', function(change) {
+            if (change.field === 'series') {
+                ledger.renameSeries(change.oldValue, change.newValue, change.target.endDate);
+            }
+        });
+        scenario = root.addScenario('2024-04-01', 'Raise');
+        scenario.cloneTransactionToScenario(pay).set('amount', 1200);
+        scenario.merge();
+        assert.strictEqual(ledger.getActual('feb').series, root.children[0].series);
+        assert.strictEqual(ledger.getActual('may').series, root.children[1].series);
+        assert.deepEqual(_.pluck(_.filter(ledger.getVariance(root, bounds).occurrences, { status: 'matched' }), 'series'),
+            [root.children[0].series, root.children[1].series]);
+    });
+
+    it('works out derived amounts from every simulated run', function() {
+        var root = buildTree({ amount: { distribution: 'uniform', min: 2000, max: 2000 } }), result;
+        root.children[1].set('uncertainty', { probability: 0 });
+        result = new Simulation(root, { runs: 3, seed: 7, res: 'months' }).run(bounds);
+        assert.strictEqual(result.points[5].mean, 9000);
+        assert.strictEqual(result.points[5].p10, 9000);
+    });
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+var assert = require('assert');
+var moment = require('moment');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds;
+
+describe('Occurrence exceptions', function() {
+    var bounds = new Bounds(moment('2024-01-01').toDate(), moment('2024-06-30').toDate());
+
+    var day = function(key) {
+        return moment(key).toDate();
+    };
+
+    var occurrences = function(root) {
+        return root.gatherTransactions(bounds).map(function(t) {
+            return moment(t.startDate).format('YYYY-MM-DD') + ' ' + t.amount;
+        });
+    };
+
+    it('skips, changes and moves single occurrences of a series', function() {
+        var root = new Transaction({ description: 'Plan' }), rent;
+        rent = root.addChild({ description: 'Rent', amount: -600, startDate: day('2024-01-01'), frequency: 'month' });
+        rent.skipOccurrence(day('2024-02-01'));
+        rent.overrideOccurrence(day('2024-03-01'), { amount: -650 });
+        rent.overrideOccurrence(day('2024-04-01'), { date: day('2024-04-03') });
+        assert.deepEqual(occurrences(root), ['2024-01-01 -600', '2024-03-01 -650', '2024-04-03 -600', '2024-05-01 -600', '2024-06-01 -600']);
+    });
+
+    it('remembers where a moved occurrence came from', function() {
+        var root = new Transaction({ description: 'Plan' }), rent, moved;
+        rent = root.addChild({ description: 'Rent', amount: -600, startDate: day('2024-01-01'), frequency: 'month' });
+        rent.overrideOccurrence(day('2024-01-01'), { date: day('2024-01-05') });
+        moved = root.gatherTransactions(bounds)[0];
+        assert.equal(moment(moved.originalDate).format('YYYY-MM-DD'), '2024-01-01');
+        assert.equal(moment(moved.startDate).format('YYYY-MM-DD'), '2024-01-05');
+    });
+
+    it('applies to one-off transactions without changing them', function() {
+        var root = new Transaction({ description: 'Plan' }), gift, bonus;
+        gift = root.addChild({ description: 'Gift', amount: 100, startDate: day('2024-02-01') });
+        bonus = root.addChild({ description: 'Bonus', amount: 500, startDate: day('2024-03-15') });
+        bonus.overrideOccurrence(day('2024-03-15'), { date: day('2024-04-01'), amount: 750 });
+        gift.skipOccurrence(day('2024-02-01'));
+        assert.deepEqual(occurrences(root), ['2024-04-01 750']);
+        assert.equal(moment(bonus.startDate).format('YYYY-MM-DD'), '2024-03-15');
+        assert.strictEqual(bonus.amount, 500);
+    });
+
+    it('drops occurrences moved past the end of the bounds and can be cleared', function() {
+        var root = new Transaction({ description: 'Plan' }), pay;
+        pay = root.addChild({ description: 'Pay', amount: 1000, startDate: day('2024-06-01') });
+        pay.overrideOccurrence(day('2024-06-01'), { date: day('2024-07-01') });
+        root.addChild({ description: 'Rent', amount: -600, startDate: day('2024-06-02') });
+        assert.deepEqual(occurrences(root), ['2024-06-02 -600']);
+        pay.clearOccurrenceException(day('2024-06-01'));
+        assert.deepEqual(occurrences(root), ['2024-06-01 1000', '2024-06-02 -600']);
+    });
+
+    it('finds the series an exception belongs to', function() {
+        var root = new Transaction({ description: 'Plan' }), rent;
+        rent = root.addChild({ description: 'Rent', amount: -600, startDate: day('2024-01-01'), frequency: 'month' });
+        root.setSeriesException(rent.series, day('2024-01-01'), { skip: true });
+        assert.strictEqual(rent.exceptions['2024-01-01'].skip, true);
+        assert.throws(function() { root.setSeriesException('nope', day('2024-01-01'), { skip: true }); }, /No transaction in the tree/);
+        assert.throws(function() { rent.setOccurrenceException(day('2024-01-01'), {}); }, /need to skip/);
+    });
+
+    it('keeps exceptions through serialization', function() {
+        var root = new Transaction({ description: 'Plan' }), rent, copy;
+        rent = root.addChild({ description: 'Rent', amount: -600, startDate: day('2024-01-01'), frequency: 'month' });
+        rent.overrideOccurrence(day('2024-03-01'), { date: day('2024-03-04'), amount: -610 });
+        copy = Transaction.deserialize(JSON.stringify(root));
+        assert.ok(copy.children[0].exceptions['2024-03-01'].date instanceof Date);
+        assert.deepEqual(occurrences(copy), occurrences(root));
+    });
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+var assert = require('assert');
+var _ = require('lodash');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds, CivilDate = calc.CivilDate, Money = calc.Money, RateTable = calc.RateTable;
+var Random = calc.Random, Simulation = calc.Simulation;
+
+describe('Exchange rates', function() {
+    var bounds = new Bounds('2024-01-01', '2024-04-30');
+
+    var buildTable = function() {
+        return new RateTable({ name: 'Test', rates: [
+            { date: '2024-01-01', from: 'EUR', to: 'USD', rate: 1.1 },
+            { date: '2024-03-01', from: 'USD', to: 'EUR', rate: 0.8 },
+            { date: '2024-01-01', from: 'GBP', to: 'USD', rate: 1.25 }
+        ] });
+    };
+
+    var buildTree = function(uncertainty) {
+        var root = new Transaction({ description: 'Plan', reportingCurrency: 'USD', rateProvider: 'test-fx' });
+        Transaction.registerRateProvider('test-fx', buildTable());
+        root.addChild({ description: 'Rent in Paris', amount: -1000, currency: 'EUR', startDate: '2024-01-15', frequency: 'month', uncertainty: uncertainty });
+        return root;
+    };
+
+    afterEach(function() {
+        delete Transaction.RATE_PROVIDERS['test-fx'];
+    });
+
+    it('uses the latest quote for a pair, whichever way round it is', function() {
+        var table = buildTable();
+        assert.strictEqual(table.getRate('EUR', 'USD', '2024-02-15'), 1.1);
+        assert.strictEqual(table.getRate('EUR', 'USD', '2024-03-15'), 1.25);
+        assert.strictEqual(table.getRate('USD', 'EUR', '2024-02-15'), 1 / 1.1);
+        table.addRate('2024-03-01', 'EUR', 'USD', 1.2);
+        assert.strictEqual(table.getRate('EUR', 'USD', '2024-03-01'), 1.2);
+        assert.strictEqual(table.getRate('USD', 'EUR', '2024-03-01'), 0.8);
+    });
+
+    it('crosses currencies without a rate between them, and says when it can\'t', function() {
+        var table = buildTable();
+        assert.strictEqual(table.getRate('GBP', 'EUR', '2024-03-15'), 1.25 * 0.8);
+        assert.strictEqual(table.getRate('JPY', 'JPY', '2024-03-15'), 1);
+        assert.throws(function() { table.getRate('EUR', 'USD', '2023-12-31'); }, /No exchange rate from EUR to USD on 2023-12-31/);
+    });
+
+    it('reads rates from JSON and CSV', function() {
+        var json = RateTable.fromJSON({ base: 'USD', rates: { '2024-01-01': { EUR: 0.9, GBP: 0.8 } } }, 'Daily');
+        var csv = RateTable.fromCSV('Rate,To,From,Date\n1.1,USD,EUR,2024-01-01\n\n0.8,EUR,USD,2024-03-01\n', { name: 'File' });
+        assert.strictEqual(json.name, 'Daily');
+        assert.deepEqual(json.getCurrencies(), ['EUR', 'GBP', 'USD']);
+        assert.strictEqual(json.getRate('USD', 'GBP', '2024-02-01'), 0.8);
+        assert.strictEqual(csv.getRate('EUR', 'USD', '2024-03-15'), 1.25);
+        assert.deepEqual(new RateTable(csv.serialize()).serialize(), csv.serialize());
+    });
+
+    it('names the CSV row it can\'t read', function() {
+        assert.throws(function() { RateTable.fromCSV('date,from,to,rate\n2024-01-01,EUR,USD,1.1\n2024-01-02,EUR\n'); }, /CSV row 3 is missing a date, from or to/);
+        assert.throws(function() { RateTable.fromCSV('date,from,to,rate\n2024-01-01,EUR,USD,lots\n'); }, /CSV row 2 has no rate/);
+        assert.throws(function() { RateTable.fromCSV('date,from,rate\n2024-01-01,EUR,1.1\n'); }, /need a to column/);
+        assert.throws(function() { RateTable.fromJSON({ rates: { '2024-01-01': { EUR: 0.9 } } }); }, /base currency/);
+    });
+
+    it('converts occurrences to the reporting currency, and shocks the rate in a scenario', function() {
+        var root = buildTree(), occurrences, scenario;
+        occurrences = _.sortBy(root.gatherTransactions(bounds), 'startDate');
+        assert.deepEqual(_.pluck(occurrences, 'amount'), [-1100, -1100, -1250, -1250]);
+        assert.deepEqual(_.uniq(_.pluck(occurrences, 'currency')), ['USD']);
+        assert.strictEqual(occurrences[2].originalAmount, -1000);
+
+        scenario = root.addScenario('2024-04-01', 'Weak dollar');
+        scenario.addModifier({ type: 'fx', currency: 'EUR', percent: 10 });
+        assert.deepEqual(_.pluck(_.sortBy(_.filter(scenario.gatherTransactions(bounds), { description: 'Rent in Paris' }), 'startDate'), 'amount'),
+            [-1100, -1100, -1250, -1375]);
+    });
+
+    it('draws uncertain amounts in the currency a transaction is in', function() {
+        var root = buildTree({ amount: { distribution: 'uniform', min: -1200, max: -800 } }), sim = new Simulation(root, { runs: 1, seed: 3 });
+        var drawn = sim.perturb(root.gatherTransactions(bounds), new Random(3));
+        assert.strictEqual(drawn.length, 4);
+        drawn.forEach(function(t) {
+            assert.ok(t.originalAmount >= -1200 && t.originalAmount <= -800);
+            assert.strictEqual(t.amount, Money.multiply(t.originalAmount, t.exchangeRate));
+            assert.strictEqual(t.currency, 'USD');
+            assert.strictEqual(t.rateProvider, 'test-fx');
+        });
+
+        root = buildTree({ amount: { distribution: 'uniform', min: -1000, max: -1000 } });
+        assert.deepEqual(_.pluck(new Simulation(root, { runs: 2, seed: 3, res: 'months' }).run(bounds).points, 'mean'), [-1100, -2200, -3450, -4700]);
+    });
+
+    it('converts an occurrence that moves at the rate for the day it moved to', function() {
+        var root = buildTree({ dateJitter: 3 }), sim = new Simulation(root, { runs: 1 }), moved = {};
+        root.children[0].set('startDate', '2024-02-28');
+        root.children[0].set('frequency', 'none');
+        _.times(12, function(seed) {
+            var t = sim.perturb(root.gatherTransactions(bounds), new Random(seed))[0];
+            var after = CivilDate.key(t.startDate) >= '2024-03-01';
+            moved[after] = true;
+            assert.strictEqual(t.exchangeRate, after ? 1.25 : 1.1);
+            assert.strictEqual(t.amount, after ? -1250 : -1100);
+        });
+        assert.deepEqual(moved, { true: true, false: true });
+
+        //A shocked rate stays shocked
+        assert.strictEqual(sim.getExchangeRate({ exchangeRate: 1.21, originalCurrency: 'EUR', currency: 'USD', rateProvider: 'test-fx', startDate: CivilDate.toDate('2024-02-28') },
+            CivilDate.toDate('2024-03-02')), 1.21 * 1.25 / 1.1);
+    });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+var assert = require('assert');
+var moment = require('moment');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds, GoalSeek = calc.GoalSeek;
+
+describe('Goal seek', function() {
+    var day = function(d) {
+        return moment(d).toDate();
+    };
+    var bounds = new Bounds(day('2024-01-01'), day('2024-12-31'));
+
+    var buildTree = function() {
+        var root = new Transaction({ description: 'Plan' }), bills;
+        root.addChild({ description: 'Savings', amount: 2000, startDate: day('2024-01-01') });
+        root.addChild({ description: 'Pay', amount: 3000, startDate: day('2024-01-01'), frequency: 'month' });
+        bills = root.addChild({ description: 'Bills' });
+        bills.addChild({ description: 'Rent', amount: -2500, startDate: day('2024-01-02'), frequency: 'month' });
+        bills.addChild({ description: 'Car', amount: -800, startDate: day('2024-01-03'), frequency: 'month' });
+        return root;
+    };
+
+    var seek = function(source, options) {
+        options.bounds = options.bounds || bounds;
+        return new GoalSeek(source, options).solve();
+    };
+
+    it('finds the smallest pay that never lets the balance drop below a floor', function() {
+        var root = buildTree(), pay = root.children[1], result;
+        result = seek(root, { transaction: pay, field: 'amount', target: { type: 'minimumBalance', value: 0 } });
+        assert.strictEqual(result.solved, true);
+        assert.strictEqual(result.value, 3133.34);
+        assert.strictEqual(result.original, 3000);
+        assert.ok(result.result.minimum >= 0);
+        assert.strictEqual(pay.amount, 3000);
+        assert.strictEqual(root.children[2].amount, -3300);
+    });
+
+    it('finds the most rent that still ends the year with savings', function() {
+        var root = buildTree(), rent = root.children[2].children[0], result;
+        result = seek(root, { transaction: rent, field: 'amount', target: { type: 'endingBalance', value: 2000 } });
+        assert.strictEqual(result.solved, true);
+        assert.strictEqual(result.value, -2200);
+        assert.strictEqual(result.result.ending, 2000);
+    });
+
+    it('finds the earliest date a purchase can be afforded', function() {
+        var root = buildTree(), tv, result;
+        root.children[0].set('amount', 0);
+        root.children[2].children[1].commitSuicide();
+        tv = root.addChild({ description: 'TV', amount: -1500, startDate: day('2024-01-15') });
+        result = seek(root, { transaction: tv, field: 'startDate', target: { type: 'minimumBalance', value: 0 } });
+        assert.strictEqual(result.solved, true);
+        assert.strictEqual(moment(result.value).format('YYYY-MM-DD'), '2024-03-01');
+        assert.strictEqual(moment(tv.startDate).format('YYYY-MM-DD'), '2024-01-15');
+    });
+
+    it('finds how long a car can be paid for before the balance dips too early', function() {
+        var root = buildTree(), car = root.children[2].children[1], result;
+        root.children[0].set('amount', 0);
+        car.set('endDate', day('2024-12-31'));
+        result = seek(root, { transaction: car, field: 'endDate', seek: 'max', target: { type: 'zeroCrossing', date: day('2024-06-01') },
+            min: day('2024-01-01'), max: day('2024-12-31') });
+        assert.strictEqual(result.solved, true);
+        assert.ok(result.value < day('2024-06-03'));
+        assert.ok(!result.result.negativeDate || result.result.negativeDate >= day('2024-06-01'));
+    });
+
+    it('solves against a scenario', function() {
+        var root = buildTree(), scenario = root.addScenario(day('2024-07-01'), 'Raise'), pay, result;
+        pay = scenario.cloneTransactionToScenario(root.children[1]);
+        result = seek(scenario, { transaction: pay, field: 'amount', target: { type: 'endingBalance', value: 5000 } });
+        assert.strictEqual(result.solved, true);
+        assert.strictEqual(result.result.ending, 5000);
+        assert.strictEqual(pay.amount, 3000);
+    });
+
+    it('says so when no value meets the target', function() {
+        var root = buildTree(), result;
+        result = seek(root, { transaction: root.children[1], field: 'growth', target: { type: 'endingBalance', value: 1e9 }, min: 0, max: 1 });
+        assert.strictEqual(result.solved, false);
+        assert.strictEqual(result.value, null);
+        assert.ok(/No value between/.test(result.reason));
+    });
+
+    it('checks what it is asked to solve', function() {
+        var root = buildTree(), target = { type: 'endingBalance', value: 0 };
+        assert.throws(function() { new GoalSeek(root, { transaction: root.children[2], field: 'amount', target: target, bounds: bounds }); },
+            /amount of a transaction with children/);
+        assert.throws(function() { new GoalSeek(root, { transaction: root.children[1], field: 'description', target: target, bounds: bounds }); },
+            /can change amount/);
+        assert.throws(function() { new GoalSeek(root, { transaction: root.children[1], field: 'amount', target: { type: 'zeroCrossing' }, bounds: bounds }); },
+            /need a date/);
+        assert.throws(function() { new GoalSeek(root, { transaction: root.children[1], field: 'amount', target: target, bounds: new Bounds(null, null) }); },
+            /start and end date/);
+    });
+
+    it('solves without firing change events', function() {
+        var root = buildTree(), changes = 0;
+        root.on('change', function() { changes++; });
+        seek(root, { transaction: root.children[1], field: 'amount', target: { type: 'minimumBalance', value: 0 } });
+        seek(root, { transaction: root.children[2].children[0], field: 'startDate', target: { type: 'minimumBalance', value: 0 } });
+        assert.strictEqual(changes, 0);
+        assert.strictEqual(root.amount, 1700);
+    });
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+var assert = require('assert');
+var _ = require('lodash');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds, CivilDate = calc.CivilDate, HolidayCalendar = calc.HolidayCalendar;
+
+describe('Holiday calendars', function() {
+    var keys = function(list, field) {
+        return list.map(function(x) { return CivilDate.key(x[field || 'date']); });
+    };
+
+    it('lists the Federal Reserve holidays for a year as observed', function() {
+        var fed = HolidayCalendar.usFederalReserve();
+        assert.deepEqual(keys(fed.getHolidays(2022)), [
+            '2022-01-17', '2022-02-21', '2022-05-30', '2022-06-20', '2022-07-04',
+            '2022-09-05', '2022-10-10', '2022-11-11', '2022-11-24', '2022-12-26'
+        ]);
+        //New Year's Day 2022 is a Saturday, which the banks don't make up
+        assert.strictEqual(fed.isBusinessDay('2021-12-31'), true);
+        assert.strictEqual(fed.getHoliday('2022-06-20'), 'Juneteenth National Independence Day');
+        assert.strictEqual(fed.isHoliday('2020-06-19'), false);
+        assert.strictEqual(fed.isHoliday('1985-01-21'), false);
+        assert.strictEqual(fed.isHoliday('1986-01-20'), true);
+    });
+
+    it('observes Saturday holidays on the Friday before, even across a new year', function() {
+        var calendar = new HolidayCalendar({ rules: [
+            { name: 'New Year', month: 1, day: 1, observe: 'weekend' },
+            { name: 'Last Friday', month: 3, weekday: 5, n: -1 }
+        ] });
+        assert.strictEqual(calendar.getHoliday('2021-12-31'), 'New Year');
+        assert.deepEqual(keys(calendar.getHolidays(2021)), ['2021-01-01', '2021-03-26', '2021-12-31']);
+        assert.deepEqual(keys(calendar.getHolidays(2022)), ['2022-03-25']);
+    });
+
+    it('keeps one-off holidays and round-trips them', function() {
+        var calendar = new HolidayCalendar({ name: 'Office', weekend: [5, 6], holidays: ['2024-03-04', { date: '2024-03-05', name: 'Offsite' }] }), copy;
+        calendar.removeHoliday('2024-03-04');
+        assert.strictEqual(calendar.isBusinessDay('2024-03-04'), true);
+        assert.strictEqual(calendar.isBusinessDay('2024-03-08'), false);
+        assert.strictEqual(CivilDate.key(calendar.adjust('2024-03-05', 'following')), '2024-03-06');
+        assert.strictEqual(CivilDate.key(calendar.adjust('2024-03-09', 'preceding')), '2024-03-07');
+        copy = new HolidayCalendar(calendar.serialize());
+        assert.deepEqual(copy.serialize(), calendar.serialize());
+    });
+
+    it('rejects rules it can\'t place', function() {
+        var calendar = new HolidayCalendar();
+        assert.throws(function() { calendar.addRule({ month: 13, day: 1 }); }, /month from 1 to 12/);
+        assert.throws(function() { calendar.addRule({ month: 5, weekday: 1, n: 6 }); }, /weekday/);
+        assert.throws(function() { calendar.addRule({ month: 5, day: 1, observe: 'monday' }); }, /observed/);
+    });
+
+    it('moves occurrences onto business days of the calendar a transaction names', function() {
+        var root = new Transaction({ description: 'Plan', calendar: 'US-FED' }), bounds = new Bounds('2022-11-01', '2023-01-31'), occurrences;
+        root.addChild({ description: 'Rent', amount: -1000, startDate: '2022-11-26', frequency: 'month', businessDayAdjustment: 'following' });
+        root.addChild({ description: 'Pay', amount: 2000, startDate: '2022-12-31', businessDayAdjustment: 'modified-following' });
+        occurrences = _.sortBy(root.gatherTransactions(bounds), 'startDate');
+        assert.deepEqual(keys(occurrences, 'startDate'), ['2022-11-28', '2022-12-27', '2022-12-30', '2023-01-26']);
+        assert.strictEqual(CivilDate.key(occurrences[1].originalDate), '2022-12-26');
+    });
+
+    it('moves one-offs too, but leaves occurrences an exception put somewhere on purpose', function() {
+        var root = new Transaction({ description: 'Plan', calendar: 'US-FED' }), bounds = new Bounds('2024-05-01', '2024-07-31'), bill;
+        root.addChild({ description: 'Bonus', amount: 500, startDate: '2024-06-15', businessDayAdjustment: 'following' });
+        bill = root.addChild({ description: 'Bill', amount: -80, startDate: '2024-05-19', frequency: 'month', endDate: '2024-07-31', businessDayAdjustment: 'preceding' });
+        bill.overrideOccurrence('2024-07-19', { date: '2024-07-20' });
+        assert.deepEqual(keys(_.sortBy(root.gatherTransactions(bounds), 'startDate'), 'startDate'), ['2024-05-17', '2024-06-17', '2024-06-18', '2024-07-20']);
+
+        //A one-off with nowhere to move and no exceptions is handed back as is
+        root.children[0].set('startDate', '2024-06-14');
+        assert.strictEqual(_.find(root.gatherTransactions(bounds), { description: 'Bonus' }), root.children[0]);
+    });
+
+    it('picks up changes to a calendar without anything being marked dirty', function() {
+        var office = Transaction.registerCalendar('Office', new HolidayCalendar({ name: 'Office' })), root, bounds = new Bounds('2024-03-01', '2024-03-31');
+        try {
+            root = new Transaction({ description: 'Plan', calendar: 'Office' });
+            root.addChild({ description: 'Pay', amount: 2000, startDate: '2024-03-04', frequency: 'week', endDate: '2024-03-12', businessDayAdjustment: 'modified-following' });
+            assert.deepEqual(keys(root.gatherTransactions(bounds), 'startDate'), ['2024-03-04', '2024-03-11']);
+            office.addHoliday('2024-03-11', 'Founders day');
+            assert.deepEqual(keys(root.gatherTransactions(bounds), 'startDate'), ['2024-03-04', '2024-03-12']);
+            assert.strictEqual(root.children[0].getCalendarName(), 'Office');
+        } finally {
+            delete Transaction.CALENDARS.Office;
+        }
+        assert.throws(function() { root.children[0].getCalendar(); }, /Unknown holiday calendar Office/);
+        assert.throws(function() { Transaction.registerCalendar('Broken', {}); }, /isBusinessDay/);
+    });
+
+    it('keeps the adjustment and calendar when a tree is serialized', function() {
+        var root = new Transaction({ description: 'Plan', calendar: 'US-FED' }), copy;
+        root.addChild({ description: 'Rent', amount: -1000, startDate: '2024-06-01', frequency: 'month', businessDayAdjustment: 'following' });
+        copy = Transaction.deserialize(JSON.stringify(root));
+        assert.strictEqual(copy.calendar, 'US-FED');
+        assert.strictEqual(copy.children[0].businessDayAdjustment, 'following');
+        assert.strictEqual(copy.children[0].calendar, null);
+        assert.deepEqual(keys(copy.gatherTransactions(new Bounds('2024-06-01', '2024-06-30')), 'startDate'), ['2024-06-03']);
+    });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+var assert = require('assert');
+var moment = require('moment');
+var calc = require('..');
+var Transaction = calc.Transaction, StatementImporter = calc.StatementImporter;
+
+var day = function(date) {
+    return moment(date).format('YYYY-MM-DD');
+};
+
+describe('StatementImporter', function() {
+    var csv = [
+        'Date,Description,Debit,Credit',
+        '2024-01-05,"ACME PAYROLL, INC",,2000.00',
+        '2024-01-07,Corner Grocery,54.10,',
+        '2024-02-05,"ACME PAYROLL, INC",,2000.00',
+        '2024-03-05,"ACME PAYROLL, INC",,2050.00',
+        ''
+    ].join('\n');
+
+    var summary = function(entry) {
+        return { id: entry.id, day: day(entry.date), amount: entry.amount, description: entry.description };
+    };
+
+    it('parses CSV with separate debit and credit columns and quoted fields', function() {
+        var entries = new StatementImporter({ columns: { amount: null, debit: 'Debit', credit: 'Credit' } }).parse(csv);
+        assert.strictEqual(entries.length, 4);
+        assert.strictEqual(entries[0].description, 'ACME PAYROLL, INC');
+        assert.strictEqual(entries[0].amount, 2000);
+        assert.strictEqual(entries[1].amount, -54.1);
+        assert.strictEqual(day(entries[1].date), '2024-01-07');
+    });
+
+    it('parses OFX and QIF exports', function() {
+        var importer = new StatementImporter(), ofx, qif;
+        ofx = importer.parse('OFXHEADER:100\n<OFX><BANKTRANLIST>\n<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240110120000<TRNAMT>-12.50<FITID>1<NAME>Coffee Shop\n</BANKTRANLIST></OFX>');
+        assert.deepEqual(summary(ofx[0]), { id: '1', day: '2024-01-10', amount: -12.5, description: 'Coffee Shop' });
+        qif = importer.parse('!Type:Bank\nD01/15/2024\nT(1,200.00)\nPLandlord\nLHousing:Rent\n^\n');
+        assert.strictEqual(day(qif[0].date), '2024-01-15');
+        assert.strictEqual(qif[0].amount, -1200);
+        assert.strictEqual(qif[0].category, 'Housing:Rent');
+    });
+
+    it('reports the entry it cannot read', function() {
+        assert.throws(function() { new StatementImporter().parse('stuff', 'xls'); }, /Statement format must be/);
+        assert.throws(function() {
+            new StatementImporter().parse('!Type:Bank\nD01/15/2024\nT12.00\n^\nDsoon\nT1\n^\n');
+        }, /QIF record 2 has a missing or unreadable date/);
+    });
+
+    it('reports the line a bad CSV row is on in the file', function() {
+        var importer = new StatementImporter();
+        assert.throws(function() { importer.parse('date,description,amount\nsoon,Thing,1'); }, /CSV line 2 has a missing or unreadable date/);
+        assert.throws(function() {
+            importer.parse('date,description,amount\n\n2024-01-02,Thing,1\n\n\n2024-01-03,Other,\n');
+        }, /CSV line 6 has a missing or unreadable amount/);
+        assert.throws(function() {
+            importer.parse('date,description,amount\r\n2024-01-02,"Two\r\nlines",1\r\n2024-01-03,Bad,\r\n');
+        }, /CSV line 4 has/);
+    });
+
+    it('counts lines from the top when there is no header', function() {
+        var importer = new StatementImporter({ header: false, columns: { date: 0, description: 1, amount: 2 } });
+        assert.strictEqual(importer.parse('2024-01-02,Thing,1\n2024-01-03,Other,2').length, 2);
+        assert.throws(function() { importer.parse('2024-01-02,Thing,1\n2024-13-03,Other,2'); }, /CSV line 2 has a missing or unreadable date/);
+    });
+
+    it('files entries with the first matching rule and finds recurring series', function() {
+        var importer = new StatementImporter({
+            columns: { amount: null, debit: 'Debit', credit: 'Credit' },
+            rules: [
+                { payee: null, description: 'payroll', minAmount: 0, path: 'Income/Salary' },
+                { description: 'grocery', path: ['Expenses', 'Food'] }
+            ]
+        });
+        var root = new Transaction({ description: 'Plan' }), entries = importer.parse(csv), recurring, added;
+        recurring = importer.detectRecurring(entries);
+        assert.strictEqual(recurring.length, 1);
+        assert.strictEqual(recurring[0].frequency, 'month');
+        assert.strictEqual(recurring[0].entries.length, 3);
+
+        added = importer.importInto(root, entries, recurring);
+        assert.strictEqual(added.length, 2);
+        assert.strictEqual(root.children[0].description, 'Income');
+        assert.strictEqual(root.children[0].children[0].children[0].frequency, 'month');
+        assert.strictEqual(root.children[1].children[0].children[0].amount, -54.1);
+    });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+var assert = require('assert');
+var moment = require('moment');
+var _ = require('lodash');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds;
+
+describe('Interest', function() {
+    var bounds = new Bounds(new Date(2024, 0, 1), new Date(2024, 11, 31));
+
+    var plan = function(rates, amount) {
+        var root = new Transaction({ description: 'Plan', interestRates: rates });
+        root.addChild({ description: 'Opening balance', amount: amount, startDate: new Date(2024, 0, 1) });
+        return root;
+    };
+
+    var interest = function(txns) {
+        return _.filter(txns, { transactionType: 'interest' });
+    };
+
+    var total = function(txns) {
+        return Math.round(_.sum(txns, 'amount') * 100) / 100;
+    };
+
+    var days = function(txns) {
+        return txns.map(function(t) { return moment(t.startDate).format('YYYY-MM-DD'); });
+    };
+
+    it('posts interest on savings at the end of every month by default', function() {
+        var posted = interest(plan({ apy: 5 }, 1000).gatherTransactions(bounds));
+        assert.equal(posted.length, 12);
+        assert.deepEqual(days(posted).slice(0, 2), ['2024-01-31', '2024-02-29']);
+        assert.equal(total(posted), 50.14);
+        assert.equal(posted[0].description, 'Interest');
+    });
+
+    it('compounds on the posting days it is given', function() {
+        var posted = interest(plan({ apy: 5, compounding: 'quarter' }, 1000).gatherTransactions(bounds));
+        assert.deepEqual(days(posted), ['2024-03-31', '2024-06-30', '2024-09-30', '2024-12-31']);
+        assert.deepEqual(_.pluck(posted, 'amount'), [12.24, 12.39, 12.67, 12.84]);
+    });
+
+    it('posts on the postingDay, or the end of shorter months', function() {
+        var posted = interest(plan({ apy: 5, postingDay: 30, description: 'Savings interest' }, 1000).gatherTransactions(bounds));
+        assert.deepEqual(days(posted).slice(0, 3), ['2024-01-30', '2024-02-29', '2024-03-30']);
+        assert.equal(posted[0].description, 'Savings interest');
+    });
+
+    it('charges the APR on a negative balance', function() {
+        var posted = interest(plan({ apy: 5, apr: 20, compounding: 'day' }, -1000).gatherTransactions(bounds));
+        assert.equal(posted.length, 366);
+        assert.equal(posted[0].amount, -0.55);
+        assert.equal(total(posted), -222.01);
+    });
+
+    it('leaves trees without rates alone', function() {
+        assert.equal(interest(plan(null, 1000).gatherTransactions(bounds)).length, 0);
+    });
+
+    it('shows up on the path', function() {
+        var path = plan({ apy: 5 }, 1000).generatePath(bounds).path;
+        assert.equal(Math.round(path[path.length - 1].y * 100) / 100, 1050.14);
+    });
+
+    it('works interest out on the scenario balance', function() {
+        var root = plan({ apy: 5 }, 1000), scenario = root.addScenario(new Date(2024, 6, 1), 'Bonus'), base, posted;
+        scenario.transactions.addChild({ description: 'Bonus', amount: 1000, startDate: new Date(2024, 6, 1) });
+        base = total(interest(root.gatherTransactions(bounds)));
+        posted = interest(scenario.gatherTransactions(bounds));
+        assert.ok(total(posted) > base);
+        assert.equal(_.uniq(days(posted)).length, posted.length);
+    });
+
+    it('rejects compounding periods it does not know', function() {
+        assert.throws(function() { plan({ apy: 5, compounding: 'week' }, 1000).gatherTransactions(bounds); }, /compounding must be/);
+    });
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+var assert = require('assert');
+var _ = require('lodash');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds;
+
+describe('Loans', function() {
+    var bounds = new Bounds(new Date(2024, 0, 1), new Date(2024, 5, 30));
+
+    var loanBlob = function(extra) {
+        return _.assign({
+            description: 'Car loan',
+            transactionType: 'loan',
+            startDate: new Date(2024, 0, 15),
+            loan: { principal: 10000, apr: 6, term: 12 }
+        }, extra);
+    };
+
+    var payments = function(txns) {
+        return [].concat(txns).filter(function(t) { return t.transactionType === 'loan'; });
+    };
+
+    it('defaults to monthly payments of the scheduled amount', function() {
+        var loan = new Transaction(loanBlob());
+        assert.equal(loan.frequency, 'month');
+        assert.equal(loan.amount, -860.66);
+    });
+
+    it('amortizes a loan down to nothing over its term', function() {
+        var schedule = new Transaction(loanBlob()).getAmortizationSchedule();
+        assert.equal(schedule.payment, 860.66);
+        assert.equal(schedule.rows.length, 12);
+        assert.equal(schedule.rows[0].interest, 50);
+        assert.equal(schedule.rows[11].balance, 0);
+        assert.equal(schedule.totalPaid, Math.round((10000 + schedule.totalInterest) * 100) / 100);
+    });
+
+    it('works out the per-payment rate from the frequency', function() {
+        var zero = new Transaction(loanBlob({ loan: { principal: 1200, apr: 0, term: 12 } }));
+        var weekly = new Transaction(loanBlob({ frequency: 'week', loan: { principal: 5200, apr: 5.2, term: 52 } }));
+        assert.equal(zero.getLoanPayment(), 100);
+        assert.equal(weekly.getAmortizationSchedule().rows[0].interest, 5.2);
+        assert.equal(Transaction.prototype.getPeriodsPerYear('FREQ=MONTHLY;BYMONTHDAY=1,15'), 24);
+        assert.throws(function() { new Transaction(loanBlob({ loan: { apr: 5 } })); }, /principal and a term/);
+    });
+
+    it('pays off early with extra principal', function() {
+        var loan = new Transaction(loanBlob({ loan: { principal: 10000, apr: 6, term: 12, extraPayments: [{ date: new Date(2024, 1, 1), amount: 5000 }] } }));
+        var schedule = loan.getAmortizationSchedule();
+        assert.ok(schedule.rows.length < 12);
+        assert.equal(schedule.rows[1].extra, 5000);
+        assert.equal(loan.getLoanBalance(new Date(2024, 0, 1)), 10000);
+        assert.equal(loan.getLoanBalance(schedule.payoffDate), 0);
+    });
+
+    it('expands into payments that carry principal and interest', function() {
+        var got = payments(new Transaction(loanBlob()).gatherTransactions(bounds));
+        assert.equal(got.length, 6);
+        assert.equal(got[0].amount, -860.66);
+        assert.equal(Math.round((got[0].principal + got[0].interest) * 100) / 100, 860.66);
+        assert.equal(got[0].frequency, 'none');
+    });
+
+    it('stops paying at its endDate', function() {
+        var got = payments(new Transaction(loanBlob({ endDate: new Date(2024, 2, 31) })).gatherTransactions(bounds));
+        assert.equal(got.length, 3);
+    });
+
+    it('ignores an endDate that is not a date', function() {
+        var loan = new Transaction(loanBlob());
+        loan.endDate = new Date('someday');
+        assert.equal(payments(loan.gatherTransactions(new Bounds(new Date(2024, 0, 1), null))).length, 12);
+    });
+
+    it('makes extra payments in a scenario without touching the base loan', function() {
+        var root = new Transaction({ description: 'Plan' }), loan, scenario, comparison;
+        loan = root.addChild(loanBlob());
+        scenario = root.addScenario(new Date(2024, 2, 1), 'Windfall');
+        scenario.addLoanExtraPayment(loan, new Date(2024, 2, 1), 4000);
+        comparison = scenario.getAmortizationComparison(loan.series);
+
+        assert.ok(comparison.interestSaved > 0);
+        assert.ok(comparison.paymentsSaved > 0);
+        assert.ok(comparison.payoffDays > 0);
+        assert.equal(loan.getAmortizationSchedule().rows.length, 12);
+        assert.equal(payments(scenario.applyLoanExtraPayments(root.gatherTransactions(bounds), bounds))[2].amount, -4860.66);
+
+        scenario.clearLoanExtraPayments(loan);
+        assert.equal(scenario.getAmortizationComparison(loan).interestSaved, 0);
+    });
+
+    it('keeps loan terms and scenario extra payments through serialization', function() {
+        var root = new Transaction({ description: 'Plan' }), loan, copy;
+        loan = root.addChild(loanBlob());
+        root.addScenario(new Date(2024, 2, 1), 'Windfall').addLoanExtraPayment(loan, new Date(2024, 2, 1), 4000);
+        copy = Transaction.deserialize(JSON.stringify(root));
+        assert.deepEqual(copy.children[0].loan, loan.loan);
+        assert.equal(copy.scenarios[0].loanExtraPayments[loan.series][0].date.valueOf(), new Date(2024, 2, 1).valueOf());
+        assert.equal(copy.scenarios[0].getAmortizationComparison(loan.series).interestSaved,
+            root.scenarios[0].getAmortizationComparison(loan.series).interestSaved);
+    });
+
+    it('keeps the base payments when a scenario that overrides the loan is merged', function() {
+        var root = new Transaction({ description: 'Plan' }), loan, scenario;
+        loan = root.addChild(loanBlob());
+        scenario = root.addScenario(new Date(2024, 3, 1), 'Refinance');
+        scenario.cloneTransactionToScenario(loan).set('loan', { principal: 10000, apr: 3, term: 12 });
+        scenario.merge();
+        assert.deepEqual(_.pluck(payments(root.gatherTransactions(bounds)), 'amount'), [-860.66, -860.66, -860.66, -846.94, -846.94, -846.94]);
+    });
+});
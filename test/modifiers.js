@@ -0,0 +1,112 @@
+'use strict';
+
+var assert = require('assert');
+var moment = require('moment');
+var _ = require('lodash');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds, ScenarioComparison = calc.ScenarioComparison;
+
+describe('Scenario modifiers', function() {
+    var day = function(d) {
+        return moment(d).toDate();
+    };
+    var bounds = new Bounds(day('2024-01-01'), day('2024-06-30'));
+
+    var setup = function(modifier) {
+        var root = new Transaction({ description: 'Plan' }), pay, scenario;
+        pay = root.addChild({ description: 'Pay', amount: 1000, startDate: day('2024-01-01'), frequency: 'month' });
+        scenario = root.addScenario(day('2024-03-15'), 'What if');
+        scenario.addModifier(_.assign({ series: pay.series }, modifier));
+        return { root: root, pay: pay, scenario: scenario };
+    };
+
+    var occurrences = function(txns, series) {
+        return _(txns).filter(series ? { series: series } : {}).sortBy('startDate').map(function(t) {
+            return moment(t.startDate).format('YYYY-MM-DD') + ' ' + t.amount;
+        }).value();
+    };
+
+    it('stops a series', function() {
+        var s = setup({ type: 'stop', date: day('2024-04-30') });
+        assert.deepEqual(occurrences(s.scenario.gatherTransactions(bounds), s.pay.series),
+            ['2024-01-01 1000', '2024-02-01 1000', '2024-03-01 1000', '2024-04-01 1000']);
+    });
+
+    it('pauses a series and never reaches back before the scenario starts', function() {
+        var s = setup({ type: 'pause', from: day('2024-02-01'), to: day('2024-05-31') });
+        assert.deepEqual(occurrences(s.scenario.gatherTransactions(bounds), s.pay.series),
+            ['2024-01-01 1000', '2024-02-01 1000', '2024-03-01 1000', '2024-06-01 1000']);
+    });
+
+    it('scales from a date', function() {
+        var s = setup({ type: 'scale', percent: -25, from: day('2024-05-01') });
+        assert.deepEqual(occurrences(s.scenario.gatherTransactions(bounds), s.pay.series).slice(3), ['2024-04-01 1000', '2024-05-01 750', '2024-06-01 750']);
+    });
+
+    it('grows every occurrence after the first one from the scenario on', function() {
+        var s = setup({ type: 'growth', growth: 5 });
+        assert.deepEqual(occurrences(s.scenario.gatherTransactions(bounds), s.pay.series).slice(3), ['2024-04-01 1000', '2024-05-01 1050', '2024-06-01 1102.5']);
+    });
+
+    it('shifts occurrences by whole days', function() {
+        var s = setup({ type: 'shift', days: 14 });
+        assert.deepEqual(occurrences(s.scenario.gatherTransactions(bounds), s.pay.series).slice(2), ['2024-03-01 1000', '2024-04-15 1000', '2024-05-15 1000', '2024-06-15 1000']);
+    });
+
+    it('applies modifiers in the order they were added', function() {
+        var s = setup({ type: 'scale', percent: 10 });
+        s.scenario.addModifier({ series: s.pay.series, type: 'stop', date: day('2024-05-15') });
+        assert.deepEqual(occurrences(s.scenario.gatherTransactions(bounds), s.pay.series).slice(3), ['2024-04-01 1100', '2024-05-01 1100']);
+    });
+
+    it('shows up as a dropped series in a comparison', function() {
+        var s = setup({ type: 'stop', date: day('2024-03-14') }), series;
+        series = new ScenarioComparison(s.root).compare(bounds, 'months').scenarios[0].series;
+        assert.deepEqual(_.pluck(series.dropped, 'description'), ['Pay']);
+        assert.deepEqual(series.overridden, []);
+    });
+
+    it('leaves the base alone until it is merged, then writes the change in', function() {
+        var s = setup({ type: 'scale', percent: 10 }), expected = occurrences(s.scenario.gatherTransactions(bounds), s.pay.series);
+        assert.deepEqual(_.uniq(_.pluck(_.filter(s.root.gatherTransactions(bounds), { series: s.pay.series }), 'amount')), [1000]);
+        s.scenario.merge();
+        assert.deepEqual(occurrences(s.root.gatherTransactions(bounds)), expected);
+        assert.strictEqual(s.root.children.length, 2);
+    });
+
+    it('writes a pause into the base as skipped occurrences', function() {
+        var s = setup({ type: 'pause', from: day('2024-04-01'), to: day('2024-05-31') });
+        s.scenario.merge();
+        assert.strictEqual(s.root.children.length, 1);
+        assert.deepEqual(occurrences(s.root.gatherTransactions(bounds)),
+            ['2024-01-01 1000', '2024-02-01 1000', '2024-03-01 1000', '2024-06-01 1000']);
+    });
+
+    it('hands its modifiers to the parent when a fork is merged', function() {
+        var s = setup({ type: 'scale', percent: 10 }), fork = s.scenario.fork(day('2024-05-01'), 'Less');
+        fork.addModifier({ series: s.pay.series, type: 'stop', date: day('2024-05-31') });
+        fork.merge();
+        assert.strictEqual(s.scenario.modifiers.length, 2);
+        assert.deepEqual(occurrences(s.scenario.gatherTransactions(bounds), s.pay.series).slice(3), ['2024-04-01 1100', '2024-05-01 1100']);
+    });
+
+    it('keeps modifiers through serialization', function() {
+        var s = setup({ type: 'pause', from: day('2024-04-01'), to: day('2024-04-30') }), copy;
+        copy = Transaction.deserialize(JSON.stringify(s.root));
+        assert.ok(copy.scenarios[0].modifiers[0].from instanceof Date);
+        assert.deepEqual(occurrences(copy.scenarios[0].gatherTransactions(bounds), s.pay.series),
+            occurrences(s.scenario.gatherTransactions(bounds), s.pay.series));
+    });
+
+    it('rejects modifiers that are missing what they need', function() {
+        var s = setup({ type: 'stop', date: day('2024-04-30') });
+        assert.throws(function() { s.scenario.addModifier({ type: 'scale', percent: 10 }); }, /need the series/);
+        assert.throws(function() { s.scenario.addModifier({ series: s.pay.series, type: 'bend' }); }, /Modifier type must be/);
+        assert.throws(function() { s.scenario.addModifier({ series: s.pay.series, type: 'stop' }); }, /need a date/);
+        assert.throws(function() { s.scenario.addModifier({ series: s.pay.series, type: 'pause', from: day('2024-05-01'), to: day('2024-04-01') }); }, /from date on or before/);
+        assert.throws(function() { s.scenario.addModifier({ series: s.pay.series, type: 'scale', percent: '10' }); }, /need a percent/);
+        assert.throws(function() { s.scenario.addModifier({ series: s.pay.series, type: 'shift', days: 1.5 }); }, /whole number of days/);
+        assert.strictEqual(s.scenario.removeModifier(0).type, 'stop');
+        assert.strictEqual(s.scenario.modifiers.length, 0);
+    });
+});
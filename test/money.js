@@ -0,0 +1,60 @@
+'use strict';
+
+var assert = require('assert');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds, Money = calc.Money;
+
+describe('Money', function() {
+    afterEach(function() {
+        Money.configure({ decimals: 2, rounding: 'half-even' });
+    });
+
+    it('adds without floating point drift', function() {
+        assert.strictEqual(Money.add(0.1, 0.2), 0.3);
+        assert.strictEqual(Money.sum([1.01, 2.02, 3.03]), 6.06);
+        assert.strictEqual(Money.sum([{ amount: 0.07 }, { amount: null }, { amount: 0.01 }], 'amount'), 0.08);
+    });
+
+    it('converts to and from minor units', function() {
+        assert.strictEqual(Money.toMinor(19.99), 1999);
+        assert.strictEqual(Money.fromMinor(1999), 19.99);
+        Money.configure({ decimals: 3 });
+        assert.strictEqual(Money.toMinor(1.2345), 1234);
+    });
+
+    it('rounds half to even by default', function() {
+        assert.strictEqual(Money.round(1.005), 1);
+        assert.strictEqual(Money.round(1.015), 1.02);
+        assert.strictEqual(Money.round(-2.125), -2.12);
+        assert.strictEqual(Money.round(null), null);
+    });
+
+    it('can round half up and use other minor units', function() {
+        Money.configure({ rounding: 'half-up' });
+        assert.strictEqual(Money.round(1.005), 1.01);
+        assert.strictEqual(Money.round(-2.125), -2.13);
+        Money.configure({ decimals: 0 });
+        assert.strictEqual(Money.multiply(1000, 1.0125), 1013);
+        assert.throws(function() { Money.configure({ rounding: 'bankers' }); }, /Rounding mode/);
+        assert.throws(function() { Money.configure({ decimals: 1.5 }); }, /whole number/);
+    });
+
+    it('keeps every occurrence of a growing series to whole cents', function() {
+        var root = new Transaction({ description: 'Plan' }), bounds = new Bounds(new Date(2024, 0, 1), new Date(2026, 11, 31)), gathered, path;
+        root.addChild({ description: 'Pay', amount: 1000.01, startDate: new Date(2024, 0, 1), frequency: 'month', growth: 1.1 });
+        gathered = root.gatherTransactions(bounds);
+        assert.strictEqual(gathered.length, 36);
+        gathered.forEach(function(t) {
+            assert.strictEqual(Money.round(t.amount), t.amount);
+        });
+        path = root.generatePath(bounds).path;
+        assert.strictEqual(path[path.length - 1].y, Money.sum(gathered, 'amount'));
+    });
+
+    it('sums branch amounts exactly', function() {
+        var root = new Transaction({ description: 'Plan' });
+        root.addChild({ description: 'Coffee', amount: -0.1 });
+        root.addChild({ description: 'Cake', amount: -0.2 });
+        assert.strictEqual(root.getAmount(), -0.3);
+    });
+});
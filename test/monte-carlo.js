@@ -0,0 +1,106 @@
+'use strict';
+
+var assert = require('assert');
+var moment = require('moment');
+var _ = require('lodash');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds, Random = calc.Random, Simulation = calc.Simulation;
+
+describe('Monte Carlo simulation', function() {
+    var bounds = new Bounds(moment('2024-01-01').toDate(), moment('2024-06-30').toDate());
+
+    var buildTree = function(uncertainty) {
+        var root = new Transaction({ description: 'Plan' });
+        root.addChild({ description: 'Pay', amount: 1000, startDate: moment('2024-01-01').toDate(), frequency: 'month' });
+        root.addChild({ description: 'Bonus', amount: 600, startDate: moment('2024-03-15').toDate(), uncertainty: uncertainty });
+        return root;
+    };
+
+    it('draws the same numbers from the same seed', function() {
+        var a = new Random('seed'), b = new Random('seed'), draws = _.times(5, function() { return a.next(); });
+        assert.deepEqual(_.times(5, function() { return b.next(); }), draws);
+        draws.forEach(function(x) { assert.ok(x >= 0 && x < 1); });
+        assert.notDeepEqual(_.times(5, function() { return new Random('other').next(); })[0], draws[0]);
+    });
+
+    it('keeps uniform draws between their limits', function() {
+        var rng = new Random(5);
+        _.times(100, function() {
+            var x = rng.uniform(-3, 4);
+            assert.ok(x >= -3 && x < 4);
+        });
+    });
+
+    it('gives the planned path when nothing is uncertain', function() {
+        var result = new Simulation(buildTree(null), { runs: 5, seed: 1, res: 'months' }).run(bounds);
+        assert.strictEqual(result.runs, 5);
+        assert.strictEqual(result.seed, 1);
+        assert.strictEqual(result.points.length, 6);
+        assert.strictEqual(result.points[5].mean, 6600);
+        assert.strictEqual(result.points[5].p10, 6600);
+        assert.strictEqual(result.points[5].probabilityBelowZero, 0);
+    });
+
+    it('spreads the outcomes of uncertain transactions', function() {
+        var root = buildTree({ probability: 0.5, amount: { distribution: 'uniform', min: 400, max: 800 } });
+        var result = new Simulation(root, { runs: 200, seed: 42, res: 'months' }).run(bounds), last = result.points[5];
+        assert.strictEqual(result.points[1].p90, 2000);
+        assert.strictEqual(last.p10, 6000);
+        assert.ok(last.p90 > 6400 && last.p90 <= 6800);
+        assert.deepEqual(new Simulation(root, { runs: 200, seed: 42, res: 'months' }).run(bounds), result);
+    });
+
+    it('counts the runs that go below zero from the first dip onwards', function() {
+        var root = buildTree(null), points;
+        root.addChild({ description: 'Repair', amount: -5000, startDate: moment('2024-02-10').toDate(), uncertainty: { probability: 0.5 } });
+        points = new Simulation(root, { runs: 100, seed: 9, res: 'months' }).run(bounds).points;
+        assert.strictEqual(points[0].probabilityBelowZero, 0);
+        assert.ok(points[1].probabilityBelowZero > 0.3 && points[1].probabilityBelowZero < 0.7);
+        //Runs that dipped stay counted even once the balance recovers
+        assert.strictEqual(points[5].probabilityBelowZero, points[1].probabilityBelowZero);
+        assert.ok(points[5].p10 > 0);
+    });
+
+    it('reports the percentiles it is asked for', function() {
+        var root = buildTree({ amount: { distribution: 'normal', sd: 100 } });
+        var point = new Simulation(root, { runs: 50, seed: 3, res: 'months', percentiles: [5, 95] }).run(bounds).points[3];
+        assert.ok(point.p5 < point.p95);
+        assert.strictEqual(point.p10, undefined);
+    });
+
+    it('simulates a scenario on top of its base transaction', function() {
+        var root = buildTree(null), scenario = root.addScenario(moment('2024-04-01').toDate(), 'Raise'), result;
+        scenario.cloneTransactionToScenario(root.children[0]).set('amount', 1500);
+        assert.strictEqual(root.getBaseTransaction(), root);
+        assert.strictEqual(scenario.getBaseTransaction(), root);
+        result = new Simulation(scenario, { runs: 3, seed: 1, res: 'months' }).run(bounds);
+        assert.strictEqual(result.points[5].mean, scenario.getValueOnDate(bounds));
+        assert.ok(result.points[5].mean > 6600);
+    });
+
+    it('moves both legs of an uncertain transfer together', function() {
+        var root = new Transaction({ description: 'Plan' }), sim, gathered;
+        root.addChild({ description: 'Pay', amount: 1000, startDate: moment('2024-01-01').toDate(), frequency: 'month', account: 'checking' });
+        root.addChild({ description: 'Save', transactionType: 'transfer', transfer: { from: 'checking', to: 'savings' }, amount: 500,
+            startDate: moment('2024-01-02').toDate(), frequency: 'month', uncertainty: { amount: { distribution: 'uniform', min: 300, max: 700 }, dateJitter: 3 } });
+        sim = new Simulation(root, { runs: 20, seed: 7, res: 'months' });
+        assert.deepEqual(_.pluck(sim.run(bounds).points, 'p90'), [1000, 2000, 3000, 4000, 5000, 6000]);
+
+        gathered = sim.perturb(root.gatherTransactions(bounds), new Random(3));
+        assert.strictEqual(_.filter(gathered, 'transferId').length, 12);
+        _.forEach(_.groupBy(_.filter(gathered, 'transferId'), 'transferId'), function(legs) {
+            assert.strictEqual(legs.length, 2);
+            assert.strictEqual(legs[0].amount, -legs[1].amount);
+            assert.ok(legs[1].amount >= 300 && legs[1].amount <= 700);
+            assert.strictEqual(legs[0].startDate.getTime(), legs[1].startDate.getTime());
+        });
+    });
+
+    it('needs a known distribution, whole runs and both ends of the bounds', function() {
+        assert.throws(function() {
+            new Simulation(buildTree({ amount: { distribution: 'poisson' } }), { runs: 1 }).run(bounds);
+        }, /normal or uniform/);
+        assert.throws(function() { new Simulation(buildTree(null), { runs: 0.5 }); }, /whole number of runs/);
+        assert.throws(function() { new Simulation(buildTree(null)).run(new Bounds(moment('2024-01-01').toDate(), null)); }, /start and end date/);
+    });
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+var assert = require('assert');
+var moment = require('moment');
+var _ = require('lodash');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds;
+
+describe('Paths', function() {
+    var bounds = function(start, end) {
+        return new Bounds(moment(start).toDate(), moment(end).toDate());
+    };
+
+    var days = function(dates) {
+        return dates.map(function(d) { return moment(d).format('YYYY-MM-DD'); });
+    };
+
+    var buildTree = function() {
+        var root = new Transaction({ description: 'Plan' });
+        root.addChild({ description: 'Savings', amount: 500, startDate: moment('2023-12-01').toDate() });
+        root.addChild({ description: 'Pay', amount: 1000, startDate: moment('2024-01-05').toDate(), frequency: 'biweek' });
+        root.addChild({ description: 'Rent', amount: -1200, startDate: moment('2024-01-01').toDate(), frequency: 'month' });
+        return root;
+    };
+
+    it('has a point for every day with transactions when no resolution is given', function() {
+        var path = buildTree().generatePath(bounds('2024-01-01', '2024-01-31')).path;
+        assert.deepEqual(days(_.pluck(path, 'd')), ['2024-01-01', '2024-01-01', '2024-01-05', '2024-01-19', '2024-01-31']);
+        assert.deepEqual(_.pluck(path, 'y'), [-700, -700, 300, 1300, 1300]);
+        assert.strictEqual(path[path.length - 1].x, 30);
+    });
+
+    it('buckets by month with open, close, low, high and flows', function() {
+        var path = buildTree().generatePath(bounds('2024-01-01', '2024-03-31'), null, 'months').path;
+        assert.deepEqual(days(_.pluck(path, 'd')), ['2024-01-01', '2024-02-01', '2024-03-01']);
+        assert.deepEqual(_.pick(path[0], ['open', 'min', 'max', 'close', 'inflow', 'outflow', 'net']),
+            { open: 500, min: -700, max: 1300, close: 1300, inflow: 2000, outflow: -1200, net: 800 });
+        assert.deepEqual(days([path[0].end]), ['2024-01-31']);
+        assert.strictEqual(path[1].open, path[0].close);
+        assert.strictEqual(path[2].y, path[2].close);
+    });
+
+    it('clips the first and last buckets to the bounds', function() {
+        var path = buildTree().generatePath(bounds('2024-01-10', '2024-02-14'), null, 'weeks').path;
+        assert.deepEqual(days([path[0].d, path[0].end, path[1].d, path[path.length - 1].end]), ['2024-01-10', '2024-01-14', '2024-01-15', '2024-02-14']);
+        assert.strictEqual(path[0].open, 300);
+        assert.strictEqual(path[0].x, 0);
+        assert.strictEqual(path[1].x, 5);
+    });
+
+    it('has a point for every day at a daily resolution', function() {
+        var path = buildTree().generatePath(bounds('2024-01-01', '2024-01-31'), null, 'days').path;
+        assert.strictEqual(path.length, 31);
+        assert.strictEqual(path[3].close, -700);
+        assert.strictEqual(path[4].close, 300);
+    });
+
+    it('buckets quarters and years and rejects other resolutions', function() {
+        var root = buildTree(), range = bounds('2024-01-01', '2025-12-31');
+        assert.strictEqual(root.generatePath(range, null, 'quarters').path.length, 8);
+        assert.strictEqual(root.generatePath(range, null, 'years').path.length, 2);
+        assert.throws(function() { root.generatePath(range, null, 'fortnights'); }, /Path resolution must be/);
+    });
+
+    it('buckets scenario paths the same way', function() {
+        var root = buildTree(), scenario = root.addScenario(moment('2024-02-01').toDate(), 'Move'), path;
+        scenario.cloneTransactionToScenario(root.children[2]).set('amount', -900);
+        path = scenario.generateScenarioPath(bounds('2024-01-01', '2024-03-31'), 'months').path;
+        assert.deepEqual(days(_.pluck(path, 'd')), ['2024-01-01', '2024-02-01', '2024-03-01']);
+        assert.strictEqual(path[0].close, 1300);
+        assert.strictEqual(path[1].outflow, -900);
+    });
+
+    it('finds a zero crossing between the first two points', function() {
+        var path = [{ x: 0, y: 100 }, { x: 3, y: -50 }, { x: 5, y: -20 }, { x: 9, y: 40 }], zero;
+        zero = Transaction.prototype.getZeroPoints(path, bounds('2024-01-01', '2024-01-31'));
+        assert.deepEqual(_.pluck(zero, 'type'), ['negative', 'positive']);
+        assert.deepEqual(days(_.pluck(zero, 'date')), ['2024-01-04', '2024-01-10']);
+    });
+});
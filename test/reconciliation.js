@@ -0,0 +1,143 @@
+'use strict';
+
+var assert = require('assert');
+var moment = require('moment');
+var _ = require('lodash');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds, ActualsLedger = calc.ActualsLedger;
+
+describe('Reconciliation', function() {
+    var toDate = function(d) {
+        return moment(d).toDate();
+    };
+    var day = function(d) {
+        return moment(d).format('YYYY-MM-DD');
+    };
+    var bounds = new Bounds(toDate('2024-01-01'), toDate('2024-06-30'));
+
+    var buildTree = function() {
+        var root = new Transaction({ description: 'Plan' });
+        root.addChild({ description: 'Pay', amount: 3000, startDate: toDate('2024-01-01'), frequency: 'month' });
+        root.addChild({ description: 'Rent', amount: -1500, startDate: toDate('2024-01-05'), frequency: 'month' });
+        return root;
+    };
+
+    var buildLedger = function() {
+        return new ActualsLedger([
+            { date: toDate('2024-01-02'), amount: 3000, description: 'PAYROLL' },
+            { date: toDate('2024-01-05'), amount: -1500, description: 'RENT' },
+            { date: toDate('2024-02-01'), amount: 3100, description: 'PAYROLL' },
+            { date: toDate('2024-02-07'), amount: -1550, description: 'RENT' },
+            { date: toDate('2024-02-20'), amount: -90, description: 'Dentist' }
+        ]);
+    };
+
+    it('matches actuals to the closest planned occurrence within tolerance', function() {
+        var root = buildTree(), ledger = buildLedger(), matched;
+        matched = ledger.autoMatch(root, bounds, { amountTolerancePercent: 5 });
+        assert.deepEqual(_.pluck(matched, 'id'), ['actual-1', 'actual-2', 'actual-3', 'actual-4']);
+        assert.strictEqual(ledger.getActual('actual-2').series, root.children[1].series);
+        assert.strictEqual(day(ledger.getActual('actual-4').occurrenceDate), '2024-02-05');
+        assert.strictEqual(ledger.getActual('actual-4').matchedBy, 'auto');
+        assert.strictEqual(ledger.getActual('actual-5').series, null);
+    });
+
+    it('only matches a hinted actual to its own series', function() {
+        var root = buildTree(), ledger = new ActualsLedger(), actual;
+        actual = ledger.addActual({ date: toDate('2024-03-02'), amount: 3000, series: root.children[1].series });
+        assert.strictEqual(actual.hintSeries, root.children[1].series);
+        assert.deepEqual(ledger.autoMatch(root, bounds, { amountTolerance: 10000 }), []);
+        actual.hintSeries = root.children[0].series;
+        assert.strictEqual(day(ledger.autoMatch(root, bounds)[0].occurrenceDate), '2024-03-01');
+    });
+
+    it('leaves out matches that are too far off and refuses double matches', function() {
+        var root = buildTree(), ledger = buildLedger();
+        assert.strictEqual(ledger.autoMatch(root, bounds).length, 2);
+        assert.throws(function() { ledger.match('actual-3', root.children[0].series, toDate('2024-01-01')); }, /already matched to actual actual-1/);
+        ledger.match('actual-3', root.children[0].series, toDate('2024-02-01'));
+        assert.strictEqual(ledger.getActual('actual-3').matchedBy, 'manual');
+        assert.strictEqual(ledger.unmatch('actual-3').series, null);
+    });
+
+    it('keeps track of actuals by id', function() {
+        var ledger = buildLedger();
+        assert.strictEqual(ledger.addActual({ id: 'bank-1', date: toDate('2024-03-01'), amount: 5, payee: 'Bank' }).description, 'Bank');
+        assert.throws(function() { ledger.addActual({ id: 'bank-1', date: toDate('2024-03-01'), amount: 5 }); }, /already an actual with id bank-1/);
+        assert.strictEqual(ledger.removeActual('actual-5').amount, -90);
+        assert.throws(function() { ledger.getActual('actual-5'); }, /no actual with id actual-5/);
+        assert.throws(function() { ledger.addActual({ amount: 5 }); }, /need a date/);
+        assert.throws(function() { ledger.addActual({ date: toDate('2024-03-01'), amount: 'five' }); }, /need an amount/);
+    });
+
+    it('reports variance by occurrence and by period', function() {
+        var root = buildTree(), ledger = buildLedger(), variance;
+        ledger.autoMatch(root, bounds, { amountTolerancePercent: 5 });
+        variance = ledger.getVariance(root, bounds, { asOf: toDate('2024-02-29') });
+        assert.strictEqual(day(variance.asOf), '2024-02-29');
+        assert.deepEqual(variance.occurrences.map(function(o) { return o.status + ' ' + o.variance; }),
+            ['matched 0', 'matched 0', 'matched 100', 'matched -50', 'unplanned -90']);
+        assert.deepEqual(_.pluck(variance.totals, 'variance'), [0, -40]);
+        assert.strictEqual(_.find(variance.branches, { series: 'unplanned' }).actual, -90);
+        assert.strictEqual(_.find(variance.branches, { description: 'Rent' }).variance, -50);
+    });
+
+    it('counts planned occurrences nobody paid as missing', function() {
+        var root = buildTree(), variance = new ActualsLedger().getVariance(root, bounds, { asOf: toDate('2024-01-31') });
+        assert.deepEqual(_.pluck(variance.occurrences, 'status'), ['missing', 'missing']);
+        assert.deepEqual(_.pluck(variance.totals, 'variance'), [-1500]);
+    });
+
+    it('re-forecasts from the actual balance', function() {
+        var root = buildTree(), ledger = buildLedger(), path;
+        ledger.autoMatch(root, bounds, { amountTolerancePercent: 5 });
+        path = ledger.generateReforecastPath(root, bounds, toDate('2024-02-29'), 'months').path;
+        assert.deepEqual(_.pluck(path, 'close'), [1500, 2960, 4460, 5960, 7460, 8960]);
+    });
+
+    it('leaves out planned occurrences that were paid early', function() {
+        var root = buildTree(), ledger = new ActualsLedger(), txns;
+        ledger.addActual({ date: toDate('2024-02-28'), amount: -1500, series: root.children[1].series, occurrenceDate: toDate('2024-03-05') });
+        txns = ledger.getReforecastTransactions(root, bounds, toDate('2024-02-29'));
+        assert.ok(!_.some(txns, function(t) { return t.description === 'Rent' && day(t.startDate) === '2024-03-05'; }));
+        assert.strictEqual(_.filter(txns, { transactionType: 'actual' }).length, 1);
+    });
+
+    describe('serialization', function() {
+        var tz = process.env.TZ;
+
+        afterEach(function() {
+            if (tz === undefined) {
+                delete process.env.TZ;
+            } else {
+                process.env.TZ = tz;
+            }
+        });
+
+        it('writes actual and occurrence dates as days', function() {
+            var root = buildTree(), ledger = buildLedger(), doc;
+            ledger.autoMatch(root, bounds, { amountTolerancePercent: 5 });
+            doc = JSON.parse(JSON.stringify(ledger));
+            assert.strictEqual(doc.actuals[3].date, '2024-02-07');
+            assert.strictEqual(doc.actuals[3].occurrenceDate, '2024-02-05');
+            assert.strictEqual(doc.actuals[4].occurrenceDate, null);
+            assert.strictEqual(doc.nextId, 6);
+        });
+
+        it('reads the same days back in another time zone', function() {
+            var json, copy, series;
+            process.env.TZ = 'Pacific/Auckland';
+            series = buildTree().children[1].series;
+            json = JSON.stringify(new ActualsLedger([
+                { date: toDate('2024-01-05'), amount: -1500, series: series, occurrenceDate: toDate('2024-01-04') }
+            ]));
+
+            process.env.TZ = 'America/Los_Angeles';
+            copy = ActualsLedger.deserialize(json);
+            assert.strictEqual(day(copy.actuals[0].date), '2024-01-05');
+            assert.strictEqual(day(copy.actuals[0].occurrenceDate), '2024-01-04');
+            assert.strictEqual(copy.actuals[0].matchedBy, 'manual');
+            assert.strictEqual(copy.addActual({ date: toDate('2024-01-06'), amount: 1 }).id, 'actual-2');
+        });
+    });
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+var assert = require('assert');
+var moment = require('moment');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds;
+
+describe('Recurrence rules', function() {
+    var days = function(frequency, startDate, endDate) {
+        var txn = new Transaction({ description: 'Repeat', amount: 1, startDate: moment(startDate).toDate(), frequency: frequency });
+        return [].concat(txn.gatherTransactions(new Bounds(moment(startDate).toDate(), moment(endDate).toDate()))).map(function(o) {
+            return moment(o.startDate).format('YYYY-MM-DD');
+        });
+    };
+
+    it('parses RRULE strings and objects the same way', function() {
+        var fromString = Transaction.prototype.parseRecurrenceRule('RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=2TU,-1FR;COUNT=5'),
+            fromObject = Transaction.prototype.parseRecurrenceRule({ freq: 'monthly', interval: 2, byDay: ['2TU', '-1FR'], count: 5 });
+        assert.deepEqual(fromString, fromObject);
+        assert.strictEqual(fromString.freq, 'MONTHLY');
+        assert.deepEqual(fromString.byDay, [{ n: 2, day: 2 }, { n: -1, day: 5 }]);
+    });
+
+    it('rejects rules it does not understand', function() {
+        assert.throws(function() { Transaction.prototype.parseRecurrenceRule('FREQ=HOURLY'); }, /FREQ must be/);
+        assert.throws(function() { Transaction.prototype.parseRecurrenceRule('FREQ=DAILY;INTERVAL=0'); }, /INTERVAL/);
+        assert.throws(function() { Transaction.prototype.parseRecurrenceRule('FREQ=WEEKLY;BYDAY=XX'); }, /BYDAY/);
+        assert.throws(function() { days('fortnight', '2024-01-01', '2024-02-01'); }, /Frequency must be/);
+    });
+
+    it('expands ordinal weekdays, set positions, COUNT and UNTIL', function() {
+        assert.deepEqual(days('FREQ=MONTHLY;BYDAY=2TU;COUNT=3', '2024-01-01', '2024-12-31'), ['2024-01-09', '2024-02-13', '2024-03-12']);
+        assert.deepEqual(days('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;UNTIL=20240331', '2024-01-01', '2024-12-31'), ['2024-01-31', '2024-02-29', '2024-03-29']);
+        assert.deepEqual(days('semimonth', '2024-01-01', '2024-02-29'), ['2024-01-01', '2024-01-15', '2024-02-01', '2024-02-15']);
+    });
+
+    it('steps weekly rules by their interval and weekdays', function() {
+        assert.deepEqual(days('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR', '2024-01-01', '2024-01-31'), ['2024-01-01', '2024-01-05', '2024-01-15', '2024-01-19', '2024-01-29']);
+    });
+
+    it('keeps rule objects through a serialization round-trip', function() {
+        var root = new Transaction({ description: 'Plan' }), copy;
+        root.addChild({ description: 'Rent', amount: -500, startDate: new Date(2024, 0, 1), frequency: { freq: 'monthly', byMonthDay: [1, 15] } });
+        copy = Transaction.deserialize(JSON.stringify(root));
+        assert.deepEqual(copy.children[0].frequency, root.children[0].frequency);
+        assert.equal(copy.gatherTransactions(new Bounds(new Date(2024, 0, 1), new Date(2024, 2, 31))).length, 6);
+    });
+
+    it('skips months without the start day in explicit rules', function() {
+        assert.deepEqual(days('FREQ=MONTHLY;INTERVAL=3', '2024-01-31', '2024-12-31'), ['2024-01-31', '2024-07-31', '2024-10-31']);
+    });
+
+    it('moves quarterly and yearly shorthands onto the end of short months', function() {
+        assert.deepEqual(days('quarter', '2024-01-31', '2025-01-31'), ['2024-01-31', '2024-04-30', '2024-07-31', '2024-10-31', '2025-01-31']);
+        assert.deepEqual(days('quarter', '2023-11-30', '2024-08-31'), ['2023-11-30', '2024-02-29', '2024-05-30', '2024-08-30']);
+        assert.deepEqual(days('year', '2024-02-29', '2026-12-31'), ['2024-02-29', '2025-02-28', '2026-02-28']);
+    });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+var assert = require('assert');
+var moment = require('moment');
+var _ = require('lodash');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds, ScenarioComparison = calc.ScenarioComparison;
+
+describe('Scenario comparison', function() {
+    var day = function(d) {
+        return moment(d).toDate();
+    };
+    var bounds = new Bounds(day('2024-01-01'), day('2024-06-30'));
+
+    var buildTree = function() {
+        var root = new Transaction({ description: 'Plan' }), pay, scenario;
+        root.addChild({ description: 'Savings', amount: 500, startDate: day('2024-01-01') });
+        pay = root.addChild({ description: 'Pay', amount: 1000, startDate: day('2024-01-01'), frequency: 'month' });
+        root.addChild({ description: 'Rent', amount: -1200, startDate: day('2024-01-03'), frequency: 'month' });
+        scenario = root.addScenario(day('2024-04-01'), 'Raise');
+        scenario.cloneTransactionToScenario(pay).set('amount', 1500);
+        scenario.transactions.addChild({ description: 'Side gig', amount: 300, startDate: day('2024-04-10'), frequency: 'month' });
+        return root;
+    };
+
+    it('starts a scenario from the base balance the day before it splits off', function() {
+        var root = buildTree(), initial = root.scenarios[0].transactions.children[0];
+        assert.strictEqual(initial.transactionType, 'initial');
+        assert.strictEqual(initial.amount, -100);
+        assert.ok(!_.some(root.scenarios[0].gatherTransactions(bounds), { transactionType: 'initial' }));
+    });
+
+    it('lines the scenario up against the base period by period', function() {
+        var result = new ScenarioComparison(buildTree()).compare(bounds, 'months'), raise = result.scenarios[0];
+        assert.strictEqual(result.base.ending, -700);
+        assert.strictEqual(raise.name, 'Raise');
+        assert.strictEqual(raise.ending, 1700);
+        assert.strictEqual(raise.endingDifference, 2400);
+        assert.deepEqual(_.pluck(raise.deltas, 'delta'), [0, 0, 0, 800, 1600, 2400]);
+        assert.deepEqual(_.pluck(raise.deltas, 'base'), _.pluck(result.base.path, 'y'));
+    });
+
+    it('compares only the scenarios it is given', function() {
+        var root = buildTree(), other = root.addScenario(day('2024-05-01'), 'Move'), result;
+        other.transactions.addChild({ description: 'Deposit', amount: -2000, startDate: day('2024-05-15') });
+        assert.strictEqual(new ScenarioComparison(root).compare(bounds, 'months').scenarios.length, 2);
+        result = new ScenarioComparison(root, [other]).compare(bounds, 'months');
+        assert.deepEqual(_.pluck(result.scenarios, 'name'), ['Move']);
+        assert.strictEqual(result.scenarios[0].endingDifference, -2000);
+    });
+
+    it('lists the series the scenario adds and overrides', function() {
+        var series = new ScenarioComparison(buildTree()).compare(bounds, 'months').scenarios[0].series;
+        assert.deepEqual(_.pluck(series.added, 'description'), ['Side gig']);
+        assert.deepEqual(_.pluck(series.overridden, 'description'), ['Pay']);
+        assert.deepEqual(series.dropped, []);
+    });
+
+    it('counts base series without occurrences after the split as dropped', function() {
+        var root = buildTree(), scenario = root.scenarios[0], rent = root.children[2];
+        var baseGathered = root.gatherTransactions(bounds);
+        var gathered = _.reject(scenario.gatherTransactions(bounds), function(t) {
+            return t.series === rent.series && t.startDate >= scenario.startDate;
+        });
+        var series = ScenarioComparison.prototype.diffSeries(scenario, baseGathered, gathered, bounds);
+        assert.deepEqual(series.dropped, [{ series: rent.series, description: 'Rent' }]);
+    });
+
+    it('matches zero crossings and drops the ones the scenario avoids', function() {
+        var shifts = new ScenarioComparison(buildTree()).compare(bounds).scenarios[0].zeroShifts;
+        assert.deepEqual(shifts.map(function(s) { return s.type + ' ' + moment(s.base.date).format('YYYY-MM-DD') + ' ' + s.days; }), [
+            'negative 2024-03-03 0', 'positive 2024-04-01 0', 'negative 2024-04-03 null',
+            'positive 2024-05-01 null', 'negative 2024-05-03 null', 'positive 2024-06-01 null', 'negative 2024-06-03 null'
+        ]);
+        assert.strictEqual(shifts[2].scenario, null);
+    });
+
+    it('pairs crossings in order by direction', function() {
+        var point = function(d, type) { return { date: day(d), type: type }; };
+        var shifts = ScenarioComparison.prototype.matchZeroPoints(
+            [point('2024-02-01', 'negative'), point('2024-03-01', 'positive')],
+            [point('2024-02-05', 'negative'), point('2024-04-01', 'negative')]);
+        assert.deepEqual(shifts.map(function(s) { return s.type + ' ' + s.days; }), ['negative 4', 'positive null', 'negative null']);
+        assert.strictEqual(shifts[2].base, null);
+    });
+
+    it('needs both ends of the bounds', function() {
+        assert.throws(function() { new ScenarioComparison(buildTree()).compare(new Bounds(null, day('2024-06-30'))); }, /start and end date/);
+    });
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+var assert = require('assert');
+var moment = require('moment');
+var _ = require('lodash');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds;
+
+describe('Scenarios', function() {
+    var day = function(d) {
+        return moment(d).toDate();
+    };
+    var bounds = new Bounds(day('2024-01-01'), day('2024-06-30'));
+
+    var closing = function(source) {
+        var path = source.generateScenarioPath ? source.generateScenarioPath(bounds, 'months').path : source.generatePath(bounds, null, 'months').path;
+        return path[path.length - 1].close;
+    };
+
+    var buildTree = function() {
+        var root = new Transaction({ description: 'Plan' });
+        root.addChild({ description: 'Pay', amount: 3000, startDate: day('2024-01-01'), frequency: 'month' });
+        root.addChild({ description: 'Rent', amount: -1500, startDate: day('2024-01-02'), frequency: 'month' });
+        return root;
+    };
+
+    it('starts from what the base is worth the day before it splits', function() {
+        var root = buildTree(), scenario = root.addScenario(day('2024-04-01'), 'Job change'), initial;
+        initial = _.find(scenario.transactions.children, { transactionType: 'initial' });
+        assert.strictEqual(initial.amount, 4500);
+        assert.strictEqual(closing(scenario), closing(root));
+    });
+
+    it('inserts children where it is told to', function() {
+        var root = buildTree(), changes = [];
+        root.on('change', function(change) {
+            if (change.type === 'add') {
+                changes.push(change.index);
+            }
+        });
+        root.addChild({ description: 'Gym', amount: -40, startDate: day('2024-01-05') }, 1);
+        root.addChild({ description: 'Tip', amount: 5, startDate: day('2024-01-06') }, 99);
+        assert.deepEqual(_.pluck(root.children, 'description'), ['Pay', 'Gym', 'Rent', 'Tip']);
+        assert.deepEqual(changes, [1, 3]);
+    });
+
+    it('layers forks on top of the scenario they branch from', function() {
+        var root = buildTree(), job = root.addScenario(day('2024-03-01'), 'Job change'), house;
+        job.cloneTransactionToScenario(root.children[0]).set('amount', 4000);
+        house = job.fork(day('2024-05-01'), 'And a house');
+        house.cloneTransactionToScenario(root.children[1]).set('amount', -2500);
+        assert.strictEqual(house.parentScenario, job);
+        assert.deepEqual(house.getAncestors(), [job]);
+        assert.strictEqual(house.resolveSeries(root.children[0].series).amount, 4000);
+        assert.strictEqual(house.resolveSeries(root.children[1].series).amount, -2500);
+        assert.strictEqual(job.resolveSeries(root.children[1].series), root.children[1]);
+        assert.strictEqual(closing(root), 9000);
+        assert.strictEqual(closing(job), 13000);
+        assert.strictEqual(closing(house), 11000);
+    });
+
+    it('only forks from scenarios of the same transaction', function() {
+        var other = buildTree().addScenario(day('2024-02-01'), 'Elsewhere');
+        assert.throws(function() { buildTree().addScenario(day('2024-03-01'), 'Fork', other); }, /same transaction/);
+    });
+
+    it('renames, reorders and deletes scenarios, taking forks along', function() {
+        var root = buildTree(), a = root.addScenario(day('2024-02-01'), 'A'), b = root.addScenario(day('2024-03-01'), 'B'), changes = [];
+        a.fork(day('2024-04-01'), 'A2');
+        root.on('change', function(change) { changes.push(change.type); });
+        b.rename('Bee');
+        root.moveScenario(1, 0);
+        assert.deepEqual(_.pluck(root.scenarios, 'name'), ['Bee', 'A', 'A2']);
+        root.deleteScenario(1);
+        assert.deepEqual(_.pluck(root.scenarios, 'name'), ['Bee']);
+        assert.deepEqual(changes, ['scenario-update', 'scenario-move', 'scenario-remove', 'scenario-remove']);
+        assert.throws(function() { root.moveScenario(0, 3); }, /out of range/);
+    });
+
+    it('keeps forks hooked up to their parents through serialization', function() {
+        var root = buildTree(), job = root.addScenario(day('2024-03-01'), 'Job change'), copy;
+        job.cloneTransactionToScenario(root.children[0]).set('amount', 4000);
+        job.fork(day('2024-05-01'), 'And a house');
+        copy = Transaction.deserialize(JSON.stringify(root));
+        assert.strictEqual(copy.scenarios[0].id, job.id);
+        assert.strictEqual(copy.scenarios[1].parentScenario, copy.scenarios[0]);
+        assert.strictEqual(copy.scenarios[0].parentScenario, null);
+        assert.strictEqual(closing(copy.scenarios[1]), closing(root.scenarios[1]));
+    });
+
+    it('merges into the base, ending the base version where the scenario took over', function() {
+        var root = buildTree(), job = root.addScenario(day('2024-04-01'), 'Job change'), expected, pay;
+        job.cloneTransactionToScenario(root.children[0]).set('amount', 4000);
+        expected = closing(job);
+        assert.strictEqual(job.merge(), root);
+        assert.strictEqual(root.scenarios.length, 0);
+        assert.strictEqual(closing(root), expected);
+        pay = _.filter(root.children, { description: 'Pay' });
+        assert.strictEqual(pay.length, 2);
+        assert.strictEqual(moment(pay[0].endDate).format('YYYY-MM-DD'), '2024-03-31');
+        assert.notStrictEqual(pay[0].series, pay[1].series);
+        assert.throws(function() { job.merge(); }, /still part of their base/);
+    });
+
+    it('merges a fork into its parent and moves the fork\'s forks up', function() {
+        var root = buildTree(), job = root.addScenario(day('2024-03-01'), 'Job change'), house, car, expected;
+        house = job.fork(day('2024-05-01'), 'And a house');
+        house.transactions.addChild({ description: 'Mortgage', amount: -2000, startDate: day('2024-05-15'), frequency: 'month' });
+        car = house.fork(day('2024-06-01'), 'And a car');
+        expected = closing(house);
+        assert.strictEqual(house.merge(), job);
+        assert.strictEqual(car.parentScenario, job);
+        assert.strictEqual(closing(job), expected);
+        assert.deepEqual(_.pluck(root.scenarios, 'name'), ['Job change', 'And a car']);
+    });
+
+    it('promotes a fork and everything it branches from', function() {
+        var root = buildTree(), job = root.addScenario(day('2024-03-01'), 'Job change'), house, expected;
+        job.cloneTransactionToScenario(root.children[0]).set('amount', 4000);
+        house = job.fork(day('2024-05-01'), 'And a house');
+        house.cloneTransactionToScenario(root.children[1]).set('amount', -2500);
+        expected = closing(house);
+        house.promote();
+        assert.strictEqual(root.scenarios.length, 0);
+        assert.strictEqual(closing(root), expected);
+    });
+});
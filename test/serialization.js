@@ -0,0 +1,76 @@
+'use strict';
+
+var assert = require('assert');
+var calc = require('..');
+var Transaction = calc.Transaction, Bounds = calc.Bounds;
+
+describe('Transaction serialization', function() {
+    var bounds = new Bounds(new Date(2015, 0, 1), new Date(2015, 11, 31));
+
+    var buildTree = function() {
+        var root = new Transaction({ description: 'Plan' }), bills, scenario;
+        root.addChild({ description: 'Pay', amount: 1000, startDate: new Date(2015, 0, 1), frequency: 'month' });
+        bills = root.addChild({ description: 'Bills' });
+        bills.addChild({ description: 'Rent', amount: -600, startDate: new Date(2015, 0, 3), frequency: 'month' });
+        bills.addChild({ description: 'Zero', amount: 0, startDate: new Date(2015, 1, 1) });
+        scenario = root.addScenario(new Date(2015, 5, 1), 'Raise');
+        scenario.cloneTransactionToScenario(root.children[0]).amount = 1200;
+        return root;
+    };
+
+    it('writes a versioned document', function() {
+        var doc = buildTree().serializeTree();
+        assert.equal(doc.format, 'mimirate-calc');
+        assert.equal(doc.version, Transaction.SERIALIZATION_VERSION);
+        assert.equal(doc.root.children.length, 2);
+        assert.equal(doc.root.scenarios[0].name, 'Raise');
+    });
+
+    it('round-trips a tree and its scenarios through JSON', function() {
+        var root = buildTree(), copy = Transaction.deserialize(JSON.stringify(root));
+        assert.deepEqual(JSON.parse(JSON.stringify(copy)), JSON.parse(JSON.stringify(root)));
+    });
+
+    it('restores parent links, depths and series', function() {
+        var root = buildTree(), copy = Transaction.fromJSON(JSON.stringify(root));
+        var rent = copy.children[1].children[0];
+        assert.strictEqual(rent.parentTransaction, copy.children[1]);
+        assert.equal(rent.depth, root.children[1].children[0].depth);
+        assert.equal(rent.series, root.children[1].children[0].series);
+        assert.ok(rent.startDate instanceof Date);
+    });
+
+    it('hooks scenarios back up to their base transaction', function() {
+        var copy = Transaction.deserialize(JSON.stringify(buildTree()));
+        assert.strictEqual(copy.scenarios[0].baseTransaction, copy);
+        assert.equal(copy.scenarios[0].startDate.valueOf(), new Date(2015, 5, 1).valueOf());
+        assert.equal(copy.scenarios[0].transactions.children[1].amount, 1200);
+    });
+
+    it('projects the same path after a round-trip', function() {
+        var root = new Transaction({ description: 'Plan' }), copy;
+        root.addChild({ description: 'Pay', amount: 1000, startDate: new Date(2015, 0, 1), frequency: 'month', growth: 1 });
+        root.addChild({ description: 'Rent', amount: -600, startDate: new Date(2015, 0, 3), frequency: 'week' });
+        copy = Transaction.deserialize(root.serializeTree());
+        assert.deepEqual(copy.generatePath(bounds).path, root.generatePath(bounds).path);
+    });
+
+    it('keeps zero amounts and growth rates', function() {
+        var copy = Transaction.deserialize({
+            format: 'mimirate-calc',
+            version: 1,
+            root: { description: 'Plan', children: [{ description: 'Zero', amount: 0, growth: 0, frequency: 'month' }] }
+        });
+        assert.strictEqual(copy.children[0].amount, 0);
+        assert.strictEqual(copy.children[0].growth, 0);
+        assert.equal(copy.children[0].depth, 0);
+    });
+
+    it('refuses documents it cannot read', function() {
+        assert.throws(function() { Transaction.deserialize({ format: 'other' }); }, /not a serialized transaction tree/);
+        assert.throws(function() { Transaction.deserialize('null'); }, /not a serialized transaction tree/);
+        assert.throws(function() {
+            Transaction.deserialize({ format: 'mimirate-calc', version: Transaction.SERIALIZATION_VERSION + 1, root: {} });
+        }, /Unsupported document version/);
+    });
+});
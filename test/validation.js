@@ -0,0 +1,136 @@
+'use strict';
+
+var assert = require('assert');
+var moment = require('moment');
+var _ = require('lodash');
+var calc = require('..');
+var Transaction = calc.Transaction;
+
+describe('Validation', function() {
+    var day = function(d) {
+        return moment(d).toDate();
+    };
+
+    it('reports errors and warnings by path', function() {
+        var result = Transaction.validate({
+            description: 'Plan',
+            children: [
+                { description: 'Pay', amount: '3000', startDate: day('2024-01-01'), frequency: 'fortnight' },
+                { description: 'Bills', children: [
+                    { description: 'Rent', amount: -1500, startDate: day('2024-02-01'), endDate: day('2024-01-01'), colour: 'red' }
+                ] }
+            ]
+        });
+        assert.strictEqual(result.valid, false);
+        assert.deepEqual(_.pluck(result.errors, 'path'), ['children[0].amount', 'children[0].frequency', 'children[1].children[0].endDate']);
+        assert.deepEqual(_.pluck(result.warnings, 'path'), ['children[1].children[0].colour']);
+        assert.strictEqual(result.errors[0].value, '3000');
+        assert.strictEqual(result.errors[0].field, 'amount');
+    });
+
+    it('checks business day adjustments and calendar names', function() {
+        var result = Transaction.validate({ description: 'Plan', calendar: 'US-FED', children: [
+            { description: 'Pay', amount: 100, startDate: day('2024-01-01'), businessDayAdjustment: 'nearest' },
+            { description: 'Rent', amount: -50, startDate: day('2024-01-01'), calendar: 'Atlantis', businessDayAdjustment: 'preceding' }
+        ] });
+        assert.deepEqual(_.pluck(result.errors, 'path'), ['children[0].businessDayAdjustment', 'children[1].calendar']);
+        assert.strictEqual(result.errors[1].message, 'Unknown holiday calendar Atlantis.');
+        assert.deepEqual(result.warnings, []);
+    });
+
+    it('checks how derived transactions are worked out', function() {
+        var result = Transaction.validate({ description: 'Plan', children: [
+            { description: 'Tax', transactionType: 'derived', derivation: { sources: [] } },
+            { description: 'Fee', transactionType: 'derived', derivation: { sources: ['pay'], percent: '2', floor: 10, cap: 5, offsetDays: 1.5 } },
+            { description: 'Pay', amount: 1000, startDate: day('2024-01-01'), derivation: { sources: ['pay'] } }
+        ] });
+        assert.deepEqual(_.pluck(result.errors, 'path'), ['children[0].derivation.sources', 'children[1].derivation.percent',
+            'children[1].derivation.cap', 'children[1].derivation.offsetDays']);
+        assert.deepEqual(_.pluck(result.warnings, 'path'), ['children[2].derivation']);
+    });
+
+    it('checks accounts and transfers', function() {
+        var result = Transaction.validate({ description: 'Plan', accounts: ['checking'], children: [
+            { description: 'Save', transactionType: 'transfer', amount: 100, startDate: day('2024-01-01'), transfer: { from: 'checking' } },
+            { description: 'Top up', transactionType: 'transfer', amount: -50, startDate: day('2024-01-01'), transfer: { from: 'savings', to: 'checking' } },
+            { description: 'Loop', transactionType: 'transfer', amount: 50, startDate: day('2024-01-01'), transfer: { from: 'savings', to: 'savings' } },
+            { description: 'Cash', amount: 10, startDate: day('2024-01-01'), account: 7 }
+        ] });
+        assert.deepEqual(_.pluck(result.errors, 'path'), ['accounts', 'children[0].transfer', 'children[2].transfer.to', 'children[3].account']);
+        assert.deepEqual(_.pluck(result.warnings, 'path'), ['children[1].amount']);
+    });
+
+    it('leaves the children out when asked and prefixes paths', function() {
+        var blob = { description: 'Bills', children: [{ amount: 'lots', startDate: day('2024-01-01') }] };
+        assert.strictEqual(Transaction.validate(blob, { deep: false }).valid, true);
+        assert.deepEqual(_.pluck(Transaction.validate(blob, { path: 'children[3]' }).errors, 'path'), ['children[3].children[0].amount']);
+        assert.deepEqual(_.pluck(Transaction.validate('Rent').errors, 'message'), ['Transactions must be objects.']);
+    });
+
+    it('warns about transactions that would never add anything', function() {
+        var result = Transaction.validate({ children: [
+            { description: 'Undated', amount: 10, frequency: 'month' },
+            { description: 'Empty', startDate: day('2024-01-01') },
+            { description: 'Branch', amount: 50, children: [{ amount: 1, startDate: day('2024-01-01') }] },
+            { description: 'Odd', amount: 1, startDate: day('2024-01-01'), transactionType: 'bonus' }
+        ] });
+        assert.strictEqual(result.valid, true);
+        assert.deepEqual(result.warnings.map(function(w) { return w.path; }),
+            ['children[0].startDate', 'children[1].amount', 'children[2].amount', 'children[3].transactionType']);
+    });
+
+    it('checks loans, exceptions and uncertainty', function() {
+        var result = Transaction.validate({ children: [
+            { transactionType: 'loan', startDate: day('2024-01-01'), frequency: 'month', loan: { principal: 1000, apr: -1, term: 1.5 } },
+            { transactionType: 'loan', startDate: day('2024-01-01') },
+            { amount: 5, startDate: day('2024-01-01'), frequency: 'month', exceptions: { '2024-02-01': {}, 'March': { skip: true }, '2024-04-01': { amount: 'x' } } },
+            { amount: 5, startDate: day('2024-01-01'), uncertainty: { probability: 2, amount: { distribution: 'poisson' } } }
+        ] });
+        assert.deepEqual(_.pluck(result.errors, 'path'), [
+            'children[0].loan.apr', 'children[0].loan.term', 'children[1].loan',
+            'children[2].exceptions.2024-02-01', 'children[2].exceptions.March', 'children[2].exceptions.2024-04-01.amount',
+            'children[3].uncertainty.amount', 'children[3].uncertainty.probability'
+        ]);
+    });
+
+    it('accepts recurrence rules and frequency shorthands', function() {
+        assert.strictEqual(Transaction.validate({ amount: 1, startDate: day('2024-01-01'), frequency: 'FREQ=MONTHLY;BYMONTHDAY=1,15' }).valid, true);
+        assert.strictEqual(Transaction.validate({ amount: 1, startDate: day('2024-01-01'), frequency: 'quarter' }).valid, true);
+        assert.throws(function() { Transaction.prototype.checkFrequency('hourly'); }, /Frequency must be/);
+    });
+
+    it('only checks the children of a strict transaction', function() {
+        var root = new Transaction({ description: 'Plan' }), e;
+        root.addChild({ description: 'Loose', amount: 'lots' });
+        root.strict = true;
+        e = _.attempt(function() {
+            root.children[0].addChild({ description: 'Bad', amount: 10, startDate: 'someday' });
+        });
+        assert.ok(e instanceof Error);
+        assert.strictEqual(e.errors[0].path, 'startDate');
+        assert.throws(function() {
+            root.addChildren([{ amount: 1, startDate: day('2024-01-01') }, { amount: 1, frequency: 'often' }]);
+        }, /children\[1\]\.frequency/);
+        assert.strictEqual(root.children[0].children.length, 0);
+        assert.strictEqual(root.children.length, 1);
+    });
+
+    it('checks a whole transaction being moved into a strict tree', function() {
+        var root = new Transaction({ description: 'Plan' }), other = new Transaction({ description: 'Other' });
+        other.addChild({ description: 'Bad', amount: 1, startDate: day('2024-01-01'), frequency: 'often' });
+        root.strict = true;
+        assert.throws(function() { root.addChild(other); }, /children\[0\]\.frequency/);
+        assert.strictEqual(root.children.length, 0);
+    });
+
+    it('keeps zero amounts and growth through the constructor and a round trip', function() {
+        var root = new Transaction({ description: 'Plan' }), copy;
+        root.addChild({ description: 'Free trial', amount: 0, growth: 0, startDate: day('2024-01-01') });
+        assert.strictEqual(root.children[0].amount, 0);
+        copy = Transaction.deserialize(root.serializeTree());
+        assert.strictEqual(copy.children[0].amount, 0);
+        assert.strictEqual(copy.children[0].growth, 0);
+        assert.strictEqual(copy.children[0].depth, 0);
+        assert.strictEqual(copy.validate().valid, true);
+    });
+});
@@ -1,5 +1,14 @@
 'use strict';
 
+//Under Node (or any other CommonJS loader) our dependencies are required
+//explicitly, in the browser they're expected to already be globals.
+var moment, _; //jshint ignore:line
+if (typeof module === 'object' && module.exports) {
+    moment = require('moment');
+    require('moment-range');
+    _ = require('lodash');
+}
+
 /**
  * @namespace
  */
@@ -7,28 +16,319 @@
 /**
  * @desc Creates a new Bounds object
  * @class Bounds
- * @classdesc a boundary object with a startDate and endDate
- * @param {Date} startDate - the inclusive start date for the bounds
- * @param {Date} endDate - the inclusive end date for the bounds
+ * @classdesc a boundary object with a startDate and endDate, both whole days (see {@link CivilDate})
+ * @param {(Date|string)} startDate - the inclusive start date for the bounds
+ * @param {(Date|string)} endDate - the inclusive end date for the bounds
  */
 var Bounds = function(startDate, endDate) { //jshint ignore:line
     /**
-     * Inclusive start date of the bounds
+     * Inclusive start date of the bounds, midnight of the day
      *
      * @name Bounds#startDate
      * @type Date
      */
-    this.startDate = startDate;
+    this.startDate = CivilDate.parse(startDate);
 
     /**
-     * Inclusive end date of the bounds
+     * Inclusive end date of the bounds, midnight of the day
      *
      * @name Bounds#endDate
      * @type Date
      */
-    this.endDate = endDate;
+    this.endDate = CivilDate.parse(endDate);
+};
+
+/**
+ * @namespace Money
+ * @desc Exact money arithmetic. Amounts are passed around as numbers in major
+ * units (e.g. dollars), but they are always rounded to a whole number of minor
+ * units (e.g. cents) and every sum is done on those integer minor units, so
+ * adding up thousands of occurrences never drifts.
+ */
+var Money = { //jshint ignore:line
+    /**
+     * Number of minor unit digits in an amount
+     *
+     * @name Money.decimals
+     * @type number
+     */
+    decimals: 2,
+
+    /**
+     * How amounts that land exactly between two minor units are rounded,
+     * 'half-even' (banker's rounding) or 'half-up' (away from zero)
+     *
+     * @name Money.rounding
+     * @type string
+     */
+    rounding: 'half-even'
+};
+
+/**
+ * @desc Changes the money settings
+ * @param {Object} options - Settings to change
+ * @param {number} [options.decimals] - Number of minor unit digits, see {@link Money.decimals}
+ * @param {string} [options.rounding] - Rounding mode, see {@link Money.rounding}
+ */
+Money.configure = function(options) {
+    if (options.rounding !== undefined) {
+        if (['half-even', 'half-up'].indexOf(options.rounding) === -1) {
+            throw new Error('Rounding mode must be half-even or half-up.');
+        }
+        Money.rounding = options.rounding;
+    }
+    if (options.decimals !== undefined) {
+        if (!(options.decimals >= 0) || options.decimals % 1 !== 0) {
+            throw new Error('Money decimals must be a whole number.');
+        }
+        Money.decimals = options.decimals;
+    }
+};
+
+/**
+ * @desc Converts an amount into a whole number of minor units, rounding with {@link Money.rounding}
+ * @param {(number|string)} amount - Amount in major units
+ * @returns {number} Integer number of minor units
+ */
+Money.toMinor = function(amount) {
+    //Trim the binary noise (1.005 * 100 = 100.49999999999999) before rounding
+    var scaled = Number((Number(amount) * Math.pow(10, Money.decimals)).toPrecision(15));
+    var floor = Math.floor(scaled), diff = scaled - floor;
+    if (diff > 0.5) {
+        return floor + 1;
+    } else if (diff < 0.5) {
+        return floor;
+    } else if (Money.rounding === 'half-up') {
+        return scaled > 0 ? floor + 1 : floor;
+    }
+    return floor % 2 === 0 ? floor : floor + 1;
+};
+
+/**
+ * @desc Converts a whole number of minor units back into major units
+ * @param {number} minor - Integer number of minor units
+ * @returns {number} Amount in major units
+ */
+Money.fromMinor = function(minor) {
+    return minor / Math.pow(10, Money.decimals);
+};
+
+/**
+ * @desc Rounds an amount to the nearest minor unit
+ * @param {(number|string)} amount - Amount in major units
+ * @returns {number} The rounded amount, null and undefined are passed through
+ */
+Money.round = function(amount) {
+    if (amount === null || amount === undefined) {
+        return amount;
+    }
+    return Money.fromMinor(Money.toMinor(amount));
+};
+
+/**
+ * @desc Adds amounts together exactly
+ * @param {...number} amount - Amounts in major units
+ * @returns {number} The total
+ */
+Money.add = function() {
+    return Money.sum(Array.prototype.slice.call(arguments));
+};
+
+/**
+ * @desc Adds up the amounts in a collection exactly. Missing amounts count as zero.
+ * @param {Array} collection - Amounts, or things that have amounts
+ * @param {(Function|string)} [iteratee] - Picks the amount out of each item, like lodash's iteratees
+ * @returns {number} The total in major units
+ */
+Money.sum = function(collection, iteratee) {
+    var minor = 0;
+    _.forEach(iteratee ? _.map(collection, iteratee) : collection, function(amount) {
+        if (amount !== null && amount !== undefined) {
+            minor += Money.toMinor(amount);
+        }
+    });
+    return Money.fromMinor(minor);
+};
+
+/**
+ * @desc Multiplies an amount by a factor, e.g. a growth rate, and rounds the result to a minor unit
+ * @param {number} amount - Amount in major units
+ * @param {number} factor - What to multiply by
+ * @returns {number} The rounded product
+ */
+Money.multiply = function(amount, factor) {
+    return Money.round(amount * factor);
+};
+
+/**
+ * @namespace CivilDate
+ * @desc Calendar dates without a time of day. Transactions, bounds and path
+ * points are about days, not instants, so every date is turned into a
+ * 'YYYY-MM-DD' key in one time zone before days are compared, grouped or
+ * counted, and keys are turned back into Dates at midnight of that day in the
+ * same zone. Day arithmetic is done on UTC moments of the keys, so daylight
+ * saving changes never add or drop a day and the same plan gives the same days
+ * on every machine.
+ */
+var CivilDate = { //jshint ignore:line
+    /**
+     * IANA time zone instants are read in, e.g. 'America/Chicago'; null for
+     * the machine's local time
+     *
+     * @name CivilDate.timeZone
+     * @type string
+     */
+    timeZone: null,
+
+    //Intl formatter for timeZone, made by CivilDate.configure
+    formatter: null,
+
+    //Set once a Date has been made for a day, after which the time zone can't
+    //change without saying which trees to move
+    issued: false
+};
+
+/**
+ * @desc Changes the calendar settings. Dates are midnight of their day in the time zone they were made in, so once any have been made the zone only changes if the trees holding them are passed in to be moved onto the same days in the new zone.
+ * @param {Object} options - Settings to change
+ * @param {string} [options.timeZone] - Time zone, see {@link CivilDate.timeZone}
+ * @param {Transaction[]} [options.rekey] - Trees whose dates keep their days in the new zone, see {@link Transaction#getDates}; an empty list if there are none
+ */
+CivilDate.configure = function(options) {
+    var formatter = null, moves;
+    if (options.timeZone === undefined || (options.timeZone || null) === CivilDate.timeZone) {
+        return;
+    }
+    if (CivilDate.issued && !options.rekey) {
+        throw new Error('Dates have already been made in the old time zone; pass the trees to move as rekey.');
+    }
+    if (options.timeZone) {
+        try {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: options.timeZone,
+                hour12: false,
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit'
+            });
+        } catch (e) {
+            throw new Error('Unknown time zone ' + options.timeZone + '.');
+        }
+    }
+
+    //Every day has to be read in the old zone before any is moved
+    moves = _.flatten((options.rekey || []).map(function(tree) {
+        return tree.getDates();
+    })).map(function(date) {
+        return { date: date, key: CivilDate.key(date) };
+    });
+    CivilDate.timeZone = options.timeZone ? options.timeZone : null;
+    CivilDate.formatter = formatter;
+    moves.forEach(function(move) {
+        move.date.setTime(CivilDate.toDate(move.key).getTime());
+    });
+    (options.rekey || []).forEach(function(tree) {
+        tree.markTreeDirty();
+    });
+};
+
+/**
+ * @desc Reads the wall clock time of an instant in {@link CivilDate.timeZone}
+ * @param {Date} date - The instant
+ * @returns {number[]} year, month (1-12), day, hour, minute and second
+ */
+CivilDate.wallClock = function(date) {
+    var parts = {};
+    CivilDate.formatter.formatToParts(date).forEach(function(part) {
+        parts[part.type] = Number(part.value);
+    });
+    return [parts.year, parts.month, parts.day, parts.hour % 24, parts.minute, parts.second];
+};
+
+/**
+ * @desc Finds the day a date falls on
+ * @param {(Date|string|moment)} value - A Date or anything Date understands; 'YYYY-MM-DD' strings are already days, and UTC moments (from {@link CivilDate.toMoment}) are read as they are
+ * @returns {string} The day as 'YYYY-MM-DD', null for a missing or invalid date
+ */
+CivilDate.key = function(value) {
+    var date, clock;
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return value;
+    }
+    if (moment.isMoment(value) && value.isUTC()) {
+        return value.isValid() ? value.format('YYYY-MM-DD') : null;
+    }
+    date = new Date(moment.isMoment(value) ? value.valueOf() : value);
+    if (isNaN(date.getTime())) {
+        return null;
+    }
+    if (!CivilDate.timeZone) {
+        return moment(date).format('YYYY-MM-DD');
+    }
+    clock = CivilDate.wallClock(date);
+    return moment.utc([clock[0], clock[1] - 1, clock[2]]).format('YYYY-MM-DD');
+};
+
+/**
+ * @desc Turns a day into a Date at midnight of that day in {@link CivilDate.timeZone}
+ * @param {(Date|string|moment)} value - The day, see {@link CivilDate.key}
+ * @returns {Date} Midnight of the day, an invalid Date for an invalid day
+ */
+CivilDate.toDate = function(value) {
+    var key = CivilDate.key(value), guess, offset;
+    if (key === null) {
+        return new Date(NaN);
+    }
+    CivilDate.issued = true;
+    if (!CivilDate.timeZone) {
+        return moment(key, 'YYYY-MM-DD').toDate();
+    }
+    //Step back by the zone's offset, and again in case that crossed a change
+    guess = moment.utc(key, 'YYYY-MM-DD').valueOf();
+    offset = CivilDate.offset(guess);
+    offset = CivilDate.offset(guess - offset);
+    return new Date(guess - offset);
+};
+
+/**
+ * @desc How far {@link CivilDate.timeZone} is ahead of UTC at an instant
+ * @param {number} time - The instant, in milliseconds since the epoch
+ * @returns {number} The offset in milliseconds
+ */
+CivilDate.offset = function(time) {
+    var clock = CivilDate.wallClock(new Date(time));
+    return Date.UTC(clock[0], clock[1] - 1, clock[2], clock[3], clock[4], clock[5]) - Math.floor(time / 1000) * 1000;
+};
+
+/**
+ * @desc Turns a date into its day as a Date, dropping the time of day; 'YYYY-MM-DD' strings are read as days rather than UTC midnight
+ * @param {(Date|string|moment)} value - The date
+ * @returns {Date} Midnight of the day, null for a missing date and an invalid Date for an invalid one
+ */
+CivilDate.parse = function(value) {
+    return value === null || value === undefined || value === '' ? null : CivilDate.toDate(value);
 };
 
+/**
+ * @desc Turns a day into a UTC moment at midnight, for adding days, months, etc. without daylight saving getting in the way. Turn it back with {@link CivilDate.toDate}, never with moment#toDate.
+ * @param {(Date|string|moment)} value - The day, see {@link CivilDate.key}
+ * @returns {moment} The day as a UTC moment
+ */
+CivilDate.toMoment = function(value) {
+    return moment.utc(CivilDate.key(value), 'YYYY-MM-DD');
+};
+
+/**
+ * @desc Counts the days between two days
+ * @param {(Date|string|moment)} a - The later day
+ * @param {(Date|string|moment)} b - The earlier day
+ * @returns {number} Whole days from b to a, negative if a comes first
+ */
+CivilDate.diffDays = function(a, b) {
+    return CivilDate.toMoment(a).diff(CivilDate.toMoment(b), 'days');
+};
 
 /**
  * @desc Creates a new Transaction object
@@ -40,8 +340,19 @@ var Bounds = function(startDate, endDate) { //jshint ignore:line
  * @param {number} blob.amount - value of the current transaction, or the sum of the values of all child transactions, sets {@link Transaction#amoun}
  * @param {Date} blob.startDate - Date that the transaction first occurs on, sets {@link Transaction#startDate}
  * @param {Date} blob.endDate - Date after which the transaction no longer repeats, sets {@link Transaction#endDate}
- * @param {string} blob.frequency - How often the transaction repeats itself: daily, weekly, bi-weekly, or monthly, sets {@link Transaction#frequency}
- * @param {string} blob.type - Used to flag special types of transactions like loans, etc.
+ * @param {(string|Object)} blob.frequency - How often the transaction repeats itself: daily, weekly, bi-weekly, monthly, one of {@link Transaction.FREQUENCY_SHORTHANDS}, or a recurrence rule (see {@link Transaction#parseRecurrenceRule}), sets {@link Transaction#frequency}
+ * @param {string} blob.transactionType - Used to flag special types of transactions like loans, etc., sets {@link Transaction#transactionType}
+ * @param {Object} [blob.loan] - Terms of the loan when transactionType is 'loan', sets {@link Transaction#loan}
+ * @param {Object} [blob.derivation] - How the transaction is worked out when transactionType is 'derived', sets {@link Transaction#derivation}
+ * @param {string} [blob.account] - Account the transaction posts to, sets {@link Transaction#account}
+ * @param {Object} [blob.transfer] - Accounts a 'transfer' moves money between, sets {@link Transaction#transfer}
+ * @param {Object} [blob.accounts] - Accounts of a root transaction, sets {@link Transaction#accounts}
+ * @param {string} [blob.currency] - Currency of the amounts, sets {@link Transaction#currency}
+ * @param {string} [blob.reportingCurrency] - Currency a root transaction reports in, sets {@link Transaction#reportingCurrency}
+ * @param {string} [blob.rateProvider] - Exchange rate provider to convert with, sets {@link Transaction#rateProvider}
+ * @param {Object} [blob.uncertainty] - How far the amount, growth and dates can stray, sets {@link Transaction#uncertainty}
+ * @param {string} [blob.businessDayAdjustment='none'] - Where occurrences on weekends and holidays move to, sets {@link Transaction#businessDayAdjustment}
+ * @param {string} [blob.calendar] - Holiday calendar for business days, sets {@link Transaction#calendar}
  */
 var Transaction = function(blob) {
     //Since the blob is optional, create an empty blob is one isn't provided
@@ -67,7 +378,7 @@ var Transaction = function(blob) {
      * @name Transaction#growth
      * @type number
      */
-    this.growth = blob.growth ? blob.growth : null;
+    this.growth = blob.growth !== undefined && blob.growth !== null ? blob.growth : null;
 
     /**
      * Growth rate for the transaction's amount over time
@@ -78,45 +389,213 @@ var Transaction = function(blob) {
     this.description = blob.description ? blob.description : null;
 
     /**
-     * Value of the transaction on {@link Transaction#startDate}
+     * Value of the transaction on {@link Transaction#startDate}, always rounded
+     * to a whole minor unit (see {@link Money})
      *
      * @name Transaction#amount
      * @type number
      */
-    this.amount = blob.amount ? Number(blob.amount) : null;
+    this.amount = blob.amount !== undefined && blob.amount !== null ? Money.round(blob.amount) : null;
 
     /**
-     * Date and time of the first occurence of the transaction
+     * Day of the first occurence of the transaction, midnight of the day (see
+     * {@link CivilDate}); 'YYYY-MM-DD' strings are read as that day
      *
      * @name Transaction#startDate
      * @type Date
      */
-    this.startDate = blob.startDate ? new Date(blob.startDate) : null;
+    this.startDate = blob.startDate ? CivilDate.parse(blob.startDate) : null;
 
     /**
-     * Date and time after which the transaction will no longer occur
+     * Day after which the transaction will no longer occur
      *
      * @name Transaction#endDate
      * @type Date
      */
-    this.endDate = blob.endDate ? new Date(blob.endDate) : null;
+    this.endDate = blob.endDate ? CivilDate.parse(blob.endDate) : null;
 
     /**
-     * Frequency with with the transaction re-occurs
+     * Frequency with with the transaction re-occurs, either a shorthand string
+     * or an RFC 5545 style recurrence rule
      *
      * @name Transaction#frequency
-     * @type string
+     * @type (string|Object)
      */
     this.frequency = blob.frequency ? blob.frequency : 'none'; 
 
     /**
-     * Frequency with with the transaction re-occurs
+     * Type of the transaction, 'plain' for ordinary transactions, 'loan' for
+     * transactions that expand into amortized loan payments, 'derived' for
+     * ones worked out from other series (see {@link Transaction#derivation}),
+     * 'transfer' for money moved between accounts (see
+     * {@link Transaction#transfer}) or 'initial' for the balance a
+     * {@link Scenario} starts from
      *
-     * @name Transaction#frequency
+     * @name Transaction#transactionType
      * @type string
      */
     this.transactionType = blob.transactionType ? blob.transactionType : 'plain'; 
 
+    /**
+     * Terms of a loan transaction: principal, apr (as a percentage), term (the
+     * number of scheduled payments), and optional extraPrincipal (paid with
+     * every payment) and extraPayments ([{ date, amount }] one-off payments).
+     * The first payment is made on {@link Transaction#startDate} and the rest
+     * at {@link Transaction#frequency}, monthly by default.
+     *
+     * @name Transaction#loan
+     * @type Object
+     */
+    this.loan = blob.loan ? _.clone(blob.loan) : null;
+
+    /**
+     * How a derived transaction is worked out: sources (series UUIDs, or
+     * transactions, whose occurrences it follows), subtree (true to follow
+     * everything below the sources too), percent (of each source amount, 100
+     * by default; negative to go the other way, e.g. -25 to set aside a
+     * quarter of income), floor and cap (smallest and largest size of each
+     * occurrence), fee (flat amount added to each one) and offsetDays (days
+     * after the source occurrence it falls on, 0 by default). Only source
+     * occurrences between {@link Transaction#startDate} and
+     * {@link Transaction#endDate}, when set, count. See
+     * {@link Transaction#resolveDerivedTransactions}.
+     *
+     * @name Transaction#derivation
+     * @type Object
+     */
+    this.derivation = blob.derivation ? _.assign({}, blob.derivation, {
+        sources: [].concat(blob.derivation.sources || []).map(function(source) {
+            return source && source.series ? source.series : source;
+        })
+    }) : null;
+    if (this.transactionType === 'loan') {
+        if (this.frequency === 'none') {
+            this.frequency = 'month';
+        }
+        if (this.amount === null && this.loan) {
+            this.amount = -this.getLoanPayment();
+        }
+    }
+
+    /**
+     * Interest rates for the balance of the tree, only used on the root:
+     * apy (percentage earned on positive balances), apr (percentage charged on
+     * negative balances), compounding ('day', 'month', 'quarter' or 'year';
+     * monthly by default) and postingDay (day of the month interest is posted
+     * on; the last day of the month by default).
+     *
+     * @name Transaction#interestRates
+     * @type Object
+     */
+    this.interestRates = blob.interestRates ? _.clone(blob.interestRates) : null;
+
+    /**
+     * Name of the account the transaction's occurrences post to, null to use
+     * the nearest ancestor's (see {@link Transaction#getAccountName}). Without
+     * any they post to {@link Transaction.DEFAULT_ACCOUNT}.
+     *
+     * @name Transaction#account
+     * @type string
+     */
+    this.account = blob.account ? blob.account : null;
+
+    /**
+     * Accounts of the tree, only used on the root: descriptions and optional
+     * interestRates (see {@link Transaction#interestRates}) keyed by account
+     * name. Once any account has rates of its own, interest is worked out on
+     * each account's balance, with the root's rates for the rest.
+     *
+     * @name Transaction#accounts
+     * @type Object
+     */
+    this.accounts = blob.accounts ? _.cloneDeep(blob.accounts) : null;
+
+    /**
+     * Accounts a 'transfer' transaction moves its amount between: from and
+     * to. Every occurrence becomes two legs, see {@link Transaction#splitTransfers}.
+     *
+     * @name Transaction#transfer
+     * @type Object
+     */
+    this.transfer = blob.transfer ? _.clone(blob.transfer) : null;
+
+    /**
+     * Currency the transaction's amounts are in (an ISO 4217 code such as
+     * 'EUR'), null to use the nearest ancestor's. Occurrences in another
+     * currency than the reporting one are converted, see
+     * {@link Transaction#convertCurrency}.
+     *
+     * @name Transaction#currency
+     * @type string
+     */
+    this.currency = blob.currency ? blob.currency : null;
+
+    /**
+     * Currency the tree reports in, only used on the root. Without one
+     * nothing is converted and amounts are added up as they are.
+     *
+     * @name Transaction#reportingCurrency
+     * @type string
+     */
+    this.reportingCurrency = blob.reportingCurrency ? blob.reportingCurrency : null;
+
+    /**
+     * Name of the exchange rate provider amounts are converted with (see
+     * {@link Transaction.registerRateProvider}), null to use the nearest
+     * ancestor's
+     *
+     * @name Transaction#rateProvider
+     * @type string
+     */
+    this.rateProvider = blob.rateProvider ? blob.rateProvider : null;
+
+    /**
+     * Exceptions to single occurrences of this transaction's series, keyed by
+     * the original date of the occurrence ('YYYY-MM-DD'). Each one either
+     * skips the occurrence ({ skip: true }) or gives it a new amount and/or
+     * date ({ amount: 1200, date: Date }).
+     *
+     * @name Transaction#exceptions
+     * @type Object
+     */
+    this.exceptions = blob.exceptions ? this.copyExceptions(blob.exceptions) : {};
+
+    /**
+     * How uncertain the transaction is, used by {@link Simulation}. Any of
+     * amount ({ distribution: 'normal', sd } around the planned amount, or
+     * { distribution: 'uniform', min, max }), growthVolatility (standard
+     * deviation of the growth rate, in percentage points per occurrence),
+     * probability (chance from 0 to 1 that the series happens at all) and
+     * dateJitter (how many days either way each occurrence can move).
+     * Derived transactions follow their sources, so their own is ignored.
+     *
+     * @name Transaction#uncertainty
+     * @type Object
+     */
+    this.uncertainty = blob.uncertainty ? _.cloneDeep(blob.uncertainty) : null;
+
+    /**
+     * What happens to occurrences that fall on a weekend or holiday: 'none'
+     * (they stay put), 'preceding' or 'following' (the business day before
+     * or after) or 'modified-following' (the business day after, unless that
+     * is in the next month, then the one before). See
+     * {@link Transaction#adjustBusinessDay}.
+     *
+     * @name Transaction#businessDayAdjustment
+     * @type string
+     */
+    this.businessDayAdjustment = blob.businessDayAdjustment ? blob.businessDayAdjustment : 'none';
+
+    /**
+     * Name of the holiday calendar business days are counted on (see
+     * {@link Transaction.registerCalendar}), null to use the nearest
+     * ancestor's. Without any, only weekends are skipped.
+     *
+     * @name Transaction#calendar
+     * @type string
+     */
+    this.calendar = blob.calendar ? blob.calendar : null;
+
     /**
      * The UUID4 for the transaction and all others in its time-series
      *
@@ -155,10 +634,37 @@ var Transaction = function(blob) {
      * @type Transaction[]
      */
     this.accumulator = []; 
+
+    /**
+     * True when something has changed since the transaction's series was last
+     * built, see {@link Transaction#markDirty}
+     *
+     * @name Transaction#dirty
+     * @type boolean
+     */
+    this.dirty = true;
+
+    /**
+     * Event listeners, keyed by event name, see {@link Transaction#on}
+     *
+     * @name Transaction#listeners
+     * @type Object
+     */
+    this.listeners = {};
+
+    /**
+     * When true, {@link Transaction#addChild} and {@link Transaction#addChildren}
+     * refuse blobs that don't pass {@link Transaction.validate}, here and
+     * anywhere below this transaction
+     *
+     * @name Transaction#strict
+     * @type boolean
+     */
+    this.strict = false;
 };
 
 /**
- * @desc Returns a really simple description of the transaction
+ * @desc Returns a really simple description of the transaction, dates written as 'YYYY-MM-DD' days
  * @returns {Object} Serialized object of the transaction.
  */
 Transaction.prototype.serialize = function() {
@@ -166,29 +672,227 @@ Transaction.prototype.serialize = function() {
         growth: this.growth,
         description: this.description,
         amount: this.amount,
-        startDate: this.startDate,
-        endDate: this.endDate,
+        startDate: CivilDate.key(this.startDate),
+        endDate: CivilDate.key(this.endDate),
         frequency: this.frequency,
         series: this.series,
-        transactionType: this.transactionType
+        transactionType: this.transactionType,
+        loan: this.loan,
+        derivation: this.derivation,
+        interestRates: this.interestRates,
+        account: this.account,
+        accounts: this.accounts,
+        transfer: this.transfer,
+        currency: this.currency,
+        reportingCurrency: this.reportingCurrency,
+        rateProvider: this.rateProvider,
+        exceptions: _.mapValues(this.exceptions, function(exception) {
+            return exception.date ? _.assign({}, exception, { date: CivilDate.key(exception.date) }) : exception;
+        }),
+        uncertainty: this.uncertainty,
+        businessDayAdjustment: this.businessDayAdjustment,
+        calendar: this.calendar
     };
 };
 
+/**
+ * Version of the document format written by {@link Transaction#serializeTree}.
+ * Bump this whenever the shape of a serialized node or scenario changes in a
+ * way older versions can't read. Version 1 wrote dates as instants, which
+ * {@link Transaction.deserialize} still reads as the day they fall on in
+ * {@link CivilDate.timeZone}; version 2 writes them as days.
+ *
+ * @type number
+ */
+Transaction.SERIALIZATION_VERSION = 2;
+
+/**
+ * @desc Serializes this transaction along with all of its children and scenarios into a versioned document that can be handed to {@link Transaction.deserialize}.
+ * @returns {Object} Versioned document describing the whole transaction tree.
+ */
+Transaction.prototype.serializeTree = function() {
+    return {
+        format: 'mimirate-calc',
+        version: Transaction.SERIALIZATION_VERSION,
+        root: this.serializeNode()
+    };
+};
+
+/**
+ * @desc Lets JSON.stringify write out the whole tree instead of choking on the parent links.
+ * @returns {Object} The same document as {@link Transaction#serializeTree}
+ */
+Transaction.prototype.toJSON = function() {
+    return this.serializeTree();
+};
+
+/**
+ * @desc Serializes a single node of the tree, recursing through its children and scenarios.
+ * @returns {Object} Serialized node, parent links are implied by the nesting.
+ */
+Transaction.prototype.serializeNode = function() {
+    var node = this.serialize();
+    node.depth = this.depth;
+    node.children = this.children.map(function(c) {
+        return c.serializeNode();
+    });
+    node.scenarios = this.scenarios.map(function(s) {
+        return s.serialize();
+    });
+    return node;
+};
+
+/**
+ * @desc Lists every Date this transaction, its children and its scenarios hold, for {@link CivilDate.configure} to move when the time zone changes
+ * @returns {Date[]} The Dates, each once
+ */
+Transaction.prototype.getDates = function() {
+    var dates = [this.startDate, this.endDate];
+    _.forEach(this.exceptions, function(exception) {
+        dates.push(exception.date);
+    });
+    this.children.forEach(function(c) {
+        dates = dates.concat(c.getDates());
+    });
+    this.scenarios.forEach(function(s) {
+        dates = dates.concat(s.getDates());
+    });
+    return _.uniq(_.filter(dates, _.isDate));
+};
+
+/**
+ * @desc Rebuilds a transaction tree from a document written by {@link Transaction#serializeTree}.
+ * @param {(Object|string)} doc - The document, or its JSON string.
+ * @returns {Transaction} Root transaction of the rebuilt tree.
+ */
+Transaction.deserialize = function(doc) {
+    var root, scenarios = [];
+    if (typeof doc === 'string') {
+        doc = JSON.parse(doc);
+    }
+    if (!doc || doc.format !== 'mimirate-calc' || !doc.root) {
+        throw new Error('Document is not a serialized transaction tree.');
+    }
+    if (doc.version > Transaction.SERIALIZATION_VERSION) {
+        throw new Error('Unsupported document version ' + doc.version + '.');
+    }
+
+    root = Transaction.deserializeNode(doc.root, null, scenarios);
+
+    //Scenarios can point at any node in the tree, so we can only hook them up
+    //once the whole thing has been rebuilt.
+    scenarios.forEach(function(pending) {
+        var base = pending.doc.base ? root.findBySeries(pending.doc.base) : null;
+        pending.scenario = Scenario.deserialize(pending.doc, base || pending.owner);
+        pending.owner.scenarios.push(pending.scenario);
+    });
+    scenarios.forEach(function(pending) {
+        var parent = pending.doc.parent ? _.find(pending.owner.scenarios, { id: pending.doc.parent }) : null;
+        pending.scenario.parentScenario = parent ? parent : null;
+    });
+    return root;
+};
+
+/**
+ * @desc Same as {@link Transaction.deserialize}
+ * @param {(Object|string)} doc - The document, or its JSON string.
+ * @returns {Transaction} Root transaction of the rebuilt tree.
+ */
+Transaction.fromJSON = function(doc) {
+    return Transaction.deserialize(doc);
+};
+
+/**
+ * @desc Rebuilds one serialized node and its children.
+ * @param {Object} node - Node written by {@link Transaction#serializeNode}
+ * @param {Transaction} parent - Transaction the node hangs off of, null for the root.
+ * @param {Object[]} [scenarios] - Collects scenarios that still need their base transaction resolved.
+ * @returns {Transaction} The rebuilt transaction.
+ */
+Transaction.deserializeNode = function(node, parent, scenarios) {
+    var txn = new Transaction(node);
+
+    //The constructor always starts at the top of a tree
+    txn.depth = node.depth === undefined ? (parent ? parent.depth + 1 : -1) : node.depth;
+    txn.parentTransaction = parent;
+
+    (node.children || []).forEach(function(child) {
+        txn.children.push(Transaction.deserializeNode(child, txn, scenarios));
+    });
+
+    (node.scenarios || []).forEach(function(scenario) {
+        if (scenarios) {
+            scenarios.push({ owner: txn, doc: scenario });
+        } else {
+            txn.scenarios.push(Scenario.deserialize(scenario, txn));
+        }
+    });
+    return txn;
+};
+
+/**
+ * @desc Finds the first transaction in this tree (including this one) that belongs to a series.
+ * @param {string} series - UUID of the series we're looking for
+ * @returns {Transaction} The matching transaction, or null if there isn't one.
+ */
+Transaction.prototype.findBySeries = function(series) {
+    var i, found;
+    if (this.series === series) {
+        return this;
+    }
+    for (i = 0; i < this.children.length; i++) {
+        found = this.children[i].findBySeries(series);
+        if (found) {
+            return found;
+        }
+    }
+    return null;
+};
+
+/**
+ * @desc Indexes this tree (including this transaction) by series
+ * @returns {Object} Transactions keyed by their series UUID
+ */
+Transaction.prototype.indexBySeries = function() {
+    var index = {}, indexTree = function(node) {
+        index[node.series] = node;
+        node.children.forEach(indexTree);
+    };
+    indexTree(this);
+    return index;
+};
+
+/**
+ * @desc Finds the transaction that owns interest rates and paths for this tree. Scenarios answer with their base transaction.
+ * @returns {Transaction} This transaction
+ */
+Transaction.prototype.getBaseTransaction = function() {
+    return this;
+};
+
 /**
  * @desc Adds a child transaction to the transaction
- * @param {Object} blob - a blob object to be added as a child.
+ * @param {(Object|Transaction)} blob - a blob object, or an existing transaction, to be added as a child.
+ * @param {number} [index] - Where to put the child among its siblings, at the end by default
  * @returns {Transaction} Transaction that was just created and added as a child
  */
-Transaction.prototype.addChild = function(blob) {
+Transaction.prototype.addChild = function(blob, index) {
     var newChild;
-    if(blob.constructor !== 'Transaction') {
+    if (this.isStrict()) {
+        this.assertValid(blob, { deep: blob instanceof Transaction });
+    }
+    if(!(blob instanceof Transaction)) {
         newChild = new Transaction(blob);
     } else {
         newChild = blob;
     }
+    if (index === undefined || index === null || index < 0 || index > this.children.length) {
+        index = this.children.length;
+    }
     newChild.parentTransaction = this;
-    newChild.depth = this.depth + 1;
-    this.children.push(newChild);
+    newChild.setDepth(this.depth + 1);
+    this.children.splice(index, 0, newChild);
+    this.notifyChange({ type: 'add', child: newChild, index: index });
     this.setAmount();
     return newChild;
 };
@@ -200,9 +904,20 @@ Transaction.prototype.addChild = function(blob) {
 Transaction.prototype.addChildren = function(blobs) {
     var self = this;
 
+    //Check everything up front so a bad blob doesn't leave half of them added
+    if (this.isStrict()) {
+        this.assertValid({ children: blobs });
+    }
+
     //Recurse through each of the blobx
     blobs.forEach(function(blob) {
         var newChild;
+        //Existing transactions bring their kids along with them
+        if (blob instanceof Transaction) {
+            self.addChild(blob);
+            return;
+        }
+
         //If the blob doesn't have a 'children array' we add an empty one
         if (!blob.children) {
             blob.children = [];
@@ -221,11 +936,17 @@ Transaction.prototype.addChildren = function(blobs) {
 /**
  * @desc Removes a child element.
  * @param {number} childIdx - Zero based index of the child element you want to removed.
+ * @returns {Transaction} The child that was removed, if there was one
  */
 Transaction.prototype.removeChild = function(childIdx) {
-    if (childIdx > -1) {
-        this.children.splice(childIdx, 1);
+    var removed;
+    if (childIdx > -1 && childIdx < this.children.length) {
+        removed = this.children.splice(childIdx, 1)[0];
+        removed.parentTransaction = null;
+        this.notifyChange({ type: 'remove', child: removed, index: childIdx });
+        this.setAmount();
     }
+    return removed;
 };
 
 /**
@@ -243,18 +964,26 @@ Transaction.prototype.commitSuicide = function() {
 /**
  * @desc Updates the value of everything in the Transaction tree.
  * @param {number} amount - how much the silly thing is worth.
+ * @param {boolean} [silent=false] - Only mark the tree dirty, without firing 'change' events, see {@link Transaction#set}
  */
-Transaction.prototype.setAmount = function(amount) {
+Transaction.prototype.setAmount = function(amount, silent) {
+    var oldAmount = this.amount;
     if (this.children.length > 0) {
-        this.amount = _.sum(this.children, function(c) {
+        this.amount = Money.sum(this.children, function(c) {
             return c.getAmount();
         });
     } else {
-        this.amount = amount;
+        this.amount = Money.round(amount);
+    }
+
+    if (this.amount !== oldAmount && silent) {
+        this.markDirty();
+    } else if (this.amount !== oldAmount) {
+        this.notifyChange({ type: 'update', field: 'amount', oldValue: oldAmount, newValue: this.amount });
     }
 
-    if (this.parent) {
-        this.parent.setAmount();
+    if (this.parentTransaction) {
+        this.parentTransaction.setAmount(undefined, silent);
     }
 };
 
@@ -264,7 +993,7 @@ Transaction.prototype.setAmount = function(amount) {
  */
 Transaction.prototype.getAmount = function() {
     if (this.children.length > 0) {
-        this.amount = _.sum(this.children, function(c) {
+        this.amount = Money.sum(this.children, function(c) {
             return c.getAmount();
         });
     } 
@@ -279,14 +1008,20 @@ Transaction.prototype.getAmount = function() {
 Transaction.prototype.gatherTransactions = function(bounds) {
     //Leaf case
     if (this.children.length === 0 && this.parentTransaction !== null) {
-        this.parentTransaction.accumulator = this.parentTransaction.accumulator.concat(this.initRepeatTransactions(this, bounds));
+        this.parentTransaction.accumulator = this.parentTransaction.accumulator.concat(this.splitTransfers(this.convertCurrency(this.tagAncestry(this.initRepeatTransactions(this, bounds)))));
 
     //Branch case
     } else if (this.parentTransaction !== null) {
         this.children.forEach(function(c) {
             c.gatherTransactions(bounds);
         });
-        this.parentTransaction.accumulator = this.parentTransaction.accumulator.concat(this.initRepeatTransactions(this, bounds));
+        //Branches without a start date of their own are just folders (like the
+        //ones the statement importer creates), so pass their kids straight up
+        if (!this.startDate) {
+            this.parentTransaction.accumulator = this.parentTransaction.accumulator.concat(this.accumulator);
+        } else {
+            this.parentTransaction.accumulator = this.parentTransaction.accumulator.concat(this.splitTransfers(this.convertCurrency(this.tagAncestry(this.initRepeatTransactions(this, bounds)))));
+        }
         this.accumulator = [];
 
     //Root case
@@ -295,11 +1030,16 @@ Transaction.prototype.gatherTransactions = function(bounds) {
         this.children.forEach(function(c) {
             c.gatherTransactions(bounds);
         });
+        this.accumulator = this.accumulator.concat(this.resolveDerivedTransactions(this.getDerivedTransactions(), this.accumulator, bounds));
+        this.accumulator = this.accumulator.concat(this.generateAccountInterest(this.accumulator, bounds));
         return this.accumulator;
 
     //Floater case 
     } else if (this.parentTransaction === null && this.children.length === 0) {
-        if(this.frequency !== 'none') {
+        //An empty tree (a root without children or a date) has nothing to gather
+        if (!this.startDate) {
+            return [];
+        } else if(this.frequency !== 'none') {
             return this.initRepeatTransactions(this, bounds);
         } else {
             return this;
@@ -316,26 +1056,38 @@ Transaction.prototype.gatherTransactions = function(bounds) {
 Transaction.prototype.initRepeatTransactions = function(txn, bounds) {
     var start, end, i, repeatTxns, series, dates;
 
+    //Derived transactions are worked out once everything else has been
+    //gathered, see Transaction#resolveDerivedTransactions
+    if (txn.transactionType === 'derived') { return []; }
+
+    //Loans have their own schedule
+    if (txn.transactionType === 'loan') {
+        return this.applyBusinessDayAdjustment(txn, this.applyOccurrenceExceptions(txn, this.initLoanTransactions(txn, bounds), bounds), bounds);
+    }
+
     //If the transaction doesn't repeat, don't bother with the rest of this
-    //function.
-    if (txn.frequency === 'none') { return txn; }
+    //function. Exceptions change the occurrence they apply to, so they get a
+    //copy rather than the transaction itself.
+    if (txn.frequency === 'none') {
+        if (_.isEmpty(txn.exceptions) && (txn.businessDayAdjustment === 'none' || !txn.businessDayAdjustment)) {
+            return txn;
+        }
+        return this.applyBusinessDayAdjustment(txn, this.applyOccurrenceExceptions(txn, [_.isEmpty(txn.exceptions) ? txn : _.clone(txn)], bounds), bounds);
+    }
 
     //Setup start and end dates, startDate needs to be the startDate of the
     //txns, not the bounds start date. (trust me on this one)
-    start = moment(txn.startDate);
-    end = txn.endDate === 'Invalid Date' || !txn.endDate ? moment(bounds.endDate) : moment(txn.endDate);
+    start = CivilDate.toMoment(txn.startDate);
+    end = CivilDate.toMoment(txn.endDate === 'Invalid Date' || !txn.endDate ? (bounds.endDate ? bounds.endDate : new Date()) : txn.endDate);
     series = this.series;
 
     //If nothing has changed, return the stashed series...this speeds things
-    //up by about 500%;
-    if(this.transactionSeries) {
-        if (this.transactionSeries.amount === txn.amount &&
-                this.transactionSeries.growth === txn.growth &&
-                this.transactionSeries.frequency === txn.frequency &&
-                this.transactionSeries.startDate === txn.startDate &&
-                this.transactionSeries.bounds === bounds) {
-                    return this.transactionSeries.txns;
-                }
+    //up by about 500%; Changes mark the transaction dirty (see
+    //Transaction#markDirty), and the series only depends on the end of the
+    //bounds.
+    if(this.transactionSeries && !this.dirty &&
+            this.transactionSeries.endDate === (bounds.endDate ? bounds.endDate.valueOf() : null)) {
+        return this.applyBusinessDayAdjustment(txn, this.transactionSeries.txns, bounds);
     }
 
     //Clone our original transaction and create new instances for each one
@@ -343,45 +1095,82 @@ Transaction.prototype.initRepeatTransactions = function(txn, bounds) {
     dates = this.generateRepeatDates(txn.frequency, start, end);
     repeatTxns = _.map(dates, function(m) {
         var t = _.clone(txn);
-        t.startDate = m.toDate();
+        t.startDate = CivilDate.toDate(m);
         t.endDate = null;
         t.frequency = 'none';
         t.series = series;
         return t;
     });
 
-    //Set the growth rate on the repeat txns
+    //Set the growth rate on the repeat txns, every occurrence is rounded to a
+    //minor unit before the next one grows from it
     if(txn.growth !== 0 || txn.growth) {
         for(i = 1; i < repeatTxns.length; i++) { //cause POJS is the best sometimes
-            repeatTxns[i].amount = repeatTxns[i - 1].amount * (1 + (txn.growth / 100)); //grow each iteration of the txn by growth %
+            repeatTxns[i].amount = Money.multiply(repeatTxns[i - 1].amount, 1 + (txn.growth / 100)); //grow each iteration of the txn by growth %
         }
     }
 
+    //Exceptions come last so the rest of the series keeps growing as planned
+    repeatTxns = this.applyOccurrenceExceptions(txn, repeatTxns, bounds);
+
     //Stash our values so we don't have to recalc every time.
     this.transactionSeries = {
         txns: repeatTxns,
-        amount: this.amount,
-        growth: this.growth,
-        frequency: this.frequency,
-        startDate: this.startDate,
-        bounds: bounds
+        endDate: bounds.endDate ? bounds.endDate.valueOf() : null
     };
+    this.dirty = false;
+
+    //Business days are worked out on the way out rather than stashed, so a
+    //change to a calendar (which doesn't mark anything dirty) still shows up
+    return this.applyBusinessDayAdjustment(txn, repeatTxns, bounds);
+};
 
-    //return our values
-    return repeatTxns;
+/**
+ * Shorthand frequencies that are expanded as recurrence rules, on top of the
+ * plain none, day, week, biweek and month frequencies.
+ *
+ * @type Object
+ */
+Transaction.FREQUENCY_SHORTHANDS = {
+    quarter: 'FREQ=MONTHLY;INTERVAL=3',
+    semimonth: 'FREQ=MONTHLY;BYMONTHDAY=1,15',
+    year: 'FREQ=YEARLY'
+};
+
+/**
+ * @desc Expands a shorthand frequency into its recurrence rule. Quarterly and yearly transactions that start late in the month land on the last day of months that are too short (Jan 31 goes on to Apr 30, Feb 29 to Feb 28), where the plain rule would skip those months.
+ * @param {(string|Object)} frequency - The frequency
+ * @param {moment} start - Start date of the transactions
+ * @returns {(string|Object)} The recurrence rule, or the frequency if it isn't a shorthand
+ */
+Transaction.prototype.expandFrequencyShorthand = function(frequency, start) {
+    var rule = Transaction.FREQUENCY_SHORTHANDS[frequency];
+    if (!rule) {
+        return frequency;
+    }
+    if (start.date() > 28 && frequency === 'quarter') {
+        rule += ';BYMONTHDAY=' + start.date() + ',-1;BYSETPOS=1';
+    } else if (start.date() > 28 && frequency === 'year') {
+        rule += ';BYMONTH=' + (start.month() + 1) + ';BYMONTHDAY=' + start.date() + ',-1;BYSETPOS=1';
+    }
+    return rule;
 };
 
 /**
  * @desc Helper function to generate the dates that are used to initialize the repeated transactions in Transaction#initRepeatTransactions()
- * @param {string} frequency - a string to show how frequently the transaction should be repeated
+ * @param {(string|Object)} frequency - a shorthand string or recurrence rule to show how frequently the transaction should be repeated
  * @param {Date} start - Start Date for the transactions
  * @param {Date} end - End Date for the transactions
  * @returns {Transaction[]} An array of repeated transactions.
  */
 Transaction.prototype.generateRepeatDates = function(frequency, start, end) {
     var acc = [], range;
+    frequency = this.expandFrequencyShorthand(frequency, start);
+    if(this.isRecurrenceRule(frequency)) {
+        return this.expandRecurrenceRule(this.parseRecurrenceRule(frequency), start, end);
+    }
     if(['none', 'month', 'week', 'biweek', 'day'].indexOf(frequency) === -1) {
-        throw new Error('Frequency must be none, day, week, biweek, or month.');
+        throw new Error('Frequency must be none, day, week, biweek, month, quarter, semimonth, year, or a recurrence rule.');
     }
     if(frequency === 'month') {
         moment().range(start, end).by('months', function(moment) {
@@ -392,9 +1181,11 @@ Transaction.prototype.generateRepeatDates = function(frequency, start, end) {
             acc.push(moment);
         });
     } else if (frequency === 'biweek') {
+        //Stepping by a range hands back local moments, civil days (see
+        //CivilDate.toMoment) have to stay UTC
         range = moment().range(start, start.clone().add(2, 'weeks'));
-        moment().range(start, end).by(range, function(moment) {
-            acc.push(moment);
+        moment().range(start, end).by(range, function(m) {
+            acc.push(start.isUTC() ? m.clone().utc() : m);
         });
     } else if (frequency === 'day') {
         range = moment().range(start, end).by('days', function(moment) {
@@ -404,6 +1195,272 @@ Transaction.prototype.generateRepeatDates = function(frequency, start, end) {
     return acc;
 };
 
+/**
+ * Day codes used by BYDAY, indexed the same way as moment#day()
+ *
+ * @type string[]
+ */
+Transaction.WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * @desc Checks if a frequency is a recurrence rule rather than one of the plain frequency strings.
+ * @param {(string|Object)} frequency - The frequency to check
+ * @returns {boolean} True if the frequency should be handed to {@link Transaction#parseRecurrenceRule}
+ */
+Transaction.prototype.isRecurrenceRule = function(frequency) {
+    if (frequency && typeof frequency === 'object') {
+        return true;
+    }
+    return typeof frequency === 'string' && /(^|[;:])FREQ=/i.test(frequency);
+};
+
+/**
+ * @desc Parses an RFC 5545 RRULE into a normalized rule object. Supports FREQ
+ * (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYMONTH, BYMONTHDAY, BYDAY (with
+ * ordinals such as 2TU or -1FR), BYSETPOS, COUNT and UNTIL.
+ * @param {(string|Object)} rule - Either an RRULE string ('FREQ=MONTHLY;BYDAY=2TU') or an object with the same parts as keys, e.g. { freq: 'MONTHLY', byDay: ['2TU'] }
+ * @returns {Object} Normalized rule with freq, interval, byMonth, byMonthDay, byDay, bySetPos, count and until.
+ */
+Transaction.prototype.parseRecurrenceRule = function(rule) {
+    var parts = {}, parsed, list;
+
+    if (typeof rule === 'string') {
+        rule.replace(/^RRULE:/i, '').split(';').forEach(function(part) {
+            var kv = part.split('=');
+            if (kv.length === 2) {
+                parts[kv[0].trim().toUpperCase()] = kv[1].trim();
+            }
+        });
+    } else {
+        _.forEach(rule, function(value, key) {
+            parts[key.toUpperCase()] = value;
+        });
+    }
+
+    //Lists can come in as 'a,b,c' or as real arrays
+    list = function(value) {
+        if (value === undefined || value === null || value === '') { return []; }
+        return _.isArray(value) ? value : String(value).split(',');
+    };
+
+    parsed = {
+        freq: String(parts.FREQ || '').toUpperCase(),
+        interval: parts.INTERVAL ? Number(parts.INTERVAL) : 1,
+        byMonth: list(parts.BYMONTH).map(Number),
+        byMonthDay: list(parts.BYMONTHDAY).map(Number),
+        byDay: list(parts.BYDAY).map(function(day) {
+            var match;
+            if (typeof day === 'object') {
+                return { n: day.n ? Number(day.n) : 0, day: Transaction.WEEKDAYS.indexOf(String(day.day).toUpperCase()) };
+            }
+            match = /^([+-]?\d+)?([A-Za-z]{2})$/.exec(String(day).trim());
+            return match ? { n: match[1] ? Number(match[1]) : 0, day: Transaction.WEEKDAYS.indexOf(match[2].toUpperCase()) } : { n: 0, day: -1 };
+        }),
+        bySetPos: list(parts.BYSETPOS).map(Number),
+        count: parts.COUNT ? Number(parts.COUNT) : null,
+        until: null
+    };
+
+    if (parts.UNTIL) {
+        parsed.until = typeof parts.UNTIL === 'string' && /^\d{8}$/.test(parts.UNTIL) ?
+            moment.utc(parts.UNTIL, 'YYYYMMDD').endOf('day') :
+            CivilDate.toMoment(moment(parts.UNTIL, ['YYYYMMDD[T]HHmmss[Z]', moment.ISO_8601])).endOf('day');
+    }
+
+    if (['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].indexOf(parsed.freq) === -1) {
+        throw new Error('Recurrence rule FREQ must be DAILY, WEEKLY, MONTHLY, or YEARLY.');
+    }
+    if (!(parsed.interval >= 1) || parsed.interval % 1 !== 0) {
+        throw new Error('Recurrence rule INTERVAL must be a positive whole number.');
+    }
+    if (parsed.count !== null && (!(parsed.count >= 0) || parsed.count % 1 !== 0)) {
+        throw new Error('Recurrence rule COUNT must be a whole number.');
+    }
+    if (parsed.until && !parsed.until.isValid()) {
+        throw new Error('Recurrence rule UNTIL is not a valid date.');
+    }
+    if (_.some(parsed.byDay, function(d) { return d.day === -1; })) {
+        throw new Error('Recurrence rule BYDAY must use SU, MO, TU, WE, TH, FR or SA.');
+    }
+    if (_.some(parsed.byMonth.concat(parsed.byMonthDay, parsed.bySetPos), isNaN)) {
+        throw new Error('Recurrence rule BYMONTH, BYMONTHDAY and BYSETPOS must be numbers.');
+    }
+    return parsed;
+};
+
+/**
+ * @desc Expands a parsed recurrence rule into the dates that fall between start and end.
+ * @param {Object} rule - Rule returned from {@link Transaction#parseRecurrenceRule}
+ * @param {moment} start - First possible occurrence, the time of day is kept on every occurrence
+ * @param {moment} end - Last possible occurrence
+ * @returns {moment[]} Every occurrence of the rule within start and end
+ */
+Transaction.prototype.expandRecurrenceRule = function(rule, start, end) {
+    var acc = [], limit = end, unit, anchor, period, i, candidates, done = false;
+
+    if (rule.until && rule.until.isBefore(limit)) {
+        limit = rule.until;
+    }
+
+    unit = { DAILY: 'day', WEEKLY: 'isoWeek', MONTHLY: 'month', YEARLY: 'year' }[rule.freq];
+
+    //Always step from the beginning of the first period so months with fewer
+    //days don't drag every later period backwards.
+    anchor = start.clone().startOf(unit);
+    for (i = 0; !done; i++) {
+        period = anchor.clone().add(i * rule.interval, unit === 'isoWeek' ? 'weeks' : unit + 's');
+        if (period.isAfter(limit)) {
+            break;
+        }
+
+        candidates = this.recurrenceCandidates(rule, period, start);
+        if (rule.bySetPos.length > 0) {
+            candidates = _(rule.bySetPos)
+                .map(function(pos) {
+                    return pos > 0 ? candidates[pos - 1] : candidates[candidates.length + pos];
+                })
+                .compact()
+                .sortBy(function(m) { return m.valueOf(); })
+                .uniq(function(m) { return m.valueOf(); })
+                .value();
+        }
+
+        /* jshint loopfunc:true */
+        candidates.forEach(function(m) {
+            if (done || m.isBefore(start)) { return; }
+            if (m.isAfter(limit) || (rule.count !== null && acc.length >= rule.count)) {
+                done = true;
+                return;
+            }
+            acc.push(m.clone().hours(start.hours()).minutes(start.minutes()).seconds(start.seconds()).milliseconds(start.milliseconds()));
+        });
+        /* jshint loopfunc:false */
+
+        if (rule.count !== null && acc.length >= rule.count) {
+            done = true;
+        }
+    }
+    return acc;
+};
+
+/**
+ * @desc Works out every candidate day within a single period of a recurrence rule, before BYSETPOS is applied.
+ * @param {Object} rule - Rule returned from {@link Transaction#parseRecurrenceRule}
+ * @param {moment} period - Start of the period (day, ISO week, month or year)
+ * @param {moment} start - First occurrence of the series, used for the default day/weekday/month
+ * @returns {moment[]} Sorted candidate days in the period
+ */
+Transaction.prototype.recurrenceCandidates = function(rule, period, start) {
+    var days = [], self = this, months;
+
+    if (rule.freq === 'DAILY') {
+        days = [period.clone()];
+    } else if (rule.freq === 'WEEKLY') {
+        if (rule.byDay.length > 0) {
+            days = rule.byDay.map(function(d) {
+                return period.clone().add((d.day + 6) % 7, 'days');
+            });
+        } else {
+            days = [period.clone().add(start.isoWeekday() - 1, 'days')];
+        }
+    } else if (rule.freq === 'MONTHLY') {
+        days = this.recurrenceMonthDays(rule, period, start);
+    } else if (rule.freq === 'YEARLY') {
+        if (rule.byMonth.length > 0 || rule.byMonthDay.length > 0) {
+            months = rule.byMonth.length > 0 ? rule.byMonth : _.range(1, 13);
+            months.forEach(function(month) {
+                days = days.concat(self.recurrenceMonthDays(rule, period.clone().month(month - 1), start));
+            });
+        } else if (rule.byDay.length > 0) {
+            days = this.recurrenceWeekdays(rule.byDay, period.clone(), period.clone().endOf('year'));
+        } else if (start.month() !== 1 || start.date() !== 29 || period.isLeapYear()) {
+            days = [period.clone().month(start.month()).date(start.date())];
+        }
+    }
+
+    //BY* parts that don't expand the period limit it instead
+    days = days.filter(function(m) {
+        if (rule.byMonth.length > 0 && rule.byMonth.indexOf(m.month() + 1) === -1) {
+            return false;
+        }
+        if (rule.freq === 'DAILY' && rule.byMonthDay.length > 0 && !self.matchesMonthDay(rule.byMonthDay, m)) {
+            return false;
+        }
+        if (rule.freq === 'DAILY' && rule.byDay.length > 0 && !_.some(rule.byDay, { day: m.day() })) {
+            return false;
+        }
+        return true;
+    });
+
+    return _(days)
+        .sortBy(function(m) { return m.valueOf(); })
+        .uniq(function(m) { return m.valueOf(); })
+        .value();
+};
+
+/**
+ * @desc Candidate days for a single month from BYMONTHDAY and BYDAY, falling back to the day of the month the series started on.
+ * @param {Object} rule - Rule returned from {@link Transaction#parseRecurrenceRule}
+ * @param {moment} month - Any moment within the month
+ * @param {moment} start - First occurrence of the series
+ * @returns {moment[]} Candidate days in the month
+ */
+Transaction.prototype.recurrenceMonthDays = function(rule, month, start) {
+    var first = month.clone().startOf('month'), last = month.clone().endOf('month').startOf('day'), days, self = this;
+
+    if (rule.byMonthDay.length > 0) {
+        days = _.range(1, first.daysInMonth() + 1)
+            .map(function(d) { return first.clone().date(d); })
+            .filter(function(m) { return self.matchesMonthDay(rule.byMonthDay, m); });
+        if (rule.byDay.length > 0) {
+            days = days.filter(function(m) { return _.some(rule.byDay, { day: m.day() }); });
+        }
+    } else if (rule.byDay.length > 0) {
+        days = this.recurrenceWeekdays(rule.byDay, first, last);
+    } else {
+        //RFC 5545 skips months that don't have the start day, e.g. the 31st
+        days = start.date() <= first.daysInMonth() ? [first.clone().date(start.date())] : [];
+    }
+    return days;
+};
+
+/**
+ * @desc Finds the days between two dates that match BYDAY entries, picking the nth one when the entry has an ordinal.
+ * @param {Object[]} byDay - BYDAY entries with day (0-6) and n (0 for every matching day)
+ * @param {moment} from - First day of the range
+ * @param {moment} to - Last day of the range
+ * @returns {moment[]} Matching days
+ */
+Transaction.prototype.recurrenceWeekdays = function(byDay, from, to) {
+    var days = [];
+    byDay.forEach(function(d) {
+        var matching = [], m = from.clone().startOf('day');
+        m.add((d.day - m.day() + 7) % 7, 'days');
+        while (!m.isAfter(to)) {
+            matching.push(m.clone());
+            m.add(1, 'weeks');
+        }
+        if (d.n > 0) {
+            matching = matching[d.n - 1] ? [matching[d.n - 1]] : [];
+        } else if (d.n < 0) {
+            matching = matching[matching.length + d.n] ? [matching[matching.length + d.n]] : [];
+        }
+        days = days.concat(matching);
+    });
+    return days;
+};
+
+/**
+ * @desc Checks a day against BYMONTHDAY values, where negative values count back from the end of the month.
+ * @param {number[]} byMonthDay - BYMONTHDAY values
+ * @param {moment} m - Day to check
+ * @returns {boolean} True if the day matches
+ */
+Transaction.prototype.matchesMonthDay = function(byMonthDay, m) {
+    var fromEnd = m.date() - m.daysInMonth() - 1;
+    return byMonthDay.indexOf(m.date()) > -1 || byMonthDay.indexOf(fromEnd) > -1;
+};
+
 /**
  * @desc Finds the value of the collection on a given date
  * @param {Date} date - Date on which we want to know the value of the transaction
@@ -411,27 +1468,31 @@ Transaction.prototype.generateRepeatDates = function(frequency, start, end) {
  * @returns {number} The value of the collection on the given date
  */
 Transaction.prototype.valueOnDate = function(date, bounds, gatheredTransactions) {
-    bounds.endDate = date;
+    bounds = new Bounds(bounds.startDate, date);
+    var day = CivilDate.key(date);
     var gathered = gatheredTransactions ? gatheredTransactions : this.gatherTransactions(bounds);
-    var transactions = _(gathered)
+    var transactions = _([].concat(gathered))
+        .filter(function(txn) { //one-offs aren't limited by the bounds
+            return CivilDate.key(txn.startDate) <= day;
+        })
         .groupBy(function(txn) {
-            return moment(txn.startDate).format('YYYY-MM-DD'); //rounds everything to a day
+            return CivilDate.key(txn.startDate); //rounds everything to a day
         })
         .pairs()
         .sortBy(function(t) {
-            return moment(t[0]);
+            return t[0];
         })
         .map(function(k) {
             return {
-                date: new Date(k[0]),
-                value: _.sum(k[1], function(t) {
+                date: CivilDate.toDate(k[0]),
+                value: Money.sum(k[1], function(t) {
                     return t.amount;
                 })
             };
         })
         .value();
 
-    var value = _.sum(transactions, function(t) {
+    var value = Money.sum(transactions, function(t) {
         return t.value;
     });
     return value;
@@ -458,7 +1519,7 @@ Transaction.prototype.getInflectionZeroPoints = function(path, bounds) {
  * @returns {Object[]} Array of all the local inflection points.
  */
 Transaction.prototype.getInflectionPoints = function(path, bounds) {
-    var start = moment(bounds.startDate), i, deltaPrime, deltaDPrime, point;
+    var start = CivilDate.toMoment(bounds.startDate), i, deltaPrime, deltaDPrime, point;
     var accInf = [];
     for(i = 2; i < path.length; i++) {
         deltaPrime = path[i].y - path[i - 1].y;
@@ -466,7 +1527,7 @@ Transaction.prototype.getInflectionPoints = function(path, bounds) {
         point = {
             count: i - 1,
             x: path[i - 1].x,
-            date:  start.add(path[i - 1].x, 'days').toDate(),
+            date:  CivilDate.toDate(start.clone().add(path[i - 1].x, 'days')),
             value: path[i - 1].y,
             type: null 
         };
@@ -488,13 +1549,13 @@ Transaction.prototype.getInflectionPoints = function(path, bounds) {
  * @returns {Object[]} Array of all the zero points
  */
 Transaction.prototype.getZeroPoints = function(path, bounds) {
-    var start = moment(bounds.startDate), i, point;
+    var start = CivilDate.toMoment(bounds.startDate), i, point;
     var accZero = [];
-    for(i = 2; i < path.length; i++) {
+    for(i = 1; i < path.length; i++) {
         point = {
             count: i,
             x: path[i].x,
-            date:  start.add(path[i].x, 'days').toDate(),
+            date:  CivilDate.toDate(start.clone().add(path[i].x, 'days')),
             value: path[i].y,
             type: null 
         };
@@ -511,14 +1572,22 @@ Transaction.prototype.getZeroPoints = function(path, bounds) {
 
 /**
  * @desc Returns an array of objects showing the value of the TCollection on every nth period between newbounds.startDate and newbounds.endDate.
- * @param {String} res - Resolution of the path (can be 'days', 'weeks', 'months)
  * @param {Bounds} bounds - a boundary object specifying what the start and end dates for the path should be
+ * @param {Transaction[]} [gatheredTransactions] - Transactions to use instead of gathering them from the tree
+ * @param {String} [res] - Resolution of the path (can be 'days', 'weeks', 'months', 'quarters', 'years'), see {@link Transaction#generateBucketedPath}. Without one there's a point for every day that has transactions.
  * @returns {Object[]} An array of objects showing the value of the Collection for the given dates.
  */
-Transaction.prototype.generatePath = function(bounds, gatheredTransactions) {
-    var start = moment(bounds.startDate);
+Transaction.prototype.generatePath = function(bounds, gatheredTransactions, res) {
+    var start = CivilDate.key(bounds.startDate ? bounds.startDate : new Date()), bucketed;
     //Gather all of the transactions that will be part of the path
     var gathered = gatheredTransactions ? gatheredTransactions : this.gatherTransactions(bounds);
+    if(res && gathered.length > 0) {
+        bucketed = this.generateBucketedPath(bounds, gathered, res);
+        return {
+            path: bucketed,
+            keyPoints: this.getInflectionZeroPoints(bucketed, bounds)
+        };
+    }
     if(gathered.length === 0) {
         return {
             path: [],
@@ -528,16 +1597,17 @@ Transaction.prototype.generatePath = function(bounds, gatheredTransactions) {
 
     var transactions = _(gathered)
         .groupBy(function(txn) { //Group transactions by the date on which they occur
-            return moment(txn.startDate).format('YYYY-MM-DD'); //rounds everything to a day
+            return CivilDate.key(txn.startDate); //rounds everything to a day
         })
         .pairs() //Turns the txn object into arrays
         .sortBy(function(t) {
-            return moment(t[0]); //Sorts all the objects by date
+            return t[0]; //Sorts all the objects by date, keys sort like days
         })
         .map(function(k) { //sums up the value of all pairs on a given date
             return {
-                date: new Date(k[0]),
-                value: _.sum(k[1], function(t) {
+                day: k[0],
+                date: CivilDate.toDate(k[0]),
+                value: Money.sum(k[1], function(t) {
                     return t.amount;
                 })
             };
@@ -549,8 +1619,9 @@ Transaction.prototype.generatePath = function(bounds, gatheredTransactions) {
             acc.push({
                 value: -1 * k.value,
                 d: k.date,
-                x: moment(k.date).diff(start, 'days'),
-                y: (acc.length > 0 ? acc[acc.length - 1].y : 0) + k.value
+                day: k.day,
+                x: CivilDate.diffDays(k.day, start),
+                y: Money.add(acc.length > 0 ? acc[acc.length - 1].y : 0, k.value)
             });
             return acc;
         }, []);
@@ -558,25 +1629,28 @@ Transaction.prototype.generatePath = function(bounds, gatheredTransactions) {
     //fix edge cases where we only have one-time transactions
     //This just adds a point at the right edge of the chart so things don't end
     //mid-stream
-    if(transactions[transactions.length - 1].d < bounds.endDate) {
+    if(bounds.endDate && transactions[transactions.length - 1].day < CivilDate.key(bounds.endDate)) {
         transactions.push({
             value: transactions[transactions.length -1].value,
-            d: bounds.endDate,
-            x: moment(bounds.endDate).diff(start, 'days'),
+            d: CivilDate.parse(bounds.endDate),
+            day: CivilDate.key(bounds.endDate),
+            x: CivilDate.diffDays(bounds.endDate, start),
             y: transactions[transactions.length -1].y
         });
     }
 
     var startValueIdx = _.findIndex(transactions, function(t) {
-        return t.d >= bounds.startDate;
+        return t.day >= CivilDate.key(start);
     });
 
     var startValue = startValueIdx > 0 ? {
-        d: bounds.startDate,
+        d: CivilDate.parse(bounds.startDate),
+        day: CivilDate.key(bounds.startDate),
         x: 0,
         y: transactions[startValueIdx].y
     } : {
-        d: bounds.startDate,
+        d: CivilDate.parse(bounds.startDate),
+        day: CivilDate.key(bounds.startDate),
         x: 0,
         y: 0
     };
@@ -593,6 +1667,111 @@ Transaction.prototype.generatePath = function(bounds, gatheredTransactions) {
     };
 };
 
+/**
+ * Resolutions {@link Transaction#generatePath} can bucket a path by, with the
+ * moment unit each bucket is aligned to
+ *
+ * @type Object
+ */
+Transaction.PATH_RESOLUTIONS = { days: 'day', weeks: 'isoWeek', months: 'month', quarters: 'quarter', years: 'year' };
+
+/**
+ * @desc Buckets gathered transactions into evenly spaced calendar periods (ISO weeks, months, etc.). The first and last buckets are clipped to the bounds.
+ * @param {Bounds} bounds - Start and end of the path
+ * @param {Transaction[]} gathered - Transactions from {@link Transaction#gatherTransactions}
+ * @param {string} res - One of {@link Transaction.PATH_RESOLUTIONS}
+ * @returns {Object[]} One point per bucket: d (bucket start), end, x, open, close, y (same as close), min, max, inflow, outflow and net
+ */
+Transaction.prototype.generateBucketedPath = function(bounds, gathered, res) {
+    var start, end, days, byDay, i = 0, balance = 0, acc = [];
+
+    byDay = _.groupBy(gathered, function(txn) {
+        return CivilDate.key(txn.startDate);
+    });
+    days = _.keys(byDay).sort();
+    start = CivilDate.toMoment(bounds.startDate ? bounds.startDate : days[0]);
+    end = CivilDate.toMoment(bounds.endDate ? bounds.endDate : days[days.length - 1]);
+
+    //Everything before the bounds rolls into the opening balance
+    while (i < days.length && days[i] < start.format('YYYY-MM-DD')) {
+        balance = Money.add(balance, Money.sum(byDay[days[i]], 'amount'));
+        i++;
+    }
+
+    /* jshint loopfunc:true */
+    this.getPathBuckets(start, end, res).forEach(function(bucket) {
+        var point = {
+            d: CivilDate.toDate(bucket.start),
+            end: CivilDate.toDate(bucket.end),
+            day: bucket.start.format('YYYY-MM-DD'),
+            x: bucket.start.diff(start, 'days'),
+            open: balance,
+            min: balance,
+            max: balance,
+            inflow: 0,
+            outflow: 0
+        };
+
+        while (i < days.length && days[i] <= bucket.end.format('YYYY-MM-DD')) {
+            byDay[days[i]].forEach(function(t) {
+                if (t.amount > 0) {
+                    point.inflow = Money.add(point.inflow, t.amount);
+                } else if (t.amount < 0) {
+                    point.outflow = Money.add(point.outflow, t.amount);
+                }
+            });
+            balance = Money.add(balance, Money.sum(byDay[days[i]], 'amount'));
+            point.min = Math.min(point.min, balance);
+            point.max = Math.max(point.max, balance);
+            i++;
+        }
+
+        point.close = balance;
+        point.y = balance;
+        point.net = Money.add(point.inflow, point.outflow);
+        acc.push(point);
+    });
+    /* jshint loopfunc:false */
+    return acc;
+};
+
+/**
+ * @desc Splits the days between two dates into calendar buckets, the first and last of which may be partial.
+ * @param {(moment|Date)} start - First day
+ * @param {(moment|Date)} end - Last day
+ * @param {string} res - Bucket size: days, weeks, months, quarters or years, see {@link Transaction.PATH_RESOLUTIONS}
+ * @returns {Object[]} Buckets, each with a start and end day (UTC moments, see {@link CivilDate.toMoment})
+ */
+Transaction.prototype.getPathBuckets = function(start, end, res) {
+    var unit = Transaction.PATH_RESOLUTIONS[res], cursor = CivilDate.toMoment(start), bucketEnd, acc = [];
+    if (!unit) {
+        throw new Error('Path resolution must be days, weeks, months, quarters, or years.');
+    }
+    end = CivilDate.toMoment(end);
+    while (!cursor.isAfter(end)) {
+        bucketEnd = moment.min(cursor.clone().endOf(unit).startOf('day'), end);
+        acc.push({ start: cursor, end: bucketEnd });
+        cursor = bucketEnd.clone().add(1, 'days');
+    }
+    return acc;
+};
+
+/**
+ * @desc Finds the first value of a field on this transaction or its ancestors, for settings like {@link Transaction#calendar} that branches pass down
+ * @param {string} field - The field
+ * @returns {*} Its value, null if nothing sets it
+ */
+Transaction.prototype.getInherited = function(field) {
+    var node = this;
+    while (node) {
+        if (node[field]) {
+            return node[field];
+        }
+        node = node.parentTransaction;
+    }
+    return null;
+};
+
 /**
  * @desc Recursively sets all start dates in a transaction tree to a given date
  * @param {Transaction} [transaction=this] - Transaction that you're setting the start date for
@@ -600,22 +1779,22 @@ Transaction.prototype.generatePath = function(bounds, gatheredTransactions) {
  * @param {boolean} setall - True if you only want dates less than the start date to be changed, false to change all startDates to the new startDate 
  */
 Transaction.prototype.setStartDates = function(transaction, startDate, setall) {
-    var self;
+    var self, isFolder;
     if(!transaction) {
         self = this;
     } else {
         self = transaction;
     }
 
-    if(transaction.startDate < startDate && setall) {
-        transaction.startDate = startDate;
-    } else if (!setall) {
-        transaction.startDate = startDate;
+    //Folders (branches without a start date) stay folders
+    isFolder = !self.startDate && self.children.length > 0;
+    if(!isFolder && (!setall || self.startDate < startDate)) {
+        self.set('startDate', startDate);
     }
 
     if (self.children.length > 0) {
         self.children.forEach(function(child) {
-            child.setStartDates(null ,startDate);
+            child.setStartDates(null, startDate, setall);
         });
     }
 };
@@ -624,13 +1803,18 @@ Transaction.prototype.setStartDates = function(transaction, startDate, setall) {
  * @desc Creates a new scenario based on the transaction blob
  * @param {Date} startDate - Date that the scenario starts on
  * @param {string} [name] - Name of the scenario, defaults to 'Scenario 1'
+ * @param {Scenario} [parentScenario] - Scenario of this transaction to branch from instead of the transaction itself, see {@link Scenario#fork}
  * @returns {Scenario} The scenario that we just added.
  */
-Transaction.prototype.addScenario = function(startDate, name) {
+Transaction.prototype.addScenario = function(startDate, name, parentScenario) {
+    if (parentScenario && this.scenarios.indexOf(parentScenario) === -1) {
+        throw new Error('Scenarios can only branch from scenarios of the same transaction.');
+    }
     this.scenarios.push(new Scenario(startDate, name, {
         description: this.description + ' - Scenario' + (this.scenarios.length + 1),
         startDate: startDate
-    }, this));
+    }, this, parentScenario));
+    this.emit('change', { type: 'scenario-add', target: this, scenario: this.scenarios[this.scenarios.length - 1], index: this.scenarios.length - 1 });
     return this.scenarios[this.scenarios.length - 1];
 };
 
@@ -640,9 +1824,34 @@ Transaction.prototype.addScenario = function(startDate, name) {
  * @retrums {Scenario[]} The blob's scenario array with the unwanted scenario spliced out.
  */
 Transaction.prototype.deleteScenario = function(index) {
-    if(index > -1) {
-        this.scenarios.splice(index, 1);
+    var removed, self = this;
+    if(index > -1 && index < this.scenarios.length) {
+        removed = this.scenarios.splice(index, 1)[0];
+        this.emit('change', { type: 'scenario-remove', target: this, scenario: removed, index: index });
+
+        //Scenarios forked from this one don't mean anything without it
+        _.filter(this.scenarios, { parentScenario: removed }).forEach(function(fork) {
+            self.deleteScenario(self.scenarios.indexOf(fork));
+        });
+    }
+    return this.scenarios;
+};
+
+/**
+ * @desc Moves a scenario to a new place in the list of scenarios for this transaction blob.
+ * @param {number} from - Zero-based index of the scenario to move
+ * @param {number} to - Zero-based index the scenario should end up at
+ * @returns {Scenario[]} The blob's reordered scenario array
+ */
+Transaction.prototype.moveScenario = function(from, to) {
+    var moved;
+    if (from < 0 || from >= this.scenarios.length || to < 0 || to >= this.scenarios.length) {
+        throw new Error('Scenario index out of range.');
     }
+    moved = this.scenarios.splice(from, 1)[0];
+    this.scenarios.splice(to, 0, moved);
+    this.emit('change', { type: 'scenario-move', target: this, scenario: moved, from: from, to: to });
+    return this.scenarios;
 };
 
 /** 
@@ -661,6 +1870,131 @@ Transaction.prototype.generateUUID = function() {
 };
 /* jshint bitwise: true */
 
+////// CHANGE TRACKING LIVES UNDER HERE ///////
+
+/**
+ * Fields that can be changed through {@link Transaction#set}
+ *
+ * @type string[]
+ */
+Transaction.SETTABLE_FIELDS = ['description', 'amount', 'growth', 'startDate', 'endDate', 'frequency',
+    'transactionType', 'loan', 'derivation', 'interestRates', 'uncertainty', 'businessDayAdjustment', 'calendar',
+    'account', 'accounts', 'transfer', 'currency', 'reportingCurrency', 'rateProvider'];
+
+/**
+ * @desc Subscribes to events on this transaction. Events bubble up the tree, so subscribing on the root hears about every change.
+ * @param {string} event - Name of the event, e.g. 'change'
+ * @param {Function} listener - Called with the event's data whenever it fires
+ */
+Transaction.prototype.on = function(event, listener) {
+    if (!this.listeners[event]) {
+        this.listeners[event] = [];
+    }
+    this.listeners[event].push(listener);
+};
+
+/**
+ * @desc Unsubscribes a listener added with {@link Transaction#on}
+ * @param {string} event - Name of the event
+ * @param {Function} listener - The listener to remove
+ */
+Transaction.prototype.off = function(event, listener) {
+    this.listeners[event] = _.without(this.listeners[event] || [], listener);
+};
+
+/**
+ * @desc Fires an event on this transaction and each of its ancestors
+ * @param {string} event - Name of the event
+ * @param {Object} data - Passed to every listener
+ */
+Transaction.prototype.emit = function(event, data) {
+    var node = this;
+    /* jshint loopfunc:true */
+    while (node) {
+        (node.listeners[event] || []).slice().forEach(function(listener) {
+            listener.call(node, data);
+        });
+        node = node.parentTransaction;
+    }
+    /* jshint loopfunc:false */
+};
+
+/**
+ * @desc Flags this transaction, and every branch above it, as needing its series rebuilt the next time transactions are gathered. Anything that assigns fields directly instead of going through {@link Transaction#set} needs to call this.
+ */
+Transaction.prototype.markDirty = function() {
+    var node = this;
+    while (node) {
+        node.dirty = true;
+        node = node.parentTransaction;
+    }
+};
+
+/**
+ * @desc Flags this transaction and everything below it, scenarios included, as needing their series rebuilt
+ */
+Transaction.prototype.markTreeDirty = function() {
+    this.dirty = true;
+    this.children.forEach(function(c) {
+        c.markTreeDirty();
+    });
+    this.scenarios.forEach(function(s) {
+        if (s.transactions) {
+            s.transactions.markTreeDirty();
+        }
+    });
+};
+
+/**
+ * @desc Marks this part of the tree dirty and fires a 'change' event describing what happened
+ * @param {Object} change - What changed: type ('add', 'remove', 'update' or 'exception') plus details such as field, oldValue and newValue
+ */
+Transaction.prototype.notifyChange = function(change) {
+    change.target = change.target || this;
+    this.markDirty();
+    this.emit('change', change);
+};
+
+/**
+ * @desc Changes a field on the transaction, marking it dirty and firing a 'change' event
+ * @param {string} field - One of {@link Transaction.SETTABLE_FIELDS}
+ * @param {*} value - The new value
+ * @param {Object} [options] - How to make the change
+ * @param {boolean} [options.silent=false] - Only mark the tree dirty, without firing 'change' events
+ * @returns {Transaction} This transaction, so calls can be chained
+ */
+Transaction.prototype.set = function(field, value, options) {
+    var oldValue = this[field], silent = options ? !!options.silent : false;
+    if (Transaction.SETTABLE_FIELDS.indexOf(field) === -1) {
+        throw new Error('Cannot set ' + field + ' on a transaction.');
+    }
+    if (field === 'amount') {
+        this.setAmount(value, silent);
+        return this;
+    }
+    if (field === 'startDate' || field === 'endDate') {
+        value = value ? CivilDate.parse(value) : null;
+    }
+    this[field] = value;
+    if (silent) {
+        this.markDirty();
+    } else {
+        this.notifyChange({ type: 'update', field: field, oldValue: oldValue, newValue: value });
+    }
+    return this;
+};
+
+/**
+ * @desc Sets the depth of this transaction and everything below it
+ * @param {number} depth - New depth of this transaction
+ */
+Transaction.prototype.setDepth = function(depth) {
+    this.depth = depth;
+    this.children.forEach(function(c) {
+        c.setDepth(depth + 1);
+    });
+};
+
 ////// SCENARIOS LIVE UNDER HERE ///////
 
 /**
@@ -681,7 +2015,17 @@ Transaction.prototype.cloneTransaction = function(transaction, divorceParent, ne
         growth: transaction.growth,
         frequency: transaction.frequency,
         startDate: transaction.startDate,
-        endDate: transaction.endDate
+        endDate: transaction.endDate,
+        transactionType: transaction.transactionType,
+        loan: transaction.loan,
+        derivation: transaction.derivation,
+        account: transaction.account,
+        transfer: transaction.transfer,
+        currency: transaction.currency,
+        exceptions: transaction.exceptions,
+        uncertainty: transaction.uncertainty,
+        businessDayAdjustment: transaction.businessDayAdjustment,
+        calendar: transaction.calendar
     });
     clone.parentTransaction = divorceParent ? null : transaction.parentTransaction;
     clone.series = newSeries ?  transaction.generateUUID() : transaction.series;
@@ -695,29 +2039,235 @@ Transaction.prototype.cloneTransaction = function(transaction, divorceParent, ne
  * @param {Date} startDate - Date the the scenario splits away from the base transaction blob
  * @param {string} name - The name of the scenario
  * @param {object} blob - Initialization blob for the scenarios that this thing  will hold.
- * @param {Transaction[]} [transactions] - Transactions from the parent blob
- * that should be cloned into the scenario; these transactions will have a start
- * date of the scenario start date.
+ * @param {Transaction} baseTransaction - Transaction blob the scenario belongs to
+ * @param {Scenario} [parentScenario] - Scenario this one branches from; without one it branches from the base transaction
  */
-var Scenario = function(startDate, name, blob, baseTransaction) { //jshint ignore:line
-    var initEndDate = moment(startDate).subtract(1, 'days').toDate();
+var Scenario = function(startDate, name, blob, baseTransaction, parentScenario) { //jshint ignore:line
+    this.id = baseTransaction.generateUUID();
     this.name = name;
-    this.startDate = startDate;
+    this.startDate = CivilDate.parse(startDate);
     this.transactions = new Transaction(blob);
+    //New transactions in the scenario count business days, and post, like the
+    //base does
+    if (!this.transactions.calendar) {
+        this.transactions.calendar = baseTransaction.getCalendarName();
+    }
+    if (!this.transactions.account) {
+        this.transactions.account = baseTransaction.getAccountName();
+    }
+    //...and converts to the same currency at the same rates
+    if (!this.transactions.reportingCurrency) {
+        this.transactions.reportingCurrency = baseTransaction.getReportingCurrency();
+    }
+    if (!this.transactions.rateProvider) {
+        this.transactions.rateProvider = baseTransaction.getRateProviderName();
+    }
     this.baseTransaction = baseTransaction;
+    //Scenario we branch from, null when we branch from the base itself
+    this.parentScenario = parentScenario ? parentScenario : null;
+    //Extra principal payments this scenario makes on base loans, keyed by series
+    this.loanExtraPayments = {};
+    //Changes to series the scenario doesn't clone, see Scenario#addModifier
+    this.modifiers = [];
+    //What the parent is worth the day before the split; the scenario on its
+    //own starts from here, but combined with the parent it's already counted
     this.transactions.addChild({
         description: 'Scenario Initial Amount',
-        amount: this.baseTransaction.valueOnDate({
-            startDate: null,
-            endDate: initEndDate
-        }, initEndDate),
+        amount: this.getInitialAmount(),
         frequency: 'none',
         startDate: this.startDate,
+        transactionType: 'initial',
         growth: 0
     });
+    this.forwardChanges();
+    return this;
+};
+
+/**
+ * @desc Passes changes to the scenario's transactions on to its base transaction, tagged with the scenario, so subscribing to the base hears about them too
+ */
+Scenario.prototype.forwardChanges = function() {
+    var scenario = this;
+    if (this.transactions) {
+        this.transactions.on('change', function(change) {
+            scenario.emitChange(_.assign({ scenario: scenario }, change));
+        });
+    }
+};
+
+/**
+ * @desc Fires a 'change' event about the scenario on its base transaction
+ * @param {Object} change - What changed, see {@link Transaction#notifyChange}
+ */
+Scenario.prototype.emitChange = function(change) {
+    change.scenario = change.scenario || this;
+    if (this.baseTransaction) {
+        this.baseTransaction.emit('change', change);
+    }
+};
+
+/**
+ * @desc Works out what the scenario's parent (another scenario, or the base) is worth the day before the scenario splits away from it
+ * @returns {number} The scenario's initial amount
+ */
+Scenario.prototype.getInitialAmount = function() {
+    var end = CivilDate.toDate(CivilDate.toMoment(this.startDate).subtract(1, 'days')), bounds = new Bounds(null, end);
+    return this.baseTransaction.valueOnDate(end, bounds, this.parentScenario ? this.parentScenario.gatherTransactions(bounds) : null);
+};
+
+/**
+ * @desc Works the initial amount out again, for when the scenario's parent has changed underneath it
+ */
+Scenario.prototype.refreshInitialAmount = function() {
+    var initial = this.transactions ? _.find(this.transactions.children, { transactionType: 'initial' }) : null;
+    if (initial) {
+        initial.set('amount', this.getInitialAmount());
+    }
+};
+
+/**
+ * @desc Lists the scenarios this one branches from, outermost first
+ * @returns {Scenario[]} Ancestors of the scenario, empty if it branches straight from the base
+ */
+Scenario.prototype.getAncestors = function() {
+    var acc = [], scenario = this.parentScenario;
+    while (scenario) {
+        acc.unshift(scenario);
+        scenario = scenario.parentScenario;
+    }
+    return acc;
+};
+
+/**
+ * @desc Finds the transaction that a series resolves to in this scenario, looking through the scenario, then every scenario it branches from, then the base
+ * @param {string} series - UUID of the series
+ * @returns {Transaction} The transaction from the closest level that has it, or null
+ */
+Scenario.prototype.resolveSeries = function(series) {
+    var found = this.transactions ? this.transactions.findBySeries(series) : null;
+    if (found) {
+        return found;
+    }
+    return this.parentScenario ? this.parentScenario.resolveSeries(series) : this.baseTransaction.findBySeries(series);
+};
+
+/**
+ * @desc Branches a new scenario off of this one. It starts out with everything this scenario does, and whatever it changes is layered on top.
+ * @param {Date} [startDate] - Date the new scenario splits away, this scenario's start date by default
+ * @param {string} [name] - Name of the new scenario
+ * @returns {Scenario} The new scenario
+ */
+Scenario.prototype.fork = function(startDate, name) {
+    return this.baseTransaction.addScenario(startDate ? startDate : this.startDate, name, this);
+};
+
+/**
+ * @desc Renames the scenario
+ * @param {string} name - New name of the scenario
+ * @returns {Scenario} The scenario
+ */
+Scenario.prototype.rename = function(name) {
+    var oldName = this.name;
+    this.name = name;
+    this.emitChange({ type: 'scenario-update', field: 'name', oldValue: oldName, newValue: name });
     return this;
 };
 
+/**
+ * @desc Folds the scenario into its parent (the scenario it branches from, or the base) and removes it. Transactions the scenario adds are added to the parent. A transaction it overrides is replaced outright if it started on or after the split; otherwise the parent's version ends the day before the split, under a new series, and the scenario's version carries on from the split with the original series. Extra loan payments and modifiers carry over (modifiers are written into the base's transactions when merging into the base, see {@link Scenario#bakeModifier}), scenarios forked from this one now branch from the parent, and every scenario's initial amount is worked out again against the changed plan.
+ * @returns {(Scenario|Transaction)} The parent the scenario was merged into
+ */
+Scenario.prototype.merge = function() {
+    var scenario = this, parent = this.parentScenario, base = this.baseTransaction;
+    var target = parent ? parent.transactions : base, split = CivilDate.toDate(CivilDate.toMoment(this.startDate).subtract(1, 'days'));
+
+    if (base.scenarios.indexOf(this) === -1) {
+        throw new Error('Only scenarios that are still part of their base can be merged.');
+    }
+
+    this.transactions.children.slice().forEach(function(incoming) {
+        var existing, holder, index, renamed = null;
+        if (incoming.transactionType === 'initial') {
+            return;
+        }
+        existing = target.findBySeries(incoming.series);
+
+        //The parent scenario may only see the series through its own parent,
+        //so it needs its own copy before it can be split
+        if (!existing && parent && parent.resolveSeries(incoming.series)) {
+            existing = parent.cloneTransactionToScenario(parent.resolveSeries(incoming.series));
+        }
+
+        incoming.commitSuicide();
+        if (!existing) {
+            target.addChild(incoming);
+            return;
+        }
+
+        holder = existing.parentTransaction;
+        index = holder.children.indexOf(existing);
+        if (existing.startDate && existing.startDate < scenario.startDate) {
+            if (!existing.endDate || existing.endDate > split) {
+                existing.set('endDate', split);
+            }
+            renamed = existing;
+            index++;
+        } else {
+            existing.commitSuicide();
+        }
+        holder.addChild(incoming, index);
+        if (renamed) {
+            scenario.renewSeries(renamed);
+        }
+    });
+
+    _.forEach(this.loanExtraPayments, function(extras, series) {
+        var loan;
+        if (parent) {
+            parent.loanExtraPayments[series] = (parent.loanExtraPayments[series] || []).concat(extras);
+            return;
+        }
+        loan = base.findBySeries(series);
+        if (loan && loan.loan) {
+            loan.set('loan', _.assign({}, loan.loan, { extraPayments: (loan.loan.extraPayments || []).concat(extras) }));
+        }
+    });
+
+    //Modifiers keep working on the parent scenario; the base has them
+    //written into its transactions
+    this.modifiers.forEach(function(modifier) {
+        var m = scenario.clampModifier(modifier);
+        if (parent) {
+            parent.modifiers.push(m);
+        } else {
+            scenario.bakeModifier(m);
+        }
+    });
+
+    _.filter(base.scenarios, { parentScenario: this }).forEach(function(fork) {
+        fork.parentScenario = parent;
+    });
+    base.deleteScenario(base.scenarios.indexOf(this));
+    base.scenarios.forEach(function(s) {
+        s.refreshInitialAmount();
+    });
+    base.emit('change', { type: 'scenario-merge', target: base, scenario: this, into: parent ? parent : base });
+    return parent ? parent : base;
+};
+
+/**
+ * @desc Makes the scenario the new base plan by merging it, and every scenario it branches from, into the base, see {@link Scenario#merge}
+ * @returns {Transaction} The base transaction
+ */
+Scenario.prototype.promote = function() {
+    var base = this.baseTransaction;
+    this.getAncestors().concat([this]).forEach(function(scenario) {
+        scenario.merge();
+    });
+    base.emit('change', { type: 'scenario-promote', target: base, scenario: this });
+    return base;
+};
+
 /**
  * @desc Clone a transaction from the parent-blob into the scenario
  * @param {Transaction} transaction - The transaction to clone into the scenario blob
@@ -725,6 +2275,11 @@ var Scenario = function(startDate, name, blob, baseTransaction) { //jshint ignor
 Scenario.prototype.cloneTransactionToScenario = function(transaction) {
     //create a deep copy of the transaction 
     var clone = transaction.cloneTransaction(null, true, false);
+    //The clone loses its ancestors, so hang on to the calendar and account it
+    //inherited
+    clone.calendar = transaction.getCalendarName();
+    clone.account = transaction.getAccountName();
+    clone.currency = transaction.getCurrency();
     //set the start dates for all the transactions
     clone.setStartDates(clone, this.startDate, true);
     //Add the clone to the scenario's transactions
@@ -733,16 +2288,23 @@ Scenario.prototype.cloneTransactionToScenario = function(transaction) {
 };
 
 
+/**
+ * @desc Finds the transaction the scenario is built on
+ * @returns {Transaction} The scenario's base transaction
+ */
+Scenario.prototype.getBaseTransaction = function() {
+    return this.baseTransaction;
+};
+
 /**
  * @desc Get the value of a scenario on a given date
  * @param {date} date - The date that we're trying to get the value for;
  * @returns {number} Value of the scenario on the given date
  */
 Scenario.prototype.getValueOnDate = function(bounds) {
-    return _(this.gatherTransactions(bounds))
-        .sum(function(t) {
-            return t.amount;
-        });
+    return Money.sum(this.gatherTransactions(bounds), function(t) {
+        return t.amount;
+    });
 };
 
 /**
@@ -756,6 +2318,9 @@ Scenario.prototype.getValueOnDate = function(bounds) {
 Scenario.prototype.gatherTransactions = function(bounds, scenarioOnly) {
     var scenario = this;
     var scenarioTransactions= scenario.transactions.gatherTransactions(bounds);
+    //Nested scenarios layer themselves on top of whatever their parent
+    //resolves to, all the way down to the base
+    var parentTransactions = scenario.parentScenario ? scenario.parentScenario.gatherTransactions(bounds) : scenario.baseTransaction.gatherTransactions(bounds);
     if(scenarioOnly) {
         return scenarioTransactions;
     } else {
@@ -763,7 +2328,7 @@ Scenario.prototype.gatherTransactions = function(bounds, scenarioOnly) {
             .uniq('series')
             .map(function(t) { return t.series; })
             .value();
-        var uniqueBaseTransactions = _(scenario.baseTransaction.gatherTransactions(bounds))
+        var uniqueBaseTransactions = _([].concat(parentTransactions))
             .filter(function(t) {
                 var beforeTxn = t.startDate < scenario.startDate;
                 var afterTxn = t.startDate >= scenario.startDate;
@@ -771,8 +2336,278 @@ Scenario.prototype.gatherTransactions = function(bounds, scenarioOnly) {
                 return beforeTxn || (afterTxn && !series);
             })
             .value();
+        uniqueBaseTransactions = scenario.applyLoanExtraPayments(uniqueBaseTransactions, bounds, scenarioSeriesIDs);
+
+        if (scenarioTransactions.length === 0) {
+            return [];
+        }
+        scenarioTransactions = _.reject(scenarioTransactions, { transactionType: 'initial' });
+        return scenario.reapplyInterest(scenario.reapplyDerived(scenario.applyModifiers(scenarioTransactions.concat(uniqueBaseTransactions)), bounds), bounds);
+    }
+};
+
+/**
+ * Kinds of modifier a scenario can put on a series, see {@link Scenario#addModifier}
+ *
+ * @type string[]
+ */
+Scenario.MODIFIER_TYPES = ['stop', 'pause', 'scale', 'growth', 'shift', 'account', 'fx'];
+
+/**
+ * @desc Checks a modifier and copies it with its dates turned into Dates
+ * @param {Object} modifier - The modifier, see {@link Scenario#addModifier}
+ * @returns {Object} The normalized copy
+ */
+Scenario.prototype.normalizeModifier = function(modifier) {
+    var m = _.clone(modifier), isNumber = function(n) { return typeof n === 'number' && !isNaN(n); };
+    if (!m || (!m.series && m.type !== 'fx')) {
+        throw new Error('Modifiers need the series they apply to.');
+    }
+    if (Scenario.MODIFIER_TYPES.indexOf(m.type) === -1) {
+        throw new Error('Modifier type must be stop, pause, scale, growth, shift, account or fx.');
+    }
+    ['date', 'from', 'to'].forEach(function(field) {
+        if (m[field]) {
+            m[field] = CivilDate.parse(m[field]);
+        }
+    });
+    if (m.type === 'stop' && !m.date) {
+        throw new Error('Stop modifiers need a date.');
+    }
+    if (m.type === 'pause' && (!m.from || !m.to || m.to < m.from)) {
+        throw new Error('Pause modifiers need a from date on or before their to date.');
+    }
+    if (m.type === 'scale' && !isNumber(m.percent)) {
+        throw new Error('Scale modifiers need a percent.');
+    }
+    if (m.type === 'growth' && !isNumber(m.growth)) {
+        throw new Error('Growth modifiers need a growth rate.');
+    }
+    if (m.type === 'shift' && (!isNumber(m.days) || m.days % 1 !== 0)) {
+        throw new Error('Shift modifiers need a whole number of days.');
+    }
+    if (m.type === 'account' && (!m.account || (m.leg && m.leg !== 'from' && m.leg !== 'to'))) {
+        throw new Error('Account modifiers need an account, and a leg of from or to if they have one.');
+    }
+    if (m.type === 'fx' && (!m.currency || !isNumber(m.percent))) {
+        throw new Error('FX modifiers need a currency and a percent.');
+    }
+    if (m.type === 'fx' && m.to && m.from && m.to < m.from) {
+        throw new Error('FX modifiers need a from date on or before their to date.');
+    }
+    return m;
+};
+
+/**
+ * @desc Adds a modifier that changes a series (from the base, or from a scenario this one branches from) without cloning it. Modifiers never reach back before the scenario's start date, and are applied in the order they were added.
+ * @param {Object} modifier - The modifier: series, type and what the type needs.
+ * 'stop' ends the series after date; 'pause' skips the occurrences from from to to;
+ * 'scale' changes the amount by percent (10 for a 10% raise); 'growth' grows every
+ * occurrence after the first one from then on by growth percent over the one before; 'shift' moves the occurrences by
+ * days; 'account' posts the occurrences to account instead (for a transfer, the leg, 'from' or 'to', it redirects).
+ * scale, growth, shift and account apply from from, the scenario's start date by default. 'fx' doesn't need a series:
+ * it moves the exchange rate of currency by percent (-10 for a 10% fall against the reporting currency) for every
+ * occurrence converted from it, from from (the scenario's start date by default) until to, if given.
+ * @returns {Object} The modifier as it was stored
+ */
+Scenario.prototype.addModifier = function(modifier) {
+    var m = this.normalizeModifier(modifier), oldValue = this.modifiers.slice();
+    this.modifiers.push(m);
+    this.emitChange({ type: 'scenario-update', field: 'modifiers', series: m.series, modifier: m, oldValue: oldValue, newValue: this.modifiers.slice() });
+    return m;
+};
+
+/**
+ * @desc Removes one of the scenario's modifiers
+ * @param {number} index - Zero-based index of the modifier
+ * @returns {Object} The removed modifier
+ */
+Scenario.prototype.removeModifier = function(index) {
+    var removed, oldValue = this.modifiers.slice();
+    if (index > -1 && index < this.modifiers.length) {
+        removed = this.modifiers.splice(index, 1)[0];
+        this.emitChange({ type: 'scenario-update', field: 'modifiers', series: removed.series, modifier: removed, oldValue: oldValue, newValue: this.modifiers.slice() });
+    }
+    return removed;
+};
+
+/**
+ * @desc Pulls a modifier's dates forward to the scenario's start date where they'd reach back before it
+ * @param {Object} modifier - The modifier
+ * @returns {Object} A copy of the modifier, with from always set
+ */
+Scenario.prototype.clampModifier = function(modifier) {
+    var m = _.clone(modifier), start = this.startDate;
+    m.from = m.from && m.from > start ? m.from : start;
+    if (m.type === 'pause' && m.to < m.from) {
+        m.to = m.from;
+    }
+    if (m.type === 'stop' && m.date < start) {
+        m.date = CivilDate.toDate(CivilDate.toMoment(start).subtract(1, 'days'));
+    }
+    return m;
+};
+
+/**
+ * @desc Applies the scenario's modifiers to gathered transactions. Occurrences that change are copied, so the base's stashed series stay as they were.
+ * @param {Transaction[]} transactions - Gathered transactions
+ * @returns {Transaction[]} The modified transactions
+ */
+Scenario.prototype.applyModifiers = function(transactions) {
+    var scenario = this;
+    this.modifiers.forEach(function(modifier) {
+        var m = scenario.clampModifier(modifier), prev = null;
+        var affected = _.sortBy(_.filter(transactions, { series: m.series }), 'startDate');
+        var applies = function(t) {
+            return t.startDate >= m.from;
+        };
+        var copy = function(t, changes) {
+            return _.assign(_.clone(t), changes);
+        };
+
+        //FX shocks go by currency rather than series
+        if (m.type === 'fx') {
+            transactions = transactions.map(function(t) {
+                var rate;
+                if (t.originalCurrency !== m.currency || !applies(t) || (m.to && t.startDate > m.to)) {
+                    return t;
+                }
+                rate = t.exchangeRate * (1 + m.percent / 100);
+                return copy(t, { amount: Money.multiply(t.originalAmount, rate), exchangeRate: rate });
+            });
+            return;
+        }
+
+        if (affected.length === 0) {
+            return;
+        }
+        transactions = _.reject(transactions, { series: m.series });
+
+        if (m.type === 'stop') {
+            affected = _.filter(affected, function(t) { return t.startDate <= m.date; });
+        } else if (m.type === 'pause') {
+            affected = _.reject(affected, function(t) { return applies(t) && t.startDate <= m.to; });
+        } else if (m.type === 'scale') {
+            affected = affected.map(function(t) {
+                return applies(t) ? copy(t, { amount: Money.multiply(t.amount, 1 + m.percent / 100) }) : t;
+            });
+        } else if (m.type === 'growth') {
+            //The first occurrence from then on stays as planned, every one
+            //after it grows from the one before at the new rate
+            affected = affected.map(function(t) {
+                var next = t;
+                if (applies(t)) {
+                    next = copy(t, { amount: prev === null ? t.amount : Money.multiply(prev, 1 + m.growth / 100), growth: m.growth });
+                    prev = next.amount;
+                }
+                return next;
+            });
+        } else if (m.type === 'shift') {
+            affected = affected.map(function(t) {
+                return applies(t) ? copy(t, { startDate: CivilDate.toDate(CivilDate.toMoment(t.startDate).add(m.days, 'days')) }) : t;
+            });
+        } else if (m.type === 'account') {
+            affected = affected.map(function(t) {
+                var leg = t.leg === m.leg || (!m.leg && !t.leg);
+                return applies(t) && leg ? copy(t, { ledgerAccount: m.account }) : t;
+            });
+        }
+        transactions = transactions.concat(affected);
+    });
+    return transactions;
+};
+
+/**
+ * @desc Splits a base series so a change can start partway through it. The part before from keeps going under a new series and ends the day before; a copy that keeps the original series picks up at the first occurrence on or after from, with that occurrence's amount.
+ * @param {Transaction} node - The base transaction
+ * @param {Date} from - Date the change starts on
+ * @returns {Transaction} The transaction to change, or null if the series has no occurrences from then on
+ */
+Scenario.prototype.splitSeries = function(node, from) {
+    var occurrences, next, rest, holder = node.parentTransaction;
+    if (!node.startDate || node.startDate >= from) {
+        return node;
+    }
+    if (node.transactionType === 'loan') {
+        throw new Error('Loans can only be stopped or paused by a merged modifier.');
+    }
+
+    occurrences = [].concat(node.initRepeatTransactions(node, new Bounds(null, CivilDate.toDate(CivilDate.toMoment(from).add(5, 'years')))));
+    next = _.find(_.sortBy(occurrences, function(t) { return t.originalDate || t.startDate; }), function(t) {
+        return (t.originalDate || t.startDate) >= from;
+    });
+    if (!next) {
+        return null;
+    }
+
+    rest = node.cloneTransaction(node, true, false);
+    rest.startDate = next.originalDate || next.startDate;
+    rest.amount = next.amount;
+    node.set('endDate', CivilDate.toDate(CivilDate.toMoment(from).subtract(1, 'days')));
+    rest = holder.addChild(rest, holder.children.indexOf(node) + 1);
+    this.renewSeries(node);
+    return rest;
+};
+
+/**
+ * @desc Moves the part of a series that ends before a split onto a new series, see {@link Scenario#merge} and {@link Scenario#splitSeries}. Derived transactions anywhere in the base's tree that followed the series follow both parts, and the 'change' event (field 'series') is the cue for anything else keyed by series, such as {@link ActualsLedger#renameSeries}.
+ * @param {Transaction} node - The part before the split
+ */
+Scenario.prototype.renewSeries = function(node) {
+    var oldValue = node.series, root = this.baseTransaction;
+    while (root.parentTransaction) {
+        root = root.parentTransaction;
+    }
+    node.series = node.generateUUID();
+    root.followSeries(oldValue, node.series);
+    node.notifyChange({ type: 'update', field: 'series', oldValue: oldValue, newValue: node.series });
+};
+
+/**
+ * @desc Writes a modifier into the base transaction tree for good, used when a scenario is merged into the base
+ * @param {Object} modifier - The modifier, already clamped to the scenario's start date
+ */
+Scenario.prototype.bakeModifier = function(modifier) {
+    var node = this.baseTransaction.findBySeries(modifier.series), target;
+    //FX shocks are about the rates rather than the plan, so there's nothing to
+    //write into the tree
+    if (!node || modifier.type === 'fx') {
+        return;
+    }
 
-        return scenarioTransactions.length > 0 ? scenarioTransactions.concat(uniqueBaseTransactions) : [];
+    if (modifier.type === 'stop') {
+        if (!node.endDate || node.endDate > modifier.date) {
+            node.set('endDate', modifier.date);
+        }
+    } else if (modifier.type === 'pause') {
+        if (node.frequency === 'none' && node.transactionType !== 'loan') {
+            if (node.startDate >= modifier.from && node.startDate <= modifier.to) {
+                node.commitSuicide();
+            }
+            return;
+        }
+        [].concat(node.initRepeatTransactions(node, new Bounds(null, modifier.to))).forEach(function(t) {
+            var date = t.originalDate || t.startDate;
+            if (date >= modifier.from && date <= modifier.to) {
+                node.skipOccurrence(date);
+            }
+        });
+    } else {
+        target = this.splitSeries(node, modifier.from);
+        if (!target) {
+            return;
+        }
+        if (modifier.type === 'scale') {
+            target.set('amount', Money.multiply(target.amount, 1 + modifier.percent / 100));
+        } else if (modifier.type === 'growth') {
+            target.set('growth', modifier.growth);
+        } else if (modifier.type === 'shift') {
+            target.set('startDate', CivilDate.toDate(CivilDate.toMoment(target.startDate).add(modifier.days, 'days')));
+        } else if (modifier.type === 'account' && modifier.leg) {
+            target.set('transfer', _.assign({}, target.transfer, _.zipObject([modifier.leg], [modifier.account])));
+        } else if (modifier.type === 'account') {
+            target.set('account', modifier.account);
+        }
     }
 };
 
@@ -790,16 +2625,100 @@ Scenario.prototype.removeTransactionFromScenario = function(transaction) {
 
 /**
  * @desc Generates the path for the scenario given the path data for the base transaction
+ * @param {Bounds} bounds - Start and end dates for the path
+ * @param {String} [res] - Resolution of the path, see {@link Transaction#generatePath}
  * @returns {Object} Generated path for the scenario
  */
-Scenario.prototype.generateScenarioPath = function(bounds) {
+Scenario.prototype.generateScenarioPath = function(bounds, res) {
     var gatheredTransactions = this.gatherTransactions(bounds);
-    var path = this.baseTransaction.generatePath(bounds, gatheredTransactions);
+    var path = this.baseTransaction.generatePath(bounds, gatheredTransactions, res);
     return path;
 };
 
+/**
+ * @desc Lists every Date the scenario and its transactions hold, see {@link Transaction#getDates}
+ * @returns {Date[]} The Dates
+ */
+Scenario.prototype.getDates = function() {
+    var dates = [this.startDate];
+    _.forEach(this.loanExtraPayments, function(extras) {
+        dates = dates.concat(_.pluck(extras, 'date'));
+    });
+    this.modifiers.forEach(function(m) {
+        dates.push(m.date, m.from, m.to);
+    });
+    return dates.concat(this.transactions ? this.transactions.getDates() : []);
+};
+
+/**
+ * @desc Serializes the scenario, its transactions, and the series of the base transaction it branches from.
+ * @returns {Object} Serialized scenario, see {@link Transaction#serializeTree}
+ */
+Scenario.prototype.serialize = function() {
+    return {
+        id: this.id,
+        name: this.name,
+        startDate: CivilDate.key(this.startDate),
+        base: this.baseTransaction ? this.baseTransaction.series : null,
+        parent: this.parentScenario ? this.parentScenario.id : null,
+        transactions: this.transactions ? this.transactions.serializeNode() : null,
+        loanExtraPayments: _.mapValues(this.loanExtraPayments, function(extras) {
+            return extras.map(function(e) {
+                return { date: CivilDate.key(e.date), amount: e.amount };
+            });
+        }),
+        modifiers: this.modifiers.map(function(modifier) {
+            var m = _.clone(modifier);
+            ['date', 'from', 'to'].forEach(function(field) {
+                if (m[field]) {
+                    m[field] = CivilDate.key(m[field]);
+                }
+            });
+            return m;
+        })
+    };
+};
+
+/**
+ * @desc Rebuilds a scenario written by {@link Scenario#serialize}. This skips the constructor so the scenario's initial amount is restored rather than recalculated.
+ * @param {Object} doc - The serialized scenario
+ * @param {Transaction} baseTransaction - Transaction the scenario branches from
+ * @returns {Scenario} The rebuilt scenario
+ */
+Scenario.deserialize = function(doc, baseTransaction) {
+    var scenario = Object.create(Scenario.prototype);
+    scenario.id = doc.id ? doc.id : baseTransaction.generateUUID();
+    scenario.name = doc.name;
+    scenario.startDate = CivilDate.parse(doc.startDate);
+    scenario.transactions = doc.transactions ? Transaction.deserializeNode(doc.transactions, null) : null;
+    scenario.baseTransaction = baseTransaction;
+    //Hooked up by Transaction.deserialize once every scenario is rebuilt
+    scenario.parentScenario = null;
+    scenario.forwardChanges();
+    scenario.loanExtraPayments = _.mapValues(doc.loanExtraPayments || {}, function(extras) {
+        return extras.map(function(e) {
+            return { date: CivilDate.parse(e.date), amount: e.amount };
+        });
+    });
+    scenario.modifiers = (doc.modifiers || []).map(function(m) {
+        return scenario.normalizeModifier(m);
+    });
+    return scenario;
+};
+
+////////////////// NODE MODULE //////////////////
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        Bounds: Bounds,
+        Money: Money,
+        CivilDate: CivilDate,
+        Transaction: Transaction,
+        Scenario: Scenario
+    };
+}
+
 ////////////////// ACTUAL ANGULAR MODULE //////////////////
-if(window.angular) {
+if(typeof window !== 'undefined' && window.angular) {
     angular.module('brateDevApp')
     .factory('TransactionFactory', function () {
         return Transaction;
@@ -0,0 +1,291 @@
+'use strict';
+
+//Structured validation of transaction blobs (Transaction.validate) and the
+//strict mode that makes addChild and addChildren refuse invalid ones. Load this
+//after transaction-collection.js.
+
+//See transaction-collection.js, dependencies are globals in the browser
+var _, Transaction; //jshint ignore:line
+if (typeof module === 'object' && module.exports) {
+    _ = require('lodash');
+    Transaction = require('./transaction-collection').Transaction;
+}
+
+/**
+ * Transaction types the library knows what to do with, see {@link Transaction#transactionType}
+ *
+ * @type string[]
+ */
+Transaction.TRANSACTION_TYPES = ['plain', 'loan', 'derived', 'transfer', 'initial', 'interest', 'actual'];
+
+/**
+ * Fields a transaction blob can have, anything else is ignored by the constructor
+ *
+ * @type string[]
+ */
+Transaction.BLOB_FIELDS = Transaction.SETTABLE_FIELDS.concat(['series', 'exceptions', 'children', 'depth', 'scenarios']);
+
+/**
+ * @desc Checks a transaction blob, and everything below it, for values the constructor would quietly mangle or that would only fail once transactions are gathered
+ * @param {(Object|Transaction)} blob - The blob, or an existing transaction
+ * @param {Object} [options] - deep (false to leave the children out, true by default) and path (put in front of every path in the results)
+ * @returns {Object} valid (true when there are no errors), errors and warnings. Each problem has path (e.g. 'children[2].children[0].frequency'), field, message and value.
+ */
+Transaction.validate = function(blob, options) {
+    var opts = _.assign({ deep: true, path: '' }, options), result = { valid: true, errors: [], warnings: [] };
+    Transaction.validateNode(blob, opts.path, opts.deep, result);
+    return result;
+};
+
+/**
+ * @desc Checks a single blob for {@link Transaction.validate}, adding what it finds to the results
+ * @param {(Object|Transaction)} blob - The blob
+ * @param {string} path - Path to the blob
+ * @param {boolean} deep - True to check the blob's children too
+ * @param {Object} result - Results so far
+ */
+Transaction.validateNode = function(blob, path, deep, result) {
+    var given, number, badDate, problem, error, warning, hasChildren, u, d;
+
+    problem = function(list, field, message, value) {
+        list.push({
+            path: path + (path && field ? '.' : '') + (field ? field : ''),
+            field: field,
+            message: message,
+            value: arguments.length > 3 ? value : (field ? blob[field] : blob)
+        });
+    };
+    error = function() {
+        problem.apply(null, [result.errors].concat(_.toArray(arguments)));
+        result.valid = false;
+    };
+    warning = function() {
+        problem.apply(null, [result.warnings].concat(_.toArray(arguments)));
+    };
+    given = function(value) {
+        return value !== undefined && value !== null;
+    };
+    number = function(value) {
+        return typeof value === 'number' && isFinite(value);
+    };
+    badDate = function(value) {
+        return isNaN(new Date(value).getTime());
+    };
+
+    if (!blob || typeof blob !== 'object') {
+        error(null, 'Transactions must be objects.');
+        return;
+    }
+
+    if (!(blob instanceof Transaction)) {
+        _.keys(blob).forEach(function(key) {
+            if (Transaction.BLOB_FIELDS.indexOf(key) === -1) {
+                warning(key, 'Unknown field ' + key + ' is ignored.');
+            }
+        });
+    }
+
+    //Values
+    ['amount', 'growth'].forEach(function(field) {
+        if (given(blob[field]) && !number(blob[field])) {
+            error(field, field + ' must be a number.');
+        }
+    });
+    ['startDate', 'endDate'].forEach(function(field) {
+        if (given(blob[field]) && badDate(blob[field])) {
+            error(field, field + ' is not a valid date.');
+        }
+    });
+    if (given(blob.startDate) && given(blob.endDate) && !badDate(blob.startDate) && !badDate(blob.endDate) &&
+        new Date(blob.endDate) < new Date(blob.startDate)) {
+        error('endDate', 'endDate is before startDate, so the transaction never occurs.');
+    }
+    if (given(blob.frequency)) {
+        try {
+            Transaction.prototype.checkFrequency(blob.frequency);
+        } catch (e) {
+            error('frequency', e.message);
+        }
+    }
+    if (given(blob.transactionType) && Transaction.TRANSACTION_TYPES.indexOf(blob.transactionType) === -1) {
+        warning('transactionType', 'Unknown transactionType ' + blob.transactionType + ' is treated like a plain transaction.');
+    }
+
+    if (given(blob.businessDayAdjustment) && Transaction.BUSINESS_DAY_ADJUSTMENTS.indexOf(blob.businessDayAdjustment) === -1) {
+        error('businessDayAdjustment', 'businessDayAdjustment must be one of ' + Transaction.BUSINESS_DAY_ADJUSTMENTS.join(', ') + '.');
+    }
+    if (given(blob.calendar) && !Transaction.CALENDARS[blob.calendar]) {
+        error('calendar', 'Unknown holiday calendar ' + blob.calendar + '.');
+    }
+
+    //Loans
+    if (blob.transactionType === 'loan' && !blob.loan) {
+        error('loan', 'Loan transactions need loan terms.');
+    } else if (blob.transactionType === 'loan') {
+        if (!number(blob.loan.principal) || blob.loan.principal <= 0) {
+            error('loan.principal', 'Loan principal must be a positive number.', blob.loan.principal);
+        }
+        if (given(blob.loan.apr) && (!number(blob.loan.apr) || blob.loan.apr < 0)) {
+            error('loan.apr', 'Loan apr must be a number that is not negative.', blob.loan.apr);
+        }
+        if (!number(blob.loan.term) || blob.loan.term < 1 || blob.loan.term % 1 !== 0) {
+            error('loan.term', 'Loan term must be a positive whole number of payments.', blob.loan.term);
+        }
+    }
+
+    //Accounts and transfers
+    if (given(blob.account) && typeof blob.account !== 'string') {
+        error('account', 'account must be the name of an account.');
+    }
+    if (given(blob.accounts) && (typeof blob.accounts !== 'object' || _.isArray(blob.accounts))) {
+        error('accounts', 'accounts must be keyed by account name.');
+    }
+    if (blob.transactionType === 'transfer' && (!blob.transfer || !blob.transfer.from || !blob.transfer.to)) {
+        error('transfer', 'Transfers need the accounts they move money from and to.', blob.transfer);
+    } else if (blob.transactionType === 'transfer' && blob.transfer.from === blob.transfer.to) {
+        error('transfer.to', 'Transfers need two different accounts.', blob.transfer.to);
+    } else if (blob.transactionType === 'transfer' && number(blob.amount) && blob.amount < 0) {
+        warning('amount', 'Transfers move a positive amount from transfer.from to transfer.to; a negative one moves it the other way.');
+    }
+
+    //Currencies
+    ['currency', 'reportingCurrency'].forEach(function(field) {
+        if (given(blob[field]) && !/^[A-Z]{3}$/.test(blob[field])) {
+            error(field, field + ' must be a three letter currency code, such as USD.');
+        }
+    });
+    if (given(blob.rateProvider) && !Transaction.RATE_PROVIDERS[blob.rateProvider]) {
+        error('rateProvider', 'Unknown exchange rate provider ' + blob.rateProvider + '.');
+    }
+
+    //Derived transactions
+    d = blob.derivation;
+    if (blob.transactionType === 'derived' && (!d || !_.isArray(d.sources) || d.sources.length === 0)) {
+        error('derivation.sources', 'Derived transactions need at least one source series.', d ? d.sources : undefined);
+    }
+    if (d && blob.transactionType !== 'derived') {
+        warning('derivation', 'derivation is ignored unless transactionType is derived.');
+    }
+    if (d && blob.transactionType === 'derived') {
+        ['percent', 'fee'].forEach(function(field) {
+            if (given(d[field]) && !number(d[field])) {
+                error('derivation.' + field, field + ' must be a number.', d[field]);
+            }
+        });
+        ['floor', 'cap'].forEach(function(field) {
+            if (given(d[field]) && (!number(d[field]) || d[field] < 0)) {
+                error('derivation.' + field, field + ' must be a number that is not negative.', d[field]);
+            }
+        });
+        if (number(d.floor) && number(d.cap) && d.cap < d.floor) {
+            error('derivation.cap', 'cap is smaller than floor.', d.cap);
+        }
+        if (given(d.offsetDays) && !(number(d.offsetDays) && d.offsetDays % 1 === 0)) {
+            error('derivation.offsetDays', 'offsetDays must be a whole number of days.', d.offsetDays);
+        }
+    }
+
+    //Occurrence exceptions
+    _.forEach(blob.exceptions, function(exception, key) {
+        var field = 'exceptions.' + key;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(key) || badDate(key)) {
+            error(field, 'Exceptions must be keyed by the occurrence date, as YYYY-MM-DD.', exception);
+        }
+        if (!exception || (!exception.skip && exception.amount === undefined && !exception.date)) {
+            error(field, 'Occurrence exceptions need to skip, change the amount of, or move the occurrence.', exception);
+        } else if (exception.amount !== undefined && !number(exception.amount)) {
+            error(field + '.amount', 'amount must be a number.', exception.amount);
+        } else if (exception.date && badDate(exception.date)) {
+            error(field + '.date', 'date is not a valid date.', exception.date);
+        }
+    });
+
+    //Uncertainty
+    u = blob.uncertainty;
+    if (u && u.amount && ['normal', 'uniform'].indexOf(u.amount.distribution) === -1) {
+        error('uncertainty.amount', 'Uncertain amounts need a normal or uniform distribution.', u.amount);
+    }
+    if (u && given(u.probability) && !(u.probability >= 0 && u.probability <= 1)) {
+        error('uncertainty.probability', 'probability must be between 0 and 1.', u.probability);
+    }
+
+    //Structure
+    if (given(blob.children) && !_.isArray(blob.children)) {
+        error('children', 'children must be an array.');
+        return;
+    }
+    hasChildren = _.isArray(blob.children) && blob.children.length > 0;
+    if (hasChildren && given(blob.amount) && !(blob instanceof Transaction)) {
+        warning('amount', 'Branches are worth the sum of their children, so amount is ignored.');
+    }
+    if (!hasChildren && !given(blob.startDate) && (given(blob.amount) || (given(blob.frequency) && blob.frequency !== 'none'))) {
+        warning('startDate', 'Without a startDate the transaction never occurs.');
+    }
+    if (!hasChildren && given(blob.startDate) && !given(blob.amount) && blob.transactionType !== 'loan' && blob.transactionType !== 'derived') {
+        warning('amount', 'Without an amount the transaction is worth nothing.');
+    }
+
+    if (deep && hasChildren) {
+        blob.children.forEach(function(child, i) {
+            Transaction.validateNode(child, (path ? path + '.' : '') + 'children[' + i + ']', true, result);
+        });
+    }
+};
+
+/**
+ * @desc Checks this transaction and everything below it, see {@link Transaction.validate}
+ * @param {Object} [options] - See {@link Transaction.validate}
+ * @returns {Object} See {@link Transaction.validate}
+ */
+Transaction.prototype.validate = function(options) {
+    return Transaction.validate(this, options);
+};
+
+/**
+ * @desc Checks a blob and throws if it isn't valid
+ * @param {(Object|Transaction)} blob - The blob
+ * @param {Object} [options] - See {@link Transaction.validate}
+ * @returns {Object} The results, when there are no errors
+ */
+Transaction.prototype.assertValid = function(blob, options) {
+    var result = Transaction.validate(blob, options), e;
+    if (!result.valid) {
+        e = new Error('Invalid transaction: ' + result.errors.map(function(p) {
+            return (p.path ? p.path + ': ' : '') + p.message;
+        }).join(' '));
+        e.errors = result.errors;
+        e.warnings = result.warnings;
+        throw e;
+    }
+    return result;
+};
+
+/**
+ * @desc Checks if blobs added here have to pass validation, see {@link Transaction#strict}
+ * @returns {boolean} True if this transaction, or one above it, is strict
+ */
+Transaction.prototype.isStrict = function() {
+    var node = this;
+    while (node) {
+        if (node.strict) {
+            return true;
+        }
+        node = node.parentTransaction;
+    }
+    return false;
+};
+
+/**
+ * @desc Checks that a frequency is one {@link Transaction#generateRepeatDates} understands
+ * @param {(string|Object)} frequency - The frequency
+ */
+Transaction.prototype.checkFrequency = function(frequency) {
+    if (Transaction.FREQUENCY_SHORTHANDS[frequency]) {
+        frequency = Transaction.FREQUENCY_SHORTHANDS[frequency];
+    }
+    if (this.isRecurrenceRule(frequency)) {
+        this.parseRecurrenceRule(frequency);
+    } else if (['none', 'month', 'week', 'biweek', 'day'].indexOf(frequency) === -1) {
+        throw new Error('Frequency must be none, day, week, biweek, month, quarter, semimonth, year, or a recurrence rule.');
+    }
+};